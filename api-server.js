@@ -0,0 +1,450 @@
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+
+import { getProductHandle } from './utils.js';
+import { findProductDirs, loadProductRecords, CATALOG_FILES } from './exporter.js';
+import { loadAssetManifest, MIME_EXTENSIONS } from './download-manager.js';
+import { CatalogDatabase } from './catalog-database.js';
+import { STATE_FILE } from './crawl-state.js';
+
+/**
+ * Default and maximum number of products in a list response
+ */
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Asset kinds listed for a product, with the screenshot last
+ */
+const ASSET_KINDS = ['images', 'videos', 'pdfs'];
+
+/**
+ * MIME type of each file extension, for files missing from the asset manifest
+ */
+const EXTENSION_MIME_TYPES = Object.fromEntries(
+  Object.entries(MIME_EXTENSIONS).map(([mimeType, extension]) => [extension, mimeType]).reverse()
+);
+EXTENSION_MIME_TYPES['.jpeg'] = 'image/jpeg';
+
+/**
+ * Error with the HTTP status to answer with
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parses an optional numeric query parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {number|null} Value, or null when the parameter is missing
+ * @throws {HttpError} When the value is not a number
+ */
+const numberParam = (params, name) => {
+  if (!params.has(name)) {
+    return null;
+  }
+
+  const value = Number(params.get(name));
+
+  if (params.get(name) === '' || !Number.isFinite(value)) {
+    throw new HttpError(400, `${name} must be a number, got "${params.get(name)}"`);
+  }
+
+  return value;
+};
+
+/**
+ * Serves the products of an output directory as a read-only JSON API, plus
+ * the downloaded asset files. The product.json files are read again when the
+ * crawl state or catalog.json changes, so a running server picks up new crawls.
+ */
+export class CatalogApi {
+  /**
+   * @param {string} outputDir - Output directory of a crawl
+   * @param {Object} [options] - API options
+   * @param {string} [options.databaseFile] - Database file relative to the output directory, for run history
+   */
+  constructor(outputDir, { databaseFile } = {}) {
+    this.outputDir = outputDir;
+    this.databasePath = databaseFile ? path.join(outputDir, databaseFile) : null;
+    this.products = [];
+    this.byHandle = new Map();
+    this.assets = new Map();
+    this.version = null;
+  }
+
+  /**
+   * Identifies the current state of the output directory by the modification
+   * times of the files a crawl rewrites when it finishes
+   * @returns {Promise<string>} Version string
+   */
+  async currentVersion() {
+    const times = [];
+
+    for (const file of [STATE_FILE, CATALOG_FILES.json]) {
+      const stat = await fs.stat(path.join(this.outputDir, file)).catch(() => null);
+      times.push(stat ? stat.mtimeMs : 0);
+    }
+
+    return times.join(':');
+  }
+
+  /**
+   * Reads the product records and the asset manifest, unless they have not changed since the last load
+   */
+  async refresh() {
+    const version = await this.currentVersion();
+
+    if (version === this.version) {
+      return;
+    }
+
+    const productDirs = await findProductDirs(this.outputDir);
+    const records = await loadProductRecords(this.outputDir, productDirs);
+    const manifest = await loadAssetManifest(this.outputDir);
+
+    this.products = records.map(record => ({ handle: getProductHandle(record.url) || record.url, record }));
+    this.byHandle = new Map(this.products.map(product => [product.handle, product]));
+    this.assets = new Map();
+    for (const entry of manifest) {
+      (entry.links || []).forEach(link => this.assets.set(link, entry));
+    }
+    this.version = version;
+  }
+
+  /**
+   * Builds the summary of a product used in lists
+   * @param {Object} product - Product as { handle, record }
+   * @returns {Object} Summary with links to the product and its assets
+   */
+  summary({ handle, record }) {
+    return {
+      handle,
+      name: record.name,
+      category: record.category || null,
+      region: record.region || null,
+      price: record.price || null,
+      priceAmount: record.priceDetails?.amount ?? null,
+      currency: record.priceDetails?.currency ?? record.currency ?? null,
+      onSale: record.priceDetails?.onSale ?? false,
+      url: record.url,
+      scrapedAt: record.scrapedAt || null,
+      links: {
+        self: `/api/products/${encodeURIComponent(handle)}`,
+        assets: `/api/products/${encodeURIComponent(handle)}/assets`
+      }
+    };
+  }
+
+  /**
+   * Lists products, filtered by category, price and name
+   * @param {URLSearchParams} params - category, minPrice, maxPrice, q, sort (name, price, -price), limit, offset
+   * @returns {Object} { total, offset, limit, products }
+   */
+  listProducts(params) {
+    const category = params.get('category')?.toLowerCase();
+    const text = params.get('q')?.toLowerCase();
+    const minPrice = numberParam(params, 'minPrice');
+    const maxPrice = numberParam(params, 'maxPrice');
+    const limit = numberParam(params, 'limit') ?? DEFAULT_PAGE_SIZE;
+    const offset = numberParam(params, 'offset') ?? 0;
+    const sort = params.get('sort') || 'name';
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new HttpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new HttpError(400, 'offset must be a non-negative integer');
+    }
+    if (!['name', 'price', '-price'].includes(sort)) {
+      throw new HttpError(400, `sort must be name, price or -price, got "${sort}"`);
+    }
+
+    const amount = product => product.record.priceDetails?.amount ?? null;
+    const matches = this.products.filter(product => {
+      if (category && (product.record.category || '').toLowerCase() !== category) {
+        return false;
+      }
+      if (text && !(product.record.name || '').toLowerCase().includes(text)) {
+        return false;
+      }
+      if (minPrice !== null && !(amount(product) !== null && amount(product) >= minPrice)) {
+        return false;
+      }
+      return maxPrice === null || (amount(product) !== null && amount(product) <= maxPrice);
+    });
+
+    const byName = (a, b) => String(a.record.name).localeCompare(String(b.record.name));
+    const byPrice = direction => (a, b) => {
+      // Products without a price go last in both directions
+      if (amount(a) === null || amount(b) === null) {
+        return (amount(a) === null) - (amount(b) === null) || byName(a, b);
+      }
+      return direction * (amount(a) - amount(b)) || byName(a, b);
+    };
+
+    matches.sort(sort === 'name' ? byName : byPrice(sort === 'price' ? 1 : -1));
+
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      products: matches.slice(offset, offset + limit).map(product => this.summary(product))
+    };
+  }
+
+  /**
+   * Finds a product by handle
+   * @param {string} handle - Product handle
+   * @returns {Object} Product as { handle, record }
+   * @throws {HttpError} When there is no such product
+   */
+  findProduct(handle) {
+    const product = this.byHandle.get(handle.toLowerCase());
+
+    if (!product) {
+      throw new HttpError(404, `Product not found: ${handle}`);
+    }
+
+    return product;
+  }
+
+  /**
+   * Lists the downloaded assets of a product with their manifest details
+   * @param {Object} product - Product as { handle, record }
+   * @returns {Object[]} Assets as { kind, path, href, url, mimeType, size, sha256 }
+   */
+  productAssets({ record }) {
+    const assets = [];
+    const add = (kind, assetPath) => {
+      const entry = this.assets.get(assetPath);
+      assets.push({
+        kind,
+        path: assetPath,
+        href: `/files/${assetPath.split('/').map(encodeURIComponent).join('/')}`,
+        url: entry?.url ?? null,
+        mimeType: entry?.mimeType ?? EXTENSION_MIME_TYPES[path.extname(assetPath).toLowerCase()] ?? null,
+        size: entry?.size ?? null,
+        sha256: entry?.sha256 ?? null
+      });
+    };
+
+    for (const kind of ASSET_KINDS) {
+      (record.assets?.[kind] || []).forEach(assetPath => add(kind, assetPath));
+    }
+    if (record.assets?.screenshot) {
+      add('screenshot', record.assets.screenshot);
+    }
+
+    return assets;
+  }
+
+  /**
+   * Lists the categories with their number of products
+   * @returns {Object[]} Categories as { name, products }, sorted by name
+   */
+  listCategories() {
+    const counts = new Map();
+
+    for (const { record } of this.products) {
+      const name = record.category || 'Other';
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+
+    return [...counts.entries()]
+      .map(([name, products]) => ({ name, products }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Describes the latest crawl from the crawl state, and earlier runs from the database when there is one
+   * @returns {Promise<Object>} { latest, runs }
+   */
+  async runs() {
+    const statePath = path.join(this.outputDir, STATE_FILE);
+    let latest = null;
+
+    if (await fs.pathExists(statePath)) {
+      const state = await fs.readJson(statePath);
+      const statuses = Object.values(state.products || {}).map(product => product.status);
+
+      latest = {
+        startedAt: state.startedAt || null,
+        updatedAt: state.updatedAt || null,
+        completed: Boolean(state.completed),
+        pageCount: state.pageCount || 0,
+        products: {
+          discovered: (state.productUrls || []).length,
+          done: statuses.filter(status => status === 'done').length,
+          failed: statuses.filter(status => status === 'failed').length
+        }
+      };
+    }
+
+    let runs = [];
+
+    if (this.databasePath && await fs.pathExists(this.databasePath)) {
+      const database = await CatalogDatabase.open(this.databasePath);
+      try {
+        runs = database.query('SELECT * FROM scrape_runs ORDER BY id DESC');
+      } finally {
+        database.close();
+      }
+    }
+
+    return { latest, runs };
+  }
+
+  /**
+   * Finds the file of an asset path
+   * @param {string} assetPath - Path relative to the output directory
+   * @returns {string} Absolute file path
+   * @throws {HttpError} When the path is not a downloaded asset of a product
+   */
+  assetFile(assetPath) {
+    const known = this.products.some(({ record }) => Object.values(record.assets || {}).flat().includes(assetPath));
+
+    if (!known) {
+      throw new HttpError(404, `File not found: ${assetPath}`);
+    }
+
+    return path.join(this.outputDir, assetPath);
+  }
+
+  /**
+   * Streams an asset file
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   * @param {string} assetPath - Path relative to the output directory
+   */
+  async sendFile(request, response, assetPath) {
+    const filePath = this.assetFile(assetPath);
+    const stat = await fs.stat(filePath).catch(() => null);
+
+    if (!stat?.isFile()) {
+      throw new HttpError(404, `File not found: ${assetPath}`);
+    }
+
+    const entry = this.assets.get(assetPath);
+    response.writeHead(200, {
+      'Content-Type': entry?.mimeType || EXTENSION_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stat.size,
+      'Last-Modified': stat.mtime.toUTCString(),
+      ...(entry?.sha256 ? { ETag: `"${entry.sha256}"` } : {})
+    });
+
+    if (request.method === 'HEAD') {
+      response.end();
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(filePath).on('error', reject).pipe(response).on('finish', resolve);
+    });
+  }
+
+  /**
+   * Answers a request
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  async handle(request, response) {
+    const sendJson = (status, body) => {
+      const json = JSON.stringify(body, null, 2);
+      response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+      response.end(request.method === 'HEAD' ? undefined : json);
+    };
+
+    try {
+      if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.setHeader('Allow', 'GET, HEAD');
+        throw new HttpError(405, `Method not allowed: ${request.method}`);
+      }
+
+      const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+      let segments;
+
+      try {
+        segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      } catch (error) {
+        throw new HttpError(400, `Invalid path: ${pathname}`);
+      }
+
+      await this.refresh();
+
+      if (segments[0] === 'files' && segments.length > 1) {
+        await this.sendFile(request, response, segments.slice(1).join('/'));
+        return;
+      }
+
+      const route = segments.slice(1);
+
+      if (segments[0] !== 'api') {
+        throw new HttpError(404, `Not found: ${pathname}`);
+      } else if (route.length === 0) {
+        sendJson(200, {
+          products: this.products.length,
+          endpoints: [
+            '/api/products?category=&minPrice=&maxPrice=&q=&sort=&limit=&offset=',
+            '/api/products/{handle}',
+            '/api/products/{handle}/assets',
+            '/api/categories',
+            '/api/runs',
+            '/files/{path}'
+          ]
+        });
+      } else if (route[0] === 'products' && route.length === 1) {
+        sendJson(200, this.listProducts(searchParams));
+      } else if (route[0] === 'products' && route.length === 2) {
+        const product = this.findProduct(route[1]);
+        sendJson(200, { handle: product.handle, ...product.record });
+      } else if (route[0] === 'products' && route.length === 3 && route[2] === 'assets') {
+        sendJson(200, this.productAssets(this.findProduct(route[1])));
+      } else if (route[0] === 'categories' && route.length === 1) {
+        sendJson(200, this.listCategories());
+      } else if (route[0] === 'runs' && route.length === 1) {
+        sendJson(200, await this.runs());
+      } else {
+        throw new HttpError(404, `Not found: ${pathname}`);
+      }
+    } catch (error) {
+      if (response.headersSent) {
+        response.destroy(error);
+        return;
+      }
+      if (error instanceof HttpError) {
+        sendJson(error.status, { error: error.message });
+      } else {
+        console.error(`Error answering ${request.method} ${request.url}:`, error.message);
+        sendJson(500, { error: 'Internal server error' });
+      }
+    }
+  }
+
+  /**
+   * Starts an HTTP server for the API
+   * @param {number} port - Port to listen on; 0 picks a free port
+   * @param {string} host - Address to listen on
+   * @returns {Promise<http.Server>} The listening server
+   */
+  async listen(port, host) {
+    const server = http.createServer((request, response) => this.handle(request, response));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+
+    return server;
+  }
+}
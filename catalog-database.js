@@ -0,0 +1,305 @@
+import fs from 'fs-extra';
+import path from 'path';
+import initSqlJs from 'sql.js';
+
+import { getProductHandle } from './utils.js';
+
+/**
+ * Default name of the database file in the output directory
+ */
+export const DATABASE_FILE = 'catalog.sqlite';
+
+/**
+ * Version of the schema below, stored in PRAGMA user_version. Bump it and add
+ * a migration when the schema changes; existing columns are never renamed or
+ * removed, so queries written against an older version keep working.
+ */
+export const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE scrape_runs (
+  id INTEGER PRIMARY KEY,
+  source TEXT NOT NULL,
+  started_at TEXT NOT NULL,
+  finished_at TEXT NOT NULL,
+  base_url TEXT,
+  region TEXT,
+  product_count INTEGER NOT NULL,
+  failed_count INTEGER NOT NULL
+);
+
+CREATE TABLE products (
+  id INTEGER PRIMARY KEY,
+  run_id INTEGER NOT NULL REFERENCES scrape_runs(id),
+  handle TEXT NOT NULL,
+  url TEXT NOT NULL,
+  name TEXT,
+  category TEXT,
+  region TEXT,
+  description TEXT,
+  price TEXT,
+  currency TEXT,
+  price_amount REAL,
+  compare_at_amount REAL,
+  on_sale INTEGER,
+  scraped_at TEXT,
+  UNIQUE (run_id, url)
+);
+
+CREATE TABLE specifications (
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  position INTEGER NOT NULL,
+  key TEXT NOT NULL,
+  value TEXT
+);
+
+CREATE TABLE features (
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  position INTEGER NOT NULL,
+  text TEXT NOT NULL
+);
+
+CREATE TABLE variants (
+  id INTEGER PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  sku TEXT,
+  title TEXT,
+  options TEXT,
+  price TEXT,
+  price_amount REAL,
+  compare_at_price TEXT,
+  compare_at_amount REAL,
+  availability TEXT
+);
+
+CREATE TABLE assets (
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  kind TEXT NOT NULL,
+  path TEXT NOT NULL,
+  url TEXT,
+  mime_type TEXT,
+  size INTEGER,
+  sha256 TEXT
+);
+
+CREATE INDEX products_run ON products (run_id);
+CREATE INDEX products_handle ON products (handle);
+CREATE INDEX specifications_product ON specifications (product_id);
+CREATE INDEX specifications_key ON specifications (key);
+CREATE INDEX features_product ON features (product_id);
+CREATE INDEX variants_product ON variants (product_id);
+CREATE INDEX assets_product ON assets (product_id);
+
+CREATE VIEW latest_products AS
+  SELECT * FROM products WHERE run_id = (SELECT MAX(id) FROM scrape_runs);
+`;
+
+/**
+ * Converts a boolean to an SQLite integer, keeping null
+ * @param {boolean|null|undefined} value - Value
+ * @returns {number|null} 1, 0 or null
+ */
+const toInteger = (value) => (value === undefined || value === null ? null : Number(Boolean(value)));
+
+/**
+ * Stores scraped products in a local SQLite database. Every crawl (or export)
+ * adds a row to scrape_runs and a full snapshot of the catalogue, so older
+ * runs stay queryable; the latest_products view holds the newest snapshot.
+ */
+export class CatalogDatabase {
+  /**
+   * @param {string} filePath - Path of the database file
+   * @param {Object} db - sql.js database
+   */
+  constructor(filePath, db) {
+    this.filePath = filePath;
+    this.db = db;
+  }
+
+  /**
+   * Opens a database file, creating it and its schema if needed
+   * @param {string} filePath - Path of the database file
+   * @returns {Promise<CatalogDatabase>} Open database
+   * @throws {Error} When the file was written by a newer version of the schema
+   */
+  static async open(filePath) {
+    const SQL = await initSqlJs();
+    const data = await fs.pathExists(filePath) ? await fs.readFile(filePath) : undefined;
+    const database = new CatalogDatabase(filePath, new SQL.Database(data));
+
+    database.migrate();
+
+    return database;
+  }
+
+  /**
+   * Creates the schema in a new database and checks the version of an existing one
+   */
+  migrate() {
+    const [{ user_version: version }] = this.query('PRAGMA user_version');
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`${this.filePath} uses schema version ${version}, newer than the supported version ${SCHEMA_VERSION}`);
+    }
+
+    if (version === 0) {
+      this.db.exec(`BEGIN; ${SCHEMA} PRAGMA user_version = ${SCHEMA_VERSION}; COMMIT;`);
+    }
+  }
+
+  /**
+   * Runs a query and returns its rows
+   * @param {string} sql - SQL statement
+   * @param {Array|Object} [params] - Bound parameters
+   * @returns {Object[]} Rows as objects keyed by column name
+   */
+  query(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    const rows = [];
+
+    try {
+      statement.bind(params);
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Inserts a row and returns its id
+   * @param {string} sql - INSERT statement
+   * @param {Array} params - Bound parameters
+   * @returns {number} Row id
+   */
+  insert(sql, params) {
+    this.db.run(sql, params);
+    return this.query('SELECT last_insert_rowid() AS id')[0].id;
+  }
+
+  /**
+   * Records a scrape run and a snapshot of every product in one transaction
+   * @param {Object} run - Run details
+   * @param {string} run.source - What produced the records (crawl or export)
+   * @param {string} run.startedAt - Start time as an ISO string
+   * @param {string} [run.baseUrl] - Store URL that was crawled
+   * @param {string} [run.region] - Store region
+   * @param {number} [run.failedCount] - Number of products that failed
+   * @param {Object[]} records - Product records
+   * @param {Object[]} [assetEntries] - Entries of the asset manifest, to add URLs and checksums to asset rows
+   * @returns {number} Id of the run
+   */
+  recordRun({ source, startedAt, baseUrl, region, failedCount = 0 }, records, assetEntries = []) {
+    const assetsByPath = new Map();
+    for (const entry of assetEntries) {
+      (entry.links || []).forEach(link => assetsByPath.set(link, entry));
+    }
+
+    this.db.exec('BEGIN');
+
+    try {
+      const runId = this.insert(
+        `INSERT INTO scrape_runs (source, started_at, finished_at, base_url, region, product_count, failed_count)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [source, startedAt, new Date().toISOString(), baseUrl || null, region || null, records.length, failedCount]
+      );
+
+      for (const record of records) {
+        this.insertProduct(runId, record, assetsByPath);
+      }
+
+      this.db.exec('COMMIT');
+      return runId;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Inserts a product with its specifications, features, variants and assets
+   * @param {number} runId - Id of the run
+   * @param {Object} record - Product record
+   * @param {Map} assetsByPath - Asset manifest entries keyed by linked path
+   */
+  insertProduct(runId, record, assetsByPath) {
+    const details = record.priceDetails || {};
+    const productId = this.insert(
+      `INSERT INTO products (run_id, handle, url, name, category, region, description, price, currency,
+         price_amount, compare_at_amount, on_sale, scraped_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        runId,
+        getProductHandle(record.url) || record.url,
+        record.url,
+        record.name ?? null,
+        record.category ?? null,
+        record.region ?? null,
+        record.description ?? null,
+        record.price ?? null,
+        record.currency ?? null,
+        details.amount ?? null,
+        details.compareAtAmount ?? null,
+        toInteger(details.onSale),
+        record.scrapedAt ?? null
+      ]
+    );
+
+    Object.entries(record.specifications || {}).forEach(([key, value], position) => {
+      this.db.run('INSERT INTO specifications (product_id, position, key, value) VALUES (?, ?, ?, ?)', [productId, position, key, value ?? null]);
+    });
+
+    (record.features || []).forEach((feature, position) => {
+      this.db.run('INSERT INTO features (product_id, position, text) VALUES (?, ?, ?)', [productId, position, feature]);
+    });
+
+    for (const variant of record.variants || []) {
+      this.db.run(
+        `INSERT INTO variants (product_id, sku, title, options, price, price_amount, compare_at_price, compare_at_amount, availability)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          productId,
+          variant.sku || null,
+          variant.title || null,
+          JSON.stringify(variant.options || {}),
+          variant.price || null,
+          variant.priceDetails?.amount ?? null,
+          variant.compareAtPrice || null,
+          variant.priceDetails?.compareAtAmount ?? null,
+          variant.availability || null
+        ]
+      );
+    }
+
+    for (const kind of ['images', 'videos', 'pdfs']) {
+      for (const assetPath of record.assets?.[kind] || []) {
+        const entry = assetsByPath.get(assetPath);
+        this.db.run(
+          'INSERT INTO assets (product_id, kind, path, url, mime_type, size, sha256) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [productId, kind, assetPath, entry?.url ?? null, entry?.mimeType ?? null, entry?.size ?? null, entry?.sha256 ?? null]
+        );
+      }
+    }
+  }
+
+  /**
+   * Writes the database to its file. The file is replaced atomically.
+   */
+  async save() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeFile(tempPath, Buffer.from(this.db.export()));
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+  }
+
+  /**
+   * Closes the database without saving
+   */
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,261 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { getProductHandle } from './utils.js';
+
+/**
+ * Snapshot of the previous run's catalogue, taken before a fresh crawl
+ */
+export const PREVIOUS_CATALOG_FILE = 'previous_catalog.json';
+
+/**
+ * Change report written after each crawl
+ */
+export const CHANGES_FILE = 'changes.json';
+
+/**
+ * Top-level product fields compared between runs
+ */
+const COMPARED_FIELDS = ['name', 'category', 'price', 'description'];
+
+/**
+ * Returns the key used to match a product across runs
+ * @param {Object} record - Product record
+ * @returns {string} Product handle, or the URL when no handle can be derived
+ */
+const productKey = (record) => getProductHandle(record.url) || record.url;
+
+/**
+ * Summarizes a product for the added and removed lists
+ * @param {Object} record - Product record
+ * @returns {Object} Product summary
+ */
+const summarize = (record) => ({
+  handle: productKey(record),
+  name: record.name,
+  category: record.category,
+  price: record.price,
+  url: record.url
+});
+
+/**
+ * Normalizes a field value so missing and empty values compare equal
+ * @param {*} value - Field value
+ * @returns {*} Value, or null when missing or empty
+ */
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Compares two versions of the same product field by field
+ * @param {Object} before - Product record from the previous run
+ * @param {Object} after - Product record from the current run
+ * @returns {Object[]} Field-level changes
+ */
+export const diffProducts = (before, after) => {
+  const changes = [];
+
+  for (const field of COMPARED_FIELDS) {
+    if (normalizeValue(before[field]) !== normalizeValue(after[field])) {
+      changes.push({ field, before: normalizeValue(before[field]), after: normalizeValue(after[field]) });
+    }
+  }
+
+  const beforeFeatures = before.features || [];
+  const afterFeatures = after.features || [];
+  const addedFeatures = afterFeatures.filter(feature => !beforeFeatures.includes(feature));
+  const removedFeatures = beforeFeatures.filter(feature => !afterFeatures.includes(feature));
+
+  if (addedFeatures.length > 0 || removedFeatures.length > 0) {
+    changes.push({ field: 'features', added: addedFeatures, removed: removedFeatures });
+  }
+
+  const beforeSpecs = before.specifications || {};
+  const afterSpecs = after.specifications || {};
+  const specKeys = [...new Set([...Object.keys(beforeSpecs), ...Object.keys(afterSpecs)])].sort();
+
+  for (const key of specKeys) {
+    if (normalizeValue(beforeSpecs[key]) !== normalizeValue(afterSpecs[key])) {
+      changes.push({
+        field: `specifications.${key}`,
+        before: normalizeValue(beforeSpecs[key]),
+        after: normalizeValue(afterSpecs[key])
+      });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Compares the product records of two scrapes
+ * @param {Object[]} previous - Product records from the previous run
+ * @param {Object[]} current - Product records from the current run
+ * @param {Object} [options] - Comparison options
+ * @param {string[]} [options.unchecked] - URLs of products the current run failed
+ *   or did not reach; previous products among them are listed as unchecked
+ *   instead of removed
+ * @returns {Object} Change report with added, removed, unchecked and changed products
+ */
+export const diffCatalogs = (previous, current, { unchecked: uncheckedUrls = [] } = {}) => {
+  const previousByKey = new Map(previous.map(record => [productKey(record), record]));
+  const currentByKey = new Map(current.map(record => [productKey(record), record]));
+  const uncheckedKeys = new Set(uncheckedUrls.map(url => productKey({ url })));
+
+  const added = [];
+  const removed = [];
+  const unchecked = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, record] of currentByKey) {
+    const before = previousByKey.get(key);
+
+    if (!before) {
+      added.push(summarize(record));
+      continue;
+    }
+
+    const changes = diffProducts(before, record);
+
+    if (changes.length > 0) {
+      changed.push({ ...summarize(record), changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  for (const [key, record] of previousByKey) {
+    if (currentByKey.has(key)) {
+      continue;
+    }
+
+    if (uncheckedKeys.has(key)) {
+      unchecked.push(summarize(record));
+    } else {
+      removed.push(summarize(record));
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      unchecked: unchecked.length,
+      changed: changed.length,
+      unchanged
+    },
+    added,
+    removed,
+    unchecked,
+    changed
+  };
+};
+
+/**
+ * Adds the previous records of the products a run could not check to its
+ * records, so the next run compares them with their last known state instead
+ * of reporting them as added
+ * @param {Object[]} current - Product records of the run
+ * @param {Object[]} previous - Product records the run was compared with
+ * @param {Object} [report] - Change report of the run
+ * @returns {Object[]} Records of the run followed by the carried-over records
+ */
+export const carryOverUnchecked = (current, previous, report) => {
+  const uncheckedKeys = new Set((report?.unchecked || []).map(product => product.handle));
+  const currentKeys = new Set(current.map(productKey));
+
+  return [
+    ...current,
+    ...previous.filter(record => uncheckedKeys.has(productKey(record)) && !currentKeys.has(productKey(record)))
+  ];
+};
+
+/**
+ * Formats a field value for the Markdown report
+ * @param {*} value - Field value
+ * @returns {string} Formatted value
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '_(none)_';
+  }
+
+  const text = String(value).replace(/\s+/g, ' ');
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+};
+
+/**
+ * Converts a change report to Markdown
+ * @param {Object} report - Change report from diffCatalogs
+ * @returns {string} Markdown text
+ */
+export const toChangesMarkdown = (report) => {
+  const { summary } = report;
+  let markdown = `# Catalogue Changes\n\n`;
+  markdown += `Generated: ${report.generatedAt}\n\n`;
+  markdown += `- Added: ${summary.added}\n`;
+  markdown += `- Removed: ${summary.removed}\n`;
+  if (summary.unchecked > 0) {
+    markdown += `- Not checked: ${summary.unchecked}\n`;
+  }
+  markdown += `- Changed: ${summary.changed}\n`;
+  markdown += `- Unchanged: ${summary.unchanged}\n\n`;
+
+  if (report.added.length > 0) {
+    markdown += `## Added Products\n\n`;
+    for (const product of report.added) {
+      markdown += `- [${product.name}](${product.url}) (${product.category}) - ${formatValue(product.price)}\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (report.removed.length > 0) {
+    markdown += `## Removed Products\n\n`;
+    for (const product of report.removed) {
+      markdown += `- [${product.name}](${product.url}) (${product.category}) - ${formatValue(product.price)}\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (report.unchecked?.length > 0) {
+    markdown += `## Not Checked\n\n`;
+    markdown += `These products failed or were not reached in this run, so it is not known whether they changed.\n\n`;
+    for (const product of report.unchecked) {
+      markdown += `- [${product.name}](${product.url}) (${product.category})\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (report.changed.length > 0) {
+    markdown += `## Changed Products\n\n`;
+    for (const product of report.changed) {
+      markdown += `### [${product.name}](${product.url})\n\n`;
+      for (const change of product.changes) {
+        if (change.field === 'features') {
+          for (const feature of change.added) {
+            markdown += `- **features**: added "${formatValue(feature)}"\n`;
+          }
+          for (const feature of change.removed) {
+            markdown += `- **features**: removed "${formatValue(feature)}"\n`;
+          }
+        } else {
+          markdown += `- **${change.field}**: ${formatValue(change.before)} → ${formatValue(change.after)}\n`;
+        }
+      }
+      markdown += '\n';
+    }
+  }
+
+  return markdown;
+};
+
+/**
+ * Writes changes.json and CHANGES.md to the output directory
+ * @param {Object} report - Change report from diffCatalogs
+ * @param {string} outputDir - Output directory
+ */
+export const writeChangeReport = async (report, outputDir) => {
+  await fs.writeJson(path.join(outputDir, CHANGES_FILE), report, { spaces: 2 });
+  await fs.writeFile(path.join(outputDir, 'CHANGES.md'), toChangesMarkdown(report), 'utf8');
+};
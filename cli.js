@@ -0,0 +1,781 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+
+import * as utils from './utils.js';
+import { loadConfigLayers, resolveConfig, ConfigError } from './config-loader.js';
+import { UbiquitiCrawler, PAGE_HTML_FILE } from './crawler.js';
+import { ProductParser } from './product-parser.js';
+import * as exporter from './exporter.js';
+import * as changeDetector from './change-detector.js';
+import { loadPriceHistory, priceMovements, toPriceReportMarkdown, PRICE_HISTORY_FILE } from './price-history.js';
+import { generateSite } from './site-generator.js';
+import { CatalogDatabase } from './catalog-database.js';
+import { selectProducts, buildComparison, writeComparison } from './comparison.js';
+import { CatalogApi } from './api-server.js';
+import { Notifier, detectEvents } from './notifier.js';
+import { loadSearchIndex, writeSearchIndex, search, SEARCH_INDEX_FILE } from './search-index.js';
+import { loadAssetManifest } from './download-manager.js';
+import { loadDatasheetTexts, applyDatasheetSpecifications } from './pdf-parser.js';
+import { writeProductGraph, PRODUCT_GRAPH_FILES } from './product-graph.js';
+import { loadRunReport, RUN_REPORT_FILE, FAILURE_STAGES } from './run-report.js';
+import { isValidRegion, regionCurrency, regionOverrides, writeRegionReport, REGION_REPORT_FILES } from './regions.js';
+
+/**
+ * Process exit codes returned by the CLI
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  PRODUCTS_FAILED: 3
+};
+
+/**
+ * Options accepted by every command
+ */
+const OPTIONS = {
+  config: { type: 'string' },
+  profile: { type: 'string' },
+  'base-url': { type: 'string' },
+  'max-pages': { type: 'string' },
+  'output-dir': { type: 'string' },
+  concurrency: { type: 'string' },
+  delay: { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  format: { type: 'string', multiple: true },
+  'graph-format': { type: 'string', multiple: true },
+  discovery: { type: 'string' },
+  'fetch-mode': { type: 'string' },
+  region: { type: 'string', multiple: true },
+  resume: { type: 'boolean' },
+  since: { type: 'string' },
+  limit: { type: 'string' },
+  category: { type: 'string' },
+  port: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const HELP_TEXT = `Usage: ubiquiti-scraper <command> [options]
+
+Commands:
+  crawl                    Crawl the store and download every product (default)
+  product <url>            Scrape a single product page into the output directory
+  retry-failed             Retry the pages, products and assets the previous run could not process
+  export                   Rebuild the catalogue files from the product.json files on disk
+  diff [previous] [current]
+                           Compare two catalog.json files (defaults to the last two runs)
+                           and write changes.json and CHANGES.md
+  reparse                  Re-run the parser on the saved page.html of every product
+  regions                  Rebuild the cross-region price report from the regional catalogues
+  prices                   List the biggest price drops and increases in the price history
+  site                     Generate a static HTML catalogue in the site folder of the output directory
+  sql <query>              Run an SQL query against the catalogue database
+  search <query>           Search the catalogue, e.g. search '"802.3bt" category:switching price<500'
+  notify [previous] [current]
+                           Send notifications for the changes between two catalog.json files
+                           (defaults to the last two runs)
+  serve                    Serve the scraped catalogue as a read-only JSON API
+  compare [product...]     Compare the specifications of a category (--category) or of the given
+                           products (handles, names or URLs) as Markdown, CSV and HTML
+  config                   Print the effective configuration and where it was loaded from
+
+Options:
+  --config <file>          JSON or YAML config file (default: ubiquiti-scraper.config.json,
+                           .yaml or .yml in the current directory)
+  --profile <name>         Settings profile to apply, e.g. quick or full-archive
+  --base-url <url>         Store URL to start crawling from
+  --max-pages <n>          Maximum number of pages to crawl
+  --output-dir <dir>       Directory where all content is saved
+  --concurrency <n>        Number of product pages processed in parallel
+  --delay <ms>             Minimum delay between requests to the store in milliseconds
+  --include <pattern>      Only follow URLs containing this pattern (repeatable)
+  --exclude <pattern>      Never follow URLs containing this pattern (repeatable)
+  --format <format>        Catalogue format to export: json, jsonl or csv (repeatable)
+  --graph-format <format>  Relationship graph format: json, dot or graphml (repeatable)
+  --discovery <mode>       How to find pages: links, sitemap or both
+  --fetch-mode <mode>      How to fetch pages: browser, or http with a browser fallback
+  --region <code>          Regional store to crawl, e.g. us, eu, uk, ca (repeatable)
+  --resume                 Continue the crawl left in the output directory
+  --since <date>           Compare prices with those recorded on or before this date (prices)
+  --limit <n>              Maximum rows per table or results (prices, search, default 20)
+  --category <name>        Category to compare, e.g. "Cameras" (compare)
+  --port <n>               Port for the API server (serve, default 8080)
+  --dry-run                Print notifications instead of sending them (crawl, notify)
+  -h, --help               Show this help
+
+Settings are taken from config.js, then the config file, the profile,
+UBIQUITI_* environment variables (e.g. UBIQUITI_MAX_PAGES=50 or
+UBIQUITI_CRAWL_SETTINGS__CONCURRENCY=3) and the options above, later ones winning.
+
+Exit codes:
+  0  Success
+  1  Unexpected error
+  2  Invalid command or options
+  3  One or more products failed to process
+`;
+
+/**
+ * Error raised for invalid commands or options
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses a non-negative integer option
+ * @param {string} name - Option name, for error messages
+ * @param {string|undefined} value - Raw option value
+ * @returns {number|undefined} Parsed value
+ */
+const parseInteger = (name, value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer, got "${value}"`);
+  }
+
+  return number;
+};
+
+/**
+ * Converts parsed command-line options into config overrides
+ * @param {Object} values - Parsed option values
+ * @returns {Object} Config overrides
+ */
+export const buildConfigOverrides = (values) => {
+  const overrides = {
+    baseUrl: values['base-url'],
+    maxPages: parseInteger('max-pages', values['max-pages']),
+    outputDir: values['output-dir'],
+    crawlSettings: {
+      concurrency: parseInteger('concurrency', values.concurrency),
+      delay: parseInteger('delay', values.delay),
+      fetchMode: values['fetch-mode']
+    },
+    patterns: {
+      include: values.include,
+      exclude: values.exclude
+    },
+    export: {
+      formats: values.format
+    },
+    graph: {
+      formats: values['graph-format']
+    },
+    discovery: {
+      mode: values.discovery
+    },
+    regions: values.region,
+    api: {
+      port: parseInteger('port', values.port)
+    },
+    notifications: {
+      dryRun: values['dry-run']
+    }
+  };
+
+  if (overrides.crawlSettings.concurrency === 0) {
+    throw new UsageError('--concurrency must be at least 1');
+  }
+
+  for (const region of values.region || []) {
+    if (!isValidRegion(region)) {
+      throw new UsageError(`Invalid region "${region}". Expected a store code such as us, eu or ca-fr`);
+    }
+  }
+
+  for (const format of values.format || []) {
+    if (!exporter.CATALOG_FILES[format]) {
+      throw new UsageError(`Unknown format "${format}". Expected one of: ${Object.keys(exporter.CATALOG_FILES).join(', ')}`);
+    }
+  }
+
+  for (const format of values['graph-format'] || []) {
+    if (!PRODUCT_GRAPH_FILES[format]) {
+      throw new UsageError(`Unknown graph format "${format}". Expected one of: ${Object.keys(PRODUCT_GRAPH_FILES).join(', ')}`);
+    }
+  }
+
+  return overrides;
+};
+
+/**
+ * Prints the active settings before a crawl
+ * @param {Object} settings - Effective config
+ */
+const printBanner = (settings) => {
+  console.log('====================================');
+  console.log('Ubiquiti Store Scraper Tool');
+  console.log('====================================');
+  if (settings.regions.length > 0) {
+    console.log(`Regions: ${settings.regions.join(', ')}`);
+  } else {
+    console.log(`Base URL: ${settings.baseUrl}`);
+  }
+  console.log(`Max Pages: ${settings.maxPages}`);
+  console.log(`Output Directory: ${settings.outputDir}`);
+  console.log('====================================');
+};
+
+/**
+ * Reports failed products and returns the matching exit code
+ * @param {string[]} failed - URLs of the products that failed
+ * @returns {number} Exit code
+ */
+const exitCodeForFailures = (failed) => {
+  if (failed.length === 0) {
+    return EXIT_CODES.OK;
+  }
+
+  console.error(`${failed.length} product(s) failed:`);
+  for (const productUrl of failed) {
+    console.error(`- ${productUrl}`);
+  }
+
+  return EXIT_CODES.PRODUCTS_FAILED;
+};
+
+/**
+ * Crawls the whole store, or each configured regional store in turn
+ */
+const crawlCommand = async ({ values, settings }) => {
+  printBanner(settings);
+
+  const targets = settings.regions.length > 0
+    ? settings.regions.map(region => ({ region, settings: utils.mergeDeep(settings, regionOverrides(settings, region)) }))
+    : [{ region: null, settings }];
+  const failed = [];
+  let deadLetters = 0;
+  let crawler = null;
+
+  // Save progress before exiting on Ctrl-C so the crawl can be resumed
+  const onInterrupt = async () => {
+    console.log('\nInterrupted, saving crawl state...');
+    await crawler?.checkpoint();
+    console.log('Crawl state saved. Run again with --resume to continue.');
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
+
+  try {
+    for (const target of targets) {
+      if (target.region) {
+        console.log(`Crawling region: ${target.region}`);
+      }
+
+      crawler = new UbiquitiCrawler({ config: target.settings, resume: values.resume });
+      await crawler.init();
+      await crawler.start();
+      failed.push(...crawler.failedProductUrls());
+      deadLetters += crawler.runReport.deadLetters().length;
+    }
+  } finally {
+    await crawler?.close();
+    process.removeListener('SIGINT', onInterrupt);
+  }
+
+  if (settings.regions.length > 0) {
+    const report = await writeRegionReport(settings.outputDir, settings.regions);
+    if (report) {
+      console.log(`Cross-region report: ${report.summary.products} products, written to ${path.join(settings.outputDir, REGION_REPORT_FILES.markdown)}`);
+    }
+  }
+
+  console.log('====================================');
+  if (deadLetters > 0) {
+    console.log(`Crawling finished with ${deadLetters} failed URL(s), listed in ${RUN_REPORT_FILE}.`);
+    console.log('Run "retry-failed" to try them again.');
+  } else {
+    console.log('Crawling complete!');
+  }
+  console.log(`All content has been saved to ${settings.outputDir}`);
+  if (settings.regions.length === 0) {
+    console.log(`A consolidated text file with all content is available at: ${settings.outputDir}/all_content.txt`);
+  }
+  console.log('====================================');
+
+  return exitCodeForFailures(failed);
+};
+
+/**
+ * Scrapes a single product page into the existing output
+ */
+const productCommand = async ({ positionals, settings }) => {
+  const [productUrl] = positionals;
+
+  if (!productUrl) {
+    throw new UsageError('The product command needs a product URL');
+  }
+
+  const crawler = new UbiquitiCrawler({ config: settings, update: true });
+
+  try {
+    await crawler.init();
+    await crawler.processProductPage(productUrl);
+    await crawler.checkpoint();
+  } finally {
+    await crawler.close();
+  }
+
+  return exitCodeForFailures(crawler.failedProductUrls());
+};
+
+/**
+ * Processes again only the URLs the previous run could not, as listed in its run report
+ */
+const retryFailedCommand = async ({ settings }) => {
+  const report = await loadRunReport(settings.outputDir);
+
+  if (!report) {
+    throw new UsageError(`Run report not found: ${path.join(settings.outputDir, RUN_REPORT_FILE)}`);
+  }
+
+  if (report.deadLetters.length === 0) {
+    console.log('The previous run has no failed URLs to retry.');
+    return EXIT_CODES.OK;
+  }
+
+  const crawler = new UbiquitiCrawler({ config: settings, update: true });
+  let result;
+
+  try {
+    await crawler.init();
+    result = await crawler.retryFailed(report);
+  } finally {
+    await crawler.close();
+  }
+
+  if (result.retries.recovered > 0) {
+    console.log('Run the export command to rebuild the catalogue with the recovered products.');
+  }
+
+  return exitCodeForFailures(result.deadLetters
+    .filter(failure => failure.stage === FAILURE_STAGES.PRODUCT)
+    .map(failure => failure.url));
+};
+
+/**
+ * Rebuilds the catalogue files from the product.json files on disk
+ */
+const exportCommand = async ({ settings }) => {
+  const productDirs = await exporter.findProductDirs(settings.outputDir);
+  const records = await exporter.loadProductRecords(settings.outputDir, productDirs);
+  const startedAt = new Date().toISOString();
+  const written = await exporter.writeCatalog(records, settings.outputDir, settings.export.formats);
+
+  console.log(`Exported ${records.length} products to ${written.join(', ')}`);
+
+  if (settings.graph.formats.length > 0) {
+    const { graph, written: graphFiles } = await writeProductGraph(records, settings.outputDir, settings.graph.formats);
+    console.log(`Wrote the relationship graph of ${graph.nodes.length} products and ${graph.edges.length} relationships to ${graphFiles.join(', ')}`);
+  }
+
+  if (settings.database.enabled) {
+    const database = await CatalogDatabase.open(path.join(settings.outputDir, settings.database.file));
+
+    try {
+      const runId = database.recordRun(
+        { source: 'export', startedAt, baseUrl: settings.baseUrl, region: settings.region },
+        records,
+        await loadAssetManifest(settings.outputDir)
+      );
+      await database.save();
+      console.log(`Recorded run ${runId} in ${database.filePath}`);
+    } finally {
+      database.close();
+    }
+  }
+
+  if (settings.search.enabled) {
+    const index = await writeSearchIndex(settings.outputDir, productDirs);
+    console.log(`Indexed ${index.documents.length} products in ${SEARCH_INDEX_FILE}`);
+  }
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Compares two catalogues and writes the change report
+ */
+const diffCommand = async ({ positionals, settings }) => {
+  const previousPath = positionals[0] || path.join(settings.outputDir, changeDetector.PREVIOUS_CATALOG_FILE);
+  const currentPath = positionals[1] || path.join(settings.outputDir, exporter.CATALOG_FILES.json);
+
+  for (const catalogPath of [previousPath, currentPath]) {
+    if (!(await fs.pathExists(catalogPath))) {
+      throw new UsageError(`Catalogue not found: ${catalogPath}`);
+    }
+  }
+
+  const report = changeDetector.diffCatalogs(await fs.readJson(previousPath), await fs.readJson(currentPath));
+  await utils.ensureDir(settings.outputDir);
+  await changeDetector.writeChangeReport(report, settings.outputDir);
+
+  const { summary } = report;
+  console.log(`${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ${summary.unchanged} unchanged.`);
+  console.log(`Report written to ${path.join(settings.outputDir, 'CHANGES.md')}`);
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Re-runs the parser on the saved HTML of every product, completing the
+ * specifications from the text saved for its datasheets
+ */
+const reparseCommand = async ({ settings }) => {
+  const productDirs = await exporter.findProductDirs(settings.outputDir);
+  let reparsed = 0;
+
+  for (const dir of productDirs) {
+    const productDir = path.join(settings.outputDir, dir);
+    const htmlPath = path.join(productDir, PAGE_HTML_FILE);
+
+    if (!(await fs.pathExists(htmlPath))) {
+      console.log(`Skipping ${dir}: no ${PAGE_HTML_FILE} saved`);
+      continue;
+    }
+
+    const previous = await fs.readJson(path.join(productDir, exporter.PRODUCT_JSON_FILE));
+    const parsed = ProductParser.extractProductInfo(await fs.readFile(htmlPath, 'utf8'), previous.url, {
+      defaultCurrency: previous.region ? regionCurrency(previous.region) : undefined
+    });
+    const product = applyDatasheetSpecifications(parsed, await loadDatasheetTexts(settings.outputDir, previous.documents));
+    if (previous.documents) {
+      product.documents = previous.documents;
+    }
+    const record = {
+      ...exporter.buildProductRecord(product, {
+        category: previous.category,
+        region: previous.region,
+        assets: previous.assets || {},
+        screenshot: previous.assets?.screenshot
+      }),
+      scrapedAt: previous.scrapedAt
+    };
+
+    await fs.writeFile(path.join(productDir, 'product_info.md'), ProductParser.toMarkdown(product), 'utf8');
+    await exporter.writeProductJson(productDir, record);
+    reparsed++;
+  }
+
+  console.log(`Re-parsed ${reparsed} of ${productDirs.length} products.`);
+
+  return exportCommand({ settings });
+};
+
+/**
+ * Rebuilds the cross-region price report
+ */
+const regionsCommand = async ({ settings }) => {
+  if (settings.regions.length === 0) {
+    throw new UsageError('No regions configured. Pass --region or set regions in config.js');
+  }
+
+  const report = await writeRegionReport(settings.outputDir, settings.regions);
+
+  if (!report) {
+    console.error(`No regional catalogues found in ${settings.outputDir}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  console.log(`${report.summary.products} products, ${report.summary.inAllRegions} in all regions.`);
+  console.log(`Report written to ${path.join(settings.outputDir, REGION_REPORT_FILES.markdown)}`);
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Lists the biggest price changes recorded in the price history
+ */
+const pricesCommand = async ({ values, settings }) => {
+  let since;
+
+  if (values.since !== undefined) {
+    since = new Date(values.since);
+    if (Number.isNaN(since.getTime())) {
+      throw new UsageError(`--since must be a date such as 2024-05-01, got "${values.since}"`);
+    }
+  }
+
+  const limit = parseInteger('limit', values.limit) ?? 20;
+  const history = await loadPriceHistory(settings.outputDir);
+
+  if (history.length === 0) {
+    console.error(`No prices recorded in ${path.join(settings.outputDir, PRICE_HISTORY_FILE)}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  console.log(toPriceReportMarkdown(priceMovements(history, since), limit).trimEnd());
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Generates the static HTML catalogue from the product.json files on disk
+ */
+const siteCommand = async ({ settings }) => {
+  const { categories, products, indexPath } = await generateSite(settings.outputDir);
+
+  if (products === 0) {
+    console.error(`No products found in ${settings.outputDir}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  console.log(`Generated pages for ${products} products in ${categories} categories.`);
+  console.log(`Open ${indexPath} in a browser.`);
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Runs an SQL query against the catalogue database and prints the rows
+ */
+const sqlCommand = async ({ positionals, settings }) => {
+  const [sql] = positionals;
+
+  if (!sql) {
+    throw new UsageError('The sql command needs a query, e.g. sql "SELECT name, price FROM latest_products"');
+  }
+
+  const databasePath = path.join(settings.outputDir, settings.database.file);
+
+  if (!(await fs.pathExists(databasePath))) {
+    throw new UsageError(`Database not found: ${databasePath}. Set database.enabled in config.js and run a crawl or export`);
+  }
+
+  const database = await CatalogDatabase.open(databasePath);
+
+  try {
+    const rows = database.query(sql);
+
+    if (rows.length === 0) {
+      console.log('No rows.');
+    } else {
+      console.table(rows);
+    }
+  } finally {
+    database.close();
+  }
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Searches the catalogue and prints the matching products, best first
+ */
+const searchCommand = async ({ positionals, values, settings }) => {
+  const query = positionals.join(' ').trim();
+
+  if (!query) {
+    throw new UsageError('The search command needs a query, e.g. search "SFP28" or search \'"802.3bt" price<500\'');
+  }
+
+  let index = await loadSearchIndex(settings.outputDir);
+
+  if (!index) {
+    const productDirs = await exporter.findProductDirs(settings.outputDir);
+    index = await writeSearchIndex(settings.outputDir, productDirs);
+    console.log(`Indexed ${index.documents.length} products in ${SEARCH_INDEX_FILE}`);
+  }
+
+  let results;
+  try {
+    results = search(index, query);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (results.length === 0) {
+    console.log('No products found.');
+    return EXIT_CODES.OK;
+  }
+
+  const limit = parseInteger('limit', values.limit) ?? 20;
+
+  for (const result of results.slice(0, limit)) {
+    const price = result.price ? ` - ${result.price}` : '';
+    const fields = result.fields.length > 0 ? ` (matched in ${result.fields.join(', ')})` : '';
+    console.log(`${result.name}${price} [${result.category || 'Other'}]${fields}`);
+    console.log(`  ${path.join(settings.outputDir, result.dir)}`);
+    console.log(`  ${result.url}`);
+  }
+
+  console.log(`${results.length} product(s) found${results.length > limit ? `, showing the first ${limit}` : ''}.`);
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Sends notifications for the changes between two catalogues
+ */
+const notifyCommand = async ({ positionals, settings }) => {
+  const previousPath = positionals[0] || path.join(settings.outputDir, changeDetector.PREVIOUS_CATALOG_FILE);
+  const currentPath = positionals[1] || path.join(settings.outputDir, exporter.CATALOG_FILES.json);
+
+  for (const catalogPath of [previousPath, currentPath]) {
+    if (!(await fs.pathExists(catalogPath))) {
+      throw new UsageError(`Catalogue not found: ${catalogPath}`);
+    }
+  }
+
+  let notifier;
+  try {
+    notifier = new Notifier(settings.notifications);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { events, sent, failed } = await notifier.notify(detectEvents(await fs.readJson(previousPath), await fs.readJson(currentPath)));
+
+  console.log(`${events.length} changes reported, ${sent} sent, ${failed} failed.`);
+
+  return failed > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+};
+
+/**
+ * Serves the catalogue over HTTP until interrupted
+ */
+const serveCommand = async ({ settings }) => {
+  if (!(await fs.pathExists(settings.outputDir))) {
+    throw new UsageError(`Output directory not found: ${settings.outputDir}`);
+  }
+
+  const api = new CatalogApi(settings.outputDir, { databaseFile: settings.database.file });
+  await api.refresh();
+
+  const server = await api.listen(settings.api.port, settings.api.host);
+  const { address, port } = server.address();
+
+  console.log(`Serving ${api.products.length} products from ${settings.outputDir} at http://${address}:${port}/api`);
+  console.log('Press Ctrl-C to stop.');
+
+  await new Promise(resolve => {
+    process.once('SIGINT', () => server.close(resolve));
+  });
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Writes a side-by-side comparison of the products of a category or of the given products
+ */
+const compareCommand = async ({ positionals, values, settings }) => {
+  if (!values.category && positionals.length < 2) {
+    throw new UsageError('The compare command needs --category or at least two products, e.g. compare udm-pro udm-se');
+  }
+
+  const productDirs = await exporter.findProductDirs(settings.outputDir);
+  const records = await exporter.loadProductRecords(settings.outputDir, productDirs);
+  const { records: selected, unmatched } = selectProducts(records, { category: values.category, products: positionals });
+
+  if (unmatched.length > 0) {
+    throw new UsageError(`Products not found in ${settings.outputDir}: ${unmatched.join(', ')}`);
+  }
+
+  if (selected.length === 0) {
+    const categories = [...new Set(records.map(record => record.category).filter(Boolean))].sort();
+    throw new UsageError(`No products in category "${values.category}". Categories: ${categories.join(', ') || 'none'}`);
+  }
+
+  const comparison = buildComparison(selected);
+  const name = values.category ? selected[0].category : comparison.products.map(product => product.handle).join('-vs-');
+  const written = await writeComparison(comparison, settings.outputDir, name);
+
+  console.log(`Compared ${selected.length} products on ${comparison.rows.length} rows, ${comparison.rows.filter(row => row.differs).length} differing.`);
+  console.log(`Written to ${written.join(', ')}`);
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Prints where the settings were loaded from and the effective configuration
+ */
+const configCommand = async ({ layers, settings }) => {
+  console.log('Sources (later ones win):');
+  console.log('  config.js');
+  for (const { source } of layers) {
+    console.log(`  ${source}`);
+  }
+  console.log('');
+  console.log(JSON.stringify(settings, null, 2));
+
+  return EXIT_CODES.OK;
+};
+
+const COMMANDS = {
+  crawl: crawlCommand,
+  product: productCommand,
+  'retry-failed': retryFailedCommand,
+  export: exportCommand,
+  diff: diffCommand,
+  reparse: reparseCommand,
+  regions: regionsCommand,
+  prices: pricesCommand,
+  site: siteCommand,
+  sql: sqlCommand,
+  search: searchCommand,
+  notify: notifyCommand,
+  serve: serveCommand,
+  compare: compareCommand,
+  config: configCommand
+};
+
+/**
+ * Runs the command line interface
+ * @param {string[]} argv - Command-line arguments, without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+export const run = async (argv) => {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true
+    });
+
+    if (values.help || positionals[0] === 'help') {
+      console.log(HELP_TEXT);
+      return EXIT_CODES.OK;
+    }
+
+    const [commandName = 'crawl', ...commandArgs] = positionals;
+    const command = COMMANDS[commandName];
+
+    if (!command) {
+      throw new UsageError(`Unknown command "${commandName}"`);
+    }
+
+    const layers = await loadConfigLayers({
+      file: values.config,
+      profile: values.profile,
+      overrides: buildConfigOverrides(values)
+    });
+    const settings = resolveConfig(layers);
+
+    return await command({ positionals: commandArgs, values, layers, settings });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`Error: ${error.message}`);
+      return EXIT_CODES.USAGE;
+    }
+
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`Error: ${error.message}`);
+      console.error('Run with --help to see the available commands and options.');
+      return EXIT_CODES.USAGE;
+    }
+
+    console.error('Error:', error.message);
+    return EXIT_CODES.ERROR;
+  }
+};
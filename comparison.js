@@ -0,0 +1,242 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { getProductHandle, sanitizeName } from './utils.js';
+import { escapeCsv } from './exporter.js';
+import { escapeHtml } from './site-generator.js';
+import { normalizeSpecifications, formatSpecification } from './spec-normalizer.js';
+
+/**
+ * Folder of the output directory the comparison files are written to
+ */
+export const COMPARISON_DIR = 'comparisons';
+
+/**
+ * Cell text of a product that has no value for a row
+ */
+export const MISSING_VALUE = '—';
+
+const STYLESHEET = `body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1d1d1f; margin: 1.5rem; }
+table { border-collapse: collapse; }
+th, td { text-align: left; padding: 0.4rem 0.6rem; border: 1px solid #ddd; vertical-align: top; }
+thead th { position: sticky; top: 0; background: #f5f5f7; }
+tr.section th { background: #f5f5f7; }
+tr.differs td { background: #fff6d6; }
+td.missing { color: #999; text-align: center; }
+`;
+
+/**
+ * Picks the products to compare, either every product of a category or the
+ * products named on the command line
+ * @param {Object[]} records - Product records
+ * @param {Object} selection - What to compare
+ * @param {string} [selection.category] - Category name (as assigned by determineCategory) or its folder name
+ * @param {string[]} [selection.products] - Product handles, names or URLs
+ * @returns {Object} { records, unmatched } where unmatched lists the products that were not found
+ */
+export const selectProducts = (records, { category, products = [] }) => {
+  if (category) {
+    const wanted = category.toLowerCase();
+    return {
+      records: records.filter(record => record.category &&
+        (record.category.toLowerCase() === wanted || sanitizeName(record.category).toLowerCase() === wanted)),
+      unmatched: []
+    };
+  }
+
+  const selected = [];
+  const unmatched = [];
+
+  for (const product of products) {
+    const wanted = product.toLowerCase();
+    const record = records.find(candidate => candidate.url === product ||
+      (getProductHandle(candidate.url) || '') === wanted ||
+      (candidate.name || '').toLowerCase() === wanted);
+
+    if (!record) {
+      unmatched.push(product);
+    } else if (!selected.includes(record)) {
+      selected.push(record);
+    }
+  }
+
+  return { records: selected, unmatched };
+};
+
+/**
+ * Value a cell is compared by: the normalized value when the specification
+ * could be interpreted, so "33W" and "33 W" count as equal, or the text otherwise
+ * @param {Object} spec - Normalized specification
+ * @returns {string} Comparable value
+ */
+const comparableValue = (spec) => formatSpecification(spec) || String(spec.text).trim().toLowerCase();
+
+/**
+ * Builds a comparison matrix with one column per product and one row per
+ * price or specification. Specification rows are aligned by their canonical
+ * key, so products that spell a key differently share a row. A row differs
+ * when its products do not all have the same value, counting a missing value
+ * as different.
+ * @param {Object[]} records - Product records, in column order
+ * @returns {Object} { products, rows } where each row is { section, key, label, values, differs } and
+ *   values holds the text of each product, or null when the product has no value
+ */
+export const buildComparison = (records) => {
+  const details = records.map(record => record.specificationDetails || normalizeSpecifications(record.specifications));
+  const rows = [];
+
+  const addRow = (section, key, label, cells) => {
+    const present = cells.filter(Boolean);
+    rows.push({
+      section,
+      key,
+      label,
+      values: cells.map(cell => (cell ? cell.text : null)),
+      differs: present.length < cells.length || new Set(present.map(cell => cell.compare)).size > 1
+    });
+  };
+
+  const priced = record => record.price && record.price !== 'Price not available';
+  addRow('Overview', 'price', 'Price', records.map(record => (priced(record)
+    ? { text: record.price, compare: `${record.priceDetails?.amount ?? record.price} ${record.priceDetails?.currency ?? ''}` }
+    : null)));
+
+  const keys = [...new Set(details.flatMap(specs => Object.keys(specs)))];
+
+  for (const key of keys) {
+    const specs = details.map(productSpecs => productSpecs[key]);
+    const label = specs.find(Boolean).label;
+
+    addRow('Specifications', key, label, specs.map(spec => (spec ? { text: String(spec.text), compare: comparableValue(spec) } : null)));
+  }
+
+  return {
+    products: records.map(record => ({
+      name: record.name,
+      handle: getProductHandle(record.url) || record.url,
+      url: record.url,
+      category: record.category || null
+    })),
+    rows
+  };
+};
+
+/**
+ * Converts a comparison to a Markdown table. Values of differing rows are in bold.
+ * @param {Object} comparison - Comparison from buildComparison
+ * @param {string} title - Heading of the table
+ * @returns {string} Markdown text
+ */
+export const toComparisonMarkdown = (comparison, title) => {
+  const escapeCell = cell => String(cell).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+  let markdown = `# ${title}\n\n`;
+  markdown += `Values that differ between products are in **bold**; ${MISSING_VALUE} marks a missing value.\n\n`;
+  markdown += `| | ${comparison.products.map(product => `[${escapeCell(product.name)}](${product.url})`).join(' | ')} |\n`;
+  markdown += `| --- | ${comparison.products.map(() => '---').join(' | ')} |\n`;
+
+  for (const row of comparison.rows) {
+    const cells = row.values.map(value => {
+      if (value === null) {
+        return MISSING_VALUE;
+      }
+      return row.differs ? `**${escapeCell(value)}**` : escapeCell(value);
+    });
+
+    markdown += `| ${escapeCell(row.label)} | ${cells.join(' | ')} |\n`;
+  }
+
+  return markdown;
+};
+
+/**
+ * Converts a comparison to CSV with a differs column. Missing values are empty cells.
+ * @param {Object} comparison - Comparison from buildComparison
+ * @returns {string} CSV text
+ */
+export const toComparisonCsv = (comparison) => {
+  const lines = [['section', 'key', 'label', 'differs', ...comparison.products.map(product => product.name)]];
+
+  for (const row of comparison.rows) {
+    lines.push([row.section, row.key, row.label, row.differs, ...row.values]);
+  }
+
+  return lines.map(line => line.map(escapeCsv).join(',')).join('\n') + '\n';
+};
+
+/**
+ * Converts a comparison to a standalone HTML page. Differing rows are
+ * highlighted and missing values are greyed out.
+ * @param {Object} comparison - Comparison from buildComparison
+ * @param {string} title - Page title
+ * @returns {string} Complete HTML document
+ */
+export const toComparisonHtml = (comparison, title) => {
+  const columns = comparison.products.length + 1;
+  const body = [];
+  let section = null;
+
+  for (const row of comparison.rows) {
+    if (row.section !== section) {
+      section = row.section;
+      body.push(`<tr class="section"><th colspan="${columns}">${escapeHtml(section)}</th></tr>`);
+    }
+
+    const cells = row.values.map(value => (value === null
+      ? `<td class="missing" title="Missing">${MISSING_VALUE}</td>`
+      : `<td>${escapeHtml(value)}</td>`));
+
+    body.push(`<tr${row.differs ? ' class="differs"' : ''}><th>${escapeHtml(row.label)}</th>${cells.join('')}</tr>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${STYLESHEET}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Highlighted rows differ between products; ${MISSING_VALUE} marks a missing value.</p>
+<table>
+<thead>
+<tr><th></th>${comparison.products.map(product => `<th><a href="${escapeHtml(product.url)}">${escapeHtml(product.name)}</a></th>`).join('')}</tr>
+</thead>
+<tbody>
+${body.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Writes a comparison as Markdown, CSV and HTML to the comparisons folder
+ * @param {Object} comparison - Comparison from buildComparison
+ * @param {string} outputDir - Output directory
+ * @param {string} name - Name of the comparison, used for the title and the file names
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+export const writeComparison = async (comparison, outputDir, name) => {
+  const dir = path.join(outputDir, COMPARISON_DIR);
+  const baseName = sanitizeName(name) || 'comparison';
+  const title = `Comparison: ${name}`;
+  const files = {
+    [`${baseName}.md`]: toComparisonMarkdown(comparison, title),
+    [`${baseName}.csv`]: toComparisonCsv(comparison),
+    [`${baseName}.html`]: toComparisonHtml(comparison, title)
+  };
+
+  await fs.ensureDir(dir);
+
+  const written = [];
+  for (const [fileName, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, fileName), content, 'utf8');
+    written.push(path.join(dir, fileName));
+  }
+
+  return written;
+};
@@ -0,0 +1,608 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+
+import defaults, { profiles as builtInProfiles } from './config.js';
+import { mergeDeep } from './utils.js';
+import { CATALOG_FILES } from './exporter.js';
+import { PRODUCT_GRAPH_FILES } from './product-graph.js';
+import { NOTIFICATION_EVENTS, WEBHOOK_FORMATS } from './notifier.js';
+import { isValidRegion } from './regions.js';
+
+/**
+ * Config files looked for in the working directory when none is given
+ */
+export const CONFIG_FILE_NAMES = ['ubiquiti-scraper.config.json', 'ubiquiti-scraper.config.yaml', 'ubiquiti-scraper.config.yml'];
+
+/**
+ * Prefix of the environment variables that override settings
+ */
+export const ENV_PREFIX = 'UBIQUITI_';
+
+/**
+ * Environment variables that choose the config file and profile rather than
+ * override a setting
+ */
+const ENV_CONFIG_FILE = `${ENV_PREFIX}CONFIG`;
+const ENV_PROFILE = `${ENV_PREFIX}PROFILE`;
+
+/**
+ * Ways the crawler can discover pages
+ */
+export const DISCOVERY_MODES = ['links', 'sitemap', 'both'];
+
+/**
+ * Ways the crawler can fetch pages
+ */
+export const FETCH_MODES = ['browser', 'http'];
+
+/**
+ * Error raised for configuration that does not match the schema, listing every problem
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {Object[]} issues - Problems as { source, path, message }
+   */
+  constructor(issues) {
+    const lines = issues.map(({ source, path: settingPath, message }) => (
+      `  - ${settingPath ? `${settingPath}: ` : ''}${message}${source ? ` (${source})` : ''}`
+    ));
+    super(`Invalid configuration:\n${lines.join('\n')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'number', integer: true, ...options });
+const boolean = () => ({ type: 'boolean' });
+const list = (items) => ({ type: 'array', items });
+const object = (shape, options = {}) => ({ type: 'object', shape, ...options });
+const map = (values) => ({ type: 'map', values });
+const nullable = (descriptor) => ({ ...descriptor, nullable: true });
+
+/**
+ * Settings config.js may have, their types and allowed values. Objects accept
+ * no other keys, so a misspelt setting is reported instead of ignored.
+ */
+export const CONFIG_SCHEMA = object({
+  baseUrl: string({ url: true }),
+  regions: list(string({ check: isValidRegion, expected: 'a store code such as us, eu or ca-fr' })),
+  regionUrlTemplate: string(),
+  region: nullable(string({ check: isValidRegion, expected: 'a store code such as us, eu or ca-fr' })),
+  maxPages: integer({ min: 1 }),
+  outputDir: string({ nonEmpty: true }),
+  resume: boolean(),
+  fileTypes: object({
+    images: list(string()),
+    videos: list(string()),
+    pdfs: list(string())
+  }),
+  discovery: object({
+    mode: string({ oneOf: DISCOVERY_MODES }),
+    sitemapUrl: nullable(string({ url: true })),
+    respectRobots: boolean()
+  }),
+  media: object({
+    reveal: boolean(),
+    scrollStep: integer({ min: 1 }),
+    maxScrolls: integer({ min: 0 }),
+    gallerySelectors: list(string()),
+    maxGalleryClicks: integer({ min: 0 }),
+    settleTime: integer({ min: 0 }),
+    minImageBytes: integer({ min: 0 })
+  }),
+  downloads: object({
+    enabled: boolean(),
+    concurrency: integer({ min: 1 }),
+    retries: integer({ min: 0 }),
+    retryDelay: integer({ min: 0 }),
+    timeout: integer({ min: 0 })
+  }),
+  documents: object({
+    enabled: boolean()
+  }),
+  export: object({
+    productJson: boolean(),
+    formats: list(string({ oneOf: Object.keys(CATALOG_FILES) }))
+  }),
+  graph: object({
+    formats: list(string({ oneOf: Object.keys(PRODUCT_GRAPH_FILES) })),
+    crawlRelated: boolean()
+  }),
+  priceHistory: object({
+    enabled: boolean()
+  }),
+  database: object({
+    enabled: boolean(),
+    file: string({ nonEmpty: true })
+  }),
+  search: object({
+    enabled: boolean()
+  }),
+  notifications: object({
+    enabled: boolean(),
+    dryRun: boolean(),
+    events: list(string({ oneOf: Object.values(NOTIFICATION_EVENTS) })),
+    watch: object({
+      products: list(string()),
+      categories: list(string())
+    }),
+    webhooks: list(object({
+      name: string(),
+      url: string({ url: true }),
+      format: string({ oneOf: WEBHOOK_FORMATS }),
+      events: list(string({ oneOf: Object.values(NOTIFICATION_EVENTS) })),
+      headers: map(string()),
+      template: { type: 'any' }
+    }, { required: ['url'] })),
+    email: object({
+      enabled: boolean(),
+      smtp: object({
+        host: string(),
+        port: integer({ min: 1, max: 65535 }),
+        secure: boolean(),
+        auth: object({
+          user: string(),
+          pass: string()
+        })
+      }),
+      from: string(),
+      to: list(string())
+    }),
+    timeout: integer({ min: 0 })
+  }),
+  api: object({
+    host: string({ nonEmpty: true }),
+    port: integer({ min: 0, max: 65535 })
+  }),
+  changes: object({
+    enabled: boolean()
+  }),
+  crawlSettings: object({
+    concurrency: integer({ min: 1 }),
+    timeout: integer({ min: 0 }),
+    delay: integer({ min: 0 }),
+    checkpointInterval: integer({ min: 1 }),
+    retryFailed: boolean(),
+    userAgent: string({ nonEmpty: true }),
+    fetchMode: string({ oneOf: FETCH_MODES })
+  }),
+  browser: object({
+    blockResourceTypes: list(string()),
+    blockDomains: list(string()),
+    blockThirdParty: boolean(),
+    firstPartyDomains: list(string())
+  }),
+  rateLimit: object({
+    requestsPerSecond: number({ min: 0 }),
+    backoffBase: integer({ min: 0 }),
+    maxBackoff: integer({ min: 0 }),
+    errorThreshold: number({ min: 0, max: 1 }),
+    errorWindow: integer({ min: 1 }),
+    maxSlowdown: number({ min: 1 }),
+    retries: integer({ min: 0 })
+  }),
+  categories: list(string()),
+  patterns: object({
+    include: list(string()),
+    exclude: list(string())
+  })
+});
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Describes a value for error messages
+ * @param {*} value - Value
+ * @returns {string} e.g. 'the string "ten"' or 'an array'
+ */
+const describe = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (typeof value === 'string') {
+    return `the string ${JSON.stringify(value)}`;
+  }
+  if (typeof value === 'object') {
+    return 'an object';
+  }
+  return `${typeof value} ${String(value)}`;
+};
+
+/**
+ * Counts the single-character edits between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Finds the known key a misspelt key was probably meant to be
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Known keys
+ * @returns {string|null} Closest key within a few edits, or null
+ */
+const suggest = (key, known) => {
+  const [closest] = known
+    .map(candidate => ({ candidate, distance: editDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= Math.max(2, Math.floor(key.length / 4)))
+    .sort((a, b) => a.distance - b.distance);
+
+  return closest ? closest.candidate : null;
+};
+
+/**
+ * Checks a value against a schema entry
+ * @param {Object} descriptor - Schema entry
+ * @param {*} value - Value to check
+ * @param {string} settingPath - Dotted path of the value, for messages
+ * @returns {Object[]} Problems as { path, message }
+ */
+const checkValue = (descriptor, value, settingPath) => {
+  const problem = message => [{ path: settingPath, message }];
+
+  if (value === null && descriptor.nullable) {
+    return [];
+  }
+
+  switch (descriptor.type) {
+    case 'any':
+      return [];
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return problem(`expected a string, got ${describe(value)}`);
+      }
+      if (descriptor.nonEmpty && value.trim() === '') {
+        return problem('must not be empty');
+      }
+      if (descriptor.oneOf && !descriptor.oneOf.includes(value)) {
+        const hint = suggest(value, descriptor.oneOf);
+        return problem(`expected one of ${descriptor.oneOf.join(', ')}, got ${JSON.stringify(value)}${hint ? `. Did you mean "${hint}"?` : ''}`);
+      }
+      if (descriptor.url && !URL.canParse(value)) {
+        return problem(`expected an absolute URL, got ${JSON.stringify(value)}`);
+      }
+      if (descriptor.check && !descriptor.check(value)) {
+        return problem(`expected ${descriptor.expected}, got ${JSON.stringify(value)}`);
+      }
+      return [];
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return problem(`expected a number, got ${describe(value)}`);
+      }
+      if (descriptor.integer && !Number.isInteger(value)) {
+        return problem(`expected a whole number, got ${value}`);
+      }
+      if (descriptor.min !== undefined && value < descriptor.min) {
+        return problem(`must be at least ${descriptor.min}, got ${value}`);
+      }
+      if (descriptor.max !== undefined && value > descriptor.max) {
+        return problem(`must be at most ${descriptor.max}, got ${value}`);
+      }
+      return [];
+
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : problem(`expected true or false, got ${describe(value)}`);
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return problem(`expected a list, got ${describe(value)}`);
+      }
+      return value.flatMap((item, i) => checkValue(descriptor.items, item, `${settingPath}[${i}]`));
+
+    case 'map':
+      if (!isPlainObject(value)) {
+        return problem(`expected an object, got ${describe(value)}`);
+      }
+      return Object.entries(value).flatMap(([key, item]) => checkValue(descriptor.values, item, `${settingPath}.${key}`));
+
+    default: {
+      if (!isPlainObject(value)) {
+        return problem(`expected an object, got ${describe(value)}`);
+      }
+
+      const known = Object.keys(descriptor.shape);
+      const join = key => (settingPath ? `${settingPath}.${key}` : key);
+      const issues = (descriptor.required || [])
+        .filter(key => value[key] === undefined)
+        .map(key => ({ path: join(key), message: 'is required' }));
+
+      for (const [key, item] of Object.entries(value)) {
+        if (!descriptor.shape[key]) {
+          const hint = suggest(key, known);
+          issues.push({ path: join(key), message: `unknown setting${hint ? `. Did you mean "${hint}"?` : ''}` });
+        } else if (item !== undefined) {
+          issues.push(...checkValue(descriptor.shape[key], item, join(key)));
+        }
+      }
+
+      return issues;
+    }
+  }
+};
+
+/**
+ * Checks settings against the schema. Settings may be partial; only the
+ * settings present are checked.
+ * @param {Object} values - Settings, shaped like config.js
+ * @param {string} [source] - Where the settings came from, added to each problem
+ * @returns {Object[]} Problems as { source, path, message }; empty when the settings are valid
+ */
+export const validateConfig = (values, source = null) => (
+  checkValue(CONFIG_SCHEMA, values, '').map(issue => ({ source, ...issue }))
+);
+
+/**
+ * Merges layers of settings over the defaults in config.js, later layers
+ * winning, after checking every layer against the schema
+ * @param {Object[]} [layers] - Layers as { source, values }, lowest precedence first
+ * @returns {Object} Effective configuration
+ * @throws {ConfigError} When any layer has invalid settings
+ */
+export const resolveConfig = (layers = []) => {
+  const all = [{ source: 'config.js', values: defaults }, ...layers];
+  const issues = all.flatMap(({ source, values }) => validateConfig(values, source));
+
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+
+  return layers.reduce((config, { values }) => mergeDeep(config, values), defaults);
+};
+
+/**
+ * Reads a JSON or YAML config file, chosen by its extension
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<Object>} Parsed settings
+ * @throws {ConfigError} When the file is missing, cannot be parsed or is not an object
+ */
+export const readConfigFile = async (filePath) => {
+  const source = `config file ${filePath}`;
+
+  if (!(await fs.pathExists(filePath))) {
+    throw new ConfigError([{ source, path: '', message: 'file not found' }]);
+  }
+
+  const text = await fs.readFile(filePath, 'utf8');
+  let values;
+
+  try {
+    values = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([{ source, path: '', message: `cannot be parsed: ${error.message.split('\n')[0]}` }]);
+  }
+
+  // An empty YAML file is a valid file without settings
+  if (values === null || values === undefined) {
+    return {};
+  }
+
+  if (!isPlainObject(values)) {
+    throw new ConfigError([{ source, path: '', message: `expected an object of settings, got ${describe(values)}` }]);
+  }
+
+  return values;
+};
+
+/**
+ * Finds a config file in a directory
+ * @param {string} dir - Directory to look in
+ * @returns {Promise<string|null>} Path of the first of CONFIG_FILE_NAMES that exists, or null
+ */
+export const findConfigFile = async (dir) => {
+  for (const name of CONFIG_FILE_NAMES) {
+    if (await fs.pathExists(path.join(dir, name))) {
+      return path.join(dir, name);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Converts a setting name to its environment variable form, e.g. maxPages to MAX_PAGES
+ * @param {string} key - Setting name
+ * @returns {string} Upper-case name with underscores
+ */
+const envName = key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toUpperCase();
+
+/**
+ * Converts an environment variable value to the type of a setting. Lists are
+ * comma-separated or JSON arrays; objects are JSON.
+ * @param {Object} descriptor - Schema entry
+ * @param {string} text - Raw value
+ * @returns {*} Converted value, or the text itself when it cannot be converted
+ *   (validation then reports it)
+ */
+const parseEnvValue = (descriptor, text) => {
+  const trimmed = text.trim();
+
+  if (descriptor.nullable && (trimmed === '' || trimmed === 'null')) {
+    return null;
+  }
+
+  switch (descriptor.type) {
+    case 'number':
+      return trimmed !== '' && !Number.isNaN(Number(trimmed)) ? Number(trimmed) : text;
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(trimmed.toLowerCase())) {
+        return true;
+      }
+      if (['false', '0', 'no', 'off'].includes(trimmed.toLowerCase())) {
+        return false;
+      }
+      return text;
+    case 'array':
+      if (trimmed.startsWith('[')) {
+        try {
+          return JSON.parse(trimmed);
+        } catch (error) {
+          return text;
+        }
+      }
+      return trimmed === '' ? [] : trimmed.split(',').map(item => parseEnvValue(descriptor.items, item.trim()));
+    case 'object':
+    case 'map':
+    case 'any':
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        return text;
+      }
+    default:
+      return text;
+  }
+};
+
+/**
+ * Reads settings from UBIQUITI_* environment variables. Nested settings are
+ * separated by a double underscore, e.g. UBIQUITI_CRAWL_SETTINGS__CONCURRENCY=3.
+ * @param {Object} env - Environment variables
+ * @returns {Object} { values, issues } where issues lists variables that match no setting
+ */
+export const envOverrides = (env) => {
+  const values = {};
+  const issues = [];
+
+  for (const [name, text] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === ENV_CONFIG_FILE || name === ENV_PROFILE || text === undefined) {
+      continue;
+    }
+
+    const segments = name.slice(ENV_PREFIX.length).split('__');
+    let descriptor = CONFIG_SCHEMA;
+    let target = values;
+    const keys = [];
+
+    for (const segment of segments) {
+      const key = descriptor.type === 'object'
+        ? Object.keys(descriptor.shape).find(candidate => envName(candidate) === segment)
+        : null;
+
+      if (!key) {
+        const known = descriptor.type === 'object' ? Object.keys(descriptor.shape).map(envName) : [];
+        const hint = suggest(segment, known);
+        const prefix = name.slice(0, name.length - segments.slice(segments.indexOf(segment)).join('__').length);
+        issues.push({
+          source: `environment variable ${name}`,
+          path: keys.join('.'),
+          message: `does not match a setting${hint ? `. Did you mean ${prefix}${hint}?` : ''}`
+        });
+        descriptor = null;
+        break;
+      }
+
+      keys.push(key);
+      descriptor = descriptor.shape[key];
+    }
+
+    if (!descriptor) {
+      continue;
+    }
+
+    for (const key of keys.slice(0, -1)) {
+      target[key] = isPlainObject(target[key]) ? target[key] : {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = parseEnvValue(descriptor, text);
+  }
+
+  return { values, issues };
+};
+
+/**
+ * Gathers the layers of configuration in precedence order: an optional
+ * JSON or YAML config file, a profile, UBIQUITI_* environment variables and
+ * command-line overrides. The defaults in config.js sit below them all.
+ * @param {Object} [options] - Where to load from
+ * @param {string} [options.file] - Config file; defaults to UBIQUITI_CONFIG, then a
+ *   file named after CONFIG_FILE_NAMES in cwd
+ * @param {string} [options.profile] - Profile; defaults to UBIQUITI_PROFILE, then the
+ *   "profile" set in the config file
+ * @param {Object} [options.env] - Environment variables
+ * @param {string} [options.cwd] - Directory searched for a config file
+ * @param {Object} [options.overrides] - Command-line overrides
+ * @returns {Promise<Object[]>} Layers as { source, values }, lowest precedence first
+ * @throws {ConfigError} When the config file cannot be read, the profile does not
+ *   exist or an environment variable matches no setting
+ */
+export const loadConfigLayers = async ({ file, profile, env = process.env, cwd = process.cwd(), overrides = {} } = {}) => {
+  const layers = [];
+  const filePath = file || env[ENV_CONFIG_FILE] || await findConfigFile(cwd);
+  let fileProfiles = {};
+  let fileProfile = null;
+
+  if (filePath) {
+    const { profile: selected = null, profiles = {}, ...values } = await readConfigFile(filePath);
+
+    if (!isPlainObject(profiles)) {
+      throw new ConfigError([{ source: `config file ${filePath}`, path: 'profiles', message: `expected an object of profiles, got ${describe(profiles)}` }]);
+    }
+
+    fileProfiles = profiles;
+    fileProfile = selected;
+    layers.push({ source: `config file ${filePath}`, values });
+  }
+
+  const profileName = profile || env[ENV_PROFILE] || fileProfile;
+
+  if (profileName) {
+    const available = { ...builtInProfiles, ...fileProfiles };
+
+    if (!isPlainObject(available[profileName])) {
+      const hint = suggest(profileName, Object.keys(available));
+      throw new ConfigError([{
+        source: null,
+        path: '',
+        message: `Unknown profile "${profileName}". Available profiles: ${Object.keys(available).join(', ')}${hint ? `. Did you mean "${hint}"?` : ''}`
+      }]);
+    }
+
+    layers.push({ source: `profile ${profileName}`, values: available[profileName] });
+  }
+
+  const fromEnv = envOverrides(env);
+  if (fromEnv.issues.length > 0) {
+    throw new ConfigError(fromEnv.issues);
+  }
+  if (Object.keys(fromEnv.values).length > 0) {
+    layers.push({ source: 'environment', values: fromEnv.values });
+  }
+
+  layers.push({ source: 'command line', values: overrides });
+
+  return layers;
+};
+
+/**
+ * Loads and validates the effective configuration
+ * @param {Object} [options] - Options of loadConfigLayers
+ * @returns {Promise<Object>} Effective configuration
+ * @throws {ConfigError} When any layer is invalid
+ */
+export const loadConfig = async (options = {}) => resolveConfig(await loadConfigLayers(options));
@@ -1,15 +1,31 @@
-// Configuration for the Ubiquiti store scraper
+// Configuration for the Ubiquiti store scraper. These are the defaults; a config
+// file, UBIQUITI_* environment variables, a profile and command-line options can
+// override them (see config-loader.js)
 
 export default {
   // Base URL of the Ubiquiti store
   baseUrl: 'https://store.ui.com/us/',
   
+  // Regional stores to crawl in one run, e.g. ['us', 'eu', 'uk', 'ca']. Each region
+  // is crawled from regionUrlTemplate into its own folder in outputDir, and a
+  // cross-region price report is written at the end. Leave empty to crawl baseUrl only.
+  regions: [],
+  
+  // Store URL of a region; {region} is replaced by the region code
+  regionUrlTemplate: 'https://store.ui.com/{region}/',
+  
+  // Region code of the store being crawled, set for each region when crawling regions
+  region: null,
+  
   // Maximum number of pages to crawl (set to a high number to get everything)
   maxPages: 1000,
   
   // Output directory where all content will be saved
   outputDir: './ubiquiti_store',
   
+  // Resume from the state file left in outputDir by an interrupted run
+  resume: false,
+  
   // File types to download
   fileTypes: {
     images: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'],
@@ -17,6 +33,165 @@ export default {
     pdfs: ['.pdf']
   },
   
+  // How pages are discovered
+  discovery: {
+    // 'links' follows links from baseUrl, 'sitemap' only uses the sitemap, 'both' does both
+    mode: 'both',
+    
+    // Sitemap to read (defaults to the sitemaps listed in robots.txt, then /sitemap.xml)
+    sitemapUrl: null,
+    
+    // Skip URLs disallowed by robots.txt and honour its Crawl-delay
+    respectRobots: true
+  },
+  
+  // Finding media on product pages
+  media: {
+    // Scroll through each product page and click through its gallery so lazy-loaded media is requested
+    reveal: true,
+    
+    // Pixels to scroll at a time, and the maximum number of scroll steps
+    scrollStep: 800,
+    maxScrolls: 20,
+    
+    // Gallery thumbnails and buttons to click, and the maximum clicks per selector
+    gallerySelectors: [
+      '[data-testid*="thumbnail"]',
+      '[class*="gallery"] button',
+      'button[aria-label*="next" i]'
+    ],
+    maxGalleryClicks: 20,
+    
+    // Maximum time to wait for media requests to finish after scrolling (in milliseconds)
+    settleTime: 5000,
+    
+    // Images smaller than this (in bytes) that are only seen on the network are
+    // ignored, to skip icons and tracking pixels
+    minImageBytes: 10240
+  },
+  
+  // Asset downloads
+  downloads: {
+    // Download the images, videos and PDFs of each product
+    enabled: true,
+    
+    // Maximum concurrent downloads
+    concurrency: 4,
+    
+    // Retries after a failed download (network errors, timeouts, 429 and 5xx responses)
+    retries: 3,
+    
+    // Delay before the first retry (in milliseconds), doubled on every retry
+    retryDelay: 1000,
+    
+    // Timeout for each download (in milliseconds)
+    timeout: 60000
+  },
+  
+  // Downloaded PDFs
+  documents: {
+    // Extract the title, page count and text of each PDF into a .txt file next
+    // to it, name it after its kind (datasheet, quick_start_guide, compliance)
+    // and add datasheet text and specifications to the product
+    enabled: true
+  },
+  
+  // Machine-readable exports
+  export: {
+    // Write product.json next to each product_info.md. The catalogue files,
+    // relationship graph, price history, database, change report, notifications
+    // and search index are all built from it
+    productJson: true,
+    
+    // Catalogue files written at the end of a crawl: 'json', 'jsonl', 'csv'
+    formats: ['json', 'jsonl', 'csv']
+  },
+  
+  // Relationships between products (accessories, compatible devices, related and replaced models)
+  graph: {
+    // Graph files written with the catalogue: 'json', 'dot' (GraphViz), 'graphml'
+    formats: ['json', 'dot', 'graphml'],
+    
+    // Crawl products that are only found as an accessory, compatible device or
+    // replaced model of a crawled product. Plain related links are not followed,
+    // nor the relationships of the products found this way
+    crawlRelated: true
+  },
+  
+  // Price history
+  priceHistory: {
+    // Append every product and variant price to price_history.jsonl after each crawl
+    enabled: true
+  },
+  
+  // SQLite database of products, specifications, features, variants and assets
+  database: {
+    // Record every crawl (and export) in the database
+    enabled: false,
+    
+    // Database file, relative to the output directory
+    file: 'catalog.sqlite'
+  },
+  
+  // Full-text search
+  search: {
+    // Build search_index.json at the end of each crawl for the search command
+    enabled: true
+  },
+  
+  // Stock and price notifications, sent after each crawl
+  notifications: {
+    // Compare each crawl with the previous run and report the changes below
+    enabled: false,
+    
+    // Print the messages instead of sending them
+    dryRun: false,
+    
+    // Changes to report: 'back_in_stock', 'sold_out', 'price_change', 'new_sku'
+    events: ['back_in_stock', 'sold_out', 'price_change', 'new_sku'],
+    
+    // Only report these products (handles, SKUs or names) and categories; leave both empty for everything
+    watch: {
+      products: [],
+      categories: []
+    },
+    
+    // Webhooks to post to, e.g. { url: 'https://hooks.slack.com/services/...', format: 'slack' }.
+    // format is 'slack', 'teams' or 'json'; optional: name (shown in logs instead of the
+    // host, as the URL can hold a secret token), events (kinds to post), headers, and a
+    // template object whose "{title}", "{text}", "{count}" and "{events}" values are filled in
+    webhooks: [],
+    
+    // Email through an SMTP server
+    email: {
+      enabled: false,
+      smtp: {
+        host: 'smtp.example.com',
+        port: 587,
+        secure: false,
+        auth: { user: '', pass: '' }
+      },
+      from: 'scraper@example.com',
+      to: []
+    },
+    
+    // Timeout for each webhook request (in milliseconds)
+    timeout: 10000
+  },
+  
+  // Read-only HTTP API started by the serve command
+  api: {
+    // Address and port to listen on; use 0.0.0.0 to accept connections from other machines
+    host: '127.0.0.1',
+    port: 8080
+  },
+  
+  // Change detection between runs
+  changes: {
+    // Compare each crawl with the previous catalog.json and write changes.json and CHANGES.md
+    enabled: true
+  },
+  
   // Crawling settings
   crawlSettings: {
     // Maximum concurrent requests
@@ -28,8 +203,72 @@ export default {
     // Delay between requests (in milliseconds)
     delay: 500,
     
+    // Save crawler state to disk every N discovered pages
+    checkpointInterval: 10,
+    
+    // Retry the pages, products and assets that failed once more at the end of the run
+    retryFailed: true,
+    
     // User agent to use for requests
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36'
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+    
+    // How pages are fetched: 'browser' renders every page in Chrome; 'http'
+    // fetches the server-rendered HTML and only opens a page in Chrome when
+    // nothing could be extracted from it
+    fetchMode: 'browser'
+  },
+  
+  // Browser tabs. Up to crawlSettings.concurrency tabs are kept open and reused
+  browser: {
+    // Resource types that are never loaded. Images and media must load for
+    // the media found on the network to be recorded
+    blockResourceTypes: ['font'],
+    
+    // Analytics and tracking domains that are never loaded, with their subdomains
+    blockDomains: [
+      'google-analytics.com',
+      'googletagmanager.com',
+      'doubleclick.net',
+      'facebook.net',
+      'connect.facebook.com',
+      'hotjar.com',
+      'clarity.ms',
+      'segment.io',
+      'segment.com',
+      'bat.bing.com',
+      'analytics.tiktok.com',
+      'snap.licdn.com',
+      'nr-data.net'
+    ],
+    
+    // Block every domain except the store and its CDNs (firstPartyDomains)
+    blockThirdParty: false,
+    firstPartyDomains: ['ui.com', 'ubnt.com', 'ubiquiti.com', 'cloudfront.net', 'shopify.com', 'shopifycdn.com']
+  },
+  
+  // Per-host politeness, shared by page visits and asset downloads
+  rateLimit: {
+    // Requests per second allowed to each host (0 for no limit). The delay
+    // above and the robots.txt Crawl-delay still apply to the store itself
+    requestsPerSecond: 2,
+    
+    // Pause after a throttled (429, 503) or failed request (in milliseconds),
+    // doubled on every consecutive failure. Retry-After is honoured when longer
+    backoffBase: 1000,
+    
+    // Longest pause (in milliseconds), also the cap for Retry-After
+    maxBackoff: 60000,
+    
+    // Share of failed requests (0-1) over the last errorWindow requests that
+    // slows a host down; it speeds up again as requests succeed
+    errorThreshold: 0.25,
+    errorWindow: 20,
+    
+    // Largest factor the interval between requests is stretched by
+    maxSlowdown: 8,
+    
+    // Retries of a page answered with a throttling or server error
+    retries: 3
   },
   
   // Product categories to look for
@@ -64,3 +303,28 @@ export default {
     ]
   }
 };
+
+// Named sets of overrides selected with --profile or UBIQUITI_PROFILE. A config
+// file can add its own under "profiles" or replace these
+export const profiles = {
+  // A quick look: 10 pages and their products, without downloading assets
+  quick: {
+    maxPages: 10,
+    media: { reveal: false },
+    downloads: { enabled: false },
+    graph: { crawlRelated: false },
+    crawlSettings: { retryFailed: false }
+  },
+  
+  // Everything: every page, all media and documents, recorded in the database
+  'full-archive': {
+    maxPages: 100000,
+    discovery: { mode: 'both' },
+    media: { reveal: true },
+    downloads: { enabled: true, retries: 5 },
+    documents: { enabled: true },
+    database: { enabled: true },
+    graph: { crawlRelated: true },
+    crawlSettings: { retryFailed: true }
+  }
+};
@@ -0,0 +1,151 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Name of the state file written to the output directory
+ */
+export const STATE_FILE = 'crawl_state.json';
+
+const STATE_VERSION = 1;
+
+/**
+ * Persists the crawler frontier and per-product progress so an interrupted
+ * run can be resumed
+ */
+export class CrawlState {
+  /**
+   * @param {string} outputDir - Output directory the state file lives in
+   */
+  constructor(outputDir) {
+    this.statePath = path.join(outputDir, STATE_FILE);
+    this.startedAt = new Date().toISOString();
+    this.visitedUrls = [];
+    this.urlsToVisit = [];
+    this.productUrls = [];
+    this.relatedProductUrls = [];
+    this.pageCount = 0;
+    this.products = {};
+    this.completed = false;
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Loads a previously saved state file
+   * @returns {Promise<boolean>} True if a state file was found and loaded
+   */
+  async load() {
+    if (!(await fs.pathExists(this.statePath))) {
+      return false;
+    }
+
+    const data = await fs.readJson(this.statePath);
+
+    if (data.version !== STATE_VERSION) {
+      throw new Error(`Unsupported crawl state version ${data.version} in ${this.statePath}`);
+    }
+
+    this.startedAt = data.startedAt;
+    this.visitedUrls = data.visitedUrls || [];
+    this.urlsToVisit = data.urlsToVisit || [];
+    this.productUrls = data.productUrls || [];
+    this.relatedProductUrls = data.relatedProductUrls || [];
+    this.pageCount = data.pageCount || 0;
+    this.products = data.products || {};
+    this.completed = Boolean(data.completed);
+
+    return true;
+  }
+
+  /**
+   * Writes the state file. Saves are serialized and written to a temporary
+   * file first so a crash mid-write never leaves a truncated state behind.
+   * @param {Object} frontier - Current crawler frontier
+   * @param {Set<string>} frontier.visitedUrls - URLs already processed
+   * @param {string[]} frontier.urlsToVisit - URLs still queued
+   * @param {Set<string>} frontier.productUrls - Discovered product URLs
+   * @param {Set<string>} frontier.relatedProductUrls - Product URLs found only through another product's relationships
+   * @param {number} frontier.pageCount - Number of pages processed so far
+   */
+  save({ visitedUrls, urlsToVisit, productUrls, relatedProductUrls, pageCount }) {
+    this.visitedUrls = [...visitedUrls];
+    this.urlsToVisit = [...urlsToVisit];
+    this.productUrls = [...productUrls];
+    this.relatedProductUrls = [...relatedProductUrls];
+    this.pageCount = pageCount;
+
+    const data = {
+      version: STATE_VERSION,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      completed: this.completed,
+      pageCount: this.pageCount,
+      visitedUrls: this.visitedUrls,
+      urlsToVisit: this.urlsToVisit,
+      productUrls: this.productUrls,
+      relatedProductUrls: this.relatedProductUrls,
+      products: this.products
+    };
+
+    this.pendingSave = this.pendingSave.then(async () => {
+      const tempPath = `${this.statePath}.tmp`;
+      await fs.writeJson(tempPath, data, { spaces: 2 });
+      await fs.move(tempPath, this.statePath, { overwrite: true });
+    });
+
+    return this.pendingSave;
+  }
+
+  /**
+   * Checks whether a product has already been fully processed
+   * @param {string} url - URL of the product page
+   * @returns {boolean} True if the product is done
+   */
+  isProductDone(url) {
+    return this.products[url]?.status === 'done';
+  }
+
+  /**
+   * Records a successfully processed product
+   * @param {string} url - URL of the product page
+   * @param {Object} info - Product details to keep with the state
+   * @param {string} info.name - Product name
+   * @param {string} info.category - Product category
+   * @param {string} info.dir - Product directory relative to the output directory
+   * @param {string} info.contentEntry - Section written to all_content.txt
+   */
+  markProductDone(url, { name, category, dir, contentEntry }) {
+    this.products[url] = {
+      status: 'done',
+      name,
+      category,
+      dir,
+      contentEntry,
+      finishedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Records a product that failed to process so it is retried on resume
+   * @param {string} url - URL of the product page
+   * @param {Error} error - Error that caused the failure
+   */
+  markProductFailed(url, error) {
+    this.products[url] = {
+      status: 'failed',
+      error: error.message,
+      failedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Returns the all_content.txt sections of every finished product, in the
+   * order they were completed
+   * @returns {string[]} Content entries
+   */
+  completedContentEntries() {
+    return Object.values(this.products)
+      .filter(product => product.status === 'done')
+      .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+      .map(product => product.contentEntry);
+  }
+}
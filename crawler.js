@@ -1,25 +1,104 @@
 import puppeteer from 'puppeteer';
+import axios from 'axios';
 import * as cheerio from 'cheerio';
 import fs from 'fs-extra';
 import path from 'path';
 import url from 'url';
 import pLimit from 'p-limit';
 
-import config from './config.js';
 import * as utils from './utils.js';
+import { resolveConfig } from './config-loader.js';
 import { ProductParser } from './product-parser.js';
+import { CrawlState } from './crawl-state.js';
+import * as exporter from './exporter.js';
+import * as changeDetector from './change-detector.js';
+import { RobotsRules } from './robots.js';
+import { RateLimiter } from './rate-limiter.js';
+import { PagePool } from './page-pool.js';
+import { RunReport, FAILURE_STAGES, formatRunSummary } from './run-report.js';
+import { fetchSitemapUrls } from './sitemap.js';
+import { regionCurrency } from './regions.js';
+import { DownloadManager } from './download-manager.js';
+import { MediaCapture, extractMediaFromHtml, collectMedia } from './media-capture.js';
+import { appendPriceHistory, PRICE_HISTORY_FILE } from './price-history.js';
+import { CatalogDatabase } from './catalog-database.js';
+import { writeSearchIndex, pdfTextPath, SEARCH_INDEX_FILE } from './search-index.js';
+import { Notifier, detectEvents } from './notifier.js';
+import { readDocument, documentFileName, applyDatasheetSpecifications, DOCUMENT_TYPES } from './pdf-parser.js';
+import { writeProductGraph, FOLLOWED_RELATIONSHIP_TYPES } from './product-graph.js';
+
+/**
+ * Name of the raw HTML snapshot saved with each product
+ */
+export const PAGE_HTML_FILE = 'page.html';
+
+/**
+ * Fallback file name prefix for each asset kind
+ */
+const ASSET_NAME_PREFIXES = {
+  images: 'image',
+  videos: 'video',
+  pdfs: 'document'
+};
+
+/**
+ * Extracts the links of a server-rendered page
+ * @param {string} html - HTML of the page
+ * @param {string} pageUrl - URL of the page, to resolve relative links
+ * @returns {string[]} Absolute URLs
+ */
+const extractPageLinks = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+  const links = [];
+  
+  $('a[href]').each((i, element) => {
+    try {
+      links.push(new URL($(element).attr('href'), pageUrl).href);
+    } catch (error) {
+      // Ignore malformed links
+    }
+  });
+  
+  return links;
+};
 
 /**
  * Main crawler class
  */
 export class UbiquitiCrawler {
-  constructor() {
+  /**
+   * @param {Object} [options] - Crawler options
+   * @param {Object} [options.config] - Config overrides merged over config.js
+   * @param {boolean} [options.resume] - Resume from the state left by a previous run
+   * @param {boolean} [options.update] - Add to the existing output: resume from its state
+   *   when there is one, and otherwise keep all_content.txt and the previous catalogue snapshot
+   * @throws {ConfigError} When the config overrides are invalid
+   */
+  constructor(options = {}) {
+    this.config = resolveConfig([{ source: 'crawler options', values: options.config || {} }]);
     this.visitedUrls = new Set();
     this.productUrls = new Set();
+    this.relatedProductUrls = new Set();
     this.urlsToVisit = [];
-    this.limit = pLimit(config.crawlSettings.concurrency);
+    this.pageCount = 0;
+    this.limit = pLimit(this.config.crawlSettings.concurrency);
     this.browser = null;
+    this.pagePool = null;
+    this.pagePoolOpening = null;
+    this.timings = { http: { pages: 0, ms: 0 }, browser: { pages: 0, ms: 0 }, fallbacks: 0 };
+    this.runReport = new RunReport();
     this.totalContentText = '';
+    this.update = Boolean(options.update);
+    this.resume = this.update || Boolean(options.resume ?? this.config.resume);
+    this.state = null;
+    this.robots = new RobotsRules();
+    this.rateLimiter = new RateLimiter(this.config.rateLimit);
+    this.downloads = new DownloadManager(this.config.outputDir, {
+      ...this.config.downloads,
+      rateLimiter: this.rateLimiter,
+      userAgent: this.config.crawlSettings.userAgent,
+      fileTypes: this.config.fileTypes
+    });
   }
 
   /**
@@ -27,35 +106,133 @@ export class UbiquitiCrawler {
    */
   async init() {
     // Create output directory
-    await utils.ensureDir(config.outputDir);
-    await utils.ensureDir(path.join(config.outputDir, 'products'));
+    await utils.ensureDir(this.config.outputDir);
+    await utils.ensureDir(path.join(this.config.outputDir, 'products'));
     
-    // Create all_content.txt file
-    this.allContentPath = path.join(config.outputDir, 'all_content.txt');
-    await fs.writeFile(this.allContentPath, '', 'utf8');
+    this.allContentPath = path.join(this.config.outputDir, 'all_content.txt');
+    this.state = new CrawlState(this.config.outputDir);
     
-    // Launch browser
-    this.browser = await puppeteer.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    if (this.resume && await this.state.load()) {
+      await this.restoreState();
+    } else if (this.update) {
+      // Without a state to rebuild it from, the combined text is kept as it is
+      // and the snapshot change detection compares against is left alone
+      await fs.ensureFile(this.allContentPath);
+    } else {
+      // Create all_content.txt file
+      await fs.writeFile(this.allContentPath, '', 'utf8');
+      
+      await this.snapshotPreviousCatalog();
+    }
+    
+    await this.downloads.load();
+    
+    if (this.config.discovery.respectRobots) {
+      this.robots = await RobotsRules.fetch(this.config.baseUrl, {
+        userAgent: this.config.crawlSettings.userAgent,
+        timeout: this.config.crawlSettings.timeout
+      });
+    }
+    
+    this.rateLimiter.setMinInterval(this.config.baseUrl, this.requestDelay());
+    
+    // The http fetch mode only starts the browser when a page falls back to it
+    if (this.config.crawlSettings.fetchMode === 'browser') {
+      await this.openPagePool();
+    }
     
     console.log('Crawler initialized.');
   }
 
+  /**
+   * Launches the browser and its pool of tabs the first time they are needed
+   * @returns {Promise<PagePool>} Pool of browser tabs
+   */
+  openPagePool() {
+    if (!this.pagePoolOpening) {
+      this.pagePoolOpening = (async () => {
+        this.browser = await puppeteer.launch({
+          headless: true,
+          args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+        
+        const { blockResourceTypes, blockDomains, blockThirdParty, firstPartyDomains } = this.config.browser;
+        this.pagePool = new PagePool(this.browser, {
+          size: this.config.crawlSettings.concurrency,
+          userAgent: this.config.crawlSettings.userAgent,
+          timeout: this.config.crawlSettings.timeout,
+          blocking: {
+            resourceTypes: blockResourceTypes,
+            domains: blockDomains,
+            thirdParty: blockThirdParty,
+            firstPartyDomains: [new URL(this.config.baseUrl).hostname, ...firstPartyDomains]
+          }
+        });
+        
+        return this.pagePool;
+      })();
+    }
+    
+    return this.pagePoolOpening;
+  }
+
+  /**
+   * Restores the frontier from the loaded state and rebuilds all_content.txt
+   * from the products that were finished, dropping any partially written entry
+   */
+  async restoreState() {
+    this.visitedUrls = new Set(this.state.visitedUrls);
+    this.urlsToVisit = [...this.state.urlsToVisit];
+    this.productUrls = new Set(this.state.productUrls);
+    this.relatedProductUrls = new Set(this.state.relatedProductUrls);
+    this.pageCount = this.state.pageCount;
+    
+    const entries = this.state.completedContentEntries();
+    await fs.writeFile(this.allContentPath, entries.map(entry => entry + '\n').join(''), 'utf8');
+    
+    console.log(`Resuming crawl: ${this.pageCount} pages visited, ${this.urlsToVisit.length} queued, ${entries.length} products already done.`);
+  }
+
+  /**
+   * Writes the current crawler state to disk
+   */
+  async checkpoint() {
+    if (!this.state) {
+      return;
+    }
+    
+    await this.state.save({
+      visitedUrls: this.visitedUrls,
+      urlsToVisit: this.urlsToVisit,
+      productUrls: this.productUrls,
+      relatedProductUrls: this.relatedProductUrls,
+      pageCount: this.pageCount
+    });
+    await this.downloads.save();
+  }
+
   /**
    * Starts the crawling process
    */
   async start() {
-    console.log(`Starting to crawl ${config.baseUrl}`);
+    console.log(`Starting to crawl ${this.config.baseUrl}`);
+    this.startedAt = new Date().toISOString();
     
-    // Add the starting URL to the queue
-    this.urlsToVisit.push(config.baseUrl);
+    const { mode } = this.config.discovery;
     
-    let pageCount = 0;
+    // Seed the crawl, unless we are resuming one
+    if (this.visitedUrls.size === 0 && this.urlsToVisit.length === 0 && this.productUrls.size === 0) {
+      if (mode === 'sitemap' || mode === 'both') {
+        await this.seedFromSitemap();
+      }
+      
+      if (mode === 'links' || mode === 'both') {
+        this.urlsToVisit.push(this.config.baseUrl);
+      }
+    }
     
     // Process URLs until the queue is empty or we reach the maximum page count
-    while (this.urlsToVisit.length > 0 && pageCount < config.maxPages) {
+    while (this.urlsToVisit.length > 0 && this.pageCount < this.config.maxPages) {
       const url = this.urlsToVisit.shift();
       
       // Skip if we've already visited this URL
@@ -69,52 +246,698 @@ export class UbiquitiCrawler {
       // Process the page
       await this.processPage(url);
       
-      pageCount++;
-      console.log(`Processed ${pageCount} pages. Queue size: ${this.urlsToVisit.length}`);
+      this.pageCount++;
+      console.log(`Processed ${this.pageCount} pages. Queue size: ${this.urlsToVisit.length}`);
       
-      // Add a delay to avoid overwhelming the server
-      await new Promise(resolve => setTimeout(resolve, config.crawlSettings.delay));
+      if (this.pageCount % this.config.crawlSettings.checkpointInterval === 0) {
+        await this.checkpoint();
+      }
+    }
+    
+    await this.checkpoint();
+    
+    await this.processPendingProducts();
+    
+    if (this.config.crawlSettings.retryFailed) {
+      await this.retryFailures(this.runReport.deadLetters());
     }
     
-    // Process all discovered product pages
-    console.log(`Found ${this.productUrls.size} product pages. Processing them...`);
+    this.state.completed = true;
+    await this.checkpoint();
     
-    const productPromises = [...this.productUrls].map(url => 
-      this.limit(() => this.processProductPage(url))
-    );
+    await this.exportCatalog();
     
-    await Promise.all(productPromises);
+    if (this.config.search.enabled && this.config.export.productJson) {
+      await this.buildSearchIndex();
+    }
+    
+    const { http, browser, fallbacks } = this.timings;
+    const average = ({ pages, ms }) => (pages > 0 ? Math.round(ms / pages) : 0);
+    console.log(`Pages: ${http.pages} fetched over HTTP (${average(http)}ms on average), ${browser.pages} rendered in the browser (${average(browser)}ms on average), ${fallbacks} fell back to the browser.`);
+    
+    if (this.pagePool) {
+      const tabs = this.pagePool.stats;
+      console.log(`Browser tabs: ${tabs.created} opened, ${tabs.reused} reused, ${tabs.blocked} requests blocked.`);
+    }
+    
+    for (const [host, stats] of Object.entries(this.rateLimiter.stats())) {
+      if (stats.throttled > 0 || stats.errors > 0) {
+        console.log(`${host}: ${stats.requests} requests, ${stats.throttled} throttled, ${stats.errors} failed, ending at one request every ${stats.intervalMs}ms.`);
+      }
+    }
+    
+    await this.writeRunReport();
     
     console.log('Crawling complete.');
     
-    // Close the browser
-    await this.browser.close();
+    await this.close();
   }
 
   /**
-   * Processes a single page
-   * @param {string} url - URL of the page to process
+   * Processes every discovered product page that is not finished yet, then
+   * the products found through their accessory, compatibility and replacement
+   * relationships
+   * @param {Set<string>} [skip] - Product URLs to leave out
    */
-  async processPage(url) {
+  async processPendingProducts(skip = new Set()) {
+    const attempted = new Set(skip);
+    const pending = () => [...this.productUrls].filter(url => !this.state.isProductDone(url) && !attempted.has(url));
+    let pendingProducts = pending();
+    console.log(`Found ${this.productUrls.size} product pages, ${pendingProducts.length} left to process. Processing them...`);
+    
+    while (pendingProducts.length > 0) {
+      pendingProducts.forEach(url => attempted.add(url));
+      
+      const productPromises = pendingProducts.map(url => 
+        this.limit(() => this.processProductPage(url))
+      );
+      
+      await Promise.all(productPromises);
+      
+      pendingProducts = pending();
+      if (pendingProducts.length > 0) {
+        console.log(`Found ${pendingProducts.length} related product pages. Processing them...`);
+      }
+    }
+  }
+
+  /**
+   * Retries failed URLs: pages first, then the new products they lead to,
+   * then products, then assets. Every failure is marked recovered or counts
+   * another attempt in the run report.
+   * @param {Object[]} failures - Ledger entries from the run report
+   */
+  async retryFailures(failures) {
+    if (failures.length === 0) {
+      return;
+    }
+    
+    console.log(`Retrying ${failures.length} failed URL(s)...`);
+    const atStage = stage => failures.filter(failure => failure.stage === stage);
+    
+    for (const failure of atStage(FAILURE_STAGES.PAGE)) {
+      await this.runReport.retry(failure, () => this.processPage(failure.url));
+    }
+    
+    // Products the recovered pages link to; failed products are retried below
+    if (atStage(FAILURE_STAGES.PAGE).length > 0) {
+      await this.processPendingProducts(new Set(atStage(FAILURE_STAGES.PRODUCT).map(failure => failure.url)));
+    }
+    
+    await Promise.all(atStage(FAILURE_STAGES.PRODUCT).map(failure => 
+      this.limit(() => this.runReport.retry(failure, () => this.processProductPage(failure.url)))
+    ));
+    
+    await Promise.all(atStage(FAILURE_STAGES.ASSET).map(failure => 
+      this.runReport.retry(failure, () => this.retryAsset(failure))
+    ));
+    
+    await this.checkpoint();
+    
+    const recovered = failures.filter(failure => failure.recovered).length;
+    console.log(`Recovered ${recovered} of ${failures.length} failed URL(s).`);
+  }
+
+  /**
+   * Downloads an asset that failed before and adds it to its product's
+   * product.json. A retried PDF is read and renamed like the others, but its
+   * text is not added to the product's specifications until the next crawl.
+   * @param {Object} failure - Ledger entry of the asset
+   * @param {string} failure.url - URL of the asset
+   * @param {string} failure.kind - Asset kind
+   * @param {string} failure.dir - Folder the asset is linked into, relative to the output directory
+   * @param {string} failure.name - File name without extension
+   * @param {string} failure.productDir - Product directory, relative to the output directory
+   */
+  async retryAsset({ url, kind, dir, name, productDir }) {
+    const linkPath = await this.downloads.download(url, { kind, dir: path.join(this.config.outputDir, dir), name });
+    
+    if (!linkPath) {
+      this.runReport.recordError(FAILURE_STAGES.ASSET, url, this.downloads.errors.get(url));
+      return;
+    }
+    
+    const absoluteProductDir = path.join(this.config.outputDir, productDir);
+    const recordPath = path.join(absoluteProductDir, exporter.PRODUCT_JSON_FILE);
+    const record = await fs.pathExists(recordPath) ? await fs.readJson(recordPath) : null;
+    let assetPath = this.relativeOutputPath(linkPath);
+    let document = null;
+    
+    if (kind === 'pdfs' && this.config.documents.enabled) {
+      const documents = record?.documents || [];
+      const reservedNames = documents.filter(other => other.url !== url).map(other => path.posix.basename(other.path, path.posix.extname(other.path)));
+      const { text, ...read } = (await this.readDocuments([{ url, linkPath }], reservedNames))[0];
+      document = read;
+      assetPath = document.path;
+    }
+    
+    if (record) {
+      if (!record.assets[kind].includes(assetPath)) {
+        record.assets[kind].push(assetPath);
+      }
+      if (document) {
+        record.documents = [...(record.documents || []).filter(other => other.url !== url), document];
+      }
+      await exporter.writeProductJson(absoluteProductDir, record);
+    }
+  }
+
+  /**
+   * Retries only the URLs a previous run could not process, as listed in the
+   * dead-letter list of its run report, and writes a new report
+   * @param {Object} report - Run report of the previous run
+   * @returns {Promise<Object>} The new run report
+   */
+  async retryFailed(report) {
+    this.runReport = new RunReport({ source: 'retry-failed' });
+    
+    const failures = report.deadLetters.map(({ stage, url, message, attempts, failedAt, ...context }) => {
+      const failure = this.runReport.recordError(stage, url, message, context);
+      failure.attempts = attempts;
+      return failure;
+    });
+    
+    await this.retryFailures(failures);
+    
+    return this.writeRunReport();
+  }
+
+  /**
+   * Writes run-report.json and prints its summary
+   * @returns {Promise<Object>} Report
+   */
+  async writeRunReport() {
+    const products = Object.values(this.state.products);
+    const report = this.runReport.build({
+      pages: { crawled: this.pageCount },
+      products: {
+        discovered: this.productUrls.size,
+        parsed: products.filter(product => product.status === 'done').length
+      },
+      assets: this.downloads.stats,
+      fetch: this.timings,
+      hosts: this.rateLimiter.stats()
+    });
+    
+    const reportPath = await RunReport.write(this.config.outputDir, report);
+    console.log(formatRunSummary(report));
+    console.log(`Run report written to ${reportPath}`);
+    
+    return report;
+  }
+
+  /**
+   * Closes the browser
+   */
+  async close() {
+    // Let a launch in progress finish so its browser is closed too
+    await this.pagePoolOpening?.catch(() => {});
+    this.pagePoolOpening = null;
+    
+    if (this.pagePool) {
+      await this.pagePool.close();
+      this.pagePool = null;
+    }
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+  }
+
+  /**
+   * Returns the delay between requests to the store, honouring the robots.txt Crawl-delay
+   * @returns {number} Delay in milliseconds
+   */
+  requestDelay() {
+    return Math.max(this.config.crawlSettings.delay, (this.robots.crawlDelay || 0) * 1000);
+  }
+
+  /**
+   * Makes a request at the pace set by the rate limiter. Throttling and
+   * server errors are reported to the limiter, which pauses the host, and
+   * retried.
+   * @param {string} url - URL to request
+   * @param {Function} request - Async function making the request and returning { status, retryAfter }
+   * @returns {Promise<Object>} Result of the last attempt
+   * @throws {Error} When the request still fails after the configured retries
+   */
+  async politeRequest(url, request) {
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.acquire(url);
+      
+      let result;
+      try {
+        result = await request();
+      } catch (error) {
+        this.rateLimiter.report(url, { error: true });
+        if (attempt >= this.config.rateLimit.retries) {
+          throw error;
+        }
+        console.log(`Retrying ${url} (${error.message})`);
+        continue;
+      }
+      
+      const pause = this.rateLimiter.report(url, { status: result.status, retryAfter: result.retryAfter });
+      
+      if (pause === 0) {
+        return result;
+      }
+      if (attempt >= this.config.rateLimit.retries) {
+        throw new Error(`Server answered ${result.status} after ${attempt + 1} attempts`);
+      }
+      console.log(`Retrying ${url} in ${pause}ms (status ${result.status})`);
+    }
+  }
+
+  /**
+   * Opens a URL in a page at the pace set by the rate limiter
+   * @param {Object} page - Puppeteer page
+   * @param {string} url - URL to open
+   * @returns {Promise<Object>} Puppeteer response
+   */
+  async navigate(page, url) {
+    const { response } = await this.politeRequest(url, async () => {
+      const response = await page.goto(url, { waitUntil: 'networkidle2' });
+      return { status: response?.status(), retryAfter: response?.headers()['retry-after'], response };
+    });
+    return response;
+  }
+
+  /**
+   * Fetches the server-rendered HTML of a page without the browser
+   * @param {string} url - URL of the page
+   * @returns {Promise<string|null>} HTML, or null when the response is not a successful HTML page
+   */
+  async fetchHtml(url) {
+    const { status, contentType, html } = await this.politeRequest(url, async () => {
+      const response = await axios.get(url, {
+        responseType: 'text',
+        headers: { 'User-Agent': this.config.crawlSettings.userAgent },
+        timeout: this.config.crawlSettings.timeout,
+        validateStatus: () => true
+      });
+      return {
+        status: response.status,
+        retryAfter: response.headers['retry-after'],
+        contentType: String(response.headers['content-type'] || ''),
+        html: response.data
+      };
+    });
+    
+    return status >= 200 && status < 300 && contentType.includes('html') ? html : null;
+  }
+
+  /**
+   * Adds the time a page took to the timing stats
+   * @param {string} mode - 'http' or 'browser'
+   * @param {number} startedAt - When fetching the page started, from Date.now()
+   */
+  recordTiming(mode, startedAt) {
+    this.timings[mode].pages++;
+    this.timings[mode].ms += Date.now() - startedAt;
+  }
+
+  /**
+   * Enumerates products and collections from the store's sitemap, following
+   * nested sitemap indexes. Uses the configured sitemap, then the sitemaps
+   * listed in robots.txt, then /sitemap.xml.
+   */
+  async seedFromSitemap() {
+    let sitemapUrls = [this.config.discovery.sitemapUrl];
+    
+    if (!sitemapUrls[0]) {
+      sitemapUrls = this.robots.sitemaps.length > 0
+        ? this.robots.sitemaps
+        : [new URL('/sitemap.xml', this.config.baseUrl).href];
+    }
+    
+    const pageUrls = await fetchSitemapUrls(sitemapUrls, {
+      userAgent: this.config.crawlSettings.userAgent,
+      timeout: this.config.crawlSettings.timeout
+    });
+    
+    for (const pageUrl of pageUrls) {
+      this.queueLink(pageUrl);
+    }
+    
+    console.log(`Sitemap listed ${pageUrls.length} URLs: ${this.productUrls.size} products, ${this.urlsToVisit.length} pages queued.`);
+  }
+
+  /**
+   * Sorts a discovered link into the product set or the page queue
+   * @param {string} link - Absolute URL
+   */
+  queueLink(link) {
+    // Skip external links
+    if (!link.startsWith(this.config.baseUrl)) {
+      return;
+    }
+    
+    // Skip excluded patterns
+    if (this.config.patterns.exclude.some(pattern => link.includes(pattern))) {
+      return;
+    }
+    
+    // Skip pages the site asks crawlers to stay away from
+    if (!this.robots.isAllowed(link)) {
+      return;
+    }
+    
+    // Check if this looks like a product page
+    if (link.includes('/products/')) {
+      this.productUrls.add(link);
+      return;
+    }
+    
+    // Sitemap-only crawls never follow links between pages
+    if (this.config.discovery.mode === 'sitemap') {
+      return;
+    }
+    
+    // If the link matches an include pattern, add it to the queue
+    if (this.config.patterns.include.some(pattern => link.includes(pattern))) {
+      if (!this.visitedUrls.has(link) && !this.urlsToVisit.includes(link)) {
+        this.urlsToVisit.push(link);
+      }
+    }
+  }
+
+  /**
+   * Returns the product URLs that failed in this run or a resumed one
+   * @returns {string[]} URLs of failed products
+   */
+  failedProductUrls() {
+    return Object.entries(this.state.products)
+      .filter(([, product]) => product.status === 'failed')
+      .map(([productUrl]) => productUrl);
+  }
+
+  /**
+   * Aggregates the product.json files of every finished product into the
+   * catalogue formats selected in the config, then builds the relationship
+   * graph, price history, database, change report and notifications from
+   * them. Without product.json files none of these can be built.
+   */
+  async exportCatalog() {
+    const formats = this.config.export.formats;
+    
+    if (!this.config.export.productJson) {
+      console.log('export.productJson is off: skipping the catalogue, relationship graph, price history, database, change report and notifications, which are built from product.json.');
+      return;
+    }
+    
+    const productDirs = Object.values(this.state.products)
+      .filter(product => product.status === 'done')
+      .map(product => product.dir);
+    
+    const records = await exporter.loadProductRecords(this.config.outputDir, productDirs);
+    
+    if (formats.length > 0) {
+      const written = await exporter.writeCatalog(records, this.config.outputDir, formats);
+      console.log(`Exported ${records.length} products to ${written.join(', ')}`);
+    }
+    
+    if (this.config.graph.formats.length > 0) {
+      const { graph, written: graphFiles } = await writeProductGraph(records, this.config.outputDir, this.config.graph.formats);
+      console.log(`Wrote the relationship graph of ${graph.nodes.length} products and ${graph.edges.length} relationships to ${graphFiles.join(', ')}`);
+    }
+    
+    if (this.config.priceHistory.enabled) {
+      const appended = await appendPriceHistory(this.config.outputDir, records);
+      console.log(`Recorded ${appended} prices in ${PRICE_HISTORY_FILE}`);
+    }
+    
+    if (this.config.database.enabled) {
+      await this.writeDatabase(records);
+    }
+    
+    if (this.config.changes.enabled) {
+      await this.reportChanges(records);
+    }
+    
+    if (this.config.notifications.enabled) {
+      await this.sendNotifications(records);
+    }
+  }
+
+  /**
+   * Reports stock, price and SKU changes since the previous run to the
+   * configured webhooks and email addresses
+   * @param {Object[]} records - Product records of the current run
+   */
+  async sendNotifications(records) {
+    const previousPath = path.join(this.config.outputDir, changeDetector.PREVIOUS_CATALOG_FILE);
+    
+    if (!(await fs.pathExists(previousPath))) {
+      console.log('No previous catalogue found, skipping notifications.');
+      return;
+    }
+    
+    const notifier = new Notifier(this.config.notifications);
+    const { events, sent, failed } = await notifier.notify(detectEvents(await fs.readJson(previousPath), records));
+    
+    console.log(`Notifications: ${events.length} changes reported, ${sent} sent, ${failed} failed.`);
+  }
+
+  /**
+   * Indexes the finished products for the search command
+   */
+  async buildSearchIndex() {
+    const productDirs = Object.values(this.state.products)
+      .filter(product => product.status === 'done')
+      .map(product => product.dir);
+    
+    const index = await writeSearchIndex(this.config.outputDir, productDirs);
+    
+    console.log(`Indexed ${index.documents.length} products in ${SEARCH_INDEX_FILE}`);
+  }
+
+  /**
+   * Records this run and its products in the SQLite database
+   * @param {Object[]} records - Product records of the run
+   */
+  async writeDatabase(records) {
+    const database = await CatalogDatabase.open(path.join(this.config.outputDir, this.config.database.file));
+    
     try {
-      console.log(`Processing page: ${url}`);
+      const runId = database.recordRun({
+        source: 'crawl',
+        startedAt: this.startedAt,
+        baseUrl: this.config.baseUrl,
+        region: this.config.region,
+        failedCount: this.failedProductUrls().length
+      }, records, [...this.downloads.assets.values()]);
+      await database.save();
       
-      const page = await this.browser.newPage();
+      console.log(`Recorded run ${runId} in ${database.filePath}`);
+    } finally {
+      database.close();
+    }
+  }
+
+  /**
+   * Keeps a copy of the last run's catalogue so the new scrape can be
+   * compared against it once the crawl finishes. When catalog.json is not
+   * among the export formats, the catalogue is rebuilt from the product.json
+   * files of the products the last run's state lists as done. Products the
+   * last run could not check keep the record it was compared with.
+   */
+  async snapshotPreviousCatalog() {
+    const catalogPath = path.join(this.config.outputDir, exporter.CATALOG_FILES.json);
+    const previousPath = path.join(this.config.outputDir, changeDetector.PREVIOUS_CATALOG_FILE);
+    const changesPath = path.join(this.config.outputDir, changeDetector.CHANGES_FILE);
+    const previousState = new CrawlState(this.config.outputDir);
+    let records = null;
+    
+    if (this.config.export.formats.includes('json')) {
+      if (await fs.pathExists(catalogPath)) {
+        records = await fs.readJson(catalogPath);
+      }
+    } else if (this.config.export.productJson && await previousState.load()) {
+      const productDirs = Object.values(previousState.products)
+        .filter(product => product.status === 'done')
+        .map(product => product.dir);
       
-      // Set user agent
-      await page.setUserAgent(config.crawlSettings.userAgent);
+      records = await exporter.loadProductRecords(this.config.outputDir, productDirs);
+    }
+    
+    if (!records) {
+      return;
+    }
+    
+    if (this.config.changes.enabled && await fs.pathExists(previousPath) && await fs.pathExists(changesPath)) {
+      records = changeDetector.carryOverUnchecked(records, await fs.readJson(previousPath), await fs.readJson(changesPath));
+    }
+    
+    await fs.writeJson(previousPath, records, { spaces: 2 });
+  }
+
+  /**
+   * Compares the current scrape with the previous run and writes changes.json
+   * and CHANGES.md
+   * @param {Object[]} records - Product records of the current run
+   */
+  async reportChanges(records) {
+    const previousPath = path.join(this.config.outputDir, changeDetector.PREVIOUS_CATALOG_FILE);
+    
+    if (!(await fs.pathExists(previousPath))) {
+      console.log('No previous catalogue found, skipping change detection.');
+      return;
+    }
+    
+    const previous = await fs.readJson(previousPath);
+    
+    // Products that failed, or were not reached because discovery stopped at
+    // maxPages, may still be in the store
+    const discoveryComplete = this.urlsToVisit.length === 0;
+    const unchecked = previous
+      .map(record => record.url)
+      .filter(productUrl => !this.state.isProductDone(productUrl) && (!discoveryComplete || this.productUrls.has(productUrl)));
+    
+    const report = changeDetector.diffCatalogs(previous, records, { unchecked });
+    await changeDetector.writeChangeReport(report, this.config.outputDir);
+    
+    const { summary } = report;
+    console.log(`Changes since last run: ${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ${summary.unchecked} not checked.`);
+  }
+
+  /**
+   * Converts a path inside the output directory to a relative, forward-slash path
+   * @param {string} filePath - Path inside the output directory
+   * @returns {string} Relative path
+   */
+  relativeOutputPath(filePath) {
+    return path.relative(this.config.outputDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Downloads the images, videos and PDFs of a product into the product
+   * folder, named after the file names in their URLs. PDFs are then read and
+   * renamed after their kind when documents are enabled.
+   * @param {Object[]} media - Media to download as { url, kind }
+   * @param {string} productDir - Product directory
+   * @returns {Promise<Object>} { assets, documents } where assets holds the paths of the
+   *   downloaded assets, relative to the output directory, keyed by kind
+   */
+  async downloadAssets(media, productDir) {
+    const assets = {};
+    let documents = [];
+    
+    for (const kind of Object.keys(this.config.fileTypes)) {
+      const links = media.filter(item => item.kind === kind).map(item => item.url);
+      const names = utils.assetFileNames(links, ASSET_NAME_PREFIXES[kind] || 'file');
       
-      // Set timeout
-      await page.setDefaultNavigationTimeout(config.crawlSettings.timeout);
+      const paths = await Promise.all(links.map((link, i) => this.downloads.download(link, {
+        kind,
+        dir: path.join(productDir, kind),
+        name: names[i]
+      })));
       
-      // Navigate to URL
-      await page.goto(url, { waitUntil: 'networkidle2' });
+      links.forEach((link, i) => {
+        if (!paths[i]) {
+          this.runReport.recordError(FAILURE_STAGES.ASSET, link, this.downloads.errors.get(link), {
+            kind,
+            dir: this.relativeOutputPath(path.join(productDir, kind)),
+            name: names[i],
+            productDir: this.relativeOutputPath(productDir)
+          });
+        }
+      });
       
-      // Get page content
-      const html = await page.content();
+      if (kind === 'pdfs' && this.config.documents.enabled) {
+        documents = await this.readDocuments(
+          links.map((link, i) => ({ url: link, linkPath: paths[i] })).filter(pdf => pdf.linkPath)
+        );
+        assets[kind] = documents.map(document => document.path);
+      } else {
+        assets[kind] = paths.filter(Boolean).map(assetPath => this.relativeOutputPath(assetPath));
+      }
+      console.log(`Downloaded ${assets[kind].length} of ${links.length} ${kind}`);
+    }
+    
+    return { assets, documents };
+  }
+
+  /**
+   * Extracts the text of downloaded PDFs into .txt files and renames each
+   * PDF after its kind, or its title for other documents
+   * @param {Object[]} pdfs - Downloaded PDFs as { url, linkPath }, all in one folder
+   * @param {string[]} [reservedNames] - File names without extension already used by documents in the folder
+   * @returns {Promise<Object[]>} Documents as { path, url, type, title, pageCount, textPath, text }
+   *   with paths relative to the output directory; textPath is null when the PDF could not be read
+   */
+  async readDocuments(pdfs, reservedNames = []) {
+    const read = [];
+    
+    for (const pdf of pdfs) {
+      const document = await readDocument(pdf.linkPath, pdf.url);
+      if (document.error) {
+        console.error(`Error reading PDF ${pdf.url}:`, document.error);
+      }
+      read.push({ ...pdf, ...document });
+    }
+    
+    const assigned = new Set(reservedNames.map(name => name.toLowerCase()));
+    const documents = [];
+    
+    for (const [i, document] of read.entries()) {
+      const extension = path.extname(document.linkPath);
+      const currentName = path.basename(document.linkPath, extension);
+      
+      // Keep clear of the names of documents not renamed yet
+      const pending = read.slice(i + 1).map(other => path.basename(other.linkPath, path.extname(other.linkPath)).toLowerCase());
+      const name = documentFileName(document, currentName, new Set([...assigned, ...pending]));
+      assigned.add(name.toLowerCase());
+      
+      const linkPath = await this.downloads.rename(document.linkPath, path.join(path.dirname(document.linkPath), name + extension));
+      let textPath = null;
+      
+      if (!document.error) {
+        textPath = pdfTextPath(linkPath);
+        if (textPath !== pdfTextPath(document.linkPath)) {
+          await fs.move(pdfTextPath(document.linkPath), textPath, { overwrite: true });
+        }
+      }
       
-      // Extract links
-      const links = await page.evaluate(() => {
+      documents.push({
+        path: this.relativeOutputPath(linkPath),
+        url: document.url,
+        type: document.type,
+        title: document.title,
+        pageCount: document.pageCount,
+        textPath: textPath && this.relativeOutputPath(textPath),
+        text: document.text
+      });
+    }
+    
+    return documents;
+  }
+
+  /**
+   * Collects the links of a page, over HTTP in the http fetch mode and in the
+   * browser otherwise or when the HTML has no links
+   * @param {string} url - URL of the page
+   * @returns {Promise<string[]>} Absolute URLs
+   */
+  async loadPageLinks(url) {
+    if (this.config.crawlSettings.fetchMode === 'http') {
+      const startedAt = Date.now();
+      const html = await this.fetchHtml(url);
+      const links = html ? extractPageLinks(html, url) : [];
+      this.recordTiming('http', startedAt);
+      
+      if (links.length > 0) {
+        return links;
+      }
+      this.timings.fallbacks++;
+    }
+    
+    const startedAt = Date.now();
+    const pagePool = await this.openPagePool();
+    const links = await pagePool.use(async page => {
+      await this.navigate(page, url);
+      
+      return page.evaluate(() => {
         const urls = [];
         const linkElements = document.querySelectorAll('a');
         
@@ -126,37 +949,104 @@ export class UbiquitiCrawler {
         
         return urls;
       });
+    });
+    this.recordTiming('browser', startedAt);
+    
+    return links;
+  }
+
+  /**
+   * Processes a single page
+   * @param {string} url - URL of the page to process
+   */
+  async processPage(url) {
+    if (!this.robots.isAllowed(url)) {
+      console.log(`Skipping page disallowed by robots.txt: ${url}`);
+      return;
+    }
+    
+    try {
+      console.log(`Processing page: ${url}`);
       
-      // Process links
-      for (const link of links) {
-        // Skip external links
-        if (!link.startsWith(config.baseUrl)) {
-          continue;
-        }
+      for (const link of await this.loadPageLinks(url)) {
+        this.queueLink(link);
+      }
+    } catch (error) {
+      console.error(`Error processing page ${url}:`, error.message);
+      this.runReport.recordError(FAILURE_STAGES.PAGE, url, error);
+    }
+  }
+
+  /**
+   * Parses a product page's HTML
+   * @param {string} html - HTML of the page
+   * @param {string} url - URL of the product page
+   * @returns {Object} Product information from ProductParser
+   */
+  parseProduct(html, url) {
+    return ProductParser.extractProductInfo(html, url, {
+      defaultCurrency: this.config.region ? regionCurrency(this.config.region) : undefined
+    });
+  }
+
+  /**
+   * Loads a product page and finds its media. In the http fetch mode the
+   * server-rendered HTML is used when a product name can be read from it;
+   * otherwise the page is rendered in the browser, screenshotted, and
+   * scrolled through so lazy-loaded media is recorded.
+   * @param {string} url - URL of the product page
+   * @returns {Promise<Object>} { html, product, media, screenshot } where screenshot is
+   *   PNG data, or null for pages fetched over HTTP
+   */
+  async loadProductPage(url) {
+    if (this.config.crawlSettings.fetchMode === 'http') {
+      const startedAt = Date.now();
+      const html = await this.fetchHtml(url);
+      const product = html ? this.parseProduct(html, url) : null;
+      this.recordTiming('http', startedAt);
+      
+      if (product && product.name !== 'Unknown Product') {
+        const media = collectMedia(extractMediaFromHtml(html, url, this.config.fileTypes), this.config.fileTypes);
+        return { html, product, media, screenshot: null };
+      }
+      this.timings.fallbacks++;
+    }
+    
+    const startedAt = Date.now();
+    const pagePool = await this.openPagePool();
+    const loaded = await pagePool.use(async page => {
+      // Record the media the page loads, including lazy-loaded and injected files
+      const capture = new MediaCapture(page, this.config.media);
+      
+      try {
+        await this.navigate(page, url);
+        const pageUrl = page.url();
+        const html = await page.content();
+        const product = this.parseProduct(html, url);
         
-        // Skip excluded patterns
-        if (config.patterns.exclude.some(pattern => link.includes(pattern))) {
-          continue;
-        }
+        const screenshot = await page.screenshot({ fullPage: false });
         
-        // Check if this looks like a product page
-        if (link.includes('/products/')) {
-          this.productUrls.add(link);
-          continue;
+        // Scroll and open the gallery so lazy-loaded media is requested, then
+        // combine the media in the page with the media seen on the network
+        if (this.config.media.reveal) {
+          await capture.reveal(this.config.media);
         }
         
-        // If the link matches an include pattern, add it to the queue
-        if (config.patterns.include.some(pattern => link.includes(pattern))) {
-          if (!this.visitedUrls.has(link) && !this.urlsToVisit.includes(link)) {
-            this.urlsToVisit.push(link);
-          }
-        }
+        // A gallery click that navigated away leaves the original HTML as the only source
+        const revealedHtml = page.url() === pageUrl ? await page.content() : html;
+        const media = collectMedia(
+          [...extractMediaFromHtml(revealedHtml, pageUrl, this.config.fileTypes), ...capture.candidates()],
+          this.config.fileTypes
+        );
+        
+        return { html, product, media, screenshot };
+      } finally {
+        capture.stop();
       }
-      
-      await page.close();
-    } catch (error) {
-      console.error(`Error processing page ${url}:`, error.message);
-    }
+    });
+    this.recordTiming('browser', startedAt);
+    
+    return loaded;
   }
 
   /**
@@ -167,28 +1057,26 @@ export class UbiquitiCrawler {
     try {
       console.log(`Processing product page: ${url}`);
       
-      const page = await this.browser.newPage();
-      
-      // Set user agent
-      await page.setUserAgent(config.crawlSettings.userAgent);
-      
-      // Set timeout
-      await page.setDefaultNavigationTimeout(config.crawlSettings.timeout);
-      
-      // Navigate to URL
-      await page.goto(url, { waitUntil: 'networkidle2' });
+      const loaded = await this.loadProductPage(url);
+      const { html, media, screenshot } = loaded;
+      let { product } = loaded;
       
-      // Get page content
-      const html = await page.content();
-      
-      // Extract product information using the ProductParser
-      const product = ProductParser.extractProductInfo(html, url);
-      
-      // Generate markdown content
-      const markdownContent = ProductParser.toMarkdown(product);
+      // Queue the accessories, compatible devices and replaced models it links
+      // to, one level deep: the relationships of products found this way are
+      // not followed
+      if (this.config.graph.crawlRelated && !this.relatedProductUrls.has(url)) {
+        for (const relationship of product.relationships) {
+          if (FOLLOWED_RELATIONSHIP_TYPES.includes(relationship.type) && !this.productUrls.has(relationship.url)) {
+            this.queueLink(relationship.url);
+            if (this.productUrls.has(relationship.url)) {
+              this.relatedProductUrls.add(relationship.url);
+            }
+          }
+        }
+      }
       
       // Determine product category
-      const category = utils.determineCategory(product.name, url, config.categories);
+      const category = utils.determineCategory(product.name, url, this.config.categories);
       
       // Sanitize names for use in paths
       const sanitizedCategory = utils.sanitizeName(category);
@@ -196,7 +1084,7 @@ export class UbiquitiCrawler {
       
       // Create product directory
       const productDir = path.join(
-        config.outputDir, 
+        this.config.outputDir, 
         'products', 
         sanitizedCategory, 
         sanitizedProduct
@@ -207,71 +1095,58 @@ export class UbiquitiCrawler {
       await utils.ensureDir(path.join(productDir, 'videos'));
       await utils.ensureDir(path.join(productDir, 'pdfs'));
       
-      // Save product information
-      await fs.writeFile(path.join(productDir, 'product_info.md'), markdownContent, 'utf8');
-      
-      // Append to all_content.txt
-      const allContentEntry = `
-====================================
-${category} - ${product.name}
-====================================
-${product.description}
-
-Price: ${product.price}
-
-Features:
-${product.features.map(feature => `- ${feature}`).join('\n')}
-
-URL: ${url}
-====================================
-`;
-      await utils.appendToFile(this.allContentPath, allContentEntry);
-      
-      // Take a screenshot of the product page
-      await page.screenshot({ 
-        path: path.join(productDir, 'screenshot.png'),
-        fullPage: false 
-      });
-      
-      // Extract and download images
-      const imageLinks = utils.extractLinks(html, config.fileTypes.images, url);
+      // Save the raw page so it can be re-parsed later
+      await fs.writeFile(path.join(productDir, PAGE_HTML_FILE), html, 'utf8');
       
-      for (let i = 0; i < imageLinks.length; i++) {
-        const imageUrl = imageLinks[i];
-        const imageName = `image_${i + 1}${path.extname(imageUrl)}`;
-        const imagePath = path.join(productDir, 'images', imageName);
-        
-        await utils.downloadFile(imageUrl, imagePath);
-        console.log(`Downloaded image: ${imageName}`);
+      // Save the screenshot of the product page
+      const screenshotPath = screenshot ? path.join(productDir, 'screenshot.png') : null;
+      if (screenshotPath) {
+        await fs.writeFile(screenshotPath, screenshot);
       }
       
-      // Extract and download videos
-      const videoLinks = utils.extractLinks(html, config.fileTypes.videos, url);
+      // Download images, videos and PDFs
+      const { assets, documents } = this.config.downloads.enabled
+        ? await this.downloadAssets(media, productDir)
+        : { assets: {}, documents: [] };
       
-      for (let i = 0; i < videoLinks.length; i++) {
-        const videoUrl = videoLinks[i];
-        const videoName = `video_${i + 1}${path.extname(videoUrl)}`;
-        const videoPath = path.join(productDir, 'videos', videoName);
-        
-        await utils.downloadFile(videoUrl, videoPath);
-        console.log(`Downloaded video: ${videoName}`);
+      // Complete the specifications from the datasheets
+      const datasheetTexts = documents.filter(document => document.type === DOCUMENT_TYPES.DATASHEET).map(document => document.text);
+      product = applyDatasheetSpecifications(product, datasheetTexts);
+      if (this.config.documents.enabled) {
+        product.documents = documents.map(({ text, ...document }) => document);
       }
       
-      // Extract and download PDFs
-      const pdfLinks = utils.extractLinks(html, config.fileTypes.pdfs, url);
+      // Save product information
+      await fs.writeFile(path.join(productDir, 'product_info.md'), ProductParser.toMarkdown(product), 'utf8');
       
-      for (let i = 0; i < pdfLinks.length; i++) {
-        const pdfUrl = pdfLinks[i];
-        const pdfName = `document_${i + 1}${path.extname(pdfUrl)}`;
-        const pdfPath = path.join(productDir, 'pdfs', pdfName);
-        
-        await utils.downloadFile(pdfUrl, pdfPath);
-        console.log(`Downloaded PDF: ${pdfName}`);
+      const allContentEntry = ProductParser.toPlainText(product, category, datasheetTexts);
+      
+      // Save the machine-readable product record
+      if (this.config.export.productJson) {
+        const record = exporter.buildProductRecord(product, {
+          category,
+          region: this.config.region,
+          assets,
+          screenshot: screenshotPath ? this.relativeOutputPath(screenshotPath) : null
+        });
+        await exporter.writeProductJson(productDir, record);
       }
       
-      await page.close();
+      // Append to all_content.txt only once the product is complete, so a
+      // resumed run never writes the same product twice
+      await utils.appendToFile(this.allContentPath, allContentEntry);
+      
+      this.state.markProductDone(url, {
+        name: product.name,
+        category,
+        dir: this.relativeOutputPath(productDir),
+        contentEntry: allContentEntry
+      });
+      await this.checkpoint();
     } catch (error) {
       console.error(`Error processing product page ${url}:`, error.message);
+      this.state.markProductFailed(url, error);
+      this.runReport.recordError(FAILURE_STAGES.PRODUCT, url, error);
     }
   }
 }
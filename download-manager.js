@@ -0,0 +1,406 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import pLimit from 'p-limit';
+
+import { downloadFile } from './utils.js';
+
+/**
+ * Name of the asset manifest written to the output directory
+ */
+export const ASSETS_MANIFEST_FILE = 'assets.json';
+
+/**
+ * Folder of the output directory holding one copy of every distinct file
+ */
+export const ASSET_STORE_DIR = 'assets';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * MIME types accepted for each asset kind
+ */
+const KIND_MIME_TYPES = {
+  images: /^image\//,
+  videos: /^video\//,
+  pdfs: /^application\/(x-)?pdf$/
+};
+
+/**
+ * Generic MIME types some CDNs send; accepted when the URL extension matches the kind
+ */
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * File extension for each MIME type
+ */
+export const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov',
+  'application/pdf': '.pdf',
+  'application/x-pdf': '.pdf'
+};
+
+/**
+ * HTTP statuses worth retrying
+ */
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Classifies a response by its MIME type
+ * @param {string} mimeType - MIME type without parameters
+ * @returns {string|null} Asset kind (images, videos or pdfs), or null for other types
+ */
+export const kindForMimeType = (mimeType) => (
+  Object.keys(KIND_MIME_TYPES).find(kind => KIND_MIME_TYPES[kind].test(mimeType)) || null
+);
+
+/**
+ * Computes the SHA-256 of a file
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  return hash.digest('hex');
+};
+
+/**
+ * Returns the extension of a URL path, without the query string
+ * @param {string} url - URL
+ * @returns {string} Lower-case extension including the dot, or an empty string
+ */
+export const urlExtension = (url) => {
+  try {
+    return path.extname(new URL(url).pathname).toLowerCase();
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Checks whether a download failure is worth retrying
+ * @param {Error} error - Error thrown by downloadFile
+ * @returns {boolean} True for network errors, timeouts and throttling or server errors
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return status ? RETRYABLE_STATUSES.includes(status) : !error.permanent;
+};
+
+/**
+ * Reads the entries of assets.json
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<Object[]>} Manifest entries, or an empty array without a usable manifest
+ */
+export const loadAssetManifest = async (outputDir) => {
+  const manifestPath = path.join(outputDir, ASSETS_MANIFEST_FILE);
+
+  if (!(await fs.pathExists(manifestPath))) {
+    return [];
+  }
+
+  const manifest = await fs.readJson(manifestPath);
+
+  if (manifest.version !== MANIFEST_VERSION) {
+    console.log(`Ignoring ${manifestPath}: unsupported version ${manifest.version}`);
+    return [];
+  }
+
+  return manifest.assets;
+};
+
+/**
+ * Downloads product assets with bounded concurrency, retries, content-type
+ * checks and conditional requests. Every distinct file is stored once under
+ * assets/ (named by its SHA-256) and linked into each product folder that
+ * uses it. assets.json records every downloaded URL.
+ */
+export class DownloadManager {
+  /**
+   * @param {string} outputDir - Output directory
+   * @param {Object} options - Download settings
+   * @param {number} options.concurrency - Maximum parallel downloads
+   * @param {number} options.retries - Retries after the first attempt
+   * @param {number} options.retryDelay - Delay before the first retry in milliseconds, doubled on every retry
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {string} options.userAgent - User agent to send
+   * @param {Object} options.fileTypes - Allowed extensions per asset kind
+   * @param {Object} [options.rateLimiter] - RateLimiter shared with the crawler; it paces retries instead of retryDelay
+   */
+  constructor(outputDir, { concurrency, retries, retryDelay, timeout, userAgent, fileTypes, rateLimiter = null }) {
+    this.outputDir = outputDir;
+    this.manifestPath = path.join(outputDir, ASSETS_MANIFEST_FILE);
+    this.limit = pLimit(concurrency);
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.userAgent = userAgent;
+    this.fileTypes = fileTypes;
+    this.rateLimiter = rateLimiter;
+    this.assets = new Map();
+    this.inFlight = new Map();
+    this.errors = new Map();
+    this.pendingSave = Promise.resolve();
+    this.stats = { downloaded: 0, unchanged: 0, reused: 0, failed: 0, bytes: 0 };
+  }
+
+  /**
+   * Loads the manifest of a previous run so unchanged files are not downloaded again
+   */
+  async load() {
+    for (const entry of await loadAssetManifest(this.outputDir)) {
+      this.assets.set(entry.url, entry);
+    }
+  }
+
+  /**
+   * Writes assets.json. Saves are serialized and atomic.
+   * @returns {Promise<void>}
+   */
+  save() {
+    const manifest = {
+      version: MANIFEST_VERSION,
+      updatedAt: new Date().toISOString(),
+      assets: [...this.assets.values()].sort((a, b) => a.url.localeCompare(b.url))
+    };
+
+    this.pendingSave = this.pendingSave.then(async () => {
+      const tempPath = `${this.manifestPath}.tmp`;
+      await fs.writeJson(tempPath, manifest, { spaces: 2 });
+      await fs.move(tempPath, this.manifestPath, { overwrite: true });
+    });
+
+    return this.pendingSave;
+  }
+
+  /**
+   * Downloads an asset and links it into a product folder
+   * @param {string} url - URL of the asset
+   * @param {Object} target - Where to link the file
+   * @param {string} target.kind - Asset kind (images, videos or pdfs)
+   * @param {string} target.dir - Product folder for this kind of asset
+   * @param {string} target.name - File name without extension
+   * @returns {Promise<string|null>} Path of the linked file, or null if the download failed.
+   *   The error of a failed download is kept in errors, keyed by URL.
+   */
+  async download(url, { kind, dir, name }) {
+    try {
+      const entry = await this.fetch(url, kind);
+      const linkPath = path.join(dir, name + path.extname(entry.path));
+
+      await this.link(path.join(this.outputDir, entry.path), linkPath);
+
+      const relativeLink = path.relative(this.outputDir, linkPath).split(path.sep).join('/');
+      if (!entry.links.includes(relativeLink)) {
+        entry.links.push(relativeLink);
+      }
+
+      this.errors.delete(url);
+      return linkPath;
+    } catch (error) {
+      this.stats.failed++;
+      this.errors.set(url, error);
+      // Forget the failed attempt so a later download of the URL tries again
+      this.inFlight.delete(url);
+      console.error(`Error downloading file from ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Moves a linked file to a new name, replacing any file there, and updates
+   * the links recorded in the manifest
+   * @param {string} linkPath - Current path of the linked file
+   * @param {string} newLinkPath - New path
+   * @returns {Promise<string>} The new path
+   */
+  async rename(linkPath, newLinkPath) {
+    if (linkPath === newLinkPath) {
+      return newLinkPath;
+    }
+
+    await fs.move(linkPath, newLinkPath, { overwrite: true });
+
+    const toRelative = filePath => path.relative(this.outputDir, filePath).split(path.sep).join('/');
+    const oldLink = toRelative(linkPath);
+    const newLink = toRelative(newLinkPath);
+
+    for (const entry of this.assets.values()) {
+      // The replaced file, if any, is no longer a link of its asset
+      entry.links = entry.links.filter(link => link !== newLink);
+      const index = entry.links.indexOf(oldLink);
+      if (index !== -1) {
+        entry.links[index] = newLink;
+      }
+    }
+
+    return newLinkPath;
+  }
+
+  /**
+   * Fetches an asset into the shared store once per run, however many
+   * products use it
+   * @param {string} url - URL of the asset
+   * @param {string} kind - Asset kind
+   * @returns {Promise<Object>} Manifest entry
+   */
+  fetch(url, kind) {
+    if (!this.inFlight.has(url)) {
+      this.inFlight.set(url, this.limit(() => this.fetchWithRetries(url, kind)));
+    } else {
+      this.stats.reused++;
+    }
+
+    return this.inFlight.get(url);
+  }
+
+  /**
+   * Fetches an asset, retrying with exponential backoff, or at the pace of
+   * the rate limiter when there is one
+   * @param {string} url - URL of the asset
+   * @param {string} kind - Asset kind
+   * @returns {Promise<Object>} Manifest entry
+   */
+  async fetchWithRetries(url, kind) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchOnce(url, kind);
+      } catch (error) {
+        if (attempt >= this.retries || !isRetryable(error)) {
+          throw error;
+        }
+
+        // The rate limiter has already paused the host for this failure
+        if (this.rateLimiter) {
+          console.log(`Retrying ${url} (${error.message})`);
+          continue;
+        }
+
+        const delay = this.retryDelay * 2 ** attempt;
+        console.log(`Retrying ${url} in ${delay}ms (${error.message})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Makes one download attempt, skipping the body when the server reports the
+   * file unchanged since the last run
+   * @param {string} url - URL of the asset
+   * @param {string} kind - Asset kind
+   * @returns {Promise<Object>} Manifest entry
+   */
+  async fetchOnce(url, kind) {
+    const previous = this.assets.get(url);
+    const headers = { 'User-Agent': this.userAgent };
+
+    if (previous && await fs.pathExists(path.join(this.outputDir, previous.path))) {
+      if (previous.etag) {
+        headers['If-None-Match'] = previous.etag;
+      }
+      if (previous.lastModified) {
+        headers['If-Modified-Since'] = previous.lastModified;
+      }
+    }
+
+    const tempPath = path.join(this.outputDir, ASSET_STORE_DIR, '.tmp', crypto.randomUUID());
+
+    try {
+      const response = await downloadFile(url, tempPath, { headers, timeout: this.timeout, rateLimiter: this.rateLimiter });
+
+      if (response.status === 304) {
+        if (!previous) {
+          throw new Error('Server answered 304 Not Modified to an unconditional request');
+        }
+        this.stats.unchanged++;
+        return previous;
+      }
+
+      const mimeType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const extension = this.verifyType(url, kind, mimeType);
+      const sha256 = await hashFile(tempPath);
+      const storePath = path.join(ASSET_STORE_DIR, sha256.slice(0, 2), sha256 + extension);
+      const absoluteStorePath = path.join(this.outputDir, storePath);
+
+      // Identical content from another URL (or a previous run) is stored once.
+      // The path is the hash of the content, so when two downloads of the same
+      // bytes finish together either copy can be kept
+      await fs.move(tempPath, absoluteStorePath, { overwrite: true });
+
+      this.stats.downloaded++;
+      this.stats.bytes += response.bytes;
+
+      const entry = {
+        url,
+        kind,
+        path: storePath.split(path.sep).join('/'),
+        size: response.bytes,
+        mimeType,
+        sha256,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        downloadedAt: new Date().toISOString(),
+        links: previous?.sha256 === sha256 ? previous.links : []
+      };
+      this.assets.set(url, entry);
+
+      return entry;
+    } finally {
+      await fs.remove(tempPath);
+    }
+  }
+
+  /**
+   * Checks the response type against the asset kind and picks the file extension
+   * @param {string} url - URL of the asset
+   * @param {string} kind - Asset kind
+   * @param {string} mimeType - Response MIME type
+   * @returns {string} Extension for the stored file
+   * @throws {Error} When the response is not the expected kind of file
+   */
+  verifyType(url, kind, mimeType) {
+    const extension = urlExtension(url);
+    const allowedExtensions = this.fileTypes[kind] || [];
+
+    if (KIND_MIME_TYPES[kind]?.test(mimeType)) {
+      return MIME_EXTENSIONS[mimeType] || extension;
+    }
+
+    if ((!mimeType || GENERIC_MIME_TYPES.includes(mimeType)) && allowedExtensions.includes(extension)) {
+      return extension;
+    }
+
+    const error = new Error(`Expected ${kind} but got ${mimeType || 'no content type'}`);
+    error.permanent = true;
+    throw error;
+  }
+
+  /**
+   * Links a stored file into a product folder, copying when hard links are not supported
+   * @param {string} storePath - Path of the file in the shared store
+   * @param {string} linkPath - Path inside the product folder
+   */
+  async link(storePath, linkPath) {
+    await fs.ensureDir(path.dirname(linkPath));
+    await fs.remove(linkPath);
+
+    try {
+      await fs.link(storePath, linkPath);
+    } catch (error) {
+      await fs.copy(storePath, linkPath);
+    }
+  }
+}
@@ -0,0 +1,192 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Name of the per-product JSON file
+ */
+export const PRODUCT_JSON_FILE = 'product.json';
+
+/**
+ * Supported catalogue formats and the file each one is written to
+ */
+export const CATALOG_FILES = {
+  json: 'catalog.json',
+  jsonl: 'catalog.jsonl',
+  csv: 'catalog.csv'
+};
+
+/**
+ * Columns written before the specification columns in the CSV export
+ */
+const CSV_BASE_COLUMNS = ['url', 'name', 'category', 'price', 'currency', 'priceAmount', 'compareAtAmount', 'description', 'features', 'variants', 'images', 'videos', 'pdfs', 'scrapedAt'];
+
+/**
+ * Builds the machine-readable record for a scraped product
+ * @param {Object} product - Product information from ProductParser.extractProductInfo
+ * @param {Object} details - Details gathered by the crawler
+ * @param {string} details.category - Product category
+ * @param {string} [details.region] - Store region the product was scraped from
+ * @param {Object} details.assets - Downloaded asset paths keyed by type (images, videos, pdfs)
+ * @param {string} [details.screenshot] - Path of the page screenshot
+ * @returns {Object} Product record
+ */
+export const buildProductRecord = (product, { category, region, assets, screenshot }) => {
+  return {
+    ...product,
+    category,
+    region: region || null,
+    assets: {
+      images: assets.images || [],
+      videos: assets.videos || [],
+      pdfs: assets.pdfs || [],
+      screenshot: screenshot || null
+    },
+    scrapedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Writes product.json to a product directory
+ * @param {string} productDir - Product directory
+ * @param {Object} record - Product record
+ */
+export const writeProductJson = async (productDir, record) => {
+  await fs.writeJson(path.join(productDir, PRODUCT_JSON_FILE), record, { spaces: 2 });
+};
+
+/**
+ * Reads the product.json files of the given product directories
+ * @param {string} outputDir - Output directory
+ * @param {string[]} productDirs - Product directories relative to the output directory
+ * @returns {Promise<Object[]>} Product records, skipping directories without a product.json
+ */
+export const loadProductRecords = async (outputDir, productDirs) => {
+  const records = [];
+
+  for (const dir of productDirs) {
+    const jsonPath = path.join(outputDir, dir, PRODUCT_JSON_FILE);
+
+    if (await fs.pathExists(jsonPath)) {
+      records.push(await fs.readJson(jsonPath));
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Finds every product directory with a product.json below the products folder
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<string[]>} Product directories relative to the output directory
+ */
+export const findProductDirs = async (outputDir) => {
+  const productsDir = path.join(outputDir, 'products');
+  const dirs = [];
+
+  if (!(await fs.pathExists(productsDir))) {
+    return dirs;
+  }
+
+  for (const category of await fs.readdir(productsDir)) {
+    const categoryDir = path.join(productsDir, category);
+
+    if (!(await fs.stat(categoryDir)).isDirectory()) {
+      continue;
+    }
+
+    for (const product of await fs.readdir(categoryDir)) {
+      if (await fs.pathExists(path.join(categoryDir, product, PRODUCT_JSON_FILE))) {
+        dirs.push(`products/${category}/${product}`);
+      }
+    }
+  }
+
+  return dirs.sort();
+};
+
+/**
+ * Escapes a value for use in a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Converts product records to CSV with one column per specification key
+ * @param {Object[]} records - Product records
+ * @returns {string} CSV text
+ */
+export const toCsv = (records) => {
+  const specKeys = [...new Set(records.flatMap(record => Object.keys(record.specifications || {})))].sort();
+  const header = [...CSV_BASE_COLUMNS, ...specKeys.map(key => `spec:${key}`)];
+
+  const rows = records.map(record => {
+    const assets = record.assets || {};
+    const base = [
+      record.url,
+      record.name,
+      record.category,
+      record.price,
+      record.currency,
+      record.priceDetails?.amount,
+      record.priceDetails?.compareAtAmount,
+      record.description,
+      (record.features || []).join(' | '),
+      (record.variants || []).map(variant => `${variant.sku || variant.title} (${variant.availability})`).join(' | '),
+      (assets.images || []).join(' | '),
+      (assets.videos || []).join(' | '),
+      (assets.pdfs || []).join(' | '),
+      record.scrapedAt
+    ];
+    const specs = specKeys.map(key => (record.specifications || {})[key]);
+
+    return [...base, ...specs].map(escapeCsv).join(',');
+  });
+
+  return [header.map(escapeCsv).join(','), ...rows].join('\n') + '\n';
+};
+
+/**
+ * Converts product records to JSON Lines
+ * @param {Object[]} records - Product records
+ * @returns {string} JSONL text
+ */
+export const toJsonl = (records) => {
+  return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+};
+
+/**
+ * Writes the aggregated catalogue in the requested formats
+ * @param {Object[]} records - Product records
+ * @param {string} outputDir - Output directory
+ * @param {string[]} formats - Formats to write (json, jsonl, csv)
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+export const writeCatalog = async (records, outputDir, formats) => {
+  const written = [];
+
+  for (const format of formats) {
+    const fileName = CATALOG_FILES[format];
+
+    if (!fileName) {
+      throw new Error(`Unknown catalog format "${format}". Expected one of: ${Object.keys(CATALOG_FILES).join(', ')}`);
+    }
+
+    const filePath = path.join(outputDir, fileName);
+
+    if (format === 'json') {
+      await fs.writeJson(filePath, records, { spaces: 2 });
+    } else if (format === 'jsonl') {
+      await fs.writeFile(filePath, toJsonl(records), 'utf8');
+    } else {
+      await fs.writeFile(filePath, toCsv(records), 'utf8');
+    }
+
+    written.push(filePath);
+  }
+
+  return written;
+};
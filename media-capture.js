@@ -0,0 +1,343 @@
+import * as cheerio from 'cheerio';
+
+import { extractLinks } from './utils.js';
+import { kindForMimeType, urlExtension, MIME_EXTENSIONS } from './download-manager.js';
+
+/**
+ * Query parameters image CDNs use to resize or re-encode the same image
+ */
+const SIZE_PARAMS = ['w', 'width', 'h', 'height', 'q', 'quality', 'dpr', 'fit', 'crop', 'format', 'fm', 'auto'];
+
+/**
+ * Parses a srcset attribute
+ * @param {string} srcset - srcset value, e.g. "a.png 400w, b.png 800w"
+ * @param {string} baseUrl - URL to resolve relative candidates against
+ * @returns {Object[]} Candidates as { url, width, density }
+ */
+export const parseSrcset = (srcset, baseUrl) => {
+  const candidates = [];
+
+  for (const part of String(srcset || '').split(/,\s+/)) {
+    const [rawUrl, descriptor = ''] = part.trim().split(/\s+/);
+    const value = rawUrl?.replace(/,+$/, '');
+
+    if (!value || value.startsWith('data:')) {
+      continue;
+    }
+
+    try {
+      candidates.push({
+        url: new URL(value, baseUrl).href,
+        width: descriptor.endsWith('w') ? parseInt(descriptor, 10) : null,
+        density: descriptor.endsWith('x') ? parseFloat(descriptor) : 1
+      });
+    } catch (error) {
+      // Skip candidates that are not URLs
+    }
+  }
+
+  return candidates;
+};
+
+/**
+ * Picks the highest-resolution candidate of a srcset
+ * @param {string} srcset - srcset value
+ * @param {string} baseUrl - URL to resolve relative candidates against
+ * @returns {Object|null} The widest candidate (or the highest pixel density), or null if there is none
+ */
+export const pickSrcsetCandidate = (srcset, baseUrl) => {
+  const candidates = parseSrcset(srcset, baseUrl);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return candidates.reduce((best, candidate) => {
+    if (candidate.width || best.width) {
+      return (candidate.width || 0) > (best.width || 0) ? candidate : best;
+    }
+    return candidate.density > best.density ? candidate : best;
+  });
+};
+
+/**
+ * Reads the requested width from an image CDN URL (?w=800 or ?width=800)
+ * @param {string} url - Media URL
+ * @returns {number|null} Width in pixels, or null if the URL does not request one
+ */
+export const widthParam = (url) => {
+  try {
+    const { searchParams } = new URL(url);
+    const width = parseInt(searchParams.get('w') || searchParams.get('width'), 10);
+    return Number.isNaN(width) ? null : width;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Identifies a media file regardless of the size it was requested at, so the
+ * resized copies an image CDN serves count as one file. Next.js image URLs
+ * (/_next/image?url=...) are keyed by the image they wrap.
+ * @param {string} url - Media URL
+ * @returns {string} Key shared by all sizes of the same file
+ */
+export const mediaKey = (url) => {
+  try {
+    const parsed = new URL(url);
+    const wrapped = parsed.searchParams.get('url');
+
+    if (wrapped && parsed.pathname.endsWith('/_next/image')) {
+      return mediaKey(new URL(wrapped, parsed).href);
+    }
+
+    SIZE_PARAMS.forEach(param => parsed.searchParams.delete(param));
+    parsed.searchParams.sort();
+    parsed.hash = '';
+
+    return parsed.href;
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * Finds the media referenced by a page: the widest srcset candidate of every
+ * image, lazy-load attributes (data-src, data-srcset), video sources and
+ * posters, inline background images, and any other link ending in one of the
+ * configured file extensions
+ * @param {string} html - HTML content
+ * @param {string} pageUrl - URL of the page
+ * @param {Object} fileTypes - Allowed extensions per asset kind
+ * @returns {Object[]} Candidates as { url, kind, width, source: 'page' }
+ */
+export const extractMediaFromHtml = (html, pageUrl, fileTypes) => {
+  const $ = cheerio.load(html);
+  const candidates = [];
+  const seen = new Set();
+
+  const resolve = (value) => {
+    if (!value || value.trim().startsWith('data:')) {
+      return null;
+    }
+    try {
+      return new URL(value.trim(), pageUrl).href;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const add = (url, kind, width = null) => {
+    if (url) {
+      candidates.push({ url, kind, width: width || widthParam(url), source: 'page' });
+    }
+  };
+
+  // Images: the widest srcset candidate wins over src
+  $('img, picture source').each((i, element) => {
+    const $element = $(element);
+    const srcset = $element.attr('data-srcset') || $element.attr('srcset');
+    const srcs = [$element.attr('data-src'), $element.attr('src')].map(resolve).filter(Boolean);
+
+    parseSrcset(srcset, pageUrl).forEach(candidate => seen.add(candidate.url));
+    srcs.forEach(src => seen.add(src));
+
+    const best = pickSrcsetCandidate(srcset, pageUrl);
+    if (best) {
+      add(best.url, 'images', best.width);
+    } else {
+      add(srcs[0], 'images');
+    }
+  });
+
+  $('video').each((i, element) => {
+    const $video = $(element);
+    const poster = resolve($video.attr('poster'));
+    const sources = [$video.attr('data-src'), $video.attr('src')]
+      .concat($video.find('source').map((j, source) => $(source).attr('data-src') || $(source).attr('src')).get())
+      .map(resolve)
+      .filter(Boolean);
+
+    [poster, ...sources].filter(Boolean).forEach(url => seen.add(url));
+    add(poster, 'images');
+    sources.forEach(url => add(url, 'videos'));
+  });
+
+  $('[style*="url("]').each((i, element) => {
+    for (const match of ($(element).attr('style') || '').matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g)) {
+      const url = resolve(match[1]);
+      if (url) {
+        seen.add(url);
+        add(url, 'images');
+      }
+    }
+  });
+
+  // Anything else linked with a known extension, such as PDF datasheets
+  for (const [kind, extensions] of Object.entries(fileTypes)) {
+    extractLinks(html, extensions, pageUrl)
+      .filter(url => !seen.has(url))
+      .forEach(url => add(url, kind));
+  }
+
+  return candidates;
+};
+
+/**
+ * Records the images, videos and PDFs a page loads, including lazy-loaded
+ * images, CSS backgrounds and media injected by scripts, which never show up
+ * as plain links in the HTML. Assets are classified by the MIME type of the
+ * response.
+ */
+export class MediaCapture {
+  /**
+   * Starts recording responses. Create it before navigating.
+   * @param {Object} page - Puppeteer page
+   * @param {Object} options - Capture settings
+   * @param {number} options.minImageBytes - Smallest image to keep, to skip icons and tracking pixels
+   */
+  constructor(page, { minImageBytes }) {
+    this.page = page;
+    this.minImageBytes = minImageBytes;
+    this.responses = new Map();
+    this.onResponse = response => this.record(response);
+
+    page.on('response', this.onResponse);
+  }
+
+  /**
+   * Records a response if it is a media file
+   * @param {Object} response - Puppeteer HTTP response
+   */
+  record(response) {
+    const url = response.url();
+    const status = response.status();
+
+    if (!/^https?:/.test(url) || (status !== 200 && status !== 206)) {
+      return;
+    }
+
+    const headers = response.headers();
+    const mimeType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const kind = kindForMimeType(mimeType);
+
+    if (!kind) {
+      return;
+    }
+
+    // Partial responses (video range requests) state the full size in Content-Range
+    const totalSize = String(headers['content-range'] || '').split('/')[1];
+    const bytes = parseInt(status === 206 ? totalSize : headers['content-length'], 10) || null;
+
+    if (kind === 'images' && bytes !== null && bytes < this.minImageBytes) {
+      return;
+    }
+
+    this.responses.set(url, { url, kind, mimeType, bytes, width: widthParam(url), source: 'network' });
+  }
+
+  /**
+   * Scrolls through the page and clicks through its gallery so lazy-loaded
+   * media is requested, then waits for the network to settle
+   * @param {Object} settings - Reveal settings
+   * @param {number} settings.scrollStep - Pixels to scroll at a time
+   * @param {number} settings.maxScrolls - Maximum number of scroll steps
+   * @param {string[]} settings.gallerySelectors - Gallery thumbnails and buttons to click
+   * @param {number} settings.maxGalleryClicks - Maximum clicks per selector
+   * @param {number} settings.settleTime - Maximum time to wait for the network to go idle, in milliseconds
+   */
+  async reveal({ scrollStep, maxScrolls, gallerySelectors, maxGalleryClicks, settleTime }) {
+    await this.page.evaluate(async (step, max) => {
+      for (let i = 0; i < max; i++) {
+        window.scrollBy(0, step);
+        await new Promise(resolve => setTimeout(resolve, 150));
+
+        if (window.innerHeight + window.scrollY >= document.body.scrollHeight) {
+          break;
+        }
+      }
+      window.scrollTo(0, 0);
+    }, scrollStep, maxScrolls);
+
+    for (const selector of gallerySelectors) {
+      const handles = await this.page.$$(selector);
+
+      for (const handle of handles.slice(0, maxGalleryClicks)) {
+        // Hidden or detached elements cannot be clicked; skip them
+        await handle.click().catch(() => {});
+      }
+    }
+
+    await this.page.waitForNetworkIdle({ idleTime: 500, timeout: settleTime }).catch(() => {});
+  }
+
+  /**
+   * Returns the media recorded so far
+   * @returns {Object[]} Candidates as { url, kind, mimeType, bytes, width, source: 'network' }
+   */
+  candidates() {
+    return [...this.responses.values()];
+  }
+
+  /**
+   * Stops recording
+   */
+  stop() {
+    this.page.off('response', this.onResponse);
+  }
+}
+
+/**
+ * Checks a candidate against the configured file types, by the extension of
+ * its MIME type when it is known and of its URL otherwise. URLs without an
+ * extension (image CDNs) are allowed.
+ * @param {Object} candidate - Media candidate
+ * @param {Object} fileTypes - Allowed extensions per asset kind
+ * @returns {boolean} True if the candidate should be downloaded
+ */
+const isAllowed = (candidate, fileTypes) => {
+  const extensions = fileTypes[candidate.kind];
+
+  if (!extensions) {
+    return false;
+  }
+
+  const extension = MIME_EXTENSIONS[candidate.mimeType] || urlExtension(candidate.url);
+  return !extension || extensions.includes(extension);
+};
+
+/**
+ * Merges media found in the page with media recorded from the network. Sizes
+ * of the same file collapse to the widest one, a response's MIME type decides
+ * the kind, and page order comes first.
+ * @param {Object[]} candidates - Candidates from extractMediaFromHtml and MediaCapture
+ * @param {Object} fileTypes - Allowed extensions per asset kind
+ * @returns {Object[]} Media to download as { url, kind }
+ */
+export const collectMedia = (candidates, fileTypes) => {
+  const media = new Map();
+
+  for (const candidate of candidates) {
+    const key = mediaKey(candidate.url);
+    const existing = media.get(key);
+
+    if (!existing) {
+      media.set(key, { ...candidate });
+      continue;
+    }
+
+    if ((candidate.width || 0) > (existing.width || 0)) {
+      existing.url = candidate.url;
+      existing.width = candidate.width;
+    }
+
+    if (candidate.mimeType) {
+      existing.kind = candidate.kind;
+      existing.mimeType = candidate.mimeType;
+    }
+  }
+
+  return [...media.values()]
+    .filter(candidate => isAllowed(candidate, fileTypes))
+    .map(({ url, kind }) => ({ url, kind }));
+};
@@ -0,0 +1,341 @@
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+
+import { getProductHandle } from './utils.js';
+import { AVAILABILITY, formatPrice } from './structured-data.js';
+
+/**
+ * Kinds of events the notifier reports
+ */
+export const NOTIFICATION_EVENTS = {
+  BACK_IN_STOCK: 'back_in_stock',
+  SOLD_OUT: 'sold_out',
+  PRICE_CHANGE: 'price_change',
+  NEW_SKU: 'new_sku'
+};
+
+/**
+ * Stock states a product goes to when it stops being sold
+ */
+const OUT_OF_STOCK = [AVAILABILITY.SOLD_OUT, AVAILABILITY.BACKORDER, AVAILABILITY.DISCONTINUED];
+
+/**
+ * Webhook payload formats
+ */
+export const WEBHOOK_FORMATS = ['slack', 'teams', 'json'];
+
+/**
+ * Lists the variants of a product that are compared between runs, or the
+ * product itself when it has no variants
+ * @param {Object} record - Product record
+ * @returns {Object[]} Variants as { key, sku, title, availability, details }
+ */
+const comparedVariants = (record) => {
+  if (!record.variants?.length) {
+    return [{ key: null, sku: null, title: null, availability: null, details: record.priceDetails || null }];
+  }
+
+  return record.variants.map(variant => ({
+    key: variant.sku || variant.title || null,
+    sku: variant.sku || null,
+    title: variant.title || null,
+    availability: variant.availability || null,
+    details: variant.priceDetails || null
+  }));
+};
+
+/**
+ * Finds stock, price and SKU changes between two runs
+ * @param {Object[]} previous - Product records from the previous run
+ * @param {Object[]} current - Product records from the current run
+ * @returns {Object[]} Events as { type, handle, name, category, url, sku, variant, before, after, currency }
+ */
+export const detectEvents = (previous, current) => {
+  const previousByHandle = new Map(previous.map(record => [getProductHandle(record.url) || record.url, record]));
+  const events = [];
+
+  for (const record of current) {
+    const handle = getProductHandle(record.url) || record.url;
+    const before = previousByHandle.get(handle);
+    const beforeVariants = new Map(before ? comparedVariants(before).map(variant => [variant.key, variant]) : []);
+
+    for (const variant of comparedVariants(record)) {
+      const event = (type, fields = {}) => events.push({
+        type,
+        handle,
+        name: record.name,
+        category: record.category || null,
+        url: record.url,
+        sku: variant.sku,
+        variant: variant.title,
+        before: null,
+        after: null,
+        currency: null,
+        ...fields
+      });
+      const old = beforeVariants.get(variant.key);
+
+      if (!before || !old) {
+        // A product without variants is only new when the product itself is
+        if (!before || variant.key !== null) {
+          event(NOTIFICATION_EVENTS.NEW_SKU, { after: variant.details?.amount ?? null, currency: variant.details?.currency ?? null });
+        }
+        continue;
+      }
+
+      // An unknown stock state means the page did not say, not that the product was unavailable
+      const wasUnavailable = old.availability && ![AVAILABILITY.IN_STOCK, AVAILABILITY.UNKNOWN].includes(old.availability);
+
+      if (wasUnavailable && variant.availability === AVAILABILITY.IN_STOCK) {
+        event(NOTIFICATION_EVENTS.BACK_IN_STOCK, { before: old.availability, after: variant.availability });
+      } else if (old.availability === AVAILABILITY.IN_STOCK && OUT_OF_STOCK.includes(variant.availability)) {
+        event(NOTIFICATION_EVENTS.SOLD_OUT, { before: old.availability, after: variant.availability });
+      }
+
+      const oldAmount = old.details?.amount;
+      const newAmount = variant.details?.amount;
+
+      if (typeof oldAmount === 'number' && typeof newAmount === 'number' && oldAmount !== newAmount &&
+        old.details.currency === variant.details.currency) {
+        event(NOTIFICATION_EVENTS.PRICE_CHANGE, { before: oldAmount, after: newAmount, currency: variant.details.currency });
+      }
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Checks whether an event concerns a watched product or category. Empty
+ * watch lists watch everything.
+ * @param {Object} event - Event from detectEvents
+ * @param {Object} watch - Watch lists
+ * @param {string[]} [watch.products] - Product handles, SKUs or names
+ * @param {string[]} [watch.categories] - Category names
+ * @returns {boolean} True if the event should be reported
+ */
+export const isWatched = (event, { products = [], categories = [] } = {}) => {
+  if (products.length === 0 && categories.length === 0) {
+    return true;
+  }
+
+  const lower = value => String(value ?? '').toLowerCase();
+  const names = [event.handle, event.sku, event.name].map(lower);
+
+  return products.some(product => names.includes(lower(product))) ||
+    categories.some(category => lower(category) === lower(event.category));
+};
+
+/**
+ * Describes an event in one line, e.g. "Price drop: Dream Machine Pro (UDM-PRO) $399.00 → $379.00"
+ * @param {Object} event - Event from detectEvents
+ * @returns {string} Message line
+ */
+export const describeEvent = (event) => {
+  const product = event.sku ? `${event.name} (${event.sku})` : event.name;
+
+  switch (event.type) {
+    case NOTIFICATION_EVENTS.BACK_IN_STOCK:
+      return `Back in stock: ${product}`;
+    case NOTIFICATION_EVENTS.SOLD_OUT:
+      return `Sold out: ${product}`;
+    case NOTIFICATION_EVENTS.PRICE_CHANGE:
+      return `Price ${event.after < event.before ? 'drop' : 'increase'}: ${product} ` +
+        `${formatPrice(event.before, event.currency)} → ${formatPrice(event.after, event.currency)}`;
+    default: {
+      const price = event.after !== null ? ` at ${formatPrice(event.after, event.currency)}` : '';
+      return `${event.sku ? 'New SKU' : 'New product'}: ${product}${price}`;
+    }
+  }
+};
+
+/**
+ * Replaces the placeholders of a payload template: "{title}", "{text}" and
+ * "{count}" inside strings, and a value of exactly "{events}" with the event list
+ * @param {*} template - Template value
+ * @param {Object} message - Message with title, text and events
+ * @returns {*} Payload
+ */
+const fillTemplate = (template, message) => {
+  if (template === '{events}') {
+    return message.events;
+  }
+  if (typeof template === 'string') {
+    return template.replace(/\{(title|text|count)\}/g, (match, name) => (name === 'count' ? String(message.events.length) : message[name]));
+  }
+  if (Array.isArray(template)) {
+    return template.map(value => fillTemplate(value, message));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillTemplate(value, message)]));
+  }
+  return template;
+};
+
+/**
+ * Names a webhook in logs by its configured name or its host, since
+ * incoming-webhook URLs carry their secret token in the path
+ * @param {Object} webhook - Webhook settings
+ * @returns {string} Name safe to print
+ */
+const webhookLabel = (webhook) => {
+  if (webhook.name) {
+    return webhook.name;
+  }
+
+  try {
+    return new URL(webhook.url).host;
+  } catch (error) {
+    return 'with an invalid URL';
+  }
+};
+
+/**
+ * Sends stock and price change notifications to webhooks and by email
+ */
+export class Notifier {
+  /**
+   * @param {Object} settings - The notifications block of the config
+   * @param {Object} [options] - Delivery overrides
+   * @param {Object} [options.mailTransport] - Nodemailer transport, instead of the configured SMTP server
+   * @param {Function} [options.log] - Where dry-run messages are printed
+   */
+  constructor(settings, { mailTransport, log = console.log } = {}) {
+    this.settings = settings;
+    this.mailTransport = mailTransport || null;
+    this.log = log;
+
+    for (const webhook of settings.webhooks || []) {
+      if (!WEBHOOK_FORMATS.includes(webhook.format || 'json')) {
+        throw new Error(`Unknown webhook format "${webhook.format}". Expected one of: ${WEBHOOK_FORMATS.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Keeps the events of the configured kinds that concern watched products
+   * @param {Object[]} events - Events from detectEvents
+   * @returns {Object[]} Events to report
+   */
+  filter(events) {
+    const kinds = this.settings.events || Object.values(NOTIFICATION_EVENTS);
+    return events.filter(event => kinds.includes(event.type) && isWatched(event, this.settings.watch));
+  }
+
+  /**
+   * Builds the message for a list of events
+   * @param {Object[]} events - Events to report
+   * @returns {Object} { title, text, lines, events }
+   */
+  message(events) {
+    const lines = events.map(event => `${describeEvent(event)} - ${event.url}`);
+    const title = `Ubiquiti store: ${events.length} change${events.length === 1 ? '' : 's'}`;
+
+    return { title, text: lines.join('\n'), lines, events };
+  }
+
+  /**
+   * Builds the body posted to a webhook
+   * @param {Object} webhook - Webhook settings with format and an optional template
+   * @param {Object} message - Message from message()
+   * @returns {Object} JSON payload
+   */
+  webhookPayload(webhook, message) {
+    if (webhook.template) {
+      return fillTemplate(webhook.template, message);
+    }
+
+    switch (webhook.format) {
+      case 'slack':
+        return { text: `*${message.title}*\n${message.lines.map(line => `• ${line}`).join('\n')}` };
+      case 'teams':
+        return {
+          '@type': 'MessageCard',
+          '@context': 'https://schema.org/extensions',
+          summary: message.title,
+          title: message.title,
+          text: message.lines.join('\n\n')
+        };
+      default:
+        return { title: message.title, generatedAt: new Date().toISOString(), events: message.events };
+    }
+  }
+
+  /**
+   * Builds the email for a message
+   * @param {Object} message - Message from message()
+   * @returns {Object} Nodemailer message
+   */
+  email(message) {
+    const { from, to } = this.settings.email;
+    return { from, to, subject: message.title, text: `${message.text}\n` };
+  }
+
+  /**
+   * Returns the mail transport, creating it from the SMTP settings on first use
+   * @returns {Object} Nodemailer transport
+   */
+  transport() {
+    if (!this.mailTransport) {
+      this.mailTransport = nodemailer.createTransport(this.settings.email.smtp);
+    }
+    return this.mailTransport;
+  }
+
+  /**
+   * Reports the events to every configured webhook and by email. Events are
+   * filtered by kind and watch list first, and by the event kinds of each
+   * webhook. In dry-run mode the messages are printed instead of sent. A
+   * failing target is logged and does not stop the others.
+   * @param {Object[]} events - Events from detectEvents
+   * @returns {Promise<Object>} { events, sent, failed } with the reported events and the number of deliveries
+   */
+  async notify(events) {
+    const reported = this.filter(events);
+    const result = { events: reported, sent: 0, failed: 0 };
+
+    if (reported.length === 0) {
+      return result;
+    }
+
+    const deliveries = [];
+
+    for (const webhook of this.settings.webhooks || []) {
+      const webhookEvents = webhook.events ? reported.filter(event => webhook.events.includes(event.type)) : reported;
+      if (webhookEvents.length > 0) {
+        const payload = this.webhookPayload({ format: 'json', ...webhook }, this.message(webhookEvents));
+        deliveries.push({
+          target: `webhook ${webhookLabel(webhook)}`,
+          preview: JSON.stringify(payload, null, 2),
+          send: () => axios.post(webhook.url, payload, { headers: webhook.headers, timeout: this.settings.timeout })
+        });
+      }
+    }
+
+    if (this.settings.email?.enabled) {
+      const mail = this.email(this.message(reported));
+      deliveries.push({
+        target: `email to ${[].concat(mail.to).join(', ')}`,
+        preview: `Subject: ${mail.subject}\n\n${mail.text}`,
+        send: () => this.transport().sendMail(mail)
+      });
+    }
+
+    for (const delivery of deliveries) {
+      if (this.settings.dryRun) {
+        this.log(`[dry run] ${delivery.target}:\n${delivery.preview}\n`);
+        continue;
+      }
+
+      try {
+        await delivery.send();
+        result.sent++;
+      } catch (error) {
+        console.error(`Failed to notify ${delivery.target}: ${error.message}`);
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Checks whether a hostname is one of the domains or a subdomain of one
+ * @param {string} hostname - Hostname
+ * @param {string[]} domains - Domains, e.g. "ui.com"
+ * @returns {boolean} True on a match
+ */
+export const matchesDomain = (hostname, domains) => domains.some(domain => (
+  hostname === domain || hostname.endsWith(`.${domain}`)
+));
+
+/**
+ * Decides whether a browser request is blocked
+ * @param {Object} request - Request
+ * @param {string} request.url - Requested URL
+ * @param {string} request.resourceType - Puppeteer resource type, e.g. "font" or "image"
+ * @param {Object} blocking - Blocking settings
+ * @param {string[]} blocking.resourceTypes - Resource types to block
+ * @param {string[]} blocking.domains - Domains to block, with their subdomains
+ * @param {boolean} blocking.thirdParty - Block every domain not in firstPartyDomains
+ * @param {string[]} blocking.firstPartyDomains - Domains the store and its CDNs are served from
+ * @returns {boolean} True if the request should be aborted
+ */
+export const shouldBlockRequest = ({ url, resourceType }, { resourceTypes = [], domains = [], thirdParty = false, firstPartyDomains = [] }) => {
+  let hostname;
+  try {
+    ({ hostname } = new URL(url));
+  } catch (error) {
+    return false;
+  }
+
+  // data: and blob: URLs never leave the browser
+  if (!hostname) {
+    return false;
+  }
+
+  return resourceTypes.includes(resourceType) ||
+    matchesDomain(hostname, domains) ||
+    (thirdParty && !matchesDomain(hostname, firstPartyDomains));
+};
+
+/**
+ * Keeps a fixed number of browser tabs open and lends them out, so pages are
+ * not opened and closed for every URL. A tab that was in use when an error
+ * was thrown is closed rather than reused. Every tab blocks the configured
+ * resource types and domains.
+ */
+export class PagePool {
+  /**
+   * @param {Object} browser - Puppeteer browser
+   * @param {Object} options - Pool settings
+   * @param {number} options.size - Maximum number of open tabs
+   * @param {string} options.userAgent - User agent of every tab
+   * @param {number} options.timeout - Navigation timeout in milliseconds
+   * @param {Object} options.blocking - Settings passed to shouldBlockRequest
+   */
+  constructor(browser, { size, userAgent, timeout, blocking }) {
+    this.browser = browser;
+    this.size = size;
+    this.userAgent = userAgent;
+    this.timeout = timeout;
+    this.blocking = blocking;
+    this.idle = [];
+    this.waiting = [];
+    this.open = 0;
+    this.stats = { created: 0, reused: 0, discarded: 0, blocked: 0 };
+  }
+
+  /**
+   * Opens and sets up a new tab
+   * @returns {Promise<Object>} Puppeteer page
+   */
+  async create() {
+    const page = await this.browser.newPage();
+    this.stats.created++;
+
+    await page.setUserAgent(this.userAgent);
+    await page.setDefaultNavigationTimeout(this.timeout);
+
+    const { resourceTypes = [], domains = [], thirdParty = false } = this.blocking;
+    if (resourceTypes.length > 0 || domains.length > 0 || thirdParty) {
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) {
+          return;
+        }
+        if (shouldBlockRequest({ url: request.url(), resourceType: request.resourceType() }, this.blocking)) {
+          this.stats.blocked++;
+          request.abort('blockedbyclient');
+        } else {
+          request.continue();
+        }
+      });
+    }
+
+    return page;
+  }
+
+  /**
+   * Borrows a tab, waiting for one to be returned when all are in use
+   * @returns {Promise<Object>} Puppeteer page
+   */
+  async acquire() {
+    if (this.idle.length > 0) {
+      this.stats.reused++;
+      return this.idle.pop();
+    }
+
+    if (this.open < this.size) {
+      this.open++;
+      try {
+        return await this.create();
+      } catch (error) {
+        this.open--;
+        throw error;
+      }
+    }
+
+    return new Promise(resolve => this.waiting.push(resolve)).then(() => this.acquire());
+  }
+
+  /**
+   * Returns a tab to the pool, or closes it
+   * @param {Object} page - Puppeteer page from acquire()
+   * @param {boolean} [discard] - Close the tab instead of reusing it
+   */
+  async release(page, discard = false) {
+    if (discard || page.isClosed()) {
+      this.open--;
+      this.stats.discarded++;
+      await page.close().catch(() => {});
+    } else {
+      this.idle.push(page);
+    }
+
+    this.waiting.shift()?.();
+  }
+
+  /**
+   * Runs a task with a borrowed tab and always gives the tab back
+   * @param {Function} task - Async function receiving the page
+   * @returns {Promise<*>} Result of the task
+   */
+  async use(task) {
+    const page = await this.acquire();
+    let failed = true;
+
+    try {
+      const result = await task(page);
+      failed = false;
+      return result;
+    } finally {
+      await this.release(page, failed);
+    }
+  }
+
+  /**
+   * Closes every idle tab. Tabs still in use are closed with the browser.
+   */
+  async close() {
+    const pages = this.idle.splice(0);
+    this.open -= pages.length;
+    await Promise.all(pages.map(page => page.close().catch(() => {})));
+  }
+}
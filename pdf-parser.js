@@ -0,0 +1,165 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { PDFParse } from 'pdf-parse';
+
+import { sanitizeName } from './utils.js';
+import { pdfTextPath } from './search-index.js';
+import { extractSpecificationsFromText, mergeSpecifications, normalizeSpecifications } from './spec-normalizer.js';
+
+/**
+ * Kinds of product documents. The values are also the file names documents
+ * of a known kind are saved under.
+ */
+export const DOCUMENT_TYPES = {
+  DATASHEET: 'datasheet',
+  QUICK_START_GUIDE: 'quick_start_guide',
+  COMPLIANCE: 'compliance',
+  OTHER: 'document'
+};
+
+/**
+ * Patterns that identify each kind of document, tried in order against the
+ * file name and title first and the opening text second. Letters around
+ * abbreviations such as "DS" and "QSG" are excluded so they only match as words.
+ */
+const DOCUMENT_PATTERNS = [
+  [DOCUMENT_TYPES.DATASHEET, /data\s*-?\s*sheet|(^|[^a-z])ds([^a-z]|$)/i],
+  [DOCUMENT_TYPES.QUICK_START_GUIDE, /quick\s*-?\s*start|(^|[^a-z])qsg([^a-z]|$)|getting started|installation guide/i],
+  [DOCUMENT_TYPES.COMPLIANCE, /compliance|declaration of conformity|(^|[^a-z])doc([^a-z]|$)|regulatory|(^|[^a-z])(fcc|rohs|weee)([^a-z]|$)/i]
+];
+
+/**
+ * Number of characters from the start of a document searched for its kind
+ */
+const CLASSIFY_TEXT_LENGTH = 2000;
+
+/**
+ * Reads the title, page count and text of a PDF
+ * @param {string} filePath - Path of the PDF
+ * @returns {Promise<Object>} { title, pageCount, text } where title is null when the PDF has none
+ * @throws {Error} When the file is not a readable PDF
+ */
+export const parsePdf = async (filePath) => {
+  const parser = new PDFParse({ data: await fs.readFile(filePath) });
+
+  try {
+    const info = await parser.getInfo();
+    const result = await parser.getText({ pageJoiner: '' });
+    const title = typeof info.info?.Title === 'string' ? info.info.Title.trim() : '';
+
+    return {
+      title: title || null,
+      pageCount: result.total,
+      text: result.text.replace(/\n{3,}/g, '\n\n').trim()
+    };
+  } finally {
+    await parser.destroy();
+  }
+};
+
+/**
+ * Works out what kind of document a PDF is
+ * @param {Object} document - Document details
+ * @param {string} document.url - URL the PDF was downloaded from
+ * @param {string} [document.title] - Title from the PDF metadata
+ * @param {string} [document.text] - Extracted text
+ * @returns {string} One of DOCUMENT_TYPES
+ */
+export const classifyDocument = ({ url, title, text }) => {
+  let fileName = '';
+  try {
+    fileName = decodeURIComponent(path.basename(new URL(url).pathname, '.pdf'));
+  } catch (error) {
+    // Classify by title and text only
+  }
+
+  for (const source of [`${fileName} ${title || ''}`, (text || '').slice(0, CLASSIFY_TEXT_LENGTH)]) {
+    const match = DOCUMENT_PATTERNS.find(([, pattern]) => pattern.test(source));
+    if (match) {
+      return match[0];
+    }
+  }
+
+  return DOCUMENT_TYPES.OTHER;
+};
+
+/**
+ * Chooses the file name of a document: its kind for known kinds, otherwise
+ * its title, falling back to the name it was downloaded under
+ * @param {Object} document - Document with type and title
+ * @param {string} currentName - File name without extension it has now
+ * @param {Set<string>} taken - Lower-case names already used in the folder
+ * @returns {string} File name without extension, numbered from _2 when the name is taken
+ */
+export const documentFileName = ({ type, title }, currentName, taken) => {
+  const base = type !== DOCUMENT_TYPES.OTHER ? type : (title && sanitizeName(title)) || currentName;
+
+  let name = base;
+  for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+    name = `${base}_${suffix}`;
+  }
+
+  return name;
+};
+
+/**
+ * Reads a downloaded PDF and saves its text next to it as a .txt file. A PDF
+ * that cannot be read is classified by its URL alone.
+ * @param {string} filePath - Path of the PDF
+ * @param {string} url - URL the PDF was downloaded from
+ * @returns {Promise<Object>} { type, title, pageCount, text, error } where error is
+ *   the message of a failed parse, or null
+ */
+export const readDocument = async (filePath, url) => {
+  try {
+    const { title, pageCount, text } = await parsePdf(filePath);
+    await fs.writeFile(pdfTextPath(filePath), text, 'utf8');
+
+    return { type: classifyDocument({ url, title, text }), title, pageCount, text, error: null };
+  } catch (error) {
+    return { type: classifyDocument({ url }), title: null, pageCount: null, text: '', error: error.message };
+  }
+};
+
+/**
+ * Reads the saved text of a product's datasheets
+ * @param {string} outputDir - Output directory
+ * @param {Object[]} documents - Documents of a product record
+ * @returns {Promise<string[]>} Text of every datasheet whose text file exists
+ */
+export const loadDatasheetTexts = async (outputDir, documents = []) => {
+  const texts = [];
+
+  for (const document of documents) {
+    const textPath = document.textPath && path.join(outputDir, document.textPath);
+
+    if (document.type === DOCUMENT_TYPES.DATASHEET && textPath && await fs.pathExists(textPath)) {
+      texts.push(await fs.readFile(textPath, 'utf8'));
+    }
+  }
+
+  return texts;
+};
+
+/**
+ * Adds the specifications found in datasheet text to a product, for the
+ * specifications its page does not list, and normalizes them again
+ * @param {Object} product - Product information from ProductParser
+ * @param {string[]} datasheetTexts - Text of the product's datasheets
+ * @returns {Object} Product with the combined specifications
+ */
+export const applyDatasheetSpecifications = (product, datasheetTexts) => {
+  const extra = datasheetTexts.reduce((found, text) => mergeSpecifications(found, extractSpecificationsFromText(text)), {});
+
+  if (Object.keys(extra).length === 0) {
+    return product;
+  }
+
+  const specifications = mergeSpecifications(product.specifications, extra);
+
+  return {
+    ...product,
+    specifications,
+    specificationDetails: normalizeSpecifications(specifications)
+  };
+};
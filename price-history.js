@@ -0,0 +1,193 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { getProductHandle } from './utils.js';
+import { formatPrice } from './structured-data.js';
+
+/**
+ * Name of the price history file, one observation per line
+ */
+export const PRICE_HISTORY_FILE = 'price_history.jsonl';
+
+/**
+ * Turns product records into price observations, one per variant with a
+ * price, or one for the product when no variant has one
+ * @param {Object[]} records - Product records
+ * @returns {Object[]} Observations as { key, handle, variant, name, region, amount, currency,
+ *   compareAtAmount, onSale, isFrom, recordedAt }
+ */
+export const priceObservations = (records) => {
+  const observations = [];
+
+  for (const record of records) {
+    const handle = getProductHandle(record.url) || record.url;
+    const observe = (variant, details) => observations.push({
+      key: variant ? `${handle}#${variant}` : handle,
+      handle,
+      variant,
+      name: record.name,
+      region: record.region || null,
+      amount: details.amount,
+      currency: details.currency,
+      compareAtAmount: details.compareAtAmount,
+      onSale: details.onSale,
+      isFrom: details.isFrom,
+      recordedAt: record.scrapedAt
+    });
+
+    const pricedVariants = (record.variants || []).filter(variant => variant.priceDetails);
+
+    if (pricedVariants.length > 0) {
+      pricedVariants.forEach(variant => observe(variant.sku || variant.title, variant.priceDetails));
+    } else if (record.priceDetails) {
+      observe(null, record.priceDetails);
+    }
+  }
+
+  return observations;
+};
+
+/**
+ * Reads the price history of an output directory
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<Object[]>} Observations, skipping lines that are not valid JSON
+ */
+export const loadPriceHistory = async (outputDir) => {
+  const historyPath = path.join(outputDir, PRICE_HISTORY_FILE);
+
+  if (!(await fs.pathExists(historyPath))) {
+    return [];
+  }
+
+  const observations = [];
+
+  for (const line of (await fs.readFile(historyPath, 'utf8')).split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      observations.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Skipping invalid line in ${historyPath}: ${error.message}`);
+    }
+  }
+
+  return observations;
+};
+
+/**
+ * Appends the prices of a run to price_history.jsonl. Observations already in
+ * the file (same product, variant and scrape time) are not written again, so
+ * exporting the same records twice does not duplicate them.
+ * @param {string} outputDir - Output directory
+ * @param {Object[]} records - Product records
+ * @returns {Promise<number>} Number of observations appended
+ */
+export const appendPriceHistory = async (outputDir, records) => {
+  const recorded = new Set((await loadPriceHistory(outputDir)).map(entry => `${entry.key}@${entry.recordedAt}`));
+  const observations = priceObservations(records).filter(entry => !recorded.has(`${entry.key}@${entry.recordedAt}`));
+
+  if (observations.length > 0) {
+    await fs.appendFile(
+      path.join(outputDir, PRICE_HISTORY_FILE),
+      observations.map(entry => JSON.stringify(entry)).join('\n') + '\n',
+      'utf8'
+    );
+  }
+
+  return observations.length;
+};
+
+/**
+ * Finds the price changes of every product and variant since a date. Each
+ * latest price is compared with the last price recorded on or before the
+ * date, or with the first price recorded when the product is newer than that.
+ * Prices in different currencies are not compared.
+ * @param {Object[]} observations - Price history
+ * @param {Date} [since] - Date to compare against; defaults to the first recorded price
+ * @returns {Object} Report as { since, drops, increases }, both sorted by the size of the change in percent
+ */
+export const priceMovements = (observations, since) => {
+  const byKey = new Map();
+
+  for (const entry of observations) {
+    if (typeof entry.amount !== 'number') {
+      continue;
+    }
+    if (!byKey.has(entry.key)) {
+      byKey.set(entry.key, []);
+    }
+    byKey.get(entry.key).push(entry);
+  }
+
+  const movements = [];
+
+  for (const entries of byKey.values()) {
+    entries.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+
+    const before = since ? entries.filter(entry => new Date(entry.recordedAt) <= since) : [];
+    const baseline = before.length > 0 ? before[before.length - 1] : entries[0];
+    const latest = entries[entries.length - 1];
+
+    if (baseline === latest || baseline.currency !== latest.currency || baseline.amount === latest.amount) {
+      continue;
+    }
+
+    movements.push({
+      key: latest.key,
+      name: latest.name,
+      variant: latest.variant,
+      currency: latest.currency,
+      before: baseline.amount,
+      after: latest.amount,
+      change: Math.round((latest.amount - baseline.amount) * 100) / 100,
+      percent: baseline.amount ? Math.round(((latest.amount - baseline.amount) / baseline.amount) * 1000) / 10 : null,
+      beforeRecordedAt: baseline.recordedAt,
+      afterRecordedAt: latest.recordedAt
+    });
+  }
+
+  const byPercent = (a, b) => Math.abs(b.percent ?? Infinity) - Math.abs(a.percent ?? Infinity);
+
+  return {
+    since: since ? since.toISOString() : null,
+    drops: movements.filter(movement => movement.change < 0).sort(byPercent),
+    increases: movements.filter(movement => movement.change > 0).sort(byPercent)
+  };
+};
+
+/**
+ * Converts a price movement report to Markdown tables
+ * @param {Object} report - Report from priceMovements
+ * @param {number} limit - Maximum rows per table
+ * @returns {string} Markdown text
+ */
+export const toPriceReportMarkdown = (report, limit) => {
+  let markdown = `# Price Changes\n\n`;
+  markdown += report.since ? `Since ${report.since.slice(0, 10)}\n\n` : `Since the first recorded price\n\n`;
+
+  const table = (title, movements) => {
+    let section = `## ${title}\n\n`;
+
+    if (movements.length === 0) {
+      return section + 'None.\n\n';
+    }
+
+    section += `| Product | Variant | Before | After | Change |\n`;
+    section += `| --- | --- | --- | --- | --- |\n`;
+
+    for (const movement of movements.slice(0, limit)) {
+      const percent = movement.percent === null ? '' : ` (${movement.percent > 0 ? '+' : ''}${movement.percent}%)`;
+      section += `| ${movement.name.replace(/\|/g, '\\|')} | ${movement.variant || '-'} | ` +
+        `${formatPrice(movement.before, movement.currency)} | ${formatPrice(movement.after, movement.currency)} | ` +
+        `${formatPrice(movement.change, movement.currency)}${percent} |\n`;
+    }
+
+    return section + '\n';
+  };
+
+  markdown += table('Biggest Drops', report.drops);
+  markdown += table('Biggest Increases', report.increases);
+
+  return markdown;
+};
@@ -0,0 +1,128 @@
+/**
+ * Currency symbols, longest first so "NT$" is not read as "$"
+ */
+const CURRENCY_SYMBOLS = [
+  ['NT$', 'TWD'],
+  ['MX$', 'MXN'],
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['SG$', 'SGD'],
+  ['R$', 'BRL'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['S$', 'SGD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['$', 'USD']
+];
+
+/**
+ * Currencies written with a bare "$"
+ */
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'SGD', 'TWD', 'MXN'];
+
+/**
+ * Words that mark a starting price, e.g. "From $99"
+ */
+const FROM_PATTERN = /(^|\s)(from|starting at|starts at|ab|à partir de|a partir de|desde)(\s|$)/i;
+
+/**
+ * Amounts with optional thousands separators (comma, dot, space or apostrophe)
+ * and an optional decimal part of one or two digits
+ */
+const AMOUNT_PATTERN = /\d+(?:[.,'\u00a0\u202f ]\d{3})*(?:[.,]\d{1,2})?(?!\d)/g;
+
+/**
+ * Converts an amount as written in a price to a number
+ * @param {string} text - Amount, e.g. "1,299.00", "1.299,00" or "199"
+ * @returns {number} Amount
+ */
+const parseAmount = (text) => {
+  const decimal = text.match(/[.,](\d{1,2})$/);
+  const integerPart = decimal ? text.slice(0, -decimal[0].length) : text;
+  const integer = integerPart.replace(/\D/g, '');
+
+  return Number(decimal ? `${integer}.${decimal[1]}` : integer);
+};
+
+/**
+ * Works out the currency of a price from an ISO code or symbol in its text
+ * @param {string} text - Price text
+ * @param {string} [defaultCurrency] - Currency to assume when the text has none, or only a bare "$"
+ * @returns {string|null} ISO 4217 currency code
+ */
+const detectCurrency = (text, defaultCurrency) => {
+  const code = text.match(/\b([A-Z]{3})\b/);
+
+  if (code && Intl.supportedValuesOf('currency').includes(code[1])) {
+    return code[1];
+  }
+
+  const symbol = CURRENCY_SYMBOLS.find(([candidate]) => text.includes(candidate));
+
+  if (symbol?.[0] === '$' && DOLLAR_CURRENCIES.includes(defaultCurrency)) {
+    return defaultCurrency;
+  }
+
+  return symbol?.[1] || defaultCurrency || null;
+};
+
+/**
+ * Parses a price as displayed in a store, e.g. "$199.00", "From $99",
+ * "€1.299,00", "$99 - $199" or "$199.00 $249.00" (sale and regular price)
+ * @param {string} text - Price text
+ * @param {string} [defaultCurrency] - Currency to assume when the text does not state it
+ * @returns {Object|null} Price as { amount, currency, isFrom, isRange, minAmount, maxAmount, compareAtAmount },
+ *   or null if the text has no amount
+ */
+export const parsePrice = (text, defaultCurrency) => {
+  const value = String(text || '');
+  const amounts = (value.match(AMOUNT_PATTERN) || []).map(parseAmount);
+
+  if (amounts.length === 0) {
+    return null;
+  }
+
+  const isRange = amounts.length >= 2 && /\d\s*(?:[-–—~]|\bto\b)\s*\D{0,4}\d/i.test(value);
+  const [amount, second] = amounts;
+
+  return {
+    amount,
+    currency: detectCurrency(value, defaultCurrency),
+    isFrom: FROM_PATTERN.test(value),
+    isRange,
+    minAmount: isRange ? Math.min(...amounts) : amount,
+    maxAmount: isRange ? Math.max(...amounts) : amount,
+    // A second, higher amount that is not a range is the regular price of a sale
+    compareAtAmount: !isRange && second > amount ? second : null
+  };
+};
+
+/**
+ * Builds the structured price of a product or variant
+ * @param {string} price - Displayed price
+ * @param {string} [compareAtPrice] - Displayed regular price of a discounted item
+ * @param {string} [currency] - Currency of the product, if known
+ * @returns {Object|null} Price as { amount, currency, isFrom, isRange, minAmount, maxAmount,
+ *   compareAtAmount, onSale }, or null if the price has no amount
+ */
+export const buildPriceDetails = (price, compareAtPrice, currency) => {
+  const parsed = parsePrice(price, currency || undefined);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const compareAt = parsePrice(compareAtPrice, parsed.currency)?.amount ?? parsed.compareAtAmount;
+  const compareAtAmount = compareAt > parsed.amount ? compareAt : null;
+
+  return {
+    ...parsed,
+    currency: currency || parsed.currency,
+    compareAtAmount,
+    onSale: compareAtAmount !== null
+  };
+};
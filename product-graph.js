@@ -0,0 +1,358 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { extractJsonLd } from './structured-data.js';
+import { getProductHandle } from './utils.js';
+
+/**
+ * Kinds of relationship between two products. Every edge reads "from <type> to",
+ * e.g. a rack panel is accessory-of a gateway, and a new model replaces an old one.
+ */
+export const RELATIONSHIP_TYPES = {
+  ACCESSORY_OF: 'accessory-of',
+  COMPATIBLE_WITH: 'compatible-with',
+  RELATED: 'related',
+  REPLACES: 'replaces'
+};
+
+/**
+ * Relationships the crawler follows to products discovery did not find.
+ * Plain related links are left out: "you may also like" sections link most
+ * of the catalogue together.
+ */
+export const FOLLOWED_RELATIONSHIP_TYPES = [
+  RELATIONSHIP_TYPES.ACCESSORY_OF,
+  RELATIONSHIP_TYPES.COMPATIBLE_WITH,
+  RELATIONSHIP_TYPES.REPLACES
+];
+
+/**
+ * Relationships that read the same in both directions
+ */
+const SYMMETRIC_TYPES = [RELATIONSHIP_TYPES.COMPATIBLE_WITH, RELATIONSHIP_TYPES.RELATED];
+
+/**
+ * Graph files written to the output directory, keyed by format
+ */
+export const PRODUCT_GRAPH_FILES = {
+  json: 'product-graph.json',
+  dot: 'product-graph.dot',
+  graphml: 'product-graph.graphml'
+};
+
+const GRAPH_VERSION = 1;
+
+/**
+ * Section headings and the relationship they give the products linked below
+ * them, tried in order. `reverse` edges point from the linked product to the
+ * page's product ("Accessories": the linked product is accessory-of this one).
+ */
+const SECTION_PATTERNS = [
+  { pattern: /replaced by|newer (model|version)|successor/i, type: RELATIONSHIP_TYPES.REPLACES, reverse: true },
+  { pattern: /\breplaces\b|replacement for|previous (model|generation)|upgrade from/i, type: RELATIONSHIP_TYPES.REPLACES, reverse: false },
+  { pattern: /accessor|mount|bracket|power (adapter|supply)|add-?ons?\b|you (may|might) also need/i, type: RELATIONSHIP_TYPES.ACCESSORY_OF, reverse: true },
+  { pattern: /compatib|works with|supported (devices|models)/i, type: RELATIONSHIP_TYPES.COMPATIBLE_WITH, reverse: false },
+  { pattern: /related|bought (together|with)|customers also|you (may|might) also like|similar|recommended/i, type: RELATIONSHIP_TYPES.RELATED, reverse: false }
+];
+
+/**
+ * Schema.org Product properties and the relationship they state
+ */
+const SCHEMA_PROPERTIES = {
+  isAccessoryOrSparePartFor: RELATIONSHIP_TYPES.ACCESSORY_OF,
+  isConsumableFor: RELATIONSHIP_TYPES.ACCESSORY_OF,
+  isRelatedTo: RELATIONSHIP_TYPES.RELATED,
+  isSimilarTo: RELATIONSHIP_TYPES.RELATED
+};
+
+/**
+ * Headings searched for section labels: section headings first, then the
+ * lower headings, which product cards often use for product names
+ */
+const HEADING_LEVELS = ['h2', 'h3, h4, h5, h6'];
+
+/**
+ * Page regions whose links are site navigation rather than relationships
+ */
+const NAVIGATION = 'header, nav, footer, [role="navigation"]';
+
+/**
+ * Works out the relationship a link states from the sections it sits in.
+ * Walking up from the link, each element's aria-label, own heading and
+ * preceding heading are tried, and the first one that names a kind of
+ * relationship wins. Section headings are tried before lower headings, so a
+ * "Rack Mount" product card in a "Compatible devices" section is not taken
+ * for an accessory.
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {Element} link - Link element
+ * @returns {Object} { type, reverse, label }, a plain related link with a null label
+ *   when no section names a relationship
+ */
+const classifyLink = ($, link) => {
+  for (const headings of HEADING_LEVELS) {
+    for (let node = $(link); node.length > 0 && !node.is('body, html'); node = node.parent()) {
+      const labels = node.is('a')
+        ? [node.prevAll(headings).first().text()]
+        : [node.attr('aria-label'), node.children(headings).first().text(), node.prevAll(headings).first().text()];
+
+      for (const text of labels) {
+        const label = (text || '').replace(/\s+/g, ' ').trim();
+        const match = label && SECTION_PATTERNS.find(({ pattern }) => pattern.test(label));
+
+        if (match) {
+          return { type: match.type, reverse: match.reverse, label };
+        }
+      }
+    }
+  }
+
+  return { type: RELATIONSHIP_TYPES.RELATED, reverse: false, label: null };
+};
+
+/**
+ * Builds an edge between the page's product and another product
+ * @param {string} handle - Handle of the page's product
+ * @param {string} otherUrl - URL of the other product
+ * @param {string} type - One of RELATIONSHIP_TYPES
+ * @param {boolean} reverse - Point the edge from the other product to this one
+ * @param {string|null} label - Section heading or schema.org property the edge came from
+ * @returns {Object} Edge as { type, from, to, url, label }
+ */
+const edge = (handle, otherUrl, type, reverse, label) => {
+  const other = getProductHandle(otherUrl);
+  return reverse
+    ? { type, from: other, to: handle, url: otherUrl, label }
+    : { type, from: handle, to: other, url: otherUrl, label };
+};
+
+/**
+ * Identifies an edge; symmetric edges have the same key in both directions
+ * @param {Object} relationship - Edge
+ * @returns {string} Key
+ */
+const edgeKey = ({ type, from, to }) => {
+  const ends = SYMMETRIC_TYPES.includes(type) ? [from, to].sort() : [from, to];
+  return `${type}|${ends.join('|')}`;
+};
+
+/**
+ * Finds the relationships a product page states with other products: in the
+ * schema.org properties of its JSON-LD, in sections such as "Accessories" or
+ * "Compatible devices", and in other links to product pages outside the page
+ * header, navigation and footer, which count as related
+ * @param {CheerioStatic} $ - Cheerio instance of the product page
+ * @param {string} url - URL of the product page
+ * @returns {Object[]} Edges as { type, from, to, url, label } where from and to are
+ *   product handles and url is the other product's page, each relationship once
+ */
+export const extractRelationships = ($, url) => {
+  const handle = getProductHandle(url);
+  const found = new Map();
+
+  if (!handle) {
+    return [];
+  }
+
+  const add = (otherUrl, type, reverse, label) => {
+    const other = getProductHandle(otherUrl);
+    if (!other || other === handle) {
+      return;
+    }
+
+    const relationship = edge(handle, otherUrl, type, reverse, label);
+    if (!found.has(edgeKey(relationship))) {
+      found.set(edgeKey(relationship), relationship);
+    }
+  };
+
+  const resolve = (href) => {
+    try {
+      const resolved = new URL(href, url);
+      resolved.hash = '';
+      resolved.search = '';
+      return resolved.href;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  for (const node of extractJsonLd($)) {
+    for (const [property, type] of Object.entries(SCHEMA_PROPERTIES)) {
+      for (const target of [node[property] || []].flat()) {
+        const targetUrl = resolve(typeof target === 'string' ? target : target?.url || target?.['@id'] || '');
+        if (targetUrl) {
+          add(targetUrl, type, false, property);
+        }
+      }
+    }
+  }
+
+  $('body a[href]').each((i, link) => {
+    if ($(link).closest(NAVIGATION).length > 0) {
+      return;
+    }
+
+    const targetUrl = resolve($(link).attr('href'));
+    if (targetUrl) {
+      const { type, reverse, label } = classifyLink($, link);
+      add(targetUrl, type, reverse, label);
+    }
+  });
+
+  return [...found.values()];
+};
+
+/**
+ * Builds the relationship graph of a catalogue. Products that are only
+ * linked to, and were not scraped, are included with crawled set to false.
+ * @param {Object[]} records - Product records
+ * @returns {Object} { version, generatedAt, nodes, edges } where nodes are
+ *   { id, name, category, url, crawled } with the product handle as id, and each
+ *   relationship is listed once, however many pages state it
+ */
+export const buildProductGraph = (records) => {
+  const nodes = new Map();
+  const edges = new Map();
+
+  for (const record of records) {
+    const id = getProductHandle(record.url);
+    if (id) {
+      nodes.set(id, { id, name: record.name, category: record.category || null, url: record.url, crawled: true });
+    }
+  }
+
+  for (const record of records) {
+    for (const relationship of record.relationships || []) {
+      const key = edgeKey(relationship);
+      if (!edges.has(key)) {
+        edges.set(key, { source: relationship.from, target: relationship.to, type: relationship.type, label: relationship.label || null });
+      }
+
+      for (const id of [relationship.from, relationship.to]) {
+        if (!nodes.has(id)) {
+          nodes.set(id, { id, name: null, category: null, url: relationship.url, crawled: false });
+        }
+      }
+    }
+  }
+
+  const byId = (a, b) => a.id.localeCompare(b.id);
+  const byEnds = (a, b) => a.source.localeCompare(b.source) || a.target.localeCompare(b.target) || a.type.localeCompare(b.type);
+
+  return {
+    version: GRAPH_VERSION,
+    generatedAt: new Date().toISOString(),
+    nodes: [...nodes.values()].sort(byId),
+    edges: [...edges.values()].sort(byEnds)
+  };
+};
+
+/**
+ * Quotes a GraphViz ID
+ * @param {string} value - Text
+ * @returns {string} Double-quoted, escaped ID
+ */
+const dotId = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+/**
+ * Renders the graph in the GraphViz DOT language. Symmetric relationships are
+ * drawn without arrowheads and products that were not scraped are dashed.
+ * @param {Object} graph - Graph from buildProductGraph
+ * @returns {string} DOT source
+ */
+export const toDot = (graph) => {
+  const lines = ['digraph products {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.nodes) {
+    const label = node.category ? `${node.name || node.id}\n${node.category}` : node.name || node.id;
+    const style = node.crawled ? '' : ', style=dashed';
+    lines.push(`  ${dotId(node.id)} [label=${dotId(label)}${style}];`);
+  }
+
+  for (const { source, target, type } of graph.edges) {
+    const direction = SYMMETRIC_TYPES.includes(type) ? ', dir=none' : '';
+    lines.push(`  ${dotId(source)} -> ${dotId(target)} [label=${dotId(type)}${direction}];`);
+  }
+
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Escapes text for XML content and attributes
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Renders the graph as GraphML, with the product details and relationship
+ * types as data attributes
+ * @param {Object} graph - Graph from buildProductGraph
+ * @returns {string} GraphML document
+ */
+export const toGraphML = (graph) => {
+  const data = (key, value) => (value === null || value === undefined ? '' : `<data key="${key}">${escapeXml(value)}</data>`);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="category" for="node" attr.name="category" attr.type="string"/>',
+    '  <key id="url" for="node" attr.name="url" attr.type="string"/>',
+    '  <key id="crawled" for="node" attr.name="crawled" attr.type="boolean"/>',
+    '  <key id="type" for="edge" attr.name="type" attr.type="string"/>',
+    '  <key id="label" for="edge" attr.name="label" attr.type="string"/>',
+    '  <graph id="products" edgedefault="directed">'
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">${data('name', node.name)}${data('category', node.category)}${data('url', node.url)}${data('crawled', node.crawled)}</node>`);
+  }
+
+  graph.edges.forEach((relationship, i) => {
+    lines.push(`    <edge id="e${i}" source="${escapeXml(relationship.source)}" target="${escapeXml(relationship.target)}">${data('type', relationship.type)}${data('label', relationship.label)}</edge>`);
+  });
+
+  lines.push('  </graph>', '</graphml>');
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Writes the relationship graph in the requested formats
+ * @param {Object[]} records - Product records
+ * @param {string} outputDir - Output directory
+ * @param {string[]} formats - Formats to write (json, dot, graphml)
+ * @returns {Promise<Object>} { graph, written } where written lists the paths of the written files
+ */
+export const writeProductGraph = async (records, outputDir, formats) => {
+  const graph = buildProductGraph(records);
+  const written = [];
+
+  for (const format of formats) {
+    const fileName = PRODUCT_GRAPH_FILES[format];
+
+    if (!fileName) {
+      throw new Error(`Unknown graph format "${format}". Expected one of: ${Object.keys(PRODUCT_GRAPH_FILES).join(', ')}`);
+    }
+
+    const filePath = path.join(outputDir, fileName);
+
+    if (format === 'json') {
+      await fs.writeJson(filePath, graph, { spaces: 2 });
+    } else if (format === 'dot') {
+      await fs.writeFile(filePath, toDot(graph), 'utf8');
+    } else {
+      await fs.writeFile(filePath, toGraphML(graph), 'utf8');
+    }
+
+    written.push(filePath);
+  }
+
+  return { graph, written };
+};
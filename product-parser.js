@@ -1,31 +1,140 @@
 import * as cheerio from 'cheerio';
 
+import { extractStructuredData, hasValue, normalizeAvailability, AVAILABILITY } from './structured-data.js';
+import { buildPriceDetails } from './price.js';
+import { normalizeSpecifications, formatSpecification } from './spec-normalizer.js';
+import { extractRelationships, RELATIONSHIP_TYPES } from './product-graph.js';
+import { DOCUMENT_TYPES } from './pdf-parser.js';
+import { getProductHandle } from './utils.js';
+
+/**
+ * Values the selector fallbacks return when nothing was found
+ */
+const PLACEHOLDER_VALUES = ['Unknown Product', 'Price not available'];
+
+/**
+ * Human-readable labels for variant stock states
+ */
+const AVAILABILITY_LABELS = {
+  [AVAILABILITY.IN_STOCK]: 'In stock',
+  [AVAILABILITY.SOLD_OUT]: 'Sold out',
+  [AVAILABILITY.COMING_SOON]: 'Coming soon',
+  [AVAILABILITY.BACKORDER]: 'Backorder',
+  [AVAILABILITY.DISCONTINUED]: 'Discontinued',
+  [AVAILABILITY.UNKNOWN]: 'Unknown'
+};
+
+/**
+ * Human-readable labels for the document kinds
+ */
+const DOCUMENT_LABELS = {
+  [DOCUMENT_TYPES.DATASHEET]: 'Datasheet',
+  [DOCUMENT_TYPES.QUICK_START_GUIDE]: 'Quick start guide',
+  [DOCUMENT_TYPES.COMPLIANCE]: 'Compliance',
+  [DOCUMENT_TYPES.OTHER]: 'Document'
+};
+
+/**
+ * How each relationship reads from the product at either end, as
+ * [from the "from" product, from the "to" product]
+ */
+const RELATIONSHIP_LABELS = {
+  [RELATIONSHIP_TYPES.ACCESSORY_OF]: ['Accessory of', 'Accessory'],
+  [RELATIONSHIP_TYPES.COMPATIBLE_WITH]: ['Compatible with', 'Compatible with'],
+  [RELATIONSHIP_TYPES.RELATED]: ['Related', 'Related'],
+  [RELATIONSHIP_TYPES.REPLACES]: ['Replaces', 'Replaced by']
+};
+
+/**
+ * Elements holding the regular price of a discounted product
+ */
+const COMPARE_AT_SELECTOR = '.compare-at-price, .price--compare, .price__compare, s.price';
+
+/**
+ * Column headings of the variant table
+ */
+export const VARIANT_COLUMNS = ['SKU', 'Variant', 'Options', 'Price', 'Compare at', 'Availability'];
+
 /**
  * Extracts product specifications from a product page
  */
 export class ProductParser {
   /**
-   * Extracts detailed product information from HTML content
+   * Extracts detailed product information from HTML content. Structured data
+   * (JSON-LD, hydration JSON, Open Graph) is preferred; the selector chains are
+   * only used for fields no structured source provides. The source of every
+   * field is recorded in product.sources.
    * @param {string} html - HTML content of the product page
    * @param {string} url - URL of the product page
+   * @param {Object} [options] - Parser options
+   * @param {string} [options.defaultCurrency] - Currency to assume when the page does not state it
    * @returns {Object} Product information object
    */
-  static extractProductInfo(html, url) {
+  static extractProductInfo(html, url, { defaultCurrency } = {}) {
     const $ = cheerio.load(html);
+    const structured = extractStructuredData($);
+    const sources = {};
+    
+    const pick = (field, fallback) => this.pickField(field, structured, fallback, sources);
     
     // Basic product info
     const product = {
-      name: this.extractProductName($),
-      description: this.extractProductDescription($),
-      price: this.extractProductPrice($),
-      specifications: this.extractProductSpecifications($),
-      features: this.extractProductFeatures($),
-      url: url
+      name: pick('name', () => this.extractProductName($)),
+      description: pick('description', () => this.extractProductDescription($)),
+      price: pick('price', () => this.extractProductPrice($)),
+      currency: pick('currency', () => null),
+      specifications: pick('specifications', () => this.extractProductSpecifications($)),
+      features: pick('features', () => this.extractProductFeatures($)),
+      variants: [],
+      url: url,
+      sources
     };
     
+    // Regional stores do not always state their currency in the page
+    if (!product.currency && defaultCurrency) {
+      product.currency = defaultCurrency;
+    }
+    
+    // The markup fallback for variants builds on the fields found above
+    product.variants = pick('variants', () => this.extractProductVariants($, product));
+    
+    // Amounts, currency, ranges and sale prices for sorting and comparing
+    for (const variant of product.variants) {
+      variant.priceDetails = buildPriceDetails(variant.price, variant.compareAtPrice, product.currency);
+    }
+    product.priceDetails = this.extractPriceDetails($, product);
+    
+    // Canonical keys and numbers with units for filtering and comparing
+    product.specificationDetails = normalizeSpecifications(product.specifications);
+    
+    // Accessories, compatible devices and related models linked from the page
+    product.relationships = extractRelationships($, url);
+    
     return product;
   }
   
+  /**
+   * Takes a field from the first structured data source that has it, falling
+   * back to the selector-based extractor
+   * @param {string} field - Product field name
+   * @param {Object[]} structured - Sources from extractStructuredData
+   * @param {Function} fallback - Selector-based extractor for the field
+   * @param {Object} sources - Map of field name to source, updated in place
+   * @returns {*} Field value
+   */
+  static pickField(field, structured, fallback, sources) {
+    for (const { source, fields } of structured) {
+      if (hasValue(fields[field])) {
+        sources[field] = source;
+        return fields[field];
+      }
+    }
+    
+    const value = fallback();
+    sources[field] = hasValue(value) && !PLACEHOLDER_VALUES.includes(value) ? 'selector' : 'none';
+    return value;
+  }
+  
   /**
    * Extracts the product name
    * @param {CheerioStatic} $ - Cheerio instance
@@ -49,7 +158,7 @@ export class ProductParser {
     }
     
     // Fallback to title tag
-    const title = $('title').text().trim().replace(/\\s*[\\-|]\\s*Ubiquiti.*$/i, '');
+    const title = $('title').text().trim().replace(/\s*[\-|]\s*Ubiquiti.*$/i, '');
     return title || 'Unknown Product';
   }
   
@@ -214,6 +323,161 @@ export class ProductParser {
     return features;
   }
   
+  /**
+   * Extracts a single variant from the page markup, for pages without
+   * structured variant data
+   * @param {CheerioStatic} $ - Cheerio instance
+   * @param {Object} product - Product fields extracted so far
+   * @returns {Object[]} Array with one variant, or an empty array if the page has no SKU or stock state
+   */
+  static extractProductVariants($, product) {
+    const $sku = $('[itemprop="sku"], .product-sku, .product__sku, [data-sku]').first();
+    const sku = ($sku.attr('content') || $sku.attr('data-sku') || $sku.text() || '')
+      .replace(/^\s*SKU:?\s*/i, '')
+      .trim();
+    
+    // The add-to-cart button reads "Sold Out" or "Coming Soon" when the
+    // product cannot be bought
+    const buttonSelectors = [
+      'button[name="add"]',
+      '.product-form__submit',
+      '.add-to-cart',
+      '[data-add-to-cart]'
+    ];
+    let availability = AVAILABILITY.UNKNOWN;
+    
+    for (const selector of buttonSelectors) {
+      const text = $(selector).first().text().trim();
+      if (text) {
+        availability = normalizeAvailability(text);
+        break;
+      }
+    }
+    
+    if (availability === AVAILABILITY.UNKNOWN) {
+      availability = normalizeAvailability($('.sold-out, .badge--sold-out, .coming-soon, .badge--coming-soon').first().text());
+    }
+    
+    if (!sku && availability === AVAILABILITY.UNKNOWN) {
+      return [];
+    }
+    
+    const compareAtPrice = $(COMPARE_AT_SELECTOR).first().text().trim();
+    
+    return [{
+      sku,
+      title: product.name,
+      options: {},
+      price: PLACEHOLDER_VALUES.includes(product.price) ? '' : product.price,
+      compareAtPrice,
+      availability,
+      images: []
+    }];
+  }
+  
+  /**
+   * Builds the structured price of a product. The regular price of a
+   * discounted product comes from the compare-at markup or from the variant
+   * sold at the product price; variants sold at different prices make the
+   * price a range.
+   * @param {CheerioStatic} $ - Cheerio instance
+   * @param {Object} product - Product fields, including variants with their priceDetails
+   * @returns {Object|null} Structured price, or null if the product has no price
+   */
+  static extractPriceDetails($, product) {
+    const details = buildPriceDetails(
+      PLACEHOLDER_VALUES.includes(product.price) ? '' : product.price,
+      $(COMPARE_AT_SELECTOR).first().text().trim(),
+      product.currency
+    );
+    
+    if (!details) {
+      return null;
+    }
+    
+    const variantAmounts = product.variants
+      .map(variant => variant.priceDetails)
+      .filter(variant => variant && variant.currency === details.currency);
+    
+    if (details.compareAtAmount === null) {
+      const match = variantAmounts.find(variant => variant.amount === details.amount && variant.onSale);
+      if (match) {
+        details.compareAtAmount = match.compareAtAmount;
+        details.onSale = true;
+      }
+    }
+    
+    const amounts = variantAmounts.map(variant => variant.amount);
+    if (!details.isRange && new Set(amounts).size > 1) {
+      details.isRange = true;
+      details.minAmount = Math.min(...amounts);
+      details.maxAmount = Math.max(...amounts);
+    }
+    
+    return details;
+  }
+  
+  /**
+   * Builds the rows of the variant table
+   * @param {Object} product - Product information object
+   * @returns {string[][]} One row of cells per variant
+   */
+  static variantRows(product) {
+    return (product.variants || []).map(variant => [
+      variant.sku || '-',
+      variant.title || '-',
+      Object.entries(variant.options || {}).map(([name, value]) => `${name}: ${value}`).join(', ') || '-',
+      variant.price || '-',
+      variant.compareAtPrice || '-',
+      AVAILABILITY_LABELS[variant.availability] || AVAILABILITY_LABELS[AVAILABILITY.UNKNOWN]
+    ]);
+  }
+  
+  /**
+   * Converts product information to the plain-text section used in all_content.txt
+   * @param {Object} product - Product information object
+   * @param {string} category - Product category
+   * @param {string[]} [datasheetTexts] - Text extracted from the product's datasheets
+   * @returns {string} Plain text
+   */
+  static toPlainText(product, category, datasheetTexts = []) {
+    let text = `
+====================================
+${category} - ${product.name}
+====================================
+${product.description}
+
+Price: ${product.price}
+
+Features:
+${product.features.map(feature => `- ${feature}`).join('\n')}
+`;
+    
+    const rows = this.variantRows(product);
+    
+    if (rows.length > 0) {
+      // Pad every column to its widest cell so the table lines up
+      const table = [VARIANT_COLUMNS, ...rows];
+      const widths = VARIANT_COLUMNS.map((heading, column) => Math.max(...table.map(row => row[column].length)));
+      const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join(' | ').trimEnd();
+      
+      text += `\nVariants:\n${formatRow(VARIANT_COLUMNS)}\n`;
+      text += `${widths.map(width => '-'.repeat(width)).join('-+-')}\n`;
+      text += rows.map(formatRow).join('\n') + '\n';
+    }
+    
+    for (const datasheet of datasheetTexts) {
+      text += `\nDatasheet:\n${datasheet}\n`;
+    }
+    
+    text += `
+URL: ${product.url}
+====================================
+`;
+    
+    return text;
+  }
+  
   /**
    * Converts product information to Markdown format
    * @param {Object} product - Product information object
@@ -246,6 +510,56 @@ export class ProductParser {
       markdown += '\n';
     }
     
+    const normalized = Object.entries(product.specificationDetails || {}).filter(([, spec]) => spec.type !== 'text');
+    
+    if (normalized.length > 0) {
+      const escapeCell = cell => String(cell).replace(/\|/g, '\\|');
+      markdown += `## Normalized Specifications\n\n`;
+      markdown += `| Key | Value | Original |\n`;
+      markdown += `| --- | --- | --- |\n`;
+      for (const [key, spec] of normalized) {
+        const value = spec.interpreted ? formatSpecification(spec) : '_not interpreted_';
+        markdown += `| ${key} | ${escapeCell(value)} | ${escapeCell(`${spec.label}: ${spec.text}`)} |\n`;
+      }
+      markdown += '\n';
+    }
+    
+    const rows = this.variantRows(product);
+    
+    if (rows.length > 0) {
+      const escapeCell = cell => cell.replace(/\|/g, '\\|');
+      markdown += `## Variants\n\n`;
+      markdown += `| ${VARIANT_COLUMNS.join(' | ')} |\n`;
+      markdown += `| ${VARIANT_COLUMNS.map(() => '---').join(' | ')} |\n`;
+      for (const row of rows) {
+        markdown += `| ${row.map(escapeCell).join(' | ')} |\n`;
+      }
+      markdown += '\n';
+    }
+    
+    if (product.documents && product.documents.length > 0) {
+      markdown += `## Documents\n\n`;
+      for (const document of product.documents) {
+        // Documents are saved in the pdfs folder next to product_info.md
+        const fileName = document.path.split('/').pop();
+        const pages = document.pageCount ? ` (${document.pageCount} ${document.pageCount === 1 ? 'page' : 'pages'})` : '';
+        markdown += `- [${document.title || fileName}](pdfs/${encodeURI(fileName)}): ${DOCUMENT_LABELS[document.type] || document.type}${pages}\n`;
+      }
+      markdown += '\n';
+    }
+    
+    if (product.relationships && product.relationships.length > 0) {
+      const handle = getProductHandle(product.url);
+      markdown += `## Related Products\n\n`;
+      for (const relationship of product.relationships) {
+        const incoming = relationship.from !== handle;
+        const other = incoming ? relationship.from : relationship.to;
+        const label = (RELATIONSHIP_LABELS[relationship.type] || [relationship.type, relationship.type])[incoming ? 1 : 0];
+        markdown += `- ${label}: [${other}](${relationship.url})\n`;
+      }
+      markdown += '\n';
+    }
+    
     markdown += `**Product URL**: ${product.url}\n`;
     
     return markdown;
@@ -0,0 +1,199 @@
+/**
+ * HTTP statuses that mean the server wants us to slow down
+ */
+const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Client-side statuses that are counted as failures, like server errors
+ */
+const FAILURE_STATUSES = [408, 425];
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reads a Retry-After header
+ * @param {string|number|null|undefined} value - Header value: seconds or an HTTP date
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null without a usable value
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Returns the host of a URL, the unit requests are budgeted by
+ * @param {string} url - URL
+ * @returns {string} Host with port, or an empty string for invalid URLs
+ */
+const hostOf = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Spaces out requests to each host. Every host gets a budget of requests per
+ * second, shared by everything that calls acquire(). Throttling responses
+ * (429, 503), timeouts, and server or network errors pause the host with an exponential
+ * backoff, or for as long as the Retry-After header asks; when the share of
+ * failed requests climbs past a threshold the host's interval is stretched,
+ * and it recovers step by step as requests succeed again.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter settings
+   * @param {number} options.requestsPerSecond - Requests per second allowed per host
+   * @param {number} options.backoffBase - Pause after the first failure in milliseconds, doubled on every consecutive failure
+   * @param {number} options.maxBackoff - Longest pause in milliseconds, also the cap for Retry-After
+   * @param {number} options.errorThreshold - Share of failed requests (0-1) that slows a host down
+   * @param {number} options.errorWindow - Number of recent requests the error share is measured over
+   * @param {number} options.maxSlowdown - Largest factor the interval of a host is stretched by
+   * @param {Function} [options.now] - Clock, for tests
+   * @param {Function} [options.sleep] - Waits for a number of milliseconds, for tests
+   */
+  constructor({ requestsPerSecond, backoffBase, maxBackoff, errorThreshold, errorWindow, maxSlowdown, now = Date.now, sleep = wait }) {
+    this.baseInterval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.backoffBase = backoffBase;
+    this.maxBackoff = maxBackoff;
+    this.errorThreshold = errorThreshold;
+    this.errorWindow = errorWindow;
+    this.maxSlowdown = maxSlowdown;
+    this.now = now;
+    this.sleep = sleep;
+    this.hosts = new Map();
+  }
+
+  /**
+   * Returns the state of a host, creating it on first use
+   * @param {string} host - Host
+   * @returns {Object} Host state
+   */
+  host(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        minInterval: 0,
+        slowdown: 1,
+        nextAt: 0,
+        pausedUntil: 0,
+        failures: 0,
+        recent: [],
+        stats: { requests: 0, throttled: 0, errors: 0 }
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Sets a minimum interval between requests to a host, e.g. from the
+   * configured delay or the robots.txt Crawl-delay
+   * @param {string} url - Any URL on the host
+   * @param {number} ms - Minimum interval in milliseconds
+   */
+  setMinInterval(url, ms) {
+    this.host(hostOf(url)).minInterval = ms;
+  }
+
+  /**
+   * Returns the current interval between requests to a host
+   * @param {string} url - Any URL on the host
+   * @returns {number} Interval in milliseconds
+   */
+  interval(url) {
+    const state = this.host(hostOf(url));
+    return Math.max(this.baseInterval, state.minInterval) * state.slowdown;
+  }
+
+  /**
+   * Waits until a request to the URL's host is allowed, and reserves its slot
+   * @param {string} url - URL about to be requested
+   * @returns {Promise<void>}
+   */
+  async acquire(url) {
+    const state = this.host(hostOf(url));
+    const now = this.now();
+    const at = Math.max(now, state.nextAt, state.pausedUntil);
+
+    // Reserve the slot before waiting so concurrent callers queue up behind it
+    state.nextAt = at + this.interval(url);
+    state.stats.requests++;
+
+    if (at > now) {
+      await this.sleep(at - now);
+    }
+  }
+
+  /**
+   * Records the outcome of a request and adjusts the host's pace
+   * @param {string} url - URL that was requested
+   * @param {Object} outcome - Outcome of the request
+   * @param {number} [outcome.status] - HTTP status, if there was a response
+   * @param {string|number} [outcome.retryAfter] - Retry-After header of the response
+   * @param {boolean} [outcome.error] - True when the request failed without a response
+   * @returns {number} Pause in milliseconds before the next request to the host, 0 after a success
+   */
+  report(url, { status, retryAfter, error = false }) {
+    const state = this.host(hostOf(url));
+    const throttled = THROTTLE_STATUSES.includes(status);
+    const failed = error || throttled || FAILURE_STATUSES.includes(status) || status >= 500;
+
+    state.recent.push(failed);
+    if (state.recent.length > this.errorWindow) {
+      state.recent.shift();
+    }
+
+    const errorRate = state.recent.filter(Boolean).length / state.recent.length;
+
+    if (!failed) {
+      state.failures = 0;
+      // Recover gradually once the error rate is back under half the threshold
+      if (state.slowdown > 1 && errorRate < this.errorThreshold / 2) {
+        state.slowdown = Math.max(1, state.slowdown * 0.8);
+      }
+      return 0;
+    }
+
+    state.failures++;
+    state.stats[throttled ? 'throttled' : 'errors']++;
+
+    if (state.recent.length >= Math.min(this.errorWindow, 4) && errorRate > this.errorThreshold) {
+      state.slowdown = Math.min(this.maxSlowdown, state.slowdown * 2);
+    }
+
+    const backoff = this.backoffBase * 2 ** (state.failures - 1);
+    const requested = parseRetryAfter(retryAfter, this.now());
+    const pause = Math.min(this.maxBackoff, Math.max(backoff, requested ?? 0));
+
+    state.pausedUntil = Math.max(state.pausedUntil, this.now() + pause);
+
+    return pause;
+  }
+
+  /**
+   * Summarizes every host the limiter has seen
+   * @returns {Object} Per-host statistics keyed by host: requests, throttled, errors and intervalMs
+   */
+  stats() {
+    return Object.fromEntries([...this.hosts.entries()].map(([host, state]) => [host, {
+      ...state.stats,
+      intervalMs: Math.round(Math.max(this.baseInterval, state.minInterval) * state.slowdown)
+    }]));
+  }
+}
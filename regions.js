@@ -0,0 +1,171 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { getProductHandle } from './utils.js';
+import { CATALOG_FILES } from './exporter.js';
+
+/**
+ * Currency each regional store sells in, used when a page does not state it
+ */
+export const REGION_CURRENCIES = {
+  us: 'USD',
+  ca: 'CAD',
+  eu: 'EUR',
+  uk: 'GBP',
+  au: 'AUD',
+  mx: 'MXN',
+  br: 'BRL',
+  in: 'INR',
+  jp: 'JPY',
+  sg: 'SGD',
+  tw: 'TWD'
+};
+
+/**
+ * Name of the cross-region report files
+ */
+export const REGION_REPORT_FILES = {
+  json: 'regions.json',
+  markdown: 'REGIONS.md'
+};
+
+/**
+ * Checks that a region code looks like a store path segment (us, eu, ca-fr)
+ * @param {string} region - Region code
+ * @returns {boolean} True if the code is valid
+ */
+export const isValidRegion = (region) => /^[a-z]{2}(-[a-z]{2})?$/.test(region);
+
+/**
+ * Returns the currency of a regional store
+ * @param {string} region - Region code
+ * @returns {string|null} ISO 4217 currency code, or null if unknown
+ */
+export const regionCurrency = (region) => REGION_CURRENCIES[region.split('-')[0]] || null;
+
+/**
+ * Builds the config overrides that point the crawler at one regional store.
+ * Include patterns that start with the path of the configured baseUrl (e.g.
+ * /us/products/) are rewritten for the region; the output goes to a
+ * subdirectory named after the region.
+ * @param {Object} settings - Effective config
+ * @param {string} region - Region code
+ * @returns {Object} Config overrides for the region
+ */
+export const regionOverrides = (settings, region) => {
+  const basePath = new URL(settings.baseUrl).pathname;
+  const regionPath = `/${region}/`;
+
+  return {
+    region,
+    baseUrl: settings.regionUrlTemplate.replace('{region}', region),
+    outputDir: path.join(settings.outputDir, region),
+    patterns: {
+      include: settings.patterns.include.map(pattern => (
+        basePath !== '/' && pattern.startsWith(basePath)
+          ? regionPath + pattern.slice(basePath.length)
+          : pattern
+      ))
+    }
+  };
+};
+
+/**
+ * Matches products across regional catalogues by handle
+ * @param {Object} catalogs - Product records keyed by region code
+ * @returns {Object} Report with the regions and one entry per product handle
+ */
+export const buildRegionReport = (catalogs) => {
+  const regions = Object.keys(catalogs);
+  const products = new Map();
+
+  for (const region of regions) {
+    for (const record of catalogs[region]) {
+      const handle = getProductHandle(record.url) || record.url;
+
+      if (!products.has(handle)) {
+        products.set(handle, { handle, name: record.name, category: record.category, regions: {} });
+      }
+
+      products.get(handle).regions[region] = {
+        name: record.name,
+        price: record.price,
+        currency: record.currency || regionCurrency(region),
+        url: record.url
+      };
+    }
+  }
+
+  const entries = [...products.values()].sort((a, b) => a.handle.localeCompare(b.handle));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    regions,
+    summary: {
+      products: entries.length,
+      inAllRegions: entries.filter(entry => Object.keys(entry.regions).length === regions.length).length
+    },
+    products: entries
+  };
+};
+
+/**
+ * Converts a cross-region report to a Markdown price table
+ * @param {Object} report - Report from buildRegionReport
+ * @returns {string} Markdown text
+ */
+export const toRegionMarkdown = (report) => {
+  let markdown = `# Cross-Region Prices\n\n`;
+  markdown += `Generated: ${report.generatedAt}\n\n`;
+  markdown += `${report.summary.products} products, ${report.summary.inAllRegions} sold in all ${report.regions.length} regions.\n\n`;
+
+  markdown += `| Product | ${report.regions.map(region => region.toUpperCase()).join(' | ')} |\n`;
+  markdown += `| --- | ${report.regions.map(() => '---').join(' | ')} |\n`;
+
+  for (const product of report.products) {
+    const cells = report.regions.map(region => {
+      const entry = product.regions[region];
+      if (!entry) {
+        return '-';
+      }
+      if (!entry.price) {
+        return 'n/a';
+      }
+      return entry.currency && !entry.price.includes(entry.currency) ? `${entry.price} (${entry.currency})` : entry.price;
+    });
+
+    markdown += `| ${product.name.replace(/\|/g, '\\|')} | ${cells.join(' | ')} |\n`;
+  }
+
+  return markdown;
+};
+
+/**
+ * Reads the catalog.json of every region and writes regions.json and REGIONS.md
+ * @param {string} outputDir - Top-level output directory holding one folder per region
+ * @param {string[]} regions - Region codes
+ * @returns {Promise<Object|null>} The report, or null if no region has a catalogue
+ */
+export const writeRegionReport = async (outputDir, regions) => {
+  const catalogs = {};
+
+  for (const region of regions) {
+    const catalogPath = path.join(outputDir, region, CATALOG_FILES.json);
+
+    if (await fs.pathExists(catalogPath)) {
+      catalogs[region] = await fs.readJson(catalogPath);
+    } else {
+      console.log(`No catalog.json for region ${region}, leaving it out of the cross-region report.`);
+    }
+  }
+
+  if (Object.keys(catalogs).length === 0) {
+    return null;
+  }
+
+  const report = buildRegionReport(catalogs);
+  await fs.writeJson(path.join(outputDir, REGION_REPORT_FILES.json), report, { spaces: 2 });
+  await fs.writeFile(path.join(outputDir, REGION_REPORT_FILES.markdown), toRegionMarkdown(report), 'utf8');
+
+  return report;
+};
@@ -0,0 +1,173 @@
+import axios from 'axios';
+import { URL } from 'url';
+
+/**
+ * Converts a robots.txt path pattern to a regular expression. Supports the
+ * "*" wildcard and the "$" end anchor.
+ * @param {string} pattern - Path pattern from an Allow or Disallow line
+ * @returns {RegExp} Regular expression matching the start of a path
+ */
+const patternToRegex = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Parsed robots.txt rules for one user agent
+ */
+export class RobotsRules {
+  /**
+   * @param {Object} [options] - Parsed rules
+   * @param {Object[]} [options.rules] - Allow and Disallow rules as { allow, pattern }
+   * @param {number|null} [options.crawlDelay] - Crawl-delay in seconds
+   * @param {string[]} [options.sitemaps] - Sitemap URLs listed in the file
+   */
+  constructor({ rules = [], crawlDelay = null, sitemaps = [] } = {}) {
+    this.rules = rules.map(rule => ({ ...rule, regex: patternToRegex(rule.pattern) }));
+    this.crawlDelay = crawlDelay;
+    this.sitemaps = sitemaps;
+  }
+
+  /**
+   * Parses robots.txt, keeping the group that applies to the user agent. The
+   * most specific group whose name appears in the user agent wins, otherwise
+   * the "*" group applies.
+   * @param {string} text - Contents of robots.txt
+   * @param {string} userAgent - User agent the crawler sends
+   * @returns {RobotsRules} Rules for the user agent
+   */
+  static parse(text, userAgent) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+
+      if (separator === -1) {
+        continue;
+      }
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        sitemaps.push(value);
+        continue;
+      }
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+
+      if (!current) {
+        continue;
+      }
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything
+        if (value) {
+          current.rules.push({ allow: field === 'allow', pattern: value });
+        }
+      } else if (field === 'crawl-delay') {
+        const delay = Number(value);
+        if (!Number.isNaN(delay)) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+
+    const agent = userAgent.toLowerCase();
+    let match = null;
+
+    for (const group of groups) {
+      for (const name of group.agents) {
+        if (name !== '*' && agent.includes(name) && (!match || name.length > match.name.length)) {
+          match = { name, group };
+        }
+      }
+    }
+
+    const group = match?.group || groups.find(candidate => candidate.agents.includes('*'));
+
+    return new RobotsRules({
+      rules: group?.rules || [],
+      crawlDelay: group?.crawlDelay ?? null,
+      sitemaps
+    });
+  }
+
+  /**
+   * Downloads and parses the robots.txt of a site. A missing or unreadable
+   * file allows everything.
+   * @param {string} siteUrl - Any URL on the site
+   * @param {Object} options - Request options
+   * @param {string} options.userAgent - User agent to send and match
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @returns {Promise<RobotsRules>} Rules for the user agent
+   */
+  static async fetch(siteUrl, { userAgent, timeout }) {
+    const robotsUrl = new URL('/robots.txt', siteUrl).href;
+
+    try {
+      const response = await axios.get(robotsUrl, {
+        headers: { 'User-Agent': userAgent },
+        timeout,
+        responseType: 'text'
+      });
+
+      return RobotsRules.parse(String(response.data), userAgent);
+    } catch (error) {
+      console.log(`Could not read ${robotsUrl} (${error.message}), assuming everything is allowed.`);
+      return new RobotsRules();
+    }
+  }
+
+  /**
+   * Checks whether a URL may be crawled. The longest matching rule wins and
+   * Allow wins a tie.
+   * @param {string} pageUrl - Absolute URL
+   * @returns {boolean} True if the URL may be crawled
+   */
+  isAllowed(pageUrl) {
+    let target;
+
+    try {
+      const parsed = new URL(pageUrl);
+      target = decodeURIComponent(parsed.pathname) + parsed.search;
+    } catch (error) {
+      return true;
+    }
+
+    let best = null;
+
+    for (const rule of this.rules) {
+      if (rule.regex.test(target)) {
+        const longer = !best || rule.pattern.length > best.pattern.length;
+        const tieAllow = best && rule.pattern.length === best.pattern.length && rule.allow;
+
+        if (longer || tieAllow) {
+          best = rule;
+        }
+      }
+    }
+
+    return !best || best.allow;
+  }
+}
@@ -0,0 +1,214 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Name of the run report written to the output directory
+ */
+export const RUN_REPORT_FILE = 'run-report.json';
+
+const RUN_REPORT_VERSION = 1;
+
+/**
+ * Stages a URL can fail at
+ */
+export const FAILURE_STAGES = {
+  PAGE: 'page',
+  PRODUCT: 'product',
+  ASSET: 'asset'
+};
+
+/**
+ * Collects what happened during a run: every error with the URL and stage it
+ * happened at, and whether a retry later recovered it. Failures that were
+ * never recovered make up the dead-letter list.
+ */
+export class RunReport {
+  /**
+   * @param {Object} [options] - Report settings
+   * @param {string} [options.source] - What produced the run, e.g. "crawl" or "retry-failed"
+   */
+  constructor({ source = 'crawl' } = {}) {
+    this.source = source;
+    this.startedAt = new Date();
+    this.failures = new Map();
+  }
+
+  /**
+   * Records an error. A URL that already failed at the same stage counts
+   * another attempt instead of adding a second entry.
+   * @param {string} stage - One of FAILURE_STAGES
+   * @param {string} url - URL that failed
+   * @param {Error|string} error - Error, or its message
+   * @param {Object} [context] - What is needed to retry the URL, e.g. where an asset goes
+   * @returns {Object} Ledger entry
+   */
+  recordError(stage, url, error, context = {}) {
+    const key = `${stage} ${url}`;
+    const message = error instanceof Error ? error.message : String(error ?? 'Unknown error');
+    const existing = this.failures.get(key);
+
+    if (existing) {
+      existing.message = message;
+      existing.attempts++;
+      existing.recovered = false;
+      existing.failedAt = new Date().toISOString();
+      return existing;
+    }
+
+    const entry = {
+      stage,
+      url,
+      message,
+      attempts: 1,
+      recovered: false,
+      failedAt: new Date().toISOString(),
+      ...context
+    };
+    this.failures.set(key, entry);
+
+    return entry;
+  }
+
+  /**
+   * Returns the ledger entry for a URL
+   * @param {string} stage - One of FAILURE_STAGES
+   * @param {string} url - URL
+   * @returns {Object|null} Ledger entry, or null if the URL has not failed
+   */
+  failure(stage, url) {
+    return this.failures.get(`${stage} ${url}`) || null;
+  }
+
+  /**
+   * Lists the failures no retry has recovered
+   * @param {string} [stage] - Only list failures at this stage
+   * @returns {Object[]} Ledger entries
+   */
+  deadLetters(stage) {
+    return [...this.failures.values()].filter(entry => !entry.recovered && (!stage || entry.stage === stage));
+  }
+
+  /**
+   * Runs a retry of a failure, marking it recovered when the task records no new error
+   * @param {Object} failure - Ledger entry
+   * @param {Function} task - Async function retrying the URL; it records its own errors
+   * @returns {Promise<boolean>} True if the retry succeeded
+   */
+  async retry(failure, task) {
+    const { attempts } = failure;
+
+    try {
+      await task();
+    } catch (error) {
+      this.recordError(failure.stage, failure.url, error);
+    }
+
+    failure.recovered = failure.attempts === attempts;
+    return failure.recovered;
+  }
+
+  /**
+   * Builds the report
+   * @param {Object} totals - Counters gathered by the crawler
+   * @param {Object} totals.pages - { crawled }
+   * @param {Object} totals.products - { discovered, parsed }
+   * @param {Object} totals.assets - Download stats: downloaded, unchanged, reused and bytes
+   * @param {Object} [totals.fetch] - Page fetch timings
+   * @param {Object} [totals.hosts] - Per-host request statistics from the rate limiter
+   * @returns {Object} Report as written to run-report.json
+   */
+  build({ pages, products, assets, fetch = null, hosts = null }) {
+    const finishedAt = new Date();
+    const errors = [...this.failures.values()];
+    const failedAt = stage => this.deadLetters(stage).length;
+
+    return {
+      version: RUN_REPORT_VERSION,
+      source: this.source,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      pages: { ...pages, failed: failedAt(FAILURE_STAGES.PAGE) },
+      products: { ...products, failed: failedAt(FAILURE_STAGES.PRODUCT) },
+      assets: {
+        downloaded: assets.downloaded,
+        unchanged: assets.unchanged,
+        reused: assets.reused,
+        failed: failedAt(FAILURE_STAGES.ASSET),
+        bytes: assets.bytes
+      },
+      retries: {
+        retried: errors.filter(entry => entry.attempts > 1 || entry.recovered).length,
+        recovered: errors.filter(entry => entry.recovered).length
+      },
+      fetch,
+      hosts,
+      errors,
+      // Kept whole, with what is needed to retry each URL
+      deadLetters: this.deadLetters().map(({ recovered, ...entry }) => entry)
+    };
+  }
+
+  /**
+   * Writes run-report.json atomically
+   * @param {string} outputDir - Output directory
+   * @param {Object} report - Report from build()
+   * @returns {Promise<string>} Path of the report
+   */
+  static async write(outputDir, report) {
+    const reportPath = path.join(outputDir, RUN_REPORT_FILE);
+    const tempPath = `${reportPath}.tmp`;
+
+    await fs.writeJson(tempPath, report, { spaces: 2 });
+    await fs.move(tempPath, reportPath, { overwrite: true });
+
+    return reportPath;
+  }
+}
+
+/**
+ * Reads the run report of a previous run
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<Object|null>} Report, or null without a usable report
+ */
+export const loadRunReport = async (outputDir) => {
+  const reportPath = path.join(outputDir, RUN_REPORT_FILE);
+
+  if (!(await fs.pathExists(reportPath))) {
+    return null;
+  }
+
+  const report = await fs.readJson(reportPath);
+
+  if (report.version !== RUN_REPORT_VERSION) {
+    console.log(`Ignoring ${reportPath}: unsupported version ${report.version}`);
+    return null;
+  }
+
+  return report;
+};
+
+/**
+ * Formats a report as a short summary for the console
+ * @param {Object} report - Report from RunReport#build
+ * @returns {string} Summary lines
+ */
+export const formatRunSummary = (report) => {
+  const seconds = (report.durationMs / 1000).toFixed(1);
+  const lines = [
+    `Run finished in ${seconds}s`,
+    `Pages: ${report.pages.crawled} crawled, ${report.pages.failed} failed`,
+    `Products: ${report.products.parsed} of ${report.products.discovered} parsed, ${report.products.failed} failed`,
+    `Assets: ${report.assets.downloaded} downloaded (${report.assets.bytes} bytes), ${report.assets.unchanged} unchanged, ${report.assets.failed} failed`,
+    `Retries: ${report.retries.recovered} of ${report.retries.retried} failed URL(s) recovered`
+  ];
+
+  if (report.deadLetters.length > 0) {
+    lines.push(`${report.deadLetters.length} URL(s) still failing (run "retry-failed" to try them again):`);
+    for (const { stage, url, message } of report.deadLetters) {
+      lines.push(`- [${stage}] ${url}: ${message}`);
+    }
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,318 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { PRODUCT_JSON_FILE } from './exporter.js';
+
+/**
+ * Name of the search index file in the output directory
+ */
+export const SEARCH_INDEX_FILE = 'search_index.json';
+
+/**
+ * Version of the index format; an index with another version is rebuilt
+ */
+export const SEARCH_INDEX_VERSION = 1;
+
+/**
+ * Indexed fields and the weight of a match in each. The names are also the
+ * prefixes of field-scoped query terms, e.g. "specifications:sfp28".
+ */
+export const SEARCH_FIELDS = {
+  name: 5,
+  features: 2,
+  specifications: 2,
+  description: 1,
+  documents: 1
+};
+
+/**
+ * Short prefixes accepted for the fields above
+ */
+const FIELD_ALIASES = {
+  title: 'name',
+  feature: 'features',
+  spec: 'specifications',
+  specs: 'specifications',
+  desc: 'description',
+  doc: 'documents',
+  docs: 'documents',
+  pdf: 'documents'
+};
+
+/**
+ * Gap left between the positions of separate items of a field (features,
+ * specification rows, documents) so phrases do not match across items
+ */
+const ITEM_GAP = 10;
+
+/**
+ * Splits text into lower-case search terms. Dots and trailing plus signs
+ * inside a term are kept, so "802.3bt", "2.5GbE" and "SFP+" are single terms.
+ * @param {string} text - Text
+ * @returns {string[]} Terms in order
+ */
+export const tokenize = (text) => String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+(?:\.[\p{L}\p{N}]+)*\+*/gu) || [];
+
+/**
+ * Returns the path of the text extracted from a downloaded PDF
+ * @param {string} pdfPath - Path of the PDF
+ * @returns {string} Path of the .txt file next to it
+ */
+export const pdfTextPath = (pdfPath) => pdfPath.replace(/\.pdf$/i, '') + '.txt';
+
+/**
+ * Collects the text of every indexed field of a product
+ * @param {Object} record - Product record
+ * @param {string[]} documents - Text extracted from the product's PDFs
+ * @returns {Object} Arrays of text items keyed by field name
+ */
+const fieldItems = (record, documents) => ({
+  name: [record.name],
+  features: record.features || [],
+  specifications: Object.entries(record.specifications || {}).map(([key, value]) => `${key} ${value}`),
+  description: [record.description],
+  documents
+});
+
+/**
+ * Builds an inverted index of product records. Every term maps to the
+ * products and fields it occurs in, with its positions for phrase queries.
+ * @param {Object[]} entries - Products as { record, dir, documents } where dir is the product
+ *   folder relative to the output directory and documents holds the text of its PDFs
+ * @returns {Object} Search index
+ */
+export const buildSearchIndex = (entries) => {
+  // No prototype, so terms such as "constructor" are plain keys
+  const terms = Object.create(null);
+  const documents = entries.map(({ record, dir }) => ({
+    name: record.name,
+    url: record.url,
+    category: record.category || null,
+    dir,
+    price: record.price || null,
+    priceAmount: record.priceDetails?.amount ?? null,
+    currency: record.priceDetails?.currency ?? record.currency ?? null
+  }));
+
+  entries.forEach(({ record, documents: texts = [] }, docId) => {
+    for (const [field, items] of Object.entries(fieldItems(record, texts))) {
+      let position = 0;
+
+      for (const item of items) {
+        for (const term of tokenize(item)) {
+          // Index "sfp+" under "sfp" too, so a search for SFP finds SFP+ ports
+          const forms = term.endsWith('+') ? [term, term.replace(/\++$/, '')] : [term];
+
+          for (const form of forms) {
+            terms[form] ??= {};
+            terms[form][docId] ??= {};
+            (terms[form][docId][field] ??= []).push(position);
+          }
+          position++;
+        }
+        position += ITEM_GAP;
+      }
+    }
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    builtAt: new Date().toISOString(),
+    documents,
+    terms
+  };
+};
+
+/**
+ * Reads the product records of the given folders and writes the search index
+ * @param {string} outputDir - Output directory
+ * @param {string[]} productDirs - Product directories relative to the output directory
+ * @returns {Promise<Object>} The index
+ */
+export const writeSearchIndex = async (outputDir, productDirs) => {
+  const entries = [];
+
+  for (const dir of productDirs) {
+    const jsonPath = path.join(outputDir, dir, PRODUCT_JSON_FILE);
+
+    if (!(await fs.pathExists(jsonPath))) {
+      continue;
+    }
+
+    const record = await fs.readJson(jsonPath);
+    const documents = [];
+
+    for (const pdf of record.assets?.pdfs || []) {
+      const textPath = path.join(outputDir, pdfTextPath(pdf));
+      if (await fs.pathExists(textPath)) {
+        documents.push(await fs.readFile(textPath, 'utf8'));
+      }
+    }
+
+    entries.push({ record, dir, documents });
+  }
+
+  const index = buildSearchIndex(entries);
+  const indexPath = path.join(outputDir, SEARCH_INDEX_FILE);
+  const tempPath = `${indexPath}.tmp`;
+
+  await fs.writeJson(tempPath, index);
+  await fs.move(tempPath, indexPath, { overwrite: true });
+
+  return index;
+};
+
+/**
+ * Reads the search index of an output directory
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<Object|null>} The index, or null if it is missing or was written in another format
+ */
+export const loadSearchIndex = async (outputDir) => {
+  const indexPath = path.join(outputDir, SEARCH_INDEX_FILE);
+
+  if (!(await fs.pathExists(indexPath))) {
+    return null;
+  }
+
+  const index = await fs.readJson(indexPath);
+  return index.version === SEARCH_INDEX_VERSION ? index : null;
+};
+
+/**
+ * Parses a search query. Quoted text is a phrase; "field:term" limits a term
+ * or phrase to one field; "category:name" and "price<100" (also <=, >, >=)
+ * filter the results.
+ * @param {string} query - Query, e.g. 'category:cameras "night vision" price<300'
+ * @returns {Object} { clauses, category, minPrice, minInclusive, maxPrice, maxInclusive } where
+ *   each clause is { terms, field } and matches when its terms occur next to each other, and
+ *   the price bounds are inclusive for <= and >= only
+ * @throws {Error} When the query names an unknown field or has an invalid price
+ */
+export const parseQuery = (query) => {
+  const parsed = { clauses: [], category: null, minPrice: null, minInclusive: true, maxPrice: null, maxInclusive: true };
+  const pattern = /(?:([\p{L}]+):)?(?:"([^"]*)"|(\S+))/gu;
+
+  for (const [token, prefix, phrase, word] of String(query).matchAll(pattern)) {
+    const priceFilter = !prefix && word?.match(/^price(<=?|>=?)(.+)$/i);
+
+    if (priceFilter) {
+      // Allow a currency symbol before the amount, e.g. price<$300
+      const amountText = priceFilter[2].replace(/^\p{Sc}/u, '');
+      const amount = Number(amountText);
+      if (!amountText || !Number.isFinite(amount)) {
+        throw new Error(`Invalid price in "${token}"`);
+      }
+      const bound = priceFilter[1].startsWith('<') ? 'max' : 'min';
+      parsed[`${bound}Price`] = amount;
+      parsed[`${bound}Inclusive`] = priceFilter[1].endsWith('=');
+      continue;
+    }
+
+    const text = phrase ?? word;
+
+    if (prefix?.toLowerCase() === 'category') {
+      parsed.category = text.toLowerCase();
+      continue;
+    }
+
+    let field = null;
+    if (prefix) {
+      field = FIELD_ALIASES[prefix.toLowerCase()] || prefix.toLowerCase();
+      if (!SEARCH_FIELDS[field]) {
+        throw new Error(`Unknown field "${prefix}". Expected category, price or one of: ${Object.keys(SEARCH_FIELDS).join(', ')}`);
+      }
+    }
+
+    const terms = tokenize(text);
+
+    if (terms.length > 0) {
+      parsed.clauses.push({ terms, field });
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Finds where a clause matches in the index
+ * @param {Object} index - Search index
+ * @param {Object} clause - Clause from parseQuery
+ * @returns {Map} Number of matches keyed by document id, then by field
+ */
+const matchClause = (index, { terms, field }) => {
+  const [first, ...rest] = terms.map(term => (Object.hasOwn(index.terms, term) ? index.terms[term] : {}));
+  const matches = new Map();
+
+  for (const [docId, fields] of Object.entries(first)) {
+    for (const [name, positions] of Object.entries(fields)) {
+      if (field && name !== field) {
+        continue;
+      }
+
+      // Count the start positions followed by the rest of the phrase
+      const count = positions.filter(start => rest.every((postings, offset) =>
+        postings[docId]?.[name]?.includes(start + offset + 1))).length;
+
+      if (count > 0) {
+        const id = Number(docId);
+        if (!matches.has(id)) {
+          matches.set(id, {});
+        }
+        matches.get(id)[name] = count;
+      }
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Searches the index. A product matches when every term and phrase of the
+ * query occurs in it and it passes the filters. Results are ranked by the
+ * number of matches in each field, weighted by SEARCH_FIELDS and by how rare
+ * the term or phrase is across the catalogue.
+ * @param {Object} index - Search index
+ * @param {string} query - Query, see parseQuery
+ * @returns {Object[]} Results as { name, url, category, dir, price, score, fields }, best first
+ */
+export const search = (index, query) => {
+  const { clauses, category, minPrice, minInclusive, maxPrice, maxInclusive } = parseQuery(query);
+  const scores = new Map();
+  const fields = new Map();
+
+  let candidates = index.documents.map((document, docId) => docId).filter(docId => {
+    const document = index.documents[docId];
+
+    if (category && !(document.category || '').toLowerCase().includes(category)) {
+      return false;
+    }
+    if ((minPrice !== null || maxPrice !== null) && document.priceAmount === null) {
+      return false;
+    }
+    const amount = document.priceAmount;
+    return (minPrice === null || (minInclusive ? amount >= minPrice : amount > minPrice)) &&
+      (maxPrice === null || (maxInclusive ? amount <= maxPrice : amount < maxPrice));
+  });
+
+  for (const clause of clauses) {
+    const matches = matchClause(index, clause);
+    const rarity = Math.log(1 + index.documents.length / Math.max(matches.size, 1));
+
+    candidates = candidates.filter(docId => matches.has(docId));
+
+    for (const docId of candidates) {
+      for (const [field, count] of Object.entries(matches.get(docId))) {
+        scores.set(docId, (scores.get(docId) || 0) + SEARCH_FIELDS[field] * (1 + Math.log(count)) * rarity);
+        fields.set(docId, new Set([...(fields.get(docId) || []), field]));
+      }
+    }
+  }
+
+  return candidates
+    .map(docId => ({
+      ...index.documents[docId],
+      score: Math.round((scores.get(docId) || 0) * 100) / 100,
+      fields: [...(fields.get(docId) || [])]
+    }))
+    .sort((a, b) => b.score - a.score || String(a.name).localeCompare(String(b.name)));
+};
@@ -0,0 +1,364 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { findProductDirs, PRODUCT_JSON_FILE } from './exporter.js';
+import { ProductParser, VARIANT_COLUMNS } from './product-parser.js';
+import { formatPrice } from './structured-data.js';
+
+/**
+ * Folder of the output directory the site is written to
+ */
+export const SITE_DIR = 'site';
+
+/**
+ * Maximum number of search results shown at once
+ */
+const MAX_SEARCH_RESULTS = 50;
+
+/**
+ * Stylesheet shared by every page
+ */
+const STYLESHEET = `* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1d1d1f; background: #f5f5f7; }
+a { color: #006fff; text-decoration: none; }
+a:hover { text-decoration: underline; }
+header { display: flex; gap: 1rem; align-items: center; padding: 0.75rem 1.5rem; background: #fff; border-bottom: 1px solid #ddd; position: sticky; top: 0; }
+header .home { font-weight: 600; color: inherit; }
+header input { flex: 1; max-width: 28rem; padding: 0.4rem 0.6rem; font-size: 1rem; border: 1px solid #ccc; border-radius: 4px; }
+#search-results { margin: 0; padding: 0.5rem 1.5rem; list-style: none; background: #fff; border-bottom: 1px solid #ddd; }
+#search-results li { padding: 0.25rem 0; }
+#search-results span { color: #666; }
+main { max-width: 72rem; margin: 0 auto; padding: 1.5rem; }
+footer { color: #888; font-size: 0.85rem; text-align: center; padding: 2rem; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(13rem, 1fr)); gap: 1rem; padding: 0; list-style: none; }
+.cards li { background: #fff; border-radius: 6px; padding: 1rem; }
+.cards img { width: 100%; height: 10rem; object-fit: contain; }
+.cards .name { display: block; font-weight: 600; margin-top: 0.5rem; }
+.price { font-size: 1.25rem; font-weight: 600; }
+.price s { color: #888; font-weight: normal; margin-left: 0.5rem; }
+.gallery-main img { max-width: 100%; max-height: 28rem; background: #fff; }
+.gallery-thumbs { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 0.5rem; }
+.gallery-thumbs img { width: 5rem; height: 5rem; object-fit: contain; background: #fff; border: 1px solid #ddd; }
+table { border-collapse: collapse; background: #fff; width: 100%; }
+th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #eee; vertical-align: top; }
+video { max-width: 100%; }
+`;
+
+/**
+ * Client-side search over window.SEARCH_INDEX and the gallery thumbnails
+ */
+const SCRIPT = `(function () {
+  var root = document.body.getAttribute('data-root') || '';
+  var input = document.getElementById('search');
+  var results = document.getElementById('search-results');
+  var index = window.SEARCH_INDEX || [];
+
+  var addResult = function (text, href, meta) {
+    var item = document.createElement('li');
+    var label = document.createElement(href ? 'a' : 'span');
+    label.textContent = text;
+    if (href) {
+      label.href = href;
+    }
+    item.appendChild(label);
+    if (meta) {
+      var details = document.createElement('span');
+      details.textContent = ' ' + meta;
+      item.appendChild(details);
+    }
+    results.appendChild(item);
+  };
+
+  input.addEventListener('input', function () {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    results.innerHTML = '';
+    results.hidden = terms.length === 0;
+
+    if (terms.length === 0) {
+      return;
+    }
+
+    var matches = index.filter(function (entry) {
+      return terms.every(function (term) { return entry.text.indexOf(term) !== -1; });
+    });
+
+    matches.slice(0, ${MAX_SEARCH_RESULTS}).forEach(function (entry) {
+      addResult(entry.name, root + entry.page, entry.category + (entry.price ? ' - ' + entry.price : ''));
+    });
+
+    if (matches.length === 0) {
+      addResult('No matching products');
+    }
+  });
+
+  var main = document.querySelector('.gallery-main img');
+  document.querySelectorAll('.gallery-thumbs a').forEach(function (link) {
+    link.addEventListener('click', function (event) {
+      event.preventDefault();
+      main.src = link.getAttribute('href');
+      main.parentNode.href = link.getAttribute('href');
+    });
+  });
+})();
+`;
+
+/**
+ * Escapes text for use in HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+/**
+ * Builds a relative link between two files of the output directory
+ * @param {string} fromFile - Page the link is on, relative to the output directory
+ * @param {string} target - Linked file, relative to the output directory
+ * @returns {string} URL-encoded relative link
+ */
+const linkTo = (fromFile, target) => path.posix.relative(path.posix.dirname(fromFile), target)
+  .split('/')
+  .map(segment => encodeURIComponent(segment))
+  .join('/');
+
+/**
+ * Wraps page content in the shared layout with the header and search box
+ * @param {string} pageFile - Page path relative to the output directory
+ * @param {string} title - Page title
+ * @param {string} content - Main content HTML
+ * @returns {string} Complete HTML document
+ */
+const layout = (pageFile, title, content) => {
+  const root = path.posix.relative(path.posix.dirname(pageFile), SITE_DIR);
+  const rootPrefix = root ? `${root}/` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${rootPrefix}style.css">
+</head>
+<body data-root="${rootPrefix}">
+<header>
+<a class="home" href="${rootPrefix}index.html">Ubiquiti Store Catalogue</a>
+<input type="search" id="search" placeholder="Search products" aria-label="Search products">
+</header>
+<ul id="search-results" hidden></ul>
+<main>
+${content}
+</main>
+<footer>Generated ${escapeHtml(new Date().toISOString())}</footer>
+<script src="${rootPrefix}search-index.js"></script>
+<script src="${rootPrefix}site.js"></script>
+</body>
+</html>
+`;
+};
+
+/**
+ * Renders the displayed price, with the regular price struck through for discounted products
+ * @param {Object} record - Product record
+ * @returns {string} Price HTML, or an empty string without a price
+ */
+const priceHtml = (record) => {
+  if (!record.price || record.price === 'Price not available') {
+    return '';
+  }
+
+  const details = record.priceDetails;
+  const compareAt = details?.onSale ? formatPrice(details.compareAtAmount, details.currency) : '';
+
+  return `<p class="price">${escapeHtml(record.price)}${compareAt ? ` <s>${escapeHtml(compareAt)}</s>` : ''}</p>`;
+};
+
+/**
+ * Renders a card linking to a product page
+ * @param {string} pageFile - Page the card is on
+ * @param {Object} entry - Product entry with record and page
+ * @returns {string} Card HTML
+ */
+const productCard = (pageFile, { record, page }) => {
+  const image = record.assets?.images?.[0] || record.assets?.screenshot;
+
+  return `<li>
+<a href="${linkTo(pageFile, page)}">${image ? `<img src="${linkTo(pageFile, image)}" alt="" loading="lazy">` : ''}<span class="name">${escapeHtml(record.name)}</span></a>
+${priceHtml(record)}
+</li>`;
+};
+
+/**
+ * Renders the page of a product
+ * @param {Object} entry - Product entry with record, page and category page
+ * @returns {string} Page HTML
+ */
+const productPage = ({ record, page, categoryPage }) => {
+  const assets = record.assets || {};
+  const images = assets.images || [];
+  const sections = [];
+
+  sections.push(`<h1>${escapeHtml(record.name)}</h1>`);
+  sections.push(`<p><a href="${linkTo(page, categoryPage)}">${escapeHtml(record.category)}</a> · <a href="${escapeHtml(record.url)}">View in store</a></p>`);
+  sections.push(priceHtml(record));
+
+  if (images.length > 0) {
+    const [first] = images;
+    sections.push(`<section class="gallery">
+<a class="gallery-main" href="${linkTo(page, first)}"><img src="${linkTo(page, first)}" alt="${escapeHtml(record.name)}"></a>
+${images.length > 1 ? `<div class="gallery-thumbs">
+${images.map(image => `<a href="${linkTo(page, image)}"><img src="${linkTo(page, image)}" alt="" loading="lazy"></a>`).join('\n')}
+</div>` : ''}
+</section>`);
+  }
+
+  if (record.description) {
+    const paragraphs = record.description.split(/\n\s*\n/).map(text => `<p>${escapeHtml(text.trim())}</p>`);
+    sections.push(`<h2>Description</h2>\n${paragraphs.join('\n')}`);
+  }
+
+  if (record.features?.length > 0) {
+    sections.push(`<h2>Features</h2>\n<ul>\n${record.features.map(feature => `<li>${escapeHtml(feature)}</li>`).join('\n')}\n</ul>`);
+  }
+
+  const specs = Object.entries(record.specifications || {});
+  if (specs.length > 0) {
+    sections.push(`<h2>Specifications</h2>\n<table>\n${specs.map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}\n</table>`);
+  }
+
+  const rows = ProductParser.variantRows(record);
+  if (rows.length > 0) {
+    sections.push(`<h2>Variants</h2>
+<table>
+<tr>${VARIANT_COLUMNS.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+</table>`);
+  }
+
+  if (assets.videos?.length > 0) {
+    sections.push(`<h2>Videos</h2>\n${assets.videos.map(video => `<video controls preload="metadata" src="${linkTo(page, video)}"></video>`).join('\n')}`);
+  }
+
+  if (assets.pdfs?.length > 0) {
+    sections.push(`<h2>Documents</h2>\n<ul>\n${assets.pdfs.map(pdf => `<li><a href="${linkTo(page, pdf)}" download>${escapeHtml(path.posix.basename(pdf))}</a></li>`).join('\n')}\n</ul>`);
+  }
+
+  return layout(page, record.name, sections.filter(Boolean).join('\n\n'));
+};
+
+/**
+ * Renders the list of products of a category
+ * @param {Object} category - Category with name, page and products
+ * @returns {string} Page HTML
+ */
+const categoryPage = ({ name, page, products }) => layout(page, name, `<h1>${escapeHtml(name)}</h1>
+<p>${products.length} products</p>
+<ul class="cards">
+${products.map(entry => productCard(page, entry)).join('\n')}
+</ul>`);
+
+/**
+ * Renders the home page listing every category
+ * @param {Object[]} categories - Categories with name, page and products
+ * @param {number} productCount - Number of products
+ * @returns {string} Page HTML
+ */
+const indexPage = (categories, productCount) => {
+  const page = `${SITE_DIR}/index.html`;
+
+  return layout(page, 'Ubiquiti Store Catalogue', `<h1>Ubiquiti Store Catalogue</h1>
+<p>${productCount} products in ${categories.length} categories</p>
+<ul>
+${categories.map(category => `<li><a href="${linkTo(page, category.page)}">${escapeHtml(category.name)}</a> (${category.products.length})</li>`).join('\n')}
+</ul>`);
+};
+
+/**
+ * Builds the entries of the client-side search index
+ * @param {Object[]} entries - Product entries with record and page
+ * @returns {Object[]} Search entries with the text to match in lower case
+ */
+const searchIndex = (entries) => entries.map(({ record, page }) => ({
+  name: record.name,
+  category: record.category,
+  price: record.price === 'Price not available' ? '' : record.price,
+  page: linkTo(`${SITE_DIR}/index.html`, page),
+  text: [
+    record.name,
+    record.category,
+    record.description,
+    ...(record.features || []),
+    ...Object.entries(record.specifications || {}).flat(),
+    ...(record.variants || []).map(variant => variant.sku)
+  ].filter(Boolean).join(' ').toLowerCase()
+}));
+
+/**
+ * Generates a static HTML catalogue in the site folder of the output
+ * directory: a home page, one page per category folder and one page per
+ * product with its gallery, specifications, variants, videos and documents,
+ * plus a search box. Pages link to the downloaded files with relative paths,
+ * so the site works offline straight from the output directory.
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<Object>} Numbers of categories and products, and the path of the home page
+ */
+export const generateSite = async (outputDir) => {
+  const categories = new Map();
+  const entries = [];
+
+  for (const dir of await findProductDirs(outputDir)) {
+    const record = await fs.readJson(path.join(outputDir, dir, PRODUCT_JSON_FILE));
+    const [, folder, productFolder] = dir.split('/');
+
+    if (!categories.has(folder)) {
+      categories.set(folder, {
+        name: record.category || folder,
+        page: `${SITE_DIR}/categories/${folder}.html`,
+        products: []
+      });
+    }
+
+    const category = categories.get(folder);
+    const entry = {
+      record,
+      page: `${SITE_DIR}/products/${folder}/${productFolder}.html`,
+      categoryPage: category.page
+    };
+
+    category.products.push(entry);
+    entries.push(entry);
+  }
+
+  const sortedCategories = [...categories.values()].sort((a, b) => a.name.localeCompare(b.name));
+  sortedCategories.forEach(category => category.products.sort((a, b) => a.record.name.localeCompare(b.record.name)));
+
+  const siteDir = path.join(outputDir, SITE_DIR);
+  await fs.emptyDir(siteDir);
+
+  const write = (file, content) => fs.outputFile(path.join(outputDir, file), content, 'utf8');
+
+  await write(`${SITE_DIR}/style.css`, STYLESHEET);
+  await write(`${SITE_DIR}/site.js`, SCRIPT);
+  // A script rather than JSON, so the index also loads from file:// URLs
+  await write(`${SITE_DIR}/search-index.js`, `window.SEARCH_INDEX = ${JSON.stringify(searchIndex(entries))};\n`);
+  await write(`${SITE_DIR}/index.html`, indexPage(sortedCategories, entries.length));
+
+  for (const category of sortedCategories) {
+    await write(category.page, categoryPage(category));
+  }
+
+  for (const entry of entries) {
+    await write(entry.page, productPage(entry));
+  }
+
+  return {
+    categories: sortedCategories.length,
+    products: entries.length,
+    indexPath: path.join(siteDir, 'index.html')
+  };
+};
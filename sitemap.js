@@ -0,0 +1,82 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import zlib from 'zlib';
+
+/**
+ * Parses a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} Nested sitemap URLs and page URLs as { sitemaps, urls }
+ */
+export const parseSitemap = (xml) => {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  const sitemaps = $('sitemapindex > sitemap > loc').map((i, loc) => $(loc).text().trim()).get();
+  const urls = $('urlset > url > loc').map((i, loc) => $(loc).text().trim()).get();
+
+  return {
+    sitemaps: sitemaps.filter(Boolean),
+    urls: urls.filter(Boolean)
+  };
+};
+
+/**
+ * Downloads a sitemap, un-gzipping it when needed
+ * @param {string} sitemapUrl - Sitemap URL
+ * @param {Object} options - Request options
+ * @param {string} options.userAgent - User agent to send
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<string>} Sitemap XML
+ */
+const downloadSitemap = async (sitemapUrl, { userAgent, timeout }) => {
+  const response = await axios.get(sitemapUrl, {
+    headers: { 'User-Agent': userAgent },
+    timeout,
+    responseType: 'arraybuffer'
+  });
+
+  let buffer = Buffer.from(response.data);
+
+  // Gzip magic number
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  return buffer.toString('utf8');
+};
+
+/**
+ * Collects every page URL from a sitemap, following nested sitemap indexes
+ * @param {string[]} sitemapUrls - Sitemaps to start from
+ * @param {Object} options - Options
+ * @param {string} options.userAgent - User agent to send
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {number} [options.maxSitemaps] - Maximum number of sitemap files to download
+ * @returns {Promise<string[]>} Page URLs
+ */
+export const fetchSitemapUrls = async (sitemapUrls, { userAgent, timeout, maxSitemaps = 100 }) => {
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+  const urls = new Set();
+
+  while (queue.length > 0 && seen.size < maxSitemaps) {
+    const sitemapUrl = queue.shift();
+
+    if (seen.has(sitemapUrl)) {
+      continue;
+    }
+    seen.add(sitemapUrl);
+
+    try {
+      const { sitemaps, urls: pageUrls } = parseSitemap(await downloadSitemap(sitemapUrl, { userAgent, timeout }));
+
+      queue.push(...sitemaps);
+      pageUrls.forEach(pageUrl => urls.add(pageUrl));
+
+      console.log(`Read sitemap ${sitemapUrl}: ${sitemaps.length} nested sitemaps, ${pageUrls.length} URLs`);
+    } catch (error) {
+      console.error(`Error reading sitemap ${sitemapUrl}:`, error.message);
+    }
+  }
+
+  return [...urls];
+};
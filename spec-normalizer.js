@@ -0,0 +1,489 @@
+/**
+ * Canonical specification keys, the kind of value each one holds and the
+ * spellings used for it across product pages. Aliases are compared after
+ * cleanKey(), so case, punctuation and parenthesized notes do not matter.
+ */
+export const SPEC_ALIASES = {
+  maxPowerConsumption: {
+    type: 'power',
+    aliases: ['max power consumption', 'maximum power consumption', 'power consumption', 'max power', 'power consumption max']
+  },
+  poeBudget: {
+    type: 'power',
+    aliases: ['poe budget', 'total poe budget', 'total poe availability', 'poe availability', 'max poe wattage', 'max poe output']
+  },
+  maxPoeWattagePerPort: {
+    type: 'power',
+    aliases: ['max poe wattage per port', 'poe wattage per port', 'max poe per port']
+  },
+  powerSupply: {
+    type: 'power',
+    aliases: ['power supply', 'internal power supply', 'power adapter']
+  },
+  powerMethod: {
+    type: 'text',
+    aliases: ['power method', 'power methods', 'power source']
+  },
+  supportedVoltageRange: {
+    type: 'voltage',
+    aliases: ['supported voltage range', 'voltage range', 'input voltage', 'ac input', 'dc input', 'power input']
+  },
+  dimensions: {
+    type: 'dimensions',
+    aliases: ['dimensions', 'dimension', 'size', 'device dimensions']
+  },
+  weight: {
+    type: 'weight',
+    aliases: ['weight', 'net weight', 'device weight']
+  },
+  operatingTemperature: {
+    type: 'temperature',
+    aliases: ['operating temperature', 'ambient operating temperature', 'operating temp', 'temperature']
+  },
+  operatingHumidity: {
+    type: 'humidity',
+    aliases: ['operating humidity', 'ambient operating humidity', 'humidity']
+  },
+  networkingInterface: {
+    type: 'ports',
+    aliases: ['networking interface', 'networking interfaces', 'ethernet interface', 'ethernet interfaces', 'ethernet ports', 'ports', 'interfaces', 'lan', 'wan']
+  },
+  uplinkInterface: {
+    type: 'ports',
+    aliases: ['uplink interface', 'uplink interfaces', 'uplink ports', 'uplink']
+  },
+  switchingCapacity: {
+    type: 'dataRate',
+    aliases: ['switching capacity', 'total non blocking throughput', 'non blocking throughput']
+  },
+  forwardingRate: {
+    type: 'packetRate',
+    aliases: ['forwarding rate', 'forwarding capacity']
+  },
+  idsIpsThroughput: {
+    type: 'dataRate',
+    aliases: ['ids ips throughput', 'ips throughput', 'ids ips routing']
+  },
+  routingThroughput: {
+    type: 'dataRate',
+    aliases: ['routing throughput', 'routing performance', 'throughput', 'max throughput']
+  },
+  maxTxPower: {
+    type: 'signalPower',
+    aliases: ['max tx power', 'maximum tx power', 'tx power']
+  },
+  antennaGain: {
+    type: 'antennaGain',
+    aliases: ['antenna gain', 'antennas gain']
+  },
+  storage: {
+    type: 'storage',
+    aliases: ['storage', 'internal storage', 'onboard storage', 'hdd capacity', 'max storage']
+  },
+  enclosure: {
+    type: 'text',
+    aliases: ['enclosure', 'enclosure material', 'material', 'enclosure characteristics']
+  },
+  mounting: {
+    type: 'text',
+    aliases: ['mounting', 'mount', 'mounting options']
+  },
+  management: {
+    type: 'text',
+    aliases: ['management', 'management interface', 'application requirements']
+  },
+  certifications: {
+    type: 'text',
+    aliases: ['certifications', 'certification', 'compliance']
+  },
+  ledIndicators: {
+    type: 'text',
+    aliases: ['leds', 'led', 'led indicators', 'system leds']
+  },
+  buttons: {
+    type: 'text',
+    aliases: ['buttons', 'button']
+  }
+};
+
+/**
+ * Units, the quantity each one measures, the canonical unit of that quantity
+ * and the factor to convert to it. Longer spellings come first so "mm" is not
+ * read as "m".
+ */
+const UNITS = [
+  ['°C', 'temperature', '°C', 1],
+  ['°F', 'temperature', '°C', null],
+  ['Tbps', 'dataRate', 'Gbps', 1000],
+  ['Gbps', 'dataRate', 'Gbps', 1],
+  ['Mbps', 'dataRate', 'Gbps', 0.001],
+  ['Kbps', 'dataRate', 'Gbps', 0.000001],
+  ['Mpps', 'packetRate', 'Mpps', 1],
+  ['dBm', 'signalPower', 'dBm', 1],
+  ['dBi', 'antennaGain', 'dBi', 1],
+  ['kW', 'power', 'W', 1000],
+  ['mW', 'power', 'W', 0.001],
+  ['W', 'power', 'W', 1],
+  ['VAC', 'voltage', 'V', 1],
+  ['VDC', 'voltage', 'V', 1],
+  ['V', 'voltage', 'V', 1],
+  ['mA', 'current', 'A', 0.001],
+  ['A', 'current', 'A', 1],
+  ['mm', 'length', 'mm', 1],
+  ['cm', 'length', 'mm', 10],
+  ['in', 'length', 'mm', 25.4],
+  ['kg', 'weight', 'g', 1000],
+  ['lbs', 'weight', 'g', 453.592],
+  ['lb', 'weight', 'g', 453.592],
+  ['oz', 'weight', 'g', 28.3495],
+  ['g', 'weight', 'g', 1],
+  ['TB', 'storage', 'GB', 1000],
+  ['GB', 'storage', 'GB', 1],
+  ['%', 'humidity', '%', 1]
+];
+
+const NUMBER = '-?\\d+(?:,\\d{3})*(?:\\.\\d+)?';
+
+/**
+ * A number or range followed by a unit, e.g. "25W", "100-240V AC", "-5 to 40° C"
+ */
+const QUANTITY_PATTERN = new RegExp(
+  `(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?\\s*(${UNITS.map(([unit]) => unit.replace('°', '°\\s*')).join('|')})(?![a-z])`,
+  'gi'
+);
+
+/**
+ * Two or three lengths separated by "x", e.g. "442.4 x 43.7 x 285.6 mm"
+ */
+const DIMENSIONS_PATTERN = new RegExp(`(${NUMBER})\\s*[x×]\\s*(${NUMBER})(?:\\s*[x×]\\s*(${NUMBER}))?\\s*(mm|cm|in)\\b`, 'i');
+
+/**
+ * A port count followed by its description, e.g. "(8) GbE RJ45" or "8x 10G SFP+"
+ */
+const PORTS_PATTERN = /(?:\((\d+)\)|\b(\d+)\s*[x×])\s*([^,;()]+)/gi;
+
+/**
+ * Port connectors, longest first
+ */
+const CONNECTORS = ['QSFP28', 'QSFP+', 'SFP28', 'SFP+', 'SFP', 'RJ45'];
+
+/**
+ * Parses a number that may have thousands separators
+ * @param {string} text - Number text
+ * @returns {number} Number
+ */
+const toNumber = (text) => Number(text.replace(/,/g, ''));
+
+/**
+ * Rounds a converted value to a sensible precision
+ * @param {number} value - Value
+ * @returns {number} Value rounded to 3 decimals
+ */
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Reduces a specification key to the form used in the alias table
+ * @param {string} key - Key as written on the page, e.g. "Max. Power Consumption:"
+ * @returns {string} Lower-case words, e.g. "max power consumption"
+ */
+export const cleanKey = (key) => String(key)
+  .toLowerCase()
+  .replace(/\([^)]*\)/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Converts a cleaned key to camelCase
+ * @param {string} cleaned - Key from cleanKey()
+ * @returns {string} camelCase key, e.g. "fanCount"
+ */
+const camelCase = (cleaned) => cleaned.replace(/ ([a-z0-9])/g, (match, char) => char.toUpperCase()) || 'unnamed';
+
+/**
+ * Lookup of cleaned alias to canonical key
+ */
+const ALIAS_LOOKUP = new Map(
+  Object.entries(SPEC_ALIASES).flatMap(([key, { aliases }]) => aliases.map(alias => [cleanKey(alias), key]))
+);
+
+/**
+ * Finds the canonical key of a specification
+ * @param {string} key - Key as written on the page
+ * @returns {Object} { key, known } where unknown keys are converted to camelCase
+ */
+export const canonicalKey = (key) => {
+  const cleaned = cleanKey(key);
+
+  if (ALIAS_LOOKUP.has(cleaned)) {
+    return { key: ALIAS_LOOKUP.get(cleaned), known: true };
+  }
+
+  return { key: camelCase(cleaned), known: false };
+};
+
+/**
+ * Finds the quantities in a value, converted to the canonical unit of each quantity
+ * @param {string} text - Specification value
+ * @returns {Object[]} Quantities as { type, unit, value } or { type, unit, min, max }
+ */
+export const parseQuantities = (text) => {
+  const quantities = [];
+
+  for (const [, first, second, rawUnit] of String(text).matchAll(QUANTITY_PATTERN)) {
+    const spelling = rawUnit.replace(/\s+/g, '');
+    const [, type, unit, factor] = UNITS.find(([candidate]) => candidate === spelling) ||
+      UNITS.find(([candidate]) => candidate.toLowerCase() === spelling.toLowerCase());
+    const convert = factor === null
+      ? value => round((value - 32) * 5 / 9)
+      : value => round(value * factor);
+
+    // A leading minus sign on the second number of a range is the separator ("100-240V")
+    const values = [toNumber(first), second === undefined ? null : Math.abs(toNumber(second))].filter(value => value !== null);
+
+    quantities.push(values.length === 2
+      ? { type, unit, min: convert(Math.min(...values)), max: convert(Math.max(...values)) }
+      : { type, unit, value: convert(values[0]) });
+  }
+
+  return quantities;
+};
+
+/**
+ * Parses dimensions into millimetres
+ * @param {string} text - Specification value
+ * @returns {Object|null} { width, height, depth, unit: 'mm' }, or null if the text has no dimensions
+ */
+export const parseDimensions = (text) => {
+  const match = String(text).match(DIMENSIONS_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const factor = { mm: 1, cm: 10, in: 25.4 }[match[4].toLowerCase()];
+  const [width, height, depth] = match.slice(1, 4).map(value => (value === undefined ? null : round(toNumber(value) * factor)));
+
+  return { width, height, depth, unit: 'mm' };
+};
+
+/**
+ * Reads the speed of a port in Gbps from its description
+ * @param {string} description - Port description, e.g. "2.5GbE RJ45" or "10G SFP+"
+ * @returns {number|null} Speed in Gbps
+ */
+const portSpeed = (description) => {
+  const gigabit = description.match(/(\d+(?:\.\d+)?)\s*G(?:bE|bps|E)?(?![a-z])/i);
+  if (gigabit) {
+    return Number(gigabit[1]);
+  }
+  if (/\bGbE\b|\bGigabit\b/i.test(description)) {
+    return 1;
+  }
+  if (/\bFE\b|10\/100(?!\/)/i.test(description)) {
+    return 0.1;
+  }
+  return null;
+};
+
+/**
+ * Reads the PoE class of a port from its description
+ * @param {string} description - Port description
+ * @returns {string|null} "PoE++" (802.3bt), "PoE+" (802.3at), "PoE" (802.3af), "Passive PoE" or null
+ */
+const poeClass = (description) => {
+  if (/PoE\+\+|802\.3bt/i.test(description)) {
+    return 'PoE++';
+  }
+  if (/PoE\+|802\.3at/i.test(description)) {
+    return 'PoE+';
+  }
+  if (/passive\s+PoE/i.test(description)) {
+    return 'Passive PoE';
+  }
+  if (/PoE|802\.3af/i.test(description)) {
+    return 'PoE';
+  }
+  return null;
+};
+
+/**
+ * Parses port counts by speed, connector and PoE class
+ * @param {string} text - Specification value, e.g. "(8) GbE RJ45 ports, (2) 10G SFP+ ports"
+ * @returns {Object[]} Port groups as { count, speedGbps, connector, poe, description }
+ */
+export const parsePorts = (text) => {
+  const groups = [];
+
+  for (const [, bracketed, multiplied, rawDescription] of String(text).matchAll(PORTS_PATTERN)) {
+    const description = rawDescription.trim();
+    const connector = CONNECTORS.find(candidate => new RegExp(`${candidate.replace('+', '\\+')}(?![\\w+])`, 'i').test(description));
+
+    groups.push({
+      count: Number(bracketed ?? multiplied),
+      speedGbps: portSpeed(description),
+      connector: connector || null,
+      poe: poeClass(description),
+      description
+    });
+  }
+
+  return groups;
+};
+
+/**
+ * Interprets a value as the given type of specification
+ * @param {string} type - Expected type from the alias table, or null for unknown keys
+ * @param {string} text - Specification value
+ * @returns {Object|null} Parsed fields, or null if the value could not be interpreted
+ */
+const interpret = (type, text) => {
+  if (type === 'text') {
+    return {};
+  }
+
+  if (type === 'ports') {
+    const ports = parsePorts(text);
+    return ports.length > 0 ? { value: ports.reduce((total, group) => total + group.count, 0), unit: 'ports', ports } : null;
+  }
+
+  if (type === 'dimensions' || (!type && DIMENSIONS_PATTERN.test(text))) {
+    const dimensions = parseDimensions(text);
+    return dimensions ? { type: 'dimensions', ...dimensions } : null;
+  }
+
+  const quantities = parseQuantities(text);
+  const match = type ? quantities.find(quantity => quantity.type === type) : quantities[0];
+
+  return match || null;
+};
+
+/**
+ * Normalizes raw specifications into typed, unit-aware fields keyed by
+ * canonical key. Every field keeps the key and value as written on the page
+ * (label, text); fields whose value could not be parsed, or whose key is not in
+ * the alias table and has no recognizable unit, have interpreted set to false.
+ * When two keys map to the same canonical key, the later one gets a camelCase
+ * key of its own.
+ * @param {Object} specifications - Specifications as written on the page
+ * @returns {Object} Normalized specifications keyed by canonical key
+ */
+export const normalizeSpecifications = (specifications) => {
+  const normalized = {};
+
+  for (const [label, text] of Object.entries(specifications || {})) {
+    const canonical = canonicalKey(label);
+    const type = canonical.known ? SPEC_ALIASES[canonical.key].type : null;
+    const parsed = interpret(type, String(text));
+    let key = canonical.key;
+
+    if (normalized[key]) {
+      const own = camelCase(cleanKey(label));
+      key = own;
+      for (let suffix = 2; normalized[key]; suffix++) {
+        key = `${own}${suffix}`;
+      }
+    }
+
+    normalized[key] = {
+      label,
+      text,
+      type: parsed?.type || type || 'unknown',
+      ...(parsed ? Object.fromEntries(Object.entries(parsed).filter(([field]) => field !== 'type')) : {}),
+      interpreted: parsed !== null
+    };
+  }
+
+  return normalized;
+};
+
+/**
+ * Formats a normalized specification for display, e.g. "25 W", "100–240 V",
+ * "442.4 × 43.7 × 285.6 mm" or "8 × 1 Gbps RJ45 PoE+"
+ * @param {Object} spec - Normalized specification
+ * @returns {string} Display text, or an empty string for text specifications and uninterpreted values
+ */
+export const formatSpecification = (spec) => {
+  if (!spec.interpreted || spec.type === 'text') {
+    return '';
+  }
+
+  if (spec.ports) {
+    return spec.ports.map(group => [
+      `${group.count} ×`,
+      group.speedGbps !== null ? `${group.speedGbps} Gbps` : null,
+      group.connector,
+      group.poe
+    ].filter(Boolean).join(' ')).join(', ');
+  }
+
+  if (spec.type === 'dimensions') {
+    return `${[spec.width, spec.height, spec.depth].filter(value => value !== null).join(' × ')} ${spec.unit}`;
+  }
+
+  const separator = spec.unit === '%' || spec.unit === '°C' ? '' : ' ';
+  const amount = spec.value !== undefined ? `${spec.value}` : `${spec.min}–${spec.max}`;
+
+  return `${amount}${separator}${spec.unit}`;
+};
+
+/**
+ * Longest label, in words, looked for at the start of a line of text
+ */
+const MAX_LABEL_WORDS = 6;
+
+/**
+ * Finds specifications in running text such as a datasheet, one per line, e.g.
+ * "Max. Power Consumption 33W" or "Weight: 1.2 kg". A line counts when it
+ * starts with a label from the alias table and the rest of the line can be
+ * read as that kind of value. The first line found for each canonical key wins.
+ * @param {string} text - Text, e.g. extracted from a PDF
+ * @returns {Object} Specifications keyed by label as written in the text
+ */
+export const extractSpecificationsFromText = (text) => {
+  const specifications = {};
+  const found = new Set();
+
+  for (const line of String(text || '').split('\n')) {
+    const words = line.replace(/\t/g, ' ').trim().split(/\s+/);
+
+    for (let count = Math.min(MAX_LABEL_WORDS, words.length - 1); count >= 1; count--) {
+      const label = words.slice(0, count).join(' ').replace(/:$/, '');
+      const canonical = canonicalKey(label);
+
+      if (!canonical.known) {
+        continue;
+      }
+
+      const value = words.slice(count).join(' ').replace(/^:\s*/, '');
+      if (!found.has(canonical.key) && value && interpret(SPEC_ALIASES[canonical.key].type, value) !== null) {
+        specifications[label] = value;
+        found.add(canonical.key);
+      }
+      break;
+    }
+  }
+
+  return specifications;
+};
+
+/**
+ * Adds specifications from another source, such as a datasheet, for the
+ * canonical keys the page does not already have
+ * @param {Object} specifications - Specifications as written on the page
+ * @param {Object} extra - Specifications from the other source
+ * @returns {Object} Combined specifications; the page's own come first and win
+ */
+export const mergeSpecifications = (specifications, extra) => {
+  const present = new Set(Object.keys(specifications || {}).map(label => canonicalKey(label).key));
+  const merged = { ...specifications };
+
+  for (const [label, value] of Object.entries(extra || {})) {
+    const { key } = canonicalKey(label);
+    if (!present.has(key)) {
+      merged[label] = value;
+      present.add(key);
+    }
+  }
+
+  return merged;
+};
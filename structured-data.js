@@ -0,0 +1,542 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Normalized stock states of a variant
+ */
+export const AVAILABILITY = {
+  IN_STOCK: 'in_stock',
+  SOLD_OUT: 'sold_out',
+  COMING_SOON: 'coming_soon',
+  BACKORDER: 'backorder',
+  DISCONTINUED: 'discontinued',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Schema.org ItemAvailability values and the stock state they map to
+ */
+const SCHEMA_AVAILABILITY = {
+  instock: AVAILABILITY.IN_STOCK,
+  limitedavailability: AVAILABILITY.IN_STOCK,
+  onlineonly: AVAILABILITY.IN_STOCK,
+  instoreonly: AVAILABILITY.IN_STOCK,
+  outofstock: AVAILABILITY.SOLD_OUT,
+  soldout: AVAILABILITY.SOLD_OUT,
+  preorder: AVAILABILITY.COMING_SOON,
+  presale: AVAILABILITY.COMING_SOON,
+  backorder: AVAILABILITY.BACKORDER,
+  discontinued: AVAILABILITY.DISCONTINUED
+};
+
+/**
+ * Parses JSON without throwing
+ * @param {string} text - JSON text
+ * @returns {*} Parsed value, or null if the text is not valid JSON
+ */
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Converts an HTML fragment to plain text
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+const htmlToText = (html) => {
+  if (typeof html !== 'string') {
+    return '';
+  }
+
+  if (!html.includes('<')) {
+    return html.trim();
+  }
+
+  return cheerio.load(html).root().text().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Formats a numeric amount as a price string, e.g. 199 and USD become "$199.00"
+ * @param {number|string} amount - Price amount
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {string} Formatted price, or an empty string if the amount is not a number
+ */
+export const formatPrice = (amount, currency) => {
+  const number = Number(amount);
+
+  if (amount === null || amount === undefined || amount === '' || Number.isNaN(number)) {
+    return '';
+  }
+
+  if (!currency) {
+    return number.toFixed(2);
+  }
+
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(number);
+  } catch (error) {
+    return `${number.toFixed(2)} ${currency}`;
+  }
+};
+
+/**
+ * Checks whether a JSON-LD node has the given @type
+ * @param {Object} node - JSON-LD node
+ * @param {string} type - Schema.org type name
+ * @returns {boolean} True if the node has the type
+ */
+const hasType = (node, type) => {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.includes(type);
+};
+
+/**
+ * Reads every application/ld+json block of a page, flattening arrays and @graph
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object[]} JSON-LD nodes
+ */
+export const extractJsonLd = ($) => {
+  const nodes = [];
+
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) {
+        collect(value['@graph']);
+      }
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((i, script) => {
+    collect(parseJson($(script).contents().text()));
+  });
+
+  return nodes;
+};
+
+/**
+ * Maps a JSON-LD Product (or ProductGroup) node to product fields
+ * @param {Object[]} nodes - JSON-LD nodes
+ * @returns {Object} Product fields found in the JSON-LD
+ */
+export const fieldsFromJsonLd = (nodes) => {
+  const product = nodes.find(node => hasType(node, 'Product') || hasType(node, 'ProductGroup'));
+
+  if (!product) {
+    return {};
+  }
+
+  const fields = {
+    name: typeof product.name === 'string' ? product.name.trim() : '',
+    description: htmlToText(product.description)
+  };
+
+  // Offers may be a single Offer, an AggregateOffer or a list of offers, or
+  // sit on the variants of a ProductGroup
+  let offers = product.offers;
+  if (!offers && Array.isArray(product.hasVariant)) {
+    offers = product.hasVariant.flatMap(variant => variant.offers || []);
+  }
+  const offer = Array.isArray(offers) ? offers[0] : offers;
+
+  if (offer) {
+    const amount = offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price;
+    fields.currency = offer.priceCurrency || offer.priceSpecification?.priceCurrency || '';
+    fields.price = formatPrice(amount, fields.currency);
+  }
+
+  if (Array.isArray(product.additionalProperty)) {
+    const specs = {};
+    for (const property of product.additionalProperty) {
+      if (property?.name && property.value !== undefined && property.value !== null) {
+        specs[String(property.name).trim()] = String(property.value).trim();
+      }
+    }
+    fields.specifications = specs;
+  }
+
+  fields.variants = variantsFromJsonLd(product);
+
+  return fields;
+};
+
+/**
+ * Normalizes a stock state from schema.org URLs, booleans or storefront text
+ * @param {*} value - Raw availability value
+ * @returns {string} One of the AVAILABILITY values
+ */
+export const normalizeAvailability = (value) => {
+  if (value === true) {
+    return AVAILABILITY.IN_STOCK;
+  }
+  if (value === false) {
+    return AVAILABILITY.SOLD_OUT;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return AVAILABILITY.UNKNOWN;
+  }
+
+  const key = value.split('/').pop().toLowerCase().replace(/[^a-z]/g, '');
+
+  if (SCHEMA_AVAILABILITY[key]) {
+    return SCHEMA_AVAILABILITY[key];
+  }
+  if (/coming ?soon|notify me|pre-?order/i.test(value)) {
+    return AVAILABILITY.COMING_SOON;
+  }
+  // Negated wording is checked before "available" and "in stock" match it
+  if (/no longer (available|sold|offered)/i.test(value)) {
+    return AVAILABILITY.DISCONTINUED;
+  }
+  if (/sold ?out|out of stock|unavailable|not (currently )?(available|in stock)/i.test(value)) {
+    return AVAILABILITY.SOLD_OUT;
+  }
+  if (/in stock|add to cart|buy now|available/i.test(value)) {
+    return AVAILABILITY.IN_STOCK;
+  }
+
+  return AVAILABILITY.UNKNOWN;
+};
+
+/**
+ * Collects image URLs from the different shapes images take in page data
+ * @param {...*} values - Image strings, ImageObjects, { src } objects or arrays of them
+ * @returns {string[]} Image URLs
+ */
+const collectImages = (...values) => {
+  const images = [];
+
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (typeof value === 'string' && value) {
+      images.push(value.startsWith('//') ? `https:${value}` : value);
+    } else if (value && typeof value === 'object') {
+      collect(value.url || value.src || value.contentUrl || value.originalSrc);
+    }
+  };
+
+  values.forEach(collect);
+  return [...new Set(images)];
+};
+
+/**
+ * Extracts variants from a JSON-LD ProductGroup (hasVariant) or from a
+ * Product with one offer per SKU
+ * @param {Object} product - JSON-LD Product or ProductGroup node
+ * @returns {Object[]} Variants
+ */
+export const variantsFromJsonLd = (product) => {
+  const variesBy = (Array.isArray(product.variesBy) ? product.variesBy : [product.variesBy])
+    .filter(Boolean)
+    .map(property => String(property).split('/').pop());
+
+  const fromOffer = (offer, node = {}) => {
+    const currency = offer?.priceCurrency || offer?.priceSpecification?.priceCurrency || '';
+    const options = {};
+
+    for (const property of variesBy) {
+      const value = node[property.charAt(0).toLowerCase() + property.slice(1)];
+      if (value) {
+        options[property.charAt(0).toUpperCase() + property.slice(1)] = String(value);
+      }
+    }
+
+    return {
+      sku: String(node.sku || offer?.sku || ''),
+      title: String(node.name || offer?.name || '').trim(),
+      options,
+      price: formatPrice(offer?.price ?? offer?.lowPrice, currency),
+      compareAtPrice: formatPrice(offer?.priceSpecification?.referencePrice?.price ?? offer?.highPrice, currency),
+      availability: normalizeAvailability(offer?.availability),
+      images: collectImages(node.image)
+    };
+  };
+
+  if (Array.isArray(product.hasVariant)) {
+    return product.hasVariant.map(variant => {
+      const offer = Array.isArray(variant.offers) ? variant.offers[0] : variant.offers;
+      return fromOffer(offer, variant);
+    });
+  }
+
+  // A plain Product with several offers usually lists one offer per SKU
+  if (Array.isArray(product.offers) && product.offers.some(offer => offer.sku)) {
+    return product.offers.map(offer => fromOffer(offer, { sku: offer.sku, name: offer.name, image: offer.image }));
+  }
+
+  return [];
+};
+
+/**
+ * Finds the object that looks most like a product in hydration JSON
+ * @param {*} root - Parsed hydration JSON
+ * @returns {Object|null} Product object
+ */
+export const findProductObject = (root) => {
+  const seen = new Set();
+  const queue = [root];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+
+    if (!node || typeof node !== 'object' || seen.has(node)) {
+      continue;
+    }
+    seen.add(node);
+
+    if (!Array.isArray(node)) {
+      // A "product" key is the strongest hint
+      if (node.product && typeof node.product === 'object' && !Array.isArray(node.product)) {
+        return node.product;
+      }
+
+      const hasName = typeof node.title === 'string' || typeof node.name === 'string';
+      const hasProductKeys = ['variants', 'sku', 'price', 'shortDescription', 'handle'].some(key => key in node);
+
+      if (hasName && hasProductKeys) {
+        return node;
+      }
+    }
+
+    queue.push(...Object.values(node));
+  }
+
+  return null;
+};
+
+/**
+ * Reads a price that may be a number, a string or a { amount, currency } object
+ * @param {*} value - Raw price value
+ * @returns {Object} Amount and currency
+ */
+const readPriceValue = (value) => {
+  if (value && typeof value === 'object') {
+    return {
+      amount: value.amount ?? value.value ?? value.price,
+      currency: value.currency || value.currencyCode
+    };
+  }
+
+  return { amount: value };
+};
+
+/**
+ * Extracts variants from a product object in hydration JSON
+ * @param {Object} product - Product object
+ * @param {Object} [options] - Mapping options
+ * @param {boolean} [options.pricesInCents] - Integer prices are in cents (Shopify product JSON)
+ * @returns {Object[]} Variants
+ */
+export const variantsFromProductObject = (product, { pricesInCents = false } = {}) => {
+  if (!Array.isArray(product?.variants)) {
+    return [];
+  }
+
+  // Shopify lists option names on the product and values as option1..option3
+  const optionNames = (product.options || []).map(option => (typeof option === 'string' ? option : option?.name));
+
+  const readPrice = (value, fallbackCurrency) => {
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+    let { amount, currency } = readPriceValue(value);
+    if (pricesInCents && Number.isInteger(amount)) {
+      amount = amount / 100;
+    }
+    return formatPrice(amount, currency || fallbackCurrency);
+  };
+
+  return product.variants.map(variant => {
+    const options = {};
+
+    if (Array.isArray(variant.selectedOptions)) {
+      for (const option of variant.selectedOptions) {
+        options[option.name] = String(option.value);
+      }
+    } else {
+      ['option1', 'option2', 'option3'].forEach((key, index) => {
+        if (variant[key]) {
+          options[optionNames[index] || `Option ${index + 1}`] = String(variant[key]);
+        }
+      });
+    }
+
+    const currency = product.currency || product.currencyCode || '';
+    let availability = variant.availability ?? variant.available ?? variant.availableForSale;
+    if (availability === undefined && variant.status) {
+      availability = variant.status;
+    }
+
+    return {
+      sku: String(variant.sku || ''),
+      title: String(variant.title || variant.name || '').trim(),
+      options,
+      price: readPrice(variant.price, currency),
+      compareAtPrice: readPrice(variant.compare_at_price ?? variant.compareAtPrice, currency),
+      availability: normalizeAvailability(availability),
+      images: collectImages(variant.featured_image, variant.image, variant.images)
+    };
+  });
+};
+
+/**
+ * Maps a product object from hydration JSON to product fields
+ * @param {Object} product - Product object
+ * @param {Object} [options] - Mapping options
+ * @param {boolean} [options.pricesInCents] - Integer prices are in cents (Shopify product JSON)
+ * @returns {Object} Product fields
+ */
+export const fieldsFromProductObject = (product, { pricesInCents = false } = {}) => {
+  if (!product) {
+    return {};
+  }
+
+  const fields = {
+    name: String(product.title || product.name || '').trim(),
+    description: htmlToText(product.description || product.shortDescription || product.body_html || '')
+  };
+
+  const firstVariant = Array.isArray(product.variants) ? product.variants[0] : null;
+  const rawPrice = product.price ?? product.priceRange?.minVariantPrice ?? firstVariant?.price;
+
+  if (rawPrice !== undefined && rawPrice !== null) {
+    let { amount, currency } = readPriceValue(rawPrice);
+    currency = currency || product.currency || product.currencyCode || '';
+
+    if (pricesInCents && Number.isInteger(amount)) {
+      amount = amount / 100;
+    }
+
+    fields.currency = currency;
+    fields.price = formatPrice(amount, currency);
+  }
+
+  if (Array.isArray(product.features)) {
+    fields.features = product.features
+      .map(feature => htmlToText(typeof feature === 'string' ? feature : feature?.title || feature?.text))
+      .filter(Boolean);
+  }
+
+  const rawSpecs = product.specifications || product.specs;
+  if (Array.isArray(rawSpecs)) {
+    const specs = {};
+    for (const spec of rawSpecs) {
+      const key = spec?.name || spec?.label || spec?.key;
+      if (key && spec.value !== undefined && spec.value !== null) {
+        specs[String(key).trim()] = htmlToText(String(spec.value));
+      }
+    }
+    fields.specifications = specs;
+  } else if (rawSpecs && typeof rawSpecs === 'object') {
+    fields.specifications = Object.fromEntries(
+      Object.entries(rawSpecs).map(([key, value]) => [key.trim(), htmlToText(String(value))])
+    );
+  }
+
+  fields.variants = variantsFromProductObject(product, { pricesInCents });
+
+  return fields;
+};
+
+/**
+ * Reads the Next.js __NEXT_DATA__ hydration JSON
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {*} Parsed JSON, or null
+ */
+export const extractNextData = ($) => {
+  const script = $('script#__NEXT_DATA__').first();
+  return script.length > 0 ? parseJson(script.contents().text()) : null;
+};
+
+/**
+ * Reads the Shopify theme product JSON
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object|null} Product object, or null
+ */
+export const extractShopifyProduct = ($) => {
+  const script = $('script[data-product-json], script[id^="ProductJson"]').first();
+  return script.length > 0 ? parseJson(script.contents().text()) : null;
+};
+
+/**
+ * Reads Open Graph and product:* meta tags
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object} Meta tag values keyed by property name
+ */
+export const extractOpenGraph = ($) => {
+  const tags = {};
+
+  $('meta[property^="og:"], meta[property^="product:"]').each((i, meta) => {
+    const property = $(meta).attr('property');
+    const content = $(meta).attr('content');
+
+    if (property && content && !(property in tags)) {
+      tags[property] = content.trim();
+    }
+  });
+
+  return tags;
+};
+
+/**
+ * Maps Open Graph product tags to product fields
+ * @param {Object} tags - Meta tag values from extractOpenGraph
+ * @returns {Object} Product fields
+ */
+export const fieldsFromOpenGraph = (tags) => {
+  // Only og:type "product" pages describe a product; og:title on other pages
+  // is the page title
+  if (tags['og:type'] && !tags['og:type'].startsWith('product')) {
+    return {};
+  }
+
+  const fields = {
+    name: (tags['og:title'] || '').replace(/\s*[-|]\s*Ubiquiti.*$/i, ''),
+    description: tags['og:description'] || ''
+  };
+
+  const amount = tags['product:price:amount'] || tags['og:price:amount'];
+  if (amount) {
+    fields.currency = tags['product:price:currency'] || tags['og:price:currency'] || '';
+    fields.price = formatPrice(amount, fields.currency);
+  }
+
+  return fields;
+};
+
+/**
+ * Checks whether a field value carries any data
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value is non-empty
+ */
+export const hasValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return typeof value === 'string' ? value.trim() !== '' : value !== undefined && value !== null;
+};
+
+/**
+ * Reads all structured data sources of a page, in order of preference
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object[]} Sources as { source, fields } objects
+ */
+export const extractStructuredData = ($) => {
+  const nextData = extractNextData($);
+
+  return [
+    { source: 'json-ld', fields: fieldsFromJsonLd(extractJsonLd($)) },
+    { source: 'next-data', fields: nextData ? fieldsFromProductObject(findProductObject(nextData)) : {} },
+    { source: 'shopify-json', fields: fieldsFromProductObject(extractShopifyProduct($), { pricesInCents: true }) },
+    { source: 'open-graph', fields: fieldsFromOpenGraph(extractOpenGraph($)) }
+  ];
+};
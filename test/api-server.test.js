@@ -0,0 +1,180 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { CatalogApi } from '../api-server.js';
+import { CatalogDatabase } from '../catalog-database.js';
+import { STATE_FILE } from '../crawl-state.js';
+import { writeProduct } from './helpers/fake-store.js';
+
+describe('CatalogApi', () => {
+  const udm = 'products/Networks/Dream_Machine_Pro';
+  let outputDir;
+  let server;
+  let baseUrl;
+
+  const get = async (urlPath, options) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, options);
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, headers: response.headers, body: type.startsWith('application/json') ? await response.json() : await response.text() };
+  };
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-api-'));
+
+    const udmRecord = await writeProduct(outputDir, udm, 'product-structured.html', 'https://store.ui.com/us/products/udm-pro', {
+      images: [`${udm}/images/udm-pro-front.png`],
+      pdfs: [`${udm}/pdfs/udm-pro-datasheet.pdf`]
+    });
+    const flexRecord = await writeProduct(outputDir, 'products/Switching/Switch_Flex_Mini', 'product-markup.html', 'https://store.ui.com/us/products/usw-flex-mini', {});
+
+    await fs.outputFile(path.join(outputDir, udm, 'images/udm-pro-front.png'), 'PNGDATA');
+    await fs.outputFile(path.join(outputDir, 'secret.txt'), 'not an asset');
+    await fs.writeJson(path.join(outputDir, 'assets.json'), {
+      version: 1,
+      assets: [{
+        url: 'https://cdn.example.com/udm-pro-front.png',
+        kind: 'images',
+        path: 'assets/ab/abcd.png',
+        size: 7,
+        mimeType: 'image/png',
+        sha256: 'abcd',
+        links: [`${udm}/images/udm-pro-front.png`]
+      }]
+    });
+    await fs.writeJson(path.join(outputDir, STATE_FILE), {
+      version: 1,
+      startedAt: '2024-05-01T10:00:00.000Z',
+      updatedAt: '2024-05-01T10:05:00.000Z',
+      completed: true,
+      pageCount: 4,
+      productUrls: [udmRecord.url, flexRecord.url, 'https://store.ui.com/us/products/broken'],
+      products: {
+        [udmRecord.url]: { status: 'done' },
+        [flexRecord.url]: { status: 'done' },
+        'https://store.ui.com/us/products/broken': { status: 'failed' }
+      }
+    });
+
+    const database = await CatalogDatabase.open(path.join(outputDir, 'catalog.sqlite'));
+    database.recordRun({ source: 'crawl', startedAt: '2024-05-01T10:00:00.000Z' }, [udmRecord, flexRecord]);
+    await database.save();
+    database.close();
+
+    server = await new CatalogApi(outputDir, { databaseFile: 'catalog.sqlite' }).listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(outputDir);
+  });
+
+  it('lists products with summaries and links', async () => {
+    const { status, body } = await get('/api/products');
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.products.map(product => product.handle), ['udm-pro', 'usw-flex-mini']);
+    assert.equal(body.products[0].priceAmount, 379);
+    assert.deepEqual(body.products[0].links, { self: '/api/products/udm-pro', assets: '/api/products/udm-pro/assets' });
+  });
+
+  it('filters products by category and price, and sorts by price', async () => {
+    assert.deepEqual((await get('/api/products?category=switching')).body.products.map(product => product.handle), ['usw-flex-mini']);
+    assert.deepEqual((await get('/api/products?minPrice=100')).body.products.map(product => product.handle), ['udm-pro']);
+    assert.deepEqual((await get('/api/products?maxPrice=100')).body.products.map(product => product.handle), ['usw-flex-mini']);
+    assert.deepEqual((await get('/api/products?sort=-price&limit=1')).body, {
+      total: 2,
+      offset: 0,
+      limit: 1,
+      products: [(await get('/api/products')).body.products[0]]
+    });
+  });
+
+  it('rejects invalid query parameters', async () => {
+    assert.deepEqual(await get('/api/products?maxPrice=cheap').then(({ status, body }) => ({ status, body })), {
+      status: 400,
+      body: { error: 'maxPrice must be a number, got "cheap"' }
+    });
+    assert.equal((await get('/api/products?sort=colour')).status, 400);
+  });
+
+  it('returns a product with its specifications and variants', async () => {
+    const { status, body } = await get('/api/products/UDM-PRO');
+
+    assert.equal(status, 200);
+    assert.equal(body.handle, 'udm-pro');
+    assert.equal(body.specifications['Max. Power Consumption'], '33W');
+    assert.equal(body.specificationDetails.maxPowerConsumption.value, 33);
+    assert.equal(body.variants.length, 2);
+    assert.equal((await get('/api/products/udm-max')).status, 404);
+  });
+
+  it('lists the assets of a product with their manifest details', async () => {
+    const { body } = await get('/api/products/udm-pro/assets');
+
+    assert.deepEqual(body[0], {
+      kind: 'images',
+      path: `${udm}/images/udm-pro-front.png`,
+      href: '/files/products/Networks/Dream_Machine_Pro/images/udm-pro-front.png',
+      url: 'https://cdn.example.com/udm-pro-front.png',
+      mimeType: 'image/png',
+      size: 7,
+      sha256: 'abcd'
+    });
+    assert.equal(body[1].kind, 'pdfs');
+    assert.equal(body[1].mimeType, 'application/pdf');
+  });
+
+  it('streams asset files and nothing else from the output directory', async () => {
+    const file = await get(`/files/${udm}/images/udm-pro-front.png`);
+
+    assert.equal(file.status, 200);
+    assert.equal(file.headers.get('content-type'), 'image/png');
+    assert.equal(file.headers.get('etag'), '"abcd"');
+    assert.equal(file.body, 'PNGDATA');
+
+    assert.equal((await get('/files/secret.txt')).status, 404);
+    assert.equal((await get(`/files/${udm}/images/../../../../secret.txt`)).status, 404);
+    assert.equal((await get(`/files/${udm}/pdfs/udm-pro-datasheet.pdf`)).status, 404);
+  });
+
+  it('lists categories and runs', async () => {
+    assert.deepEqual((await get('/api/categories')).body, [
+      { name: 'Networks', products: 1 },
+      { name: 'Switching', products: 1 }
+    ]);
+
+    const { body } = await get('/api/runs');
+    assert.deepEqual(body.latest, {
+      startedAt: '2024-05-01T10:00:00.000Z',
+      updatedAt: '2024-05-01T10:05:00.000Z',
+      completed: true,
+      pageCount: 4,
+      products: { discovered: 3, done: 2, failed: 1 }
+    });
+    assert.equal(body.runs.length, 1);
+    assert.equal(body.runs[0].product_count, 2);
+  });
+
+  it('only answers GET and HEAD', async () => {
+    const { status, headers } = await get('/api/products', { method: 'POST' });
+
+    assert.equal(status, 405);
+    assert.equal(headers.get('allow'), 'GET, HEAD');
+    assert.equal((await get('/nowhere')).status, 404);
+  });
+
+  it('picks up a new crawl without restarting', async () => {
+    await writeProduct(outputDir, 'products/Switching/Switch_Flex', 'product-shopify.html', 'https://store.ui.com/us/products/usw-flex', {});
+    const state = await fs.readJson(path.join(outputDir, STATE_FILE));
+    await fs.writeJson(path.join(outputDir, STATE_FILE), { ...state, updatedAt: new Date().toISOString() });
+    // The state file must look newer than when it was last read
+    await fs.utimes(path.join(outputDir, STATE_FILE), new Date(), new Date(Date.now() + 1000));
+
+    assert.equal((await get('/api/products')).body.total, 3);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { CatalogDatabase, SCHEMA_VERSION } from '../catalog-database.js';
+import { ProductParser } from '../product-parser.js';
+import { buildProductRecord } from '../exporter.js';
+import { readHtmlFixture } from './helpers/fake-store.js';
+
+const UDM_DIR = 'products/Other/Dream_Machine_Pro';
+
+/**
+ * Parses the structured and markup fixtures into product records
+ * @returns {Promise<Object[]>} Product records
+ */
+const fixtureRecords = async () => [
+  buildProductRecord(
+    ProductParser.extractProductInfo(await readHtmlFixture('product-structured.html'), 'https://store.ui.com/us/products/udm-pro'),
+    { category: 'Other', assets: { images: [`${UDM_DIR}/images/udm-pro-front.png`], pdfs: [`${UDM_DIR}/pdfs/udm-pro-datasheet.pdf`] } }
+  ),
+  buildProductRecord(
+    ProductParser.extractProductInfo(await readHtmlFixture('product-markup.html'), 'https://store.ui.com/us/products/usw-flex-mini'),
+    { category: 'Switching', assets: {} }
+  )
+];
+
+describe('CatalogDatabase', () => {
+  let outputDir;
+  let databasePath;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-db-'));
+    databasePath = path.join(outputDir, 'catalog.sqlite');
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDir);
+  });
+
+  it('stores products with one row per specification, feature, variant and asset', async () => {
+    const database = await CatalogDatabase.open(databasePath);
+    const manifest = [{
+      url: 'https://store.ui.com/assets/udm-pro-front.png',
+      mimeType: 'image/png',
+      size: 68,
+      sha256: 'abc',
+      links: [`${UDM_DIR}/images/udm-pro-front.png`]
+    }];
+
+    database.recordRun({ source: 'crawl', startedAt: '2024-01-01T00:00:00.000Z', region: 'us' }, await fixtureRecords(), manifest);
+
+    assert.deepEqual(database.query('SELECT handle, category, price_amount FROM products ORDER BY handle'), [
+      { handle: 'udm-pro', category: 'Other', price_amount: 379 },
+      { handle: 'usw-flex-mini', category: 'Switching', price_amount: 29 }
+    ]);
+    assert.deepEqual(
+      database.query(`SELECT s.key, s.value FROM specifications s JOIN products p ON p.id = s.product_id
+                      WHERE p.handle = ? ORDER BY s.position`, ['udm-pro']),
+      [
+        { key: 'Max. Power Consumption', value: '33W' },
+        { key: 'Networking Interface', value: '(8) GbE RJ45 ports' }
+      ]
+    );
+    assert.equal(database.query('SELECT COUNT(*) AS count FROM features f JOIN products p ON p.id = f.product_id WHERE p.handle = ?', ['udm-pro'])[0].count, 3);
+    assert.deepEqual(database.query('SELECT sku, options, price_amount, availability FROM variants WHERE sku = ?', ['UDM-PRO-BLK']), [
+      { sku: 'UDM-PRO-BLK', options: '{"Color":"Black"}', price_amount: 399, availability: 'coming_soon' }
+    ]);
+    assert.deepEqual(database.query('SELECT kind, url, mime_type, sha256 FROM assets ORDER BY kind'), [
+      { kind: 'images', url: 'https://store.ui.com/assets/udm-pro-front.png', mime_type: 'image/png', sha256: 'abc' },
+      { kind: 'pdfs', url: null, mime_type: null, sha256: null }
+    ]);
+
+    database.close();
+  });
+
+  it('keeps every run across saves and exposes the newest one as latest_products', async () => {
+    const records = await fixtureRecords();
+
+    const first = await CatalogDatabase.open(databasePath);
+    first.recordRun({ source: 'crawl', startedAt: '2024-01-01T00:00:00.000Z' }, records);
+    await first.save();
+    first.close();
+
+    const second = await CatalogDatabase.open(databasePath);
+    const runId = second.recordRun({ source: 'crawl', startedAt: '2024-02-01T00:00:00.000Z', failedCount: 1 }, records.slice(0, 1));
+    await second.save();
+    second.close();
+
+    const database = await CatalogDatabase.open(databasePath);
+
+    assert.deepEqual(database.query('SELECT id, product_count, failed_count FROM scrape_runs ORDER BY id'), [
+      { id: 1, product_count: 2, failed_count: 0 },
+      { id: 2, product_count: 1, failed_count: 1 }
+    ]);
+    assert.equal(database.query('SELECT COUNT(*) AS count FROM products')[0].count, 3);
+    assert.deepEqual(database.query('SELECT run_id, handle FROM latest_products'), [{ run_id: runId, handle: 'udm-pro' }]);
+    assert.equal(database.query('PRAGMA user_version')[0].user_version, SCHEMA_VERSION);
+
+    database.close();
+  });
+
+  it('refuses databases written by a newer schema', async () => {
+    const database = await CatalogDatabase.open(databasePath);
+    database.db.exec(`PRAGMA user_version = ${SCHEMA_VERSION + 1}`);
+    await database.save();
+    database.close();
+
+    await assert.rejects(CatalogDatabase.open(databasePath), /newer than the supported version/);
+  });
+});
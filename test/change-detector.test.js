@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffCatalogs, carryOverUnchecked, toChangesMarkdown } from '../change-detector.js';
+
+/**
+ * Builds a minimal product record
+ * @param {string} handle - Product handle
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Product record
+ */
+const record = (handle, fields = {}) => ({
+  url: `https://store.ui.com/us/products/${handle}`,
+  name: handle,
+  category: 'Networks',
+  price: '$99.00',
+  ...fields
+});
+
+describe('diffCatalogs', () => {
+  it('reports added, removed and changed products', () => {
+    const report = diffCatalogs(
+      [record('udm-pro'), record('usw-flex-mini'), record('u6-lite')],
+      [record('udm-pro', { price: '$379.00' }), record('usw-flex-mini'), record('u7-pro')]
+    );
+
+    assert.deepEqual(report.summary, { added: 1, removed: 1, unchecked: 0, changed: 1, unchanged: 1 });
+    assert.equal(report.added[0].handle, 'u7-pro');
+    assert.equal(report.removed[0].handle, 'u6-lite');
+    assert.deepEqual(report.changed[0].changes, [{ field: 'price', before: '$99.00', after: '$379.00' }]);
+  });
+
+  it('lists products the run did not check instead of reporting them removed', () => {
+    const report = diffCatalogs(
+      [record('udm-pro'), record('u6-lite')],
+      [record('udm-pro')],
+      { unchecked: ['https://store.ui.com/us/products/u6-lite'] }
+    );
+
+    assert.deepEqual(report.removed, []);
+    assert.deepEqual(report.unchecked.map(product => product.handle), ['u6-lite']);
+    assert.match(toChangesMarkdown(report), /- Not checked: 1/);
+  });
+});
+
+describe('carryOverUnchecked', () => {
+  it('keeps the previous record of unchecked products for the next comparison', () => {
+    const previous = [record('udm-pro'), record('u6-lite'), record('u7-pro')];
+    const current = [record('udm-pro', { price: '$379.00' })];
+    const report = diffCatalogs(previous, current, { unchecked: ['https://store.ui.com/us/products/u6-lite'] });
+
+    const carried = carryOverUnchecked(current, previous, report);
+
+    assert.deepEqual(carried.map(product => [product.name, product.price]), [['udm-pro', '$379.00'], ['u6-lite', '$99.00']]);
+    assert.deepEqual(diffCatalogs(carried, [...current, record('u6-lite')]).added, []);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { run, buildConfigOverrides, UsageError, EXIT_CODES } from '../cli.js';
+import { PREVIOUS_CATALOG_FILE } from '../change-detector.js';
+import { STATE_FILE } from '../crawl-state.js';
+import { RUN_REPORT_FILE } from '../run-report.js';
+import { startFakeStore } from './helpers/fake-store.js';
+
+describe('buildConfigOverrides', () => {
+  it('converts the options into config overrides', () => {
+    const overrides = buildConfigOverrides({ 'max-pages': '5', concurrency: '2', format: ['csv'], region: ['eu'] });
+
+    assert.equal(overrides.maxPages, 5);
+    assert.equal(overrides.crawlSettings.concurrency, 2);
+    assert.deepEqual(overrides.export.formats, ['csv']);
+    assert.deepEqual(overrides.regions, ['eu']);
+  });
+
+  it('throws a UsageError for invalid option values', () => {
+    assert.throws(() => buildConfigOverrides({ 'max-pages': 'ten' }), UsageError);
+    assert.throws(() => buildConfigOverrides({ concurrency: '0' }), /--concurrency must be at least 1/);
+    assert.throws(() => buildConfigOverrides({ format: ['xml'] }), /Unknown format "xml"/);
+    assert.throws(() => buildConfigOverrides({ 'graph-format': ['svg'] }), /Unknown graph format "svg"/);
+    assert.throws(() => buildConfigOverrides({ region: ['Europe'] }), /Invalid region "Europe"/);
+  });
+});
+
+describe('run', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-cli-'));
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  it('prints the help', async () => {
+    assert.equal(await run(['--help']), EXIT_CODES.OK);
+    assert.equal(await run(['help']), EXIT_CODES.OK);
+  });
+
+  it('returns the usage exit code for invalid commands and options', async () => {
+    const outputDir = path.join(dir, 'usage');
+
+    assert.equal(await run(['crawll']), EXIT_CODES.USAGE);
+    assert.equal(await run(['crawl', '--max-pagez', '5']), EXIT_CODES.USAGE);
+    assert.equal(await run(['crawl', '--max-pages', 'ten']), EXIT_CODES.USAGE);
+    assert.equal(await run(['crawl', '--profile', 'quik']), EXIT_CODES.USAGE);
+    assert.equal(await run(['crawl', '--fetch-mode', 'curl']), EXIT_CODES.USAGE);
+    assert.equal(await run(['product', '--output-dir', outputDir]), EXIT_CODES.USAGE);
+    assert.equal(await run(['search', '--output-dir', outputDir]), EXIT_CODES.USAGE);
+    assert.equal(await run(['compare', 'udm-pro', '--output-dir', outputDir]), EXIT_CODES.USAGE);
+    assert.equal(await run(['diff', '--output-dir', outputDir]), EXIT_CODES.USAGE);
+    assert.equal(await run(['retry-failed', '--output-dir', outputDir]), EXIT_CODES.USAGE);
+    assert.ok(!(await fs.pathExists(outputDir)));
+  });
+
+  it('returns the usage exit code for config files that cannot be read', async () => {
+    const configPath = path.join(dir, 'broken.json');
+    await fs.writeFile(configPath, '{ "maxPages": ');
+
+    assert.equal(await run(['config', '--config', configPath]), EXIT_CODES.USAGE);
+    assert.equal(await run(['config', '--config', path.join(dir, 'missing.json')]), EXIT_CODES.USAGE);
+  });
+
+  it('returns the error exit code for unexpected errors', async () => {
+    const notADirectory = path.join(dir, 'file');
+    await fs.writeFile(notADirectory, '');
+    assert.equal(await run(['export', '--output-dir', notADirectory]), EXIT_CODES.ERROR);
+  });
+
+  it('has nothing to do when the previous run had no failed URLs', async () => {
+    const outputDir = path.join(dir, 'no-failures');
+    await fs.outputJson(path.join(outputDir, RUN_REPORT_FILE), { version: 1, deadLetters: [] });
+
+    assert.equal(await run(['retry-failed', '--output-dir', outputDir]), EXIT_CODES.OK);
+  });
+});
+
+describe('run against the fake store', () => {
+  let store;
+  let dir;
+  let configPath;
+
+  before(async () => {
+    store = await startFakeStore();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-cli-store-'));
+    configPath = path.join(dir, 'config.json');
+    await fs.writeJson(configPath, {
+      baseUrl: `${store.url}/us/`,
+      crawlSettings: { delay: 0, timeout: 10000, fetchMode: 'http' },
+      rateLimit: { requestsPerSecond: 0, backoffBase: 100 }
+    });
+  });
+
+  after(async () => {
+    await store?.close();
+    await fs.remove(dir);
+  });
+
+  /**
+   * Creates an output directory left by an earlier crawl, without a state file
+   * @param {string} name - Directory name
+   * @returns {Promise<string>} Output directory
+   */
+  const previousOutput = async (name) => {
+    const outputDir = path.join(dir, name);
+    await fs.outputFile(path.join(outputDir, 'all_content.txt'), 'Earlier crawl\n');
+    await fs.outputJson(path.join(outputDir, PREVIOUS_CATALOG_FILE), [{ url: 'earlier' }]);
+    return outputDir;
+  };
+
+  it('adds a single product to an existing output without clearing it', async () => {
+    const outputDir = await previousOutput('product');
+
+    const exitCode = await run(['product', `${store.url}/us/products/udm-pro`, '--config', configPath, '--output-dir', outputDir]);
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    const content = await fs.readFile(path.join(outputDir, 'all_content.txt'), 'utf8');
+    assert.ok(content.startsWith('Earlier crawl\n'));
+    assert.match(content, /Dream Machine Pro/);
+    assert.deepEqual(await fs.readJson(path.join(outputDir, PREVIOUS_CATALOG_FILE)), [{ url: 'earlier' }]);
+    assert.ok(await fs.pathExists(path.join(outputDir, STATE_FILE)));
+  });
+
+  it('returns the failed-products exit code when the product cannot be scraped', async () => {
+    const outputDir = await previousOutput('unreachable-product');
+
+    // Nothing listens on port 1, so the request fails before any browser fallback
+    const exitCode = await run(['product', 'http://127.0.0.1:1/us/products/udm-pro', '--config', configPath, '--output-dir', outputDir]);
+
+    assert.equal(exitCode, EXIT_CODES.PRODUCTS_FAILED);
+  });
+
+  it('retries the failed URLs of the previous run', async () => {
+    const outputDir = await previousOutput('retry');
+    await fs.outputJson(path.join(outputDir, RUN_REPORT_FILE), {
+      version: 1,
+      deadLetters: [{ stage: 'product', url: `${store.url}/us/products/udm-pro`, message: 'timeout', attempts: 1 }]
+    });
+
+    const exitCode = await run(['retry-failed', '--config', configPath, '--output-dir', outputDir]);
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    const report = await fs.readJson(path.join(outputDir, RUN_REPORT_FILE));
+    assert.equal(report.source, 'retry-failed');
+    assert.deepEqual(report.retries, { retried: 1, recovered: 1 });
+    assert.ok((await fs.readFile(path.join(outputDir, 'all_content.txt'), 'utf8')).startsWith('Earlier crawl\n'));
+    assert.deepEqual(await fs.readJson(path.join(outputDir, PREVIOUS_CATALOG_FILE)), [{ url: 'earlier' }]);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import {
+  selectProducts,
+  buildComparison,
+  toComparisonMarkdown,
+  toComparisonCsv,
+  toComparisonHtml,
+  writeComparison,
+  COMPARISON_DIR
+} from '../comparison.js';
+import { normalizeSpecifications } from '../spec-normalizer.js';
+
+/**
+ * Builds a product record with normalized specifications
+ * @param {string} handle - Product handle
+ * @param {string} name - Product name
+ * @param {string} category - Category
+ * @param {string} price - Displayed price
+ * @param {Object} specifications - Specifications as written on the page
+ * @returns {Object} Product record
+ */
+const record = (handle, name, category, price, specifications) => ({
+  url: `https://store.ui.com/us/products/${handle}`,
+  name,
+  category,
+  price,
+  priceDetails: { amount: Number(price.replace('$', '')), currency: 'USD' },
+  specifications,
+  specificationDetails: normalizeSpecifications(specifications)
+});
+
+const RECORDS = [
+  record('udm-pro', 'Dream Machine Pro', 'Dream Machine', '$379.00', {
+    'Max. Power Consumption': '33W',
+    'Weight': '3.9 kg',
+    'Management Interface': 'Ethernet in-band'
+  }),
+  record('udm-se', 'Dream Machine Special Edition', 'Dream Machine', '$499.00', {
+    'Maximum Power Consumption': '33 W',
+    'Weight': '5 kg',
+    'Display': '1.3" touchscreen'
+  }),
+  record('usw-flex-mini', 'Switch Flex Mini', 'Switching', '$29.00', {
+    'Weight': '133 g'
+  })
+];
+
+describe('selectProducts', () => {
+  it('selects every product of a category by name or folder name', () => {
+    assert.deepEqual(selectProducts(RECORDS, { category: 'dream machine' }).records.map(entry => entry.name), [
+      'Dream Machine Pro',
+      'Dream Machine Special Edition'
+    ]);
+    assert.equal(selectProducts(RECORDS, { category: 'Dream_Machine' }).records.length, 2);
+  });
+
+  it('selects products by handle, name or URL and reports the ones not found', () => {
+    const { records, unmatched } = selectProducts(RECORDS, {
+      products: ['usw-flex-mini', 'Dream Machine Pro', 'https://store.ui.com/us/products/udm-se', 'udm-max']
+    });
+
+    assert.deepEqual(records.map(entry => entry.name), ['Switch Flex Mini', 'Dream Machine Pro', 'Dream Machine Special Edition']);
+    assert.deepEqual(unmatched, ['udm-max']);
+  });
+});
+
+describe('buildComparison', () => {
+  it('aligns specification rows by canonical key and flags differences', () => {
+    const comparison = buildComparison(RECORDS.slice(0, 2));
+    const row = key => comparison.rows.find(entry => entry.key === key);
+
+    assert.deepEqual(comparison.rows.map(entry => entry.key), ['price', 'maxPowerConsumption', 'weight', 'management', 'display']);
+    assert.deepEqual(row('maxPowerConsumption'), {
+      section: 'Specifications',
+      key: 'maxPowerConsumption',
+      label: 'Max. Power Consumption',
+      values: ['33W', '33 W'],
+      differs: false
+    });
+    assert.equal(row('price').differs, true);
+    assert.equal(row('weight').differs, true);
+    assert.deepEqual(row('management').values, ['Ethernet in-band', null]);
+    assert.equal(row('management').differs, true);
+  });
+
+  it('normalizes records saved without specificationDetails', () => {
+    const { specificationDetails, ...older } = RECORDS[2];
+    const comparison = buildComparison([RECORDS[0], older]);
+
+    assert.deepEqual(comparison.rows.find(entry => entry.key === 'weight').values, ['3.9 kg', '133 g']);
+  });
+});
+
+describe('comparison output', () => {
+  const comparison = buildComparison(RECORDS.slice(0, 2));
+
+  it('renders Markdown with differing values in bold and missing values marked', () => {
+    const markdown = toComparisonMarkdown(comparison, 'Comparison: Dream Machine');
+
+    assert.match(markdown, /^# Comparison: Dream Machine\n/);
+    assert.match(markdown, /\| \| \[Dream Machine Pro\]\(https:\/\/store\.ui\.com\/us\/products\/udm-pro\) \| \[Dream Machine Special Edition\]/);
+    assert.match(markdown, /\| Max\. Power Consumption \| 33W \| 33 W \|/);
+    assert.match(markdown, /\| Weight \| \*\*3\.9 kg\*\* \| \*\*5 kg\*\* \|/);
+    assert.match(markdown, /\| Management Interface \| \*\*Ethernet in-band\*\* \| — \|/);
+  });
+
+  it('renders CSV with a differs column and empty missing values', () => {
+    const lines = toComparisonCsv(comparison).trim().split('\n');
+
+    assert.equal(lines[0], 'section,key,label,differs,Dream Machine Pro,Dream Machine Special Edition');
+    assert.ok(lines.includes('Specifications,maxPowerConsumption,Max. Power Consumption,false,33W,33 W'));
+    assert.ok(lines.includes('Specifications,display,Display,true,,"1.3"" touchscreen"'));
+  });
+
+  it('renders HTML with differing rows highlighted and escaped values', () => {
+    const html = toComparisonHtml(comparison, 'Comparison: Dream Machine');
+
+    assert.match(html, /<tr class="differs"><th>Weight<\/th><td>3\.9 kg<\/td><td>5 kg<\/td><\/tr>/);
+    assert.match(html, /<tr><th>Max\. Power Consumption<\/th><td>33W<\/td><td>33 W<\/td><\/tr>/);
+    assert.match(html, /<td class="missing" title="Missing">—<\/td><td>1\.3&quot; touchscreen<\/td>/);
+  });
+});
+
+describe('writeComparison', () => {
+  let outputDir;
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-compare-'));
+  });
+
+  after(async () => {
+    await fs.remove(outputDir);
+  });
+
+  it('writes Markdown, CSV and HTML files named after the comparison', async () => {
+    const written = await writeComparison(buildComparison(RECORDS.slice(0, 2)), outputDir, 'Dream Machine');
+
+    assert.deepEqual(written.map(file => path.relative(outputDir, file)), [
+      path.join(COMPARISON_DIR, 'Dream_Machine.md'),
+      path.join(COMPARISON_DIR, 'Dream_Machine.csv'),
+      path.join(COMPARISON_DIR, 'Dream_Machine.html')
+    ]);
+    for (const file of written) {
+      assert.ok((await fs.readFile(file, 'utf8')).includes('Dream Machine Pro'));
+    }
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import config, { profiles } from '../config.js';
+import { validateConfig, resolveConfig, readConfigFile, envOverrides, loadConfig, loadConfigLayers, ConfigError } from '../config-loader.js';
+
+describe('validateConfig', () => {
+  it('accepts the defaults and the built-in profiles', () => {
+    assert.deepEqual(validateConfig(config), []);
+    for (const values of Object.values(profiles)) {
+      assert.deepEqual(validateConfig(values), []);
+    }
+  });
+
+  it('reports wrong types, values out of range and unknown choices', () => {
+    const issues = validateConfig({
+      maxPages: 'ten',
+      crawlSettings: { concurrency: 0, fetchMode: 'curl' },
+      discovery: { mode: 'sitemaps' },
+      export: { formats: ['json', 'xml'] },
+      api: { port: 70000 }
+    }, 'test');
+
+    assert.deepEqual(issues.map(issue => issue.path), [
+      'maxPages',
+      'crawlSettings.concurrency',
+      'crawlSettings.fetchMode',
+      'discovery.mode',
+      'export.formats[1]',
+      'api.port'
+    ]);
+    assert.ok(issues.every(issue => issue.source === 'test'));
+    assert.match(issues[0].message, /expected a number, got the string "ten"/);
+    assert.match(issues[3].message, /Did you mean "sitemap"\?/);
+  });
+
+  it('suggests the setting a misspelt key was meant to be', () => {
+    const [issue] = validateConfig({ crawlSettings: { concurency: 2 } });
+
+    assert.equal(issue.path, 'crawlSettings.concurency');
+    assert.match(issue.message, /unknown setting\. Did you mean "concurrency"\?/);
+  });
+
+  it('checks the webhooks', () => {
+    const issues = validateConfig({ notifications: { webhooks: [{ format: 'discord', headers: { 'X-Token': 1 } }] } });
+
+    assert.deepEqual(issues.map(issue => issue.path), [
+      'notifications.webhooks[0].url',
+      'notifications.webhooks[0].format',
+      'notifications.webhooks[0].headers.X-Token'
+    ]);
+  });
+});
+
+describe('resolveConfig', () => {
+  it('merges the layers over the defaults, later ones winning', () => {
+    const settings = resolveConfig([
+      { source: 'file', values: { maxPages: 5, crawlSettings: { delay: 100 } } },
+      { source: 'cli', values: { maxPages: 7 } }
+    ]);
+
+    assert.equal(settings.maxPages, 7);
+    assert.equal(settings.crawlSettings.delay, 100);
+    assert.equal(settings.crawlSettings.concurrency, config.crawlSettings.concurrency);
+  });
+
+  it('lists every problem with its source', () => {
+    assert.throws(
+      () => resolveConfig([{ source: 'config file a.json', values: { maxPages: -1, rateLimit: { errorThreshold: 2 } } }]),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.issues.length, 2);
+        assert.match(error.message, /maxPages: must be at least 1, got -1 \(config file a\.json\)/);
+        assert.match(error.message, /rateLimit\.errorThreshold: must be at most 1, got 2/);
+        return true;
+      }
+    );
+  });
+});
+
+describe('envOverrides', () => {
+  it('maps UBIQUITI_* variables onto settings and converts their values', () => {
+    const { values, issues } = envOverrides({
+      UBIQUITI_MAX_PAGES: '50',
+      UBIQUITI_CRAWL_SETTINGS__FETCH_MODE: 'http',
+      UBIQUITI_DOWNLOADS__ENABLED: 'no',
+      UBIQUITI_EXPORT__FORMATS: 'json, csv',
+      UBIQUITI_DISCOVERY__SITEMAP_URL: 'null',
+      UBIQUITI_PROFILE: 'quick',
+      PATH: '/usr/bin'
+    });
+
+    assert.deepEqual(issues, []);
+    assert.deepEqual(values, {
+      maxPages: 50,
+      crawlSettings: { fetchMode: 'http' },
+      downloads: { enabled: false },
+      export: { formats: ['json', 'csv'] },
+      discovery: { sitemapUrl: null }
+    });
+  });
+
+  it('reports variables that match no setting', () => {
+    const { issues } = envOverrides({ UBIQUITI_CRAWL_SETTINGS__CONCURENCY: '3' });
+
+    assert.equal(issues.length, 1);
+    assert.match(issues[0].message, /Did you mean UBIQUITI_CRAWL_SETTINGS__CONCURRENCY\?/);
+  });
+
+  it('leaves values that cannot be converted for validation to report', () => {
+    const { values } = envOverrides({ UBIQUITI_MAX_PAGES: 'lots' });
+
+    assert.equal(values.maxPages, 'lots');
+    assert.match(validateConfig(values)[0].message, /expected a number/);
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-config-'));
+    await fs.writeFile(path.join(dir, 'ubiquiti-scraper.config.yaml'), [
+      'maxPages: 25',
+      'outputDir: ./yaml-output',
+      'crawlSettings:',
+      '  delay: 250',
+      'profiles:',
+      '  nightly:',
+      '    maxPages: 500',
+      '    notifications:',
+      '      enabled: true'
+    ].join('\n'));
+    await fs.writeJson(path.join(dir, 'settings.json'), { profile: 'quick', outputDir: './json-output' });
+    await fs.writeFile(path.join(dir, 'broken.json'), '{ "maxPages": ');
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  it('finds a YAML config file in the working directory', async () => {
+    const settings = await loadConfig({ cwd: dir, env: {} });
+
+    assert.equal(settings.maxPages, 25);
+    assert.equal(settings.outputDir, './yaml-output');
+    assert.equal(settings.crawlSettings.delay, 250);
+  });
+
+  it('applies the layers in order: file, profile, environment, command line', async () => {
+    const env = { UBIQUITI_CRAWL_SETTINGS__DELAY: '900', UBIQUITI_OUTPUT_DIR: './env-output' };
+    const layers = await loadConfigLayers({ cwd: dir, env, profile: 'nightly', overrides: { outputDir: './cli-output' } });
+    const settings = resolveConfig(layers);
+
+    assert.deepEqual(layers.map(layer => layer.source), [
+      `config file ${path.join(dir, 'ubiquiti-scraper.config.yaml')}`,
+      'profile nightly',
+      'environment',
+      'command line'
+    ]);
+    assert.equal(settings.maxPages, 500);
+    assert.equal(settings.notifications.enabled, true);
+    assert.equal(settings.crawlSettings.delay, 900);
+    assert.equal(settings.outputDir, './cli-output');
+  });
+
+  it('selects the profile named in the config file or UBIQUITI_PROFILE', async () => {
+    const file = path.join(dir, 'settings.json');
+
+    const fromFile = await loadConfig({ file, env: {} });
+    assert.equal(fromFile.maxPages, profiles.quick.maxPages);
+    assert.equal(fromFile.downloads.enabled, false);
+    assert.equal(fromFile.graph.crawlRelated, false);
+    assert.equal(fromFile.outputDir, './json-output');
+
+    const fromEnv = await loadConfig({ file, env: { UBIQUITI_PROFILE: 'full-archive' } });
+    assert.equal(fromEnv.database.enabled, true);
+  });
+
+  it('rejects unknown profiles and unreadable files', async () => {
+    await assert.rejects(
+      loadConfig({ cwd: dir, env: {}, profile: 'quik' }),
+      /Unknown profile "quik"\. Available profiles: quick, full-archive, nightly\. Did you mean "quick"\?/
+    );
+    await assert.rejects(readConfigFile(path.join(dir, 'broken.json')), /cannot be parsed/);
+    await assert.rejects(readConfigFile(path.join(dir, 'missing.yaml')), /file not found/);
+  });
+});
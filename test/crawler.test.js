@@ -0,0 +1,399 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import puppeteer from 'puppeteer';
+
+import { UbiquitiCrawler } from '../crawler.js';
+import { CrawlState } from '../crawl-state.js';
+import { CatalogDatabase } from '../catalog-database.js';
+import { loadSearchIndex, search } from '../search-index.js';
+import { startFakeStore, writeProduct } from './helpers/fake-store.js';
+
+/**
+ * Checks whether Puppeteer has a browser to launch
+ * @returns {Promise<boolean>} True if Chrome is installed
+ */
+const browserAvailable = async () => {
+  try {
+    return await fs.pathExists(puppeteer.executablePath());
+  } catch (error) {
+    return false;
+  }
+};
+
+const skip = !(await browserAvailable()) && 'Chrome is not installed (run `npx puppeteer browsers install chrome`)';
+
+describe('UbiquitiCrawler against the fake store', { skip }, () => {
+  let store;
+  let outputDir;
+  let settings;
+
+  before(async () => {
+    store = await startFakeStore();
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-crawler-'));
+    settings = {
+      baseUrl: `${store.url}/us/`,
+      outputDir,
+      maxPages: 20,
+      crawlSettings: { concurrency: 2, delay: 0, timeout: 10000 },
+      rateLimit: { requestsPerSecond: 0, backoffBase: 100 },
+      media: { settleTime: 1000, minImageBytes: 0 },
+      database: { enabled: true }
+    };
+
+    const crawler = new UbiquitiCrawler({ config: settings });
+    await crawler.init();
+    await crawler.start();
+  });
+
+  after(async () => {
+    await store?.close();
+    await fs.remove(outputDir);
+  });
+
+  it('finds products through links and the nested sitemap', async () => {
+    const catalog = await fs.readJson(path.join(outputDir, 'catalog.json'));
+    const urls = catalog.map(record => record.url).sort();
+
+    assert.deepEqual(urls, [
+      `${store.url}/us/products/udm-pro`,
+      `${store.url}/us/products/usw-flex-mini`
+    ]);
+    assert.ok(store.requests.includes('/sitemap-products.xml'));
+  });
+
+  it('never requests pages disallowed by robots.txt or excluded by pattern', () => {
+    assert.ok(store.requests.includes('/robots.txt'));
+    assert.ok(!store.requests.includes('/us/collections/hidden'));
+    assert.ok(!store.requests.includes('/us/cart'));
+  });
+
+  it('writes each product folder with its parsed data and assets', async () => {
+    const productDir = path.join(outputDir, 'products', 'Other', 'Dream_Machine_Pro');
+    const record = await fs.readJson(path.join(productDir, 'product.json'));
+
+    assert.equal(record.price, '$379.00');
+    assert.equal(record.variants.length, 2);
+    assert.deepEqual(record.assets.images, [
+      'products/Other/Dream_Machine_Pro/images/udm-pro-front.png',
+      'products/Other/Dream_Machine_Pro/images/udm-pro-back.png',
+      'products/Other/Dream_Machine_Pro/images/udm-pro-hero.jpg'
+    ]);
+    assert.deepEqual(record.assets.videos, ['products/Other/Dream_Machine_Pro/videos/udm-pro-tour.mp4']);
+    assert.deepEqual(record.assets.pdfs, ['products/Other/Dream_Machine_Pro/pdfs/datasheet.pdf']);
+
+    for (const file of ['product_info.md', 'page.html', 'screenshot.png', 'images/udm-pro-front.png', 'pdfs/datasheet.pdf']) {
+      assert.ok(await fs.pathExists(path.join(productDir, file)), `${file} exists`);
+    }
+  });
+
+  it('extracts the text of datasheets and adds their specifications', async () => {
+    const productDir = path.join(outputDir, 'products', 'Other', 'Dream_Machine_Pro');
+    const record = await fs.readJson(path.join(productDir, 'product.json'));
+
+    assert.deepEqual(record.documents, [{
+      path: 'products/Other/Dream_Machine_Pro/pdfs/datasheet.pdf',
+      url: `${store.url}/assets/udm-pro-datasheet.pdf`,
+      type: 'datasheet',
+      title: 'UniFi Dream Machine Pro Datasheet',
+      pageCount: 2,
+      textPath: 'products/Other/Dream_Machine_Pro/pdfs/datasheet.txt'
+    }]);
+    assert.match(await fs.readFile(path.join(productDir, 'pdfs', 'datasheet.txt'), 'utf8'), /Weight 3\.98 kg/);
+    assert.equal(record.specifications.Mounting, 'Rackmount');
+    assert.equal(record.specificationDetails.weight.value, 3980);
+    assert.match(await fs.readFile(path.join(productDir, 'product_info.md'), 'utf8'), /## Documents/);
+
+    const allContent = await fs.readFile(path.join(outputDir, 'all_content.txt'), 'utf8');
+    assert.match(allContent, /Datasheet:\nUniFi Dream Machine Pro\nEnterprise-grade network appliance/);
+  });
+
+  it('names unreadable PDFs after their URL and keeps no text for them', async () => {
+    const record = await fs.readJson(path.join(outputDir, 'products', 'Other', 'Switch_Flex_Mini', 'product.json'));
+
+    assert.deepEqual(record.documents.map(({ path: documentPath, type, textPath }) => ({ path: documentPath, type, textPath })), [{
+      path: 'products/Other/Switch_Flex_Mini/pdfs/quick_start_guide.pdf',
+      type: 'quick_start_guide',
+      textPath: null
+    }]);
+  });
+
+  it('downloads the widest srcset candidate and media only seen on the network', async () => {
+    const manifest = await fs.readJson(path.join(outputDir, 'assets.json'));
+    const urls = manifest.assets.map(entry => entry.url);
+
+    assert.ok(urls.includes(`${store.url}/assets/udm-pro-front.png?w=1200`));
+    assert.ok(!urls.includes(`${store.url}/assets/udm-pro-front.png?w=400`));
+    assert.ok(urls.includes(`${store.url}/assets/udm-pro-hero.jpg`));
+  });
+
+  it('exports the relationships between products as a graph', async () => {
+    const record = await fs.readJson(path.join(outputDir, 'products', 'Other', 'Dream_Machine_Pro', 'product.json'));
+    const graph = await fs.readJson(path.join(outputDir, 'product-graph.json'));
+
+    assert.deepEqual(record.relationships.map(({ type, to }) => ({ type, to })), [{ type: 'compatible-with', to: 'usw-flex-mini' }]);
+    assert.deepEqual(graph.nodes.map(node => node.id), ['udm-pro', 'usw-flex-mini']);
+    assert.deepEqual(graph.edges.map(({ source, target, type }) => ({ source, target, type })), [
+      { source: 'udm-pro', target: 'usw-flex-mini', type: 'compatible-with' },
+      { source: 'usw-flex-mini', target: 'udm-pro', type: 'related' }
+    ]);
+    assert.match(await fs.readFile(path.join(outputDir, 'product-graph.dot'), 'utf8'), /"udm-pro" -> "usw-flex-mini"/);
+    assert.match(await fs.readFile(path.join(outputDir, 'product-graph.graphml'), 'utf8'), /<graphml /);
+  });
+
+  it('records the run in the SQLite database', async () => {
+    const database = await CatalogDatabase.open(path.join(outputDir, 'catalog.sqlite'));
+    const [run] = database.query('SELECT source, product_count FROM scrape_runs');
+    const assets = database.query("SELECT url FROM assets WHERE kind = 'pdfs' ORDER BY url");
+    database.close();
+
+    assert.deepEqual(run, { source: 'crawl', product_count: 2 });
+    assert.deepEqual(assets, [
+      { url: `${store.url}/assets/flex-mini-qsg.pdf` },
+      { url: `${store.url}/assets/udm-pro-datasheet.pdf` }
+    ]);
+  });
+
+  it('indexes the products for search', async () => {
+    const index = await loadSearchIndex(outputDir);
+    const [result] = search(index, '"power consumption" 33w');
+
+    assert.equal(index.documents.length, 2);
+    assert.equal(result.name, 'Dream Machine Pro');
+    assert.ok(await fs.pathExists(path.join(outputDir, result.dir, 'product.json')));
+  });
+
+  it('writes all_content.txt and the catalogue exports', async () => {
+    const allContent = await fs.readFile(path.join(outputDir, 'all_content.txt'), 'utf8');
+
+    assert.match(allContent, /Other - Dream Machine Pro/);
+    assert.match(allContent, /Other - Switch Flex Mini/);
+
+    const csv = await fs.readFile(path.join(outputDir, 'catalog.csv'), 'utf8');
+    assert.equal(csv.trim().split('\n').length, 3);
+    assert.equal((await fs.readFile(path.join(outputDir, 'catalog.jsonl'), 'utf8')).trim().split('\n').length, 2);
+  });
+
+  it('resumes a finished crawl without duplicating products', async () => {
+    const crawler = new UbiquitiCrawler({ config: settings, resume: true });
+    await crawler.init();
+    await crawler.start();
+
+    const allContent = await fs.readFile(path.join(outputDir, 'all_content.txt'), 'utf8');
+    assert.equal(allContent.match(/Other - Dream Machine Pro/g).length, 1);
+    assert.deepEqual(crawler.failedProductUrls(), []);
+  });
+
+  it('writes a run report with an empty dead-letter list', async () => {
+    const report = await fs.readJson(path.join(outputDir, 'run-report.json'));
+
+    assert.equal(report.source, 'crawl');
+    assert.deepEqual(report.products, { discovered: 2, parsed: 2, failed: 0 });
+    assert.equal(report.assets.failed, 0);
+    assert.deepEqual(report.deadLetters, []);
+  });
+
+  it('retries the dead-letter list of a previous run', async () => {
+    const productDir = 'products/Other/Dream_Machine_Pro';
+    const crawler = new UbiquitiCrawler({ config: settings, resume: true });
+
+    try {
+      await crawler.init();
+      const report = await crawler.retryFailed({
+        deadLetters: [
+          { stage: 'asset', url: `${store.url}/assets/udm-pro-back.png`, message: 'socket hang up', attempts: 2, kind: 'images', dir: `${productDir}/images`, name: 'retried', productDir },
+          { stage: 'asset', url: `${store.url}/missing/udm-pro-side.png`, message: 'socket hang up', attempts: 1, kind: 'images', dir: `${productDir}/images`, name: 'missing', productDir }
+        ]
+      });
+
+      assert.equal(report.source, 'retry-failed');
+      assert.deepEqual(report.retries, { retried: 2, recovered: 1 });
+      assert.deepEqual(report.deadLetters.map(failure => [failure.url, failure.attempts]), [[`${store.url}/missing/udm-pro-side.png`, 2]]);
+
+      const record = await fs.readJson(path.join(outputDir, productDir, 'product.json'));
+      assert.ok(record.assets.images.includes(`${productDir}/images/retried.png`));
+    } finally {
+      await crawler.close();
+    }
+  });
+});
+
+describe('UbiquitiCrawler in the http fetch mode', () => {
+  let store;
+  let outputDir;
+  let crawler;
+
+  before(async () => {
+    store = await startFakeStore();
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-crawler-http-'));
+    crawler = new UbiquitiCrawler({
+      config: {
+        baseUrl: `${store.url}/us/`,
+        outputDir,
+        maxPages: 20,
+        crawlSettings: { concurrency: 2, delay: 0, timeout: 10000, fetchMode: 'http' },
+        rateLimit: { requestsPerSecond: 0, backoffBase: 100 }
+      }
+    });
+
+    await crawler.init();
+    await crawler.start();
+  });
+
+  after(async () => {
+    await store?.close();
+    await fs.remove(outputDir);
+  });
+
+  it('fetches server-rendered pages over HTTP without starting the browser', async () => {
+    const catalog = await fs.readJson(path.join(outputDir, 'catalog.json'));
+
+    assert.deepEqual(catalog.map(record => record.name).sort(), ['Dream Machine Pro', 'Switch Flex Mini']);
+    assert.equal(catalog[0].assets.screenshot, null);
+    assert.ok(catalog.find(record => record.name === 'Dream Machine Pro').assets.images.length > 0);
+    assert.ok(crawler.timings.http.pages > 0);
+    assert.deepEqual([crawler.timings.browser.pages, crawler.timings.fallbacks], [0, 0]);
+    assert.equal(crawler.browser, null);
+  });
+
+  it('scrapes the products found by a page that recovers on retry', async () => {
+    const retryOutputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-crawler-retry-'));
+    const retrying = new UbiquitiCrawler({ config: { ...crawler.config, outputDir: retryOutputDir }, resume: true });
+
+    try {
+      await retrying.init();
+      const report = await retrying.retryFailed({
+        deadLetters: [{ stage: 'page', url: `${store.url}/us/collections/unifi-network`, message: 'timeout', attempts: 1 }]
+      });
+
+      assert.deepEqual(report.retries, { retried: 1, recovered: 1 });
+      assert.deepEqual(retrying.failedProductUrls(), []);
+      assert.ok(retrying.state.isProductDone(`${store.url}/us/products/udm-pro`));
+      assert.ok(retrying.state.isProductDone(`${store.url}/us/products/usw-flex-mini`));
+    } finally {
+      await retrying.close();
+      await fs.remove(retryOutputDir);
+    }
+  });
+
+  /**
+   * Crawls the products listed in one sitemap of the fake store
+   * @param {string} sitemap - Sitemap path
+   * @param {Object} graph - Graph settings
+   * @returns {Promise<Object[]>} Catalogue records
+   */
+  const crawlSitemap = async (sitemap, graph = {}) => {
+    const sitemapOutputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-crawler-related-'));
+    const sitemapCrawler = new UbiquitiCrawler({
+      config: {
+        ...crawler.config,
+        outputDir: sitemapOutputDir,
+        discovery: { mode: 'sitemap', sitemapUrl: `${store.url}${sitemap}` },
+        graph
+      }
+    });
+
+    try {
+      await sitemapCrawler.init();
+      await sitemapCrawler.start();
+      return await fs.readJson(path.join(sitemapOutputDir, 'catalog.json'));
+    } finally {
+      await sitemapCrawler.close();
+      await fs.remove(sitemapOutputDir);
+    }
+  };
+
+  it('crawls the compatible devices of a product', async () => {
+    const catalog = await crawlSitemap('/sitemap-products.xml');
+
+    assert.deepEqual(catalog.map(record => record.name).sort(), ['Dream Machine Pro', 'Switch Flex Mini']);
+  });
+
+  it('does not follow plain related links out of the crawled products', async () => {
+    const catalog = await crawlSitemap('/sitemap-accessories.xml.gz');
+
+    assert.deepEqual(catalog.map(record => record.name), ['Switch Flex Mini']);
+  });
+
+  it('does not follow the relationships of a related product after resuming', async () => {
+    const resumeOutputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-crawler-related-resume-'));
+    const config = { ...crawler.config, outputDir: resumeOutputDir };
+    const productUrl = `${store.url}/us/products/udm-pro`;
+
+    // A run interrupted before the product it reached through a relationship was scraped
+    const interrupted = new UbiquitiCrawler({ config });
+    interrupted.state = new CrawlState(resumeOutputDir);
+    interrupted.productUrls.add(productUrl);
+    interrupted.relatedProductUrls.add(productUrl);
+    await interrupted.checkpoint();
+
+    const resumed = new UbiquitiCrawler({ config, resume: true });
+
+    try {
+      await resumed.init();
+      await resumed.processPendingProducts();
+
+      assert.ok(resumed.state.isProductDone(productUrl));
+      assert.deepEqual([...resumed.productUrls], [productUrl]);
+    } finally {
+      await resumed.close();
+      await fs.remove(resumeOutputDir);
+    }
+  });
+
+  it('crawls only the discovered products when crawlRelated is off', async () => {
+    const catalog = await crawlSitemap('/sitemap-products.xml', { crawlRelated: false });
+
+    assert.deepEqual(catalog.map(record => record.name), ['Dream Machine Pro']);
+  });
+});
+
+describe('UbiquitiCrawler exports without a browser', () => {
+  const productUrl = 'https://store.ui.com/us/products/udm-pro';
+  const productDir = 'products/Networks/Dream_Machine_Pro';
+  let outputDir;
+  let product;
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-export-'));
+
+    product = await writeProduct(outputDir, productDir, 'product-structured.html', productUrl, {});
+  });
+
+  after(async () => {
+    await fs.remove(outputDir);
+  });
+
+  /**
+   * Creates a crawler whose state lists the product as done
+   * @param {Object} overrides - Config overrides
+   * @returns {UbiquitiCrawler} Crawler
+   */
+  const crawlerWithProduct = (overrides) => {
+    const crawler = new UbiquitiCrawler({ config: { outputDir, ...overrides } });
+    crawler.state = new CrawlState(outputDir);
+    crawler.state.markProductDone(productUrl, { name: product.name, category: 'Networks', dir: productDir, contentEntry: '' });
+    return crawler;
+  };
+
+  it('builds the graph and price history when no catalogue format is selected', async () => {
+    await crawlerWithProduct({ export: { formats: [] } }).exportCatalog();
+
+    assert.ok(!(await fs.pathExists(path.join(outputDir, 'catalog.csv'))));
+    const graph = await fs.readJson(path.join(outputDir, 'product-graph.json'));
+    assert.ok(graph.nodes.some(node => node.url === productUrl));
+    assert.ok(await fs.pathExists(path.join(outputDir, 'price_history.jsonl')));
+  });
+
+  it('rebuilds the previous catalogue from the last run when catalog.json is not exported', async () => {
+    const previous = crawlerWithProduct({ export: { formats: ['csv'] } });
+    await previous.checkpoint();
+
+    await new UbiquitiCrawler({ config: { outputDir, export: { formats: ['csv'] } } }).snapshotPreviousCatalog();
+
+    const catalog = await fs.readJson(path.join(outputDir, 'previous_catalog.json'));
+    assert.deepEqual(catalog.map(record => record.url), [productUrl]);
+  });
+});
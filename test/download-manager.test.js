@@ -0,0 +1,156 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { DownloadManager, ASSETS_MANIFEST_FILE } from '../download-manager.js';
+import { startFakeStore } from './helpers/fake-store.js';
+
+const fileTypes = {
+  images: ['.png', '.jpg'],
+  videos: ['.mp4'],
+  pdfs: ['.pdf']
+};
+
+/**
+ * Creates a download manager with no delay between retries
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Options overriding the test defaults
+ * @returns {DownloadManager} Download manager
+ */
+const createManager = (outputDir, options = {}) => new DownloadManager(outputDir, {
+  concurrency: 2,
+  retries: 2,
+  retryDelay: 0,
+  timeout: 5000,
+  userAgent: 'test',
+  fileTypes,
+  ...options
+});
+
+describe('DownloadManager', () => {
+  let store;
+  let outputDir;
+
+  before(async () => {
+    store = await startFakeStore();
+  });
+
+  after(async () => {
+    await store.close();
+  });
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-downloads-'));
+  });
+
+  it('stores identical files once and links them into each product folder', async () => {
+    const downloads = createManager(outputDir);
+    const front = await downloads.download(`${store.url}/assets/front.png`, { kind: 'images', dir: path.join(outputDir, 'a'), name: 'front' });
+    const back = await downloads.download(`${store.url}/assets/back.png`, { kind: 'images', dir: path.join(outputDir, 'b'), name: 'back' });
+    await downloads.save();
+
+    assert.equal(front, path.join(outputDir, 'a', 'front.png'));
+    assert.equal(back, path.join(outputDir, 'b', 'back.png'));
+    assert.deepEqual(await fs.readFile(front), await fs.readFile(back));
+
+    const manifest = await fs.readJson(path.join(outputDir, ASSETS_MANIFEST_FILE));
+    assert.equal(manifest.assets.length, 2);
+    assert.equal(manifest.assets[0].path, manifest.assets[1].path);
+
+    const [entry] = manifest.assets;
+    assert.equal(entry.mimeType, 'image/png');
+    assert.match(entry.sha256, /^[0-9a-f]{64}$/);
+    assert.equal(entry.etag, '"png-68"');
+    assert.deepEqual(entry.links, ['b/back.png']);
+
+    await fs.remove(outputDir);
+  });
+
+  it('stores identical files downloaded at the same time on the first attempt', async () => {
+    const downloads = createManager(outputDir, { retries: 0 });
+    const requestCount = store.requests.length;
+
+    const [front, back] = await Promise.all([
+      downloads.download(`${store.url}/assets/front.png`, { kind: 'images', dir: path.join(outputDir, 'a'), name: 'front' }),
+      downloads.download(`${store.url}/assets/back.png`, { kind: 'images', dir: path.join(outputDir, 'b'), name: 'back' })
+    ]);
+
+    assert.ok(front);
+    assert.ok(back);
+    assert.deepEqual(await fs.readFile(front), await fs.readFile(back));
+    assert.equal(downloads.stats.downloaded, 2);
+    assert.equal(downloads.stats.failed, 0);
+    assert.equal(store.requests.length - requestCount, 2);
+
+    await fs.remove(outputDir);
+  });
+
+  it('downloads a URL used by several products only once per run', async () => {
+    const downloads = createManager(outputDir);
+    const url = `${store.url}/assets/shared-datasheet.pdf`;
+
+    await Promise.all([
+      downloads.download(url, { kind: 'pdfs', dir: path.join(outputDir, 'a'), name: 'datasheet' }),
+      downloads.download(url, { kind: 'pdfs', dir: path.join(outputDir, 'b'), name: 'datasheet' })
+    ]);
+
+    assert.equal(store.requests.filter(request => request === '/assets/shared-datasheet.pdf').length, 1);
+    assert.deepEqual(downloads.stats, { downloaded: 1, unchanged: 0, reused: 1, failed: 0, bytes: 31 });
+
+    await fs.remove(outputDir);
+  });
+
+  it('renames a linked file and its manifest link', async () => {
+    const downloads = createManager(outputDir);
+    const linkPath = await downloads.download(`${store.url}/assets/guide.pdf`, { kind: 'pdfs', dir: path.join(outputDir, 'p'), name: 'guide' });
+
+    const renamed = await downloads.rename(linkPath, path.join(outputDir, 'p', 'quick_start_guide.pdf'));
+
+    assert.equal(renamed, path.join(outputDir, 'p', 'quick_start_guide.pdf'));
+    assert.ok(!(await fs.pathExists(linkPath)));
+    assert.ok(await fs.pathExists(renamed));
+    assert.deepEqual(downloads.assets.get(`${store.url}/assets/guide.pdf`).links, ['p/quick_start_guide.pdf']);
+
+    await fs.remove(outputDir);
+  });
+
+  it('sends the stored ETag and keeps the file when the server answers 304', async () => {
+    const url = `${store.url}/assets/tour.mp4`;
+    const first = createManager(outputDir);
+    await first.download(url, { kind: 'videos', dir: path.join(outputDir, 'p'), name: 'tour' });
+    await first.save();
+
+    const second = createManager(outputDir);
+    await second.load();
+    const linked = await second.download(url, { kind: 'videos', dir: path.join(outputDir, 'p'), name: 'tour' });
+
+    assert.equal(second.stats.unchanged, 1);
+    assert.equal(second.stats.downloaded, 0);
+    assert.equal(await fs.readFile(linked, 'utf8'), 'fake mp4 data');
+
+    await fs.remove(outputDir);
+  });
+
+  it('retries server errors', async () => {
+    const downloads = createManager(outputDir);
+    const linked = await downloads.download(`${store.url}/assets/flaky-front.png`, { kind: 'images', dir: outputDir, name: 'front' });
+
+    assert.ok(linked);
+    assert.equal(store.requests.filter(request => request === '/assets/flaky-front.png').length, 2);
+
+    await fs.remove(outputDir);
+  });
+
+  it('rejects responses that are not the expected kind of file without retrying', async () => {
+    const downloads = createManager(outputDir);
+    const linked = await downloads.download(`${store.url}/us/`, { kind: 'pdfs', dir: outputDir, name: 'home' });
+
+    assert.equal(linked, null);
+    assert.equal(downloads.stats.failed, 1);
+    assert.deepEqual(await fs.readdir(outputDir), ['assets']);
+
+    await fs.remove(outputDir);
+  });
+});
@@ -0,0 +1,175 @@
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+import { ProductParser } from '../../product-parser.js';
+import { buildProductRecord, writeProductJson } from '../../exporter.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/**
+ * Pages of the fake store and the fixture each one serves
+ */
+const PAGES = {
+  '/robots.txt': ['store/robots.txt', 'text/plain'],
+  '/us/': ['store/home.html', 'text/html'],
+  '/us/collections/unifi-network': ['store/collection.html', 'text/html'],
+  '/us/collections/hidden': ['store/collection.html', 'text/html'],
+  '/us/products/udm-pro': ['html/product-structured.html', 'text/html'],
+  '/us/products/usw-flex-mini': ['html/product-markup.html', 'text/html']
+};
+
+/**
+ * A 1x1 transparent PNG
+ */
+const PNG_BYTES = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+/**
+ * Fake media files keyed by extension
+ */
+const ASSETS = {
+  '.png': [PNG_BYTES, 'image/png'],
+  '.jpg': [PNG_BYTES, 'image/jpeg'],
+  '.mp4': [Buffer.from('fake mp4 data'), 'video/mp4'],
+  '.pdf': [Buffer.from('%PDF-1.4\n%fake datasheet\n%%EOF\n'), 'application/pdf']
+};
+
+/**
+ * Builds the sitemap index and the sitemaps it points to, one of them gzipped
+ * @param {string} baseUrl - Origin of the fake store
+ * @param {string} pathname - Requested sitemap path
+ * @returns {string|null} Sitemap XML, or null for unknown sitemaps
+ */
+const sitemapXml = (baseUrl, pathname) => {
+  if (pathname === '/sitemap.xml') {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>${baseUrl}/sitemap-products.xml</loc></sitemap>
+  <sitemap><loc>${baseUrl}/sitemap-accessories.xml.gz</loc></sitemap>
+</sitemapindex>`;
+  }
+
+  if (pathname === '/sitemap-accessories.xml.gz') {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>${baseUrl}/us/products/usw-flex-mini</loc></url>
+</urlset>`;
+  }
+
+  if (pathname === '/sitemap-products.xml') {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>${baseUrl}/us/products/udm-pro</loc></url>
+  <url><loc>${baseUrl}/us/collections/unifi-network</loc></url>
+</urlset>`;
+  }
+
+  return null;
+};
+
+/**
+ * Starts a local HTTP server that imitates the store with fixture pages,
+ * a robots.txt, a nested and partly gzipped sitemap and fake images, videos and PDFs (with ETags).
+ * PDFs named after a file in test/fixtures/pdf serve that file
+ * @returns {Promise<Object>} Server handle with url, requests (paths requested so far) and close()
+ */
+export const startFakeStore = async () => {
+  const requests = [];
+  let baseUrl;
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, baseUrl);
+    requests.push(pathname);
+
+    const sitemap = sitemapXml(baseUrl, pathname);
+    if (sitemap) {
+      const gzipped = pathname.endsWith('.gz');
+      res.writeHead(200, { 'Content-Type': gzipped ? 'application/gzip' : 'application/xml' });
+      res.end(gzipped ? zlib.gzipSync(sitemap) : sitemap);
+      return;
+    }
+
+    if (PAGES[pathname]) {
+      const [fixture, contentType] = PAGES[pathname];
+      res.writeHead(200, { 'Content-Type': `${contentType}; charset=utf-8` });
+      res.end(await fs.readFile(path.join(fixturesDir, fixture)));
+      return;
+    }
+
+    // Assets named flaky-* fail with a 503 on their first request
+    if (pathname.startsWith('/assets/flaky-') && requests.filter(request => request === pathname).length === 1) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('Service unavailable');
+      return;
+    }
+
+    const asset = pathname.startsWith('/assets/') && ASSETS[path.extname(pathname).toLowerCase()];
+    if (asset) {
+      const [fakeBody, contentType] = asset;
+      // PDFs with a fixture of the same name in test/fixtures/pdf are real documents
+      const pdfFixture = path.join(fixturesDir, 'pdf', path.basename(pathname));
+      const body = contentType === 'application/pdf' && await fs.pathExists(pdfFixture) ? await fs.readFile(pdfFixture) : fakeBody;
+      const etag = `"${path.extname(pathname).slice(1).toLowerCase()}-${body.length}"`;
+
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': body.length, ETag: etag });
+      res.end(body);
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: baseUrl,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Reads an HTML fixture
+ * @param {string} name - File name below test/fixtures/html
+ * @returns {Promise<string>} HTML content
+ */
+export const readHtmlFixture = (name) => fs.readFile(path.join(fixturesDir, 'html', name), 'utf8');
+
+/**
+ * Writes a scraped product to an output directory
+ * @param {string} outputDir - Output directory
+ * @param {string} dir - Product directory relative to the output directory
+ * @param {string} fixture - HTML fixture to parse
+ * @param {string} url - Product URL
+ * @param {Object} assets - Asset paths keyed by kind
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.assetFiles] - Also create an empty file for every asset
+ * @returns {Promise<Object>} Product record
+ */
+export const writeProduct = async (outputDir, dir, fixture, url, assets, { assetFiles = false } = {}) => {
+  const product = ProductParser.extractProductInfo(await readHtmlFixture(fixture), url);
+  const record = buildProductRecord(product, { category: dir.split('/')[1], assets });
+
+  if (assetFiles) {
+    for (const file of Object.values(assets).flat()) {
+      await fs.outputFile(path.join(outputDir, file), '');
+    }
+  }
+  await fs.ensureDir(path.join(outputDir, dir));
+  await writeProductJson(path.join(outputDir, dir), record);
+
+  return record;
+};
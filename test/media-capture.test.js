@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+
+import {
+  parseSrcset,
+  pickSrcsetCandidate,
+  mediaKey,
+  extractMediaFromHtml,
+  collectMedia,
+  MediaCapture
+} from '../media-capture.js';
+
+const fileTypes = {
+  images: ['.jpg', '.png', '.webp'],
+  videos: ['.mp4'],
+  pdfs: ['.pdf']
+};
+
+/**
+ * Builds an object that looks like a Puppeteer response
+ * @param {string} url - Response URL
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Object} Fake response
+ */
+const fakeResponse = (url, status, headers) => ({
+  url: () => url,
+  status: () => status,
+  headers: () => headers
+});
+
+describe('srcset', () => {
+  it('parses width and density descriptors, keeping commas inside URLs', () => {
+    assert.deepEqual(parseSrcset('/a.jpg?c=1,2 400w, /b.jpg 2x, /c.jpg', 'https://store.ui.com/us/'), [
+      { url: 'https://store.ui.com/a.jpg?c=1,2', width: 400, density: 1 },
+      { url: 'https://store.ui.com/b.jpg', width: null, density: 2 },
+      { url: 'https://store.ui.com/c.jpg', width: null, density: 1 }
+    ]);
+  });
+
+  it('picks the widest candidate, or the highest density', () => {
+    const base = 'https://store.ui.com/';
+
+    assert.equal(pickSrcsetCandidate('a.jpg 1200w, b.jpg 400w, c.jpg 800w', base).url, 'https://store.ui.com/a.jpg');
+    assert.equal(pickSrcsetCandidate('a.jpg, b.jpg 3x, c.jpg 2x', base).url, 'https://store.ui.com/b.jpg');
+    assert.equal(pickSrcsetCandidate('', base), null);
+  });
+});
+
+describe('mediaKey', () => {
+  it('ignores resize parameters and unwraps Next.js image URLs', () => {
+    const key = mediaKey('https://cdn.ui.com/p/front.png');
+
+    assert.equal(mediaKey('https://cdn.ui.com/p/front.png?w=400&q=75'), key);
+    assert.equal(mediaKey('https://store.ui.com/_next/image?url=https%3A%2F%2Fcdn.ui.com%2Fp%2Ffront.png&w=1080&q=75'), key);
+    assert.notEqual(mediaKey('https://cdn.ui.com/p/front.png?v=2'), key);
+  });
+});
+
+describe('extractMediaFromHtml', () => {
+  it('finds srcset, lazy-load, video, poster, background and linked media', () => {
+    const html = `
+      <img src="/i/front.jpg?w=300" srcset="/i/front.jpg?w=300 300w, /i/front.jpg?w=1500 1500w">
+      <img data-src="/i/lazy.webp" src="data:image/gif;base64,R0lGOD">
+      <picture><source srcset="/i/side.webp 1x, /i/side@2x.webp 2x"><img src="/i/side.jpg"></picture>
+      <video poster="/i/poster.jpg"><source src="/v/tour.mp4" type="video/mp4"></video>
+      <div style="background-image: url('/i/hero.jpg')"></div>
+      <a href="/d/datasheet.pdf">Datasheet</a>`;
+
+    assert.deepEqual(
+      extractMediaFromHtml(html, 'https://store.ui.com/us/products/x', fileTypes).map(({ url, kind }) => [url, kind]),
+      [
+        ['https://store.ui.com/i/front.jpg?w=1500', 'images'],
+        ['https://store.ui.com/i/lazy.webp', 'images'],
+        ['https://store.ui.com/i/side@2x.webp', 'images'],
+        ['https://store.ui.com/i/side.jpg', 'images'],
+        ['https://store.ui.com/i/poster.jpg', 'images'],
+        ['https://store.ui.com/v/tour.mp4', 'videos'],
+        ['https://store.ui.com/i/hero.jpg', 'images'],
+        ['https://store.ui.com/d/datasheet.pdf', 'pdfs']
+      ]
+    );
+  });
+});
+
+describe('MediaCapture', () => {
+  it('records media responses by MIME type and skips small images and other responses', () => {
+    const page = new EventEmitter();
+    const capture = new MediaCapture(page, { minImageBytes: 1000 });
+
+    page.emit('response', fakeResponse('https://cdn.ui.com/front', 200, { 'content-type': 'image/jpeg', 'content-length': '50000' }));
+    page.emit('response', fakeResponse('https://cdn.ui.com/pixel.gif', 200, { 'content-type': 'image/gif', 'content-length': '43' }));
+    page.emit('response', fakeResponse('https://cdn.ui.com/tour.mp4', 206, { 'content-type': 'video/mp4', 'content-range': 'bytes 0-99/900000' }));
+    page.emit('response', fakeResponse('https://cdn.ui.com/app.js', 200, { 'content-type': 'application/javascript' }));
+    page.emit('response', fakeResponse('https://cdn.ui.com/missing.png', 404, { 'content-type': 'image/png' }));
+
+    capture.stop();
+    page.emit('response', fakeResponse('https://cdn.ui.com/late.png', 200, { 'content-type': 'image/png' }));
+
+    assert.deepEqual(capture.candidates().map(({ url, kind, bytes }) => [url, kind, bytes]), [
+      ['https://cdn.ui.com/front', 'images', 50000],
+      ['https://cdn.ui.com/tour.mp4', 'videos', 900000]
+    ]);
+  });
+});
+
+describe('collectMedia', () => {
+  it('keeps the widest size of each file, lets the MIME type decide the kind and applies the file types', () => {
+    const media = collectMedia([
+      { url: 'https://cdn.ui.com/front.jpg?w=1500', kind: 'images', width: 1500, source: 'page' },
+      { url: 'https://cdn.ui.com/spin', kind: 'images', width: null, source: 'page' },
+      { url: 'https://cdn.ui.com/front.jpg?w=300', kind: 'images', mimeType: 'image/jpeg', width: 300, source: 'network' },
+      { url: 'https://cdn.ui.com/spin', kind: 'videos', mimeType: 'video/mp4', width: null, source: 'network' },
+      { url: 'https://cdn.ui.com/logo.svg', kind: 'images', mimeType: 'image/svg+xml', width: null, source: 'network' }
+    ], fileTypes);
+
+    assert.deepEqual(media, [
+      { url: 'https://cdn.ui.com/front.jpg?w=1500', kind: 'images' },
+      { url: 'https://cdn.ui.com/spin', kind: 'videos' }
+    ]);
+  });
+});
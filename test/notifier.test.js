@@ -0,0 +1,205 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import nodemailer from 'nodemailer';
+
+import { detectEvents, isWatched, describeEvent, Notifier, NOTIFICATION_EVENTS } from '../notifier.js';
+
+/**
+ * Builds a product record with variants
+ * @param {string} handle - Product handle
+ * @param {string} name - Product name
+ * @param {string} category - Category
+ * @param {Object[]} variants - Variants as [sku, availability, amount]
+ * @returns {Object} Product record
+ */
+const record = (handle, name, category, variants) => ({
+  url: `https://store.ui.com/us/products/${handle}`,
+  name,
+  category,
+  variants: variants.map(([sku, availability, amount]) => ({
+    sku,
+    title: sku,
+    availability,
+    priceDetails: { amount, currency: 'USD' }
+  }))
+});
+
+const PREVIOUS = [
+  record('udm-pro', 'Dream Machine Pro', 'Networks', [['UDM-PRO', 'sold_out', 399]]),
+  record('usw-flex', 'Switch Flex', 'Switching', [['USW-FLEX', 'in_stock', 129]]),
+  record('g5-bullet', 'G5 Bullet', 'Cameras', [['UVC-G5-BULLET', 'in_stock', 129]])
+];
+
+const CURRENT = [
+  record('udm-pro', 'Dream Machine Pro', 'Networks', [['UDM-PRO', 'in_stock', 379]]),
+  record('usw-flex', 'Switch Flex', 'Switching', [['USW-FLEX', 'sold_out', 129], ['USW-FLEX-3', 'in_stock', 369]]),
+  record('g5-bullet', 'G5 Bullet', 'Cameras', [['UVC-G5-BULLET', 'in_stock', 129]]),
+  { url: 'https://store.ui.com/us/products/ai-pro', name: 'AI Pro', category: 'Cameras', variants: [], priceDetails: { amount: 499, currency: 'USD' } }
+];
+
+describe('detectEvents', () => {
+  it('finds stock changes, price changes and new SKUs', () => {
+    const events = detectEvents(PREVIOUS, CURRENT);
+
+    assert.deepEqual(events.map(event => [event.type, event.sku || event.handle]), [
+      ['back_in_stock', 'UDM-PRO'],
+      ['price_change', 'UDM-PRO'],
+      ['sold_out', 'USW-FLEX'],
+      ['new_sku', 'USW-FLEX-3'],
+      ['new_sku', 'ai-pro']
+    ]);
+    assert.deepEqual(events[1], {
+      type: 'price_change',
+      handle: 'udm-pro',
+      name: 'Dream Machine Pro',
+      category: 'Networks',
+      url: 'https://store.ui.com/us/products/udm-pro',
+      sku: 'UDM-PRO',
+      variant: 'UDM-PRO',
+      before: 399,
+      after: 379,
+      currency: 'USD'
+    });
+  });
+
+  it('ignores unknown stock states and prices in another currency', () => {
+    const before = [record('udm-pro', 'Dream Machine Pro', 'Networks', [['UDM-PRO', 'unknown', 399]])];
+    const after = [record('udm-pro', 'Dream Machine Pro', 'Networks', [['UDM-PRO', 'in_stock', 549]])];
+    after[0].variants[0].priceDetails.currency = 'CAD';
+
+    assert.deepEqual(detectEvents(before, after), []);
+  });
+});
+
+describe('isWatched', () => {
+  const [event] = detectEvents(PREVIOUS, CURRENT);
+
+  it('watches everything when the lists are empty', () => {
+    assert.equal(isWatched(event, {}), true);
+  });
+
+  it('matches products by handle, SKU or name and categories by name', () => {
+    assert.equal(isWatched(event, { products: ['udm-pro'] }), true);
+    assert.equal(isWatched(event, { products: ['UDM-PRO'] }), true);
+    assert.equal(isWatched(event, { products: ['Dream Machine Pro'] }), true);
+    assert.equal(isWatched(event, { categories: ['networks'] }), true);
+    assert.equal(isWatched(event, { products: ['usw-flex'], categories: ['Cameras'] }), false);
+  });
+});
+
+describe('describeEvent', () => {
+  it('describes each kind of event in one line', () => {
+    assert.deepEqual(detectEvents(PREVIOUS, CURRENT).map(describeEvent), [
+      'Back in stock: Dream Machine Pro (UDM-PRO)',
+      'Price drop: Dream Machine Pro (UDM-PRO) $399.00 → $379.00',
+      'Sold out: Switch Flex (USW-FLEX)',
+      'New SKU: Switch Flex (USW-FLEX-3) at $369.00',
+      'New product: AI Pro at $499.00'
+    ]);
+  });
+});
+
+describe('Notifier', () => {
+  const events = detectEvents(PREVIOUS, CURRENT);
+  let server;
+  let baseUrl;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        received.push({ path: request.url, body: JSON.parse(body) });
+        response.writeHead(request.url === '/broken' ? 500 : 200);
+        response.end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('filters events by kind and watch list', () => {
+    const notifier = new Notifier({ events: ['sold_out', 'new_sku'], watch: { categories: ['Switching'] } });
+
+    assert.deepEqual(notifier.filter(events).map(event => event.type), ['sold_out', 'new_sku']);
+  });
+
+  it('builds Slack, Teams and templated payloads', () => {
+    const notifier = new Notifier({});
+    const message = notifier.message(events.slice(0, 1));
+
+    assert.deepEqual(notifier.webhookPayload({ format: 'slack' }, message), {
+      text: '*Ubiquiti store: 1 change*\n• Back in stock: Dream Machine Pro (UDM-PRO) - https://store.ui.com/us/products/udm-pro'
+    });
+    assert.equal(notifier.webhookPayload({ format: 'teams' }, message)['@type'], 'MessageCard');
+    assert.deepEqual(notifier.webhookPayload({ format: 'json', template: { content: '{title} ({count})', items: '{events}' } }, message), {
+      content: 'Ubiquiti store: 1 change (1)',
+      items: message.events
+    });
+  });
+
+  it('rejects unknown webhook formats', () => {
+    assert.throws(() => new Notifier({ webhooks: [{ url: baseUrl, format: 'discord' }] }), /Unknown webhook format "discord"/);
+  });
+
+  it('posts to webhooks and sends email, carrying on after a failure', async () => {
+    const mailTransport = nodemailer.createTransport({ jsonTransport: true });
+    const sentMail = [];
+    const sendMail = mailTransport.sendMail.bind(mailTransport);
+    mailTransport.sendMail = async mail => {
+      const info = await sendMail(mail);
+      sentMail.push(JSON.parse(info.message));
+      return info;
+    };
+
+    const notifier = new Notifier({
+      webhooks: [
+        { url: `${baseUrl}/broken`, format: 'slack' },
+        { url: `${baseUrl}/slack`, format: 'slack', events: [NOTIFICATION_EVENTS.PRICE_CHANGE] },
+        { url: `${baseUrl}/json` }
+      ],
+      email: { enabled: true, from: 'scraper@example.com', to: ['sales@example.com'] },
+      timeout: 5000
+    }, { mailTransport });
+
+    const result = await notifier.notify(events);
+
+    assert.deepEqual({ reported: result.events.length, sent: result.sent, failed: result.failed }, { reported: 5, sent: 3, failed: 1 });
+    assert.deepEqual(received.map(request => request.path), ['/broken', '/slack', '/json']);
+    assert.match(received[1].body.text, /^\*Ubiquiti store: 1 change\*\n• Price drop/);
+    assert.equal(received[2].body.events.length, 5);
+    assert.equal(sentMail[0].subject, 'Ubiquiti store: 5 changes');
+    assert.match(sentMail[0].text, /Sold out: Switch Flex \(USW-FLEX\) - https:\/\/store\.ui\.com\/us\/products\/usw-flex/);
+  });
+
+  it('prints the messages in dry-run mode', async () => {
+    const printed = [];
+    const notifier = new Notifier({
+      dryRun: true,
+      webhooks: [{ url: `${baseUrl}/dry/T000/B000/secret-token`, format: 'slack' }, { name: 'sales', url: `${baseUrl}/dry/sales` }],
+      email: { enabled: true, from: 'scraper@example.com', to: ['sales@example.com'] }
+    }, { log: text => printed.push(text) });
+
+    const result = await notifier.notify(events);
+
+    assert.equal(result.sent, 0);
+    assert.equal(printed.length, 3);
+    assert.match(printed[0], /^\[dry run\] webhook 127\.0\.0\.1:\d+:/);
+    assert.ok(!printed[0].includes('secret-token'));
+    assert.match(printed[1], /^\[dry run\] webhook sales:/);
+    assert.match(printed[2], /^\[dry run\] email to sales@example\.com:\nSubject: Ubiquiti store: 5 changes/);
+    assert.ok(!received.some(request => request.path.startsWith('/dry')));
+  });
+
+  it('sends nothing when no watched product changed', async () => {
+    const notifier = new Notifier({ watch: { products: ['unifi-express'] }, webhooks: [{ url: `${baseUrl}/none` }] });
+
+    assert.deepEqual(await notifier.notify(events), { events: [], sent: 0, failed: 0 });
+  });
+});
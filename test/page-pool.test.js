@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+
+import { PagePool, shouldBlockRequest, matchesDomain } from '../page-pool.js';
+
+const BLOCKING = {
+  resourceTypes: ['font'],
+  domains: ['google-analytics.com', 'doubleclick.net'],
+  thirdParty: false,
+  firstPartyDomains: ['store.ui.com', 'ui.com']
+};
+
+/**
+ * Creates a stand-in for a Puppeteer browser whose pages record how they were used
+ * @returns {Object} Browser with the pages it opened
+ */
+const fakeBrowser = () => {
+  const pages = [];
+
+  return {
+    pages,
+    async newPage() {
+      const page = new EventEmitter();
+      Object.assign(page, {
+        closed: false,
+        interception: false,
+        setUserAgent: async userAgent => { page.userAgent = userAgent; },
+        setDefaultNavigationTimeout: async timeout => { page.timeout = timeout; },
+        setRequestInterception: async enabled => { page.interception = enabled; },
+        isClosed: () => page.closed,
+        close: async () => { page.closed = true; }
+      });
+      pages.push(page);
+      return page;
+    }
+  };
+};
+
+/**
+ * Creates a stand-in for an intercepted Puppeteer request
+ * @param {string} url - Requested URL
+ * @param {string} resourceType - Resource type
+ * @returns {Object} Request recording whether it was aborted or continued
+ */
+const fakeRequest = (url, resourceType) => {
+  const request = {
+    outcome: null,
+    url: () => url,
+    resourceType: () => resourceType,
+    isInterceptResolutionHandled: () => request.outcome !== null,
+    abort: () => { request.outcome = 'aborted'; },
+    continue: () => { request.outcome = 'continued'; }
+  };
+  return request;
+};
+
+describe('matchesDomain', () => {
+  it('matches domains and their subdomains only', () => {
+    assert.equal(matchesDomain('ui.com', ['ui.com']), true);
+    assert.equal(matchesDomain('cdn.ecomm.ui.com', ['ui.com']), true);
+    assert.equal(matchesDomain('notui.com', ['ui.com']), false);
+  });
+});
+
+describe('shouldBlockRequest', () => {
+  it('blocks configured resource types and domains', () => {
+    assert.equal(shouldBlockRequest({ url: 'https://store.ui.com/fonts/a.woff2', resourceType: 'font' }, BLOCKING), true);
+    assert.equal(shouldBlockRequest({ url: 'https://www.google-analytics.com/g/collect', resourceType: 'xhr' }, BLOCKING), true);
+    assert.equal(shouldBlockRequest({ url: 'https://store.ui.com/us/products/udm-pro', resourceType: 'document' }, BLOCKING), false);
+    assert.equal(shouldBlockRequest({ url: 'https://cdn.example.com/widget.js', resourceType: 'script' }, BLOCKING), false);
+  });
+
+  it('blocks every other domain when third parties are blocked', () => {
+    const blocking = { ...BLOCKING, thirdParty: true };
+
+    assert.equal(shouldBlockRequest({ url: 'https://cdn.example.com/widget.js', resourceType: 'script' }, blocking), true);
+    assert.equal(shouldBlockRequest({ url: 'https://images.svc.ui.com/front.png', resourceType: 'image' }, blocking), false);
+    assert.equal(shouldBlockRequest({ url: 'data:image/png;base64,AAAA', resourceType: 'image' }, blocking), false);
+  });
+});
+
+describe('PagePool', () => {
+  const options = { size: 2, userAgent: 'Test Agent', timeout: 1000, blocking: BLOCKING };
+
+  it('sets up tabs and reuses them', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, options);
+
+    const first = await pool.use(async page => page);
+    const second = await pool.use(async page => page);
+
+    assert.equal(first, second);
+    assert.equal(browser.pages.length, 1);
+    assert.equal(first.userAgent, 'Test Agent');
+    assert.equal(first.timeout, 1000);
+    assert.deepEqual(pool.stats, { created: 1, reused: 1, discarded: 0, blocked: 0 });
+  });
+
+  it('aborts blocked requests and lets the others through', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, options);
+    const page = await pool.acquire();
+
+    const font = fakeRequest('https://store.ui.com/fonts/a.woff2', 'font');
+    const image = fakeRequest('https://store.ui.com/front.png', 'image');
+    page.emit('request', font);
+    page.emit('request', image);
+
+    assert.equal(page.interception, true);
+    assert.deepEqual([font.outcome, image.outcome], ['aborted', 'continued']);
+    assert.equal(pool.stats.blocked, 1);
+  });
+
+  it('does not intercept requests when nothing is blocked', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, { ...options, blocking: {} });
+
+    const page = await pool.acquire();
+
+    assert.equal(page.interception, false);
+    assert.equal(page.listenerCount('request'), 0);
+  });
+
+  it('closes a tab whose task failed instead of reusing it', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, options);
+
+    await assert.rejects(pool.use(async () => { throw new Error('navigation failed'); }), /navigation failed/);
+    const page = await pool.use(async page => page);
+
+    assert.equal(browser.pages[0].closed, true);
+    assert.notEqual(page, browser.pages[0]);
+    assert.equal(pool.stats.discarded, 1);
+  });
+
+  it('makes callers wait when every tab is in use', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, options);
+    const order = [];
+    let release;
+    const blocker = new Promise(resolve => { release = resolve; });
+
+    const tasks = [
+      pool.use(async () => { order.push('a'); await blocker; }),
+      pool.use(async () => { order.push('b'); await blocker; }),
+      pool.use(async () => { order.push('c'); })
+    ];
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(order, ['a', 'b']);
+
+    release();
+    await Promise.all(tasks);
+
+    assert.deepEqual(order, ['a', 'b', 'c']);
+    assert.equal(browser.pages.length, 2);
+  });
+
+  it('closes idle tabs', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, options);
+
+    await pool.use(async () => {});
+    await pool.close();
+
+    assert.equal(browser.pages[0].closed, true);
+  });
+});
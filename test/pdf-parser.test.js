@@ -0,0 +1,137 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  parsePdf,
+  classifyDocument,
+  documentFileName,
+  readDocument,
+  loadDatasheetTexts,
+  applyDatasheetSpecifications,
+  DOCUMENT_TYPES
+} from '../pdf-parser.js';
+
+const pdfDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'pdf');
+
+describe('parsePdf', () => {
+  it('reads the title, page count and text', async () => {
+    const pdf = await parsePdf(path.join(pdfDir, 'udm-pro-datasheet.pdf'));
+
+    assert.equal(pdf.title, 'UniFi Dream Machine Pro Datasheet');
+    assert.equal(pdf.pageCount, 2);
+    assert.match(pdf.text, /^UniFi Dream Machine Pro\n/);
+    assert.match(pdf.text, /Max\. Power Consumption 33W/);
+    assert.match(pdf.text, /Mounting Rackmount$/);
+  });
+
+  it('returns a null title for PDFs without one', async () => {
+    const pdf = await parsePdf(path.join(pdfDir, 'udm-pro-qsg.pdf'));
+
+    assert.equal(pdf.title, null);
+    assert.equal(pdf.pageCount, 1);
+  });
+});
+
+describe('classifyDocument', () => {
+  it('recognises documents by file name and title', () => {
+    assert.equal(classifyDocument({ url: 'https://dl.ui.com/ds/UDM-Pro_DS.pdf' }), DOCUMENT_TYPES.DATASHEET);
+    assert.equal(classifyDocument({ url: 'https://dl.ui.com/qsg/UDM-Pro/UDM-Pro_QSG.pdf' }), DOCUMENT_TYPES.QUICK_START_GUIDE);
+    assert.equal(classifyDocument({ url: 'https://dl.ui.com/files/1234.pdf', title: 'EU Declaration of Conformity' }), DOCUMENT_TYPES.COMPLIANCE);
+  });
+
+  it('falls back to the start of the text', () => {
+    assert.equal(classifyDocument({ url: 'https://dl.ui.com/files/1234.pdf', text: 'Quick Start Guide\nPackage Contents' }), DOCUMENT_TYPES.QUICK_START_GUIDE);
+    assert.equal(classifyDocument({ url: 'https://dl.ui.com/files/1234.pdf', text: 'Mounting template' }), DOCUMENT_TYPES.OTHER);
+  });
+
+  it('only matches abbreviations as whole words', () => {
+    assert.equal(classifyDocument({ url: 'https://dl.ui.com/files/dsl-modem.pdf' }), DOCUMENT_TYPES.OTHER);
+    assert.equal(classifyDocument({ url: 'https://dl.ui.com/files/docking-station.pdf' }), DOCUMENT_TYPES.OTHER);
+  });
+});
+
+describe('documentFileName', () => {
+  it('names documents after their kind, then their title, then their current name', () => {
+    const taken = new Set();
+
+    assert.equal(documentFileName({ type: DOCUMENT_TYPES.DATASHEET, title: 'UDM Pro' }, 'document1', taken), 'datasheet');
+    assert.equal(documentFileName({ type: DOCUMENT_TYPES.OTHER, title: 'Wall Mount Guide' }, 'document2', taken), 'Wall_Mount_Guide');
+    assert.equal(documentFileName({ type: DOCUMENT_TYPES.OTHER, title: null }, 'document3', taken), 'document3');
+  });
+
+  it('numbers names that are already taken', () => {
+    const taken = new Set(['datasheet', 'datasheet_2']);
+
+    assert.equal(documentFileName({ type: DOCUMENT_TYPES.DATASHEET }, 'document1', taken), 'datasheet_3');
+  });
+});
+
+describe('readDocument', () => {
+  let outputDir;
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-pdf-'));
+  });
+
+  after(async () => {
+    await fs.remove(outputDir);
+  });
+
+  it('saves the text next to the PDF and classifies it', async () => {
+    const pdfPath = path.join(outputDir, 'document1.pdf');
+    await fs.copy(path.join(pdfDir, 'udm-pro-qsg.pdf'), pdfPath);
+
+    const document = await readDocument(pdfPath, 'https://dl.ui.com/files/1234.pdf');
+
+    assert.equal(document.type, DOCUMENT_TYPES.QUICK_START_GUIDE);
+    assert.equal(document.error, null);
+    assert.equal(await fs.readFile(path.join(outputDir, 'document1.txt'), 'utf8'), document.text);
+  });
+
+  it('classifies unreadable PDFs by their URL', async () => {
+    const pdfPath = path.join(outputDir, 'broken.pdf');
+    await fs.writeFile(pdfPath, '%PDF-1.4\n%truncated\n');
+
+    const document = await readDocument(pdfPath, 'https://dl.ui.com/ds/USW-Flex-Mini_DS.pdf');
+
+    assert.equal(document.type, DOCUMENT_TYPES.DATASHEET);
+    assert.equal(document.pageCount, null);
+    assert.ok(document.error);
+    assert.ok(!(await fs.pathExists(path.join(outputDir, 'broken.txt'))));
+  });
+
+  it('loads the saved text of datasheets only', async () => {
+    await fs.outputFile(path.join(outputDir, 'pdfs', 'datasheet.txt'), 'Weight 1 kg', 'utf8');
+
+    const texts = await loadDatasheetTexts(outputDir, [
+      { type: DOCUMENT_TYPES.DATASHEET, textPath: 'pdfs/datasheet.txt' },
+      { type: DOCUMENT_TYPES.QUICK_START_GUIDE, textPath: 'document1.txt' },
+      { type: DOCUMENT_TYPES.DATASHEET, textPath: null }
+    ]);
+
+    assert.deepEqual(texts, ['Weight 1 kg']);
+  });
+});
+
+describe('applyDatasheetSpecifications', () => {
+  it('adds missing specifications and normalizes them', () => {
+    const product = applyDatasheetSpecifications(
+      { name: 'UDM Pro', specifications: { 'Max. Power Consumption': '33W' } },
+      ['Max. Power Consumption 40W\nWeight 3.98 kg']
+    );
+
+    assert.deepEqual(product.specifications, { 'Max. Power Consumption': '33W', Weight: '3.98 kg' });
+    assert.equal(product.specificationDetails.maxPowerConsumption.value, 33);
+    assert.equal(product.specificationDetails.weight.value, 3980);
+  });
+
+  it('returns the product unchanged without datasheet specifications', () => {
+    const product = { name: 'UDM Pro', specifications: {} };
+
+    assert.equal(applyDatasheetSpecifications(product, ['Package Contents']), product);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import {
+  priceObservations,
+  appendPriceHistory,
+  loadPriceHistory,
+  priceMovements,
+  toPriceReportMarkdown
+} from '../price-history.js';
+import { buildPriceDetails } from '../price.js';
+
+/**
+ * Builds a product record with one variant per price
+ * @param {string} handle - Product handle
+ * @param {string} scrapedAt - Scrape time
+ * @param {Object} prices - Variant prices keyed by SKU
+ * @returns {Object} Product record
+ */
+const record = (handle, scrapedAt, prices) => ({
+  url: `https://store.ui.com/us/products/${handle}`,
+  name: handle.toUpperCase(),
+  variants: Object.entries(prices).map(([sku, price]) => ({ sku, priceDetails: buildPriceDetails(price, '', 'USD') })),
+  priceDetails: null,
+  scrapedAt
+});
+
+describe('priceObservations', () => {
+  it('records one price per variant, keyed by product and SKU', () => {
+    const observations = priceObservations([record('udm-pro', '2024-01-01T00:00:00.000Z', { 'UDM-PRO': '$379.00', 'UDM-PRO-BLK': '$399.00' })]);
+
+    assert.deepEqual(observations.map(entry => [entry.key, entry.amount]), [
+      ['udm-pro#UDM-PRO', 379],
+      ['udm-pro#UDM-PRO-BLK', 399]
+    ]);
+  });
+
+  it('falls back to the product price when no variant has one', () => {
+    const observations = priceObservations([{
+      url: 'https://store.ui.com/us/products/usw-flex-mini',
+      name: 'Switch Flex Mini',
+      variants: [],
+      priceDetails: buildPriceDetails('$29.00', '', 'USD'),
+      scrapedAt: '2024-01-01T00:00:00.000Z'
+    }]);
+
+    assert.equal(observations[0].key, 'usw-flex-mini');
+    assert.equal(observations[0].variant, null);
+  });
+});
+
+describe('appendPriceHistory', () => {
+  it('appends each run once', async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-prices-'));
+    const first = [record('udm-pro', '2024-01-01T00:00:00.000Z', { 'UDM-PRO': '$379.00' })];
+    const second = [record('udm-pro', '2024-02-01T00:00:00.000Z', { 'UDM-PRO': '$349.00' })];
+
+    assert.equal(await appendPriceHistory(outputDir, first), 1);
+    assert.equal(await appendPriceHistory(outputDir, first), 0);
+    assert.equal(await appendPriceHistory(outputDir, second), 1);
+    assert.deepEqual((await loadPriceHistory(outputDir)).map(entry => entry.amount), [379, 349]);
+
+    await fs.remove(outputDir);
+  });
+});
+
+describe('priceMovements', () => {
+  const history = priceObservations([
+    record('udm-pro', '2024-01-01T00:00:00.000Z', { 'UDM-PRO': '$379.00' }),
+    record('usw-flex', '2024-01-01T00:00:00.000Z', { 'USW-FLEX': '$129.00' }),
+    record('u6-lite', '2024-01-01T00:00:00.000Z', { 'U6-LITE': '$99.00' }),
+    record('udm-pro', '2024-02-01T00:00:00.000Z', { 'UDM-PRO': '$349.00' }),
+    record('usw-flex', '2024-02-01T00:00:00.000Z', { 'USW-FLEX': '$99.00' }),
+    record('u6-lite', '2024-02-01T00:00:00.000Z', { 'U6-LITE': '$109.00' }),
+    record('udm-pro', '2024-03-01T00:00:00.000Z', { 'UDM-PRO': '$399.00' }),
+    record('usw-flex', '2024-03-01T00:00:00.000Z', { 'USW-FLEX': '$99.00' }),
+    record('u6-lite', '2024-03-01T00:00:00.000Z', { 'U6-LITE': '$109.00' })
+  ]);
+
+  it('compares the first and latest prices, biggest change first', () => {
+    const report = priceMovements(history);
+
+    assert.deepEqual(report.drops.map(movement => [movement.key, movement.change, movement.percent]), [
+      ['usw-flex#USW-FLEX', -30, -23.3]
+    ]);
+    assert.deepEqual(report.increases.map(movement => [movement.key, movement.change, movement.percent]), [
+      ['u6-lite#U6-LITE', 10, 10.1],
+      ['udm-pro#UDM-PRO', 20, 5.3]
+    ]);
+  });
+
+  it('compares with the last price recorded on or before the given date', () => {
+    const report = priceMovements(history, new Date('2024-02-15'));
+
+    assert.deepEqual(report.drops, []);
+    assert.deepEqual(report.increases.map(movement => [movement.key, movement.before, movement.after]), [
+      ['udm-pro#UDM-PRO', 349, 399]
+    ]);
+  });
+
+  it('renders the report as Markdown tables', () => {
+    const markdown = toPriceReportMarkdown(priceMovements(history), 1);
+
+    assert.match(markdown, /\| USW-FLEX \| USW-FLEX \| \$129\.00 \| \$99\.00 \| -\$30\.00 \(-23\.3%\) \|/);
+    assert.match(markdown, /\| U6-LITE \| U6-LITE \| \$99\.00 \| \$109\.00 \| \$10\.00 \(\+10\.1%\) \|/);
+    assert.doesNotMatch(markdown, /UDM-PRO/);
+  });
+});
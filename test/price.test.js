@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePrice, buildPriceDetails } from '../price.js';
+
+describe('parsePrice', () => {
+  it('reads amounts with thousands separators and decimal commas', () => {
+    assert.equal(parsePrice('$1,299.00').amount, 1299);
+    assert.equal(parsePrice('€1.299,00').amount, 1299);
+    assert.equal(parsePrice('1 299,50 €').amount, 1299.5);
+    assert.equal(parsePrice('¥45,800').amount, 45800);
+    assert.equal(parsePrice('Price not available'), null);
+  });
+
+  it('detects the currency from ISO codes and symbols', () => {
+    assert.equal(parsePrice('USD 12').currency, 'USD');
+    assert.equal(parsePrice('NT$9,990').currency, 'TWD');
+    assert.equal(parsePrice('£89').currency, 'GBP');
+    assert.equal(parsePrice('$89').currency, 'USD');
+    assert.equal(parsePrice('$89', 'CAD').currency, 'CAD');
+    assert.equal(parsePrice('89', 'EUR').currency, 'EUR');
+  });
+
+  it('flags starting prices and ranges', () => {
+    assert.deepEqual(parsePrice('From $99'), {
+      amount: 99,
+      currency: 'USD',
+      isFrom: true,
+      isRange: false,
+      minAmount: 99,
+      maxAmount: 99,
+      compareAtAmount: null
+    });
+
+    const range = parsePrice('$99 – $199');
+    assert.equal(range.isRange, true);
+    assert.equal(range.minAmount, 99);
+    assert.equal(range.maxAmount, 199);
+  });
+
+  it('reads a sale price followed by the regular price', () => {
+    assert.equal(parsePrice('$199.00 $249.00').compareAtAmount, 249);
+  });
+});
+
+describe('buildPriceDetails', () => {
+  it('marks products with a higher compare-at price as on sale', () => {
+    const details = buildPriceDetails('$199.00', '$249.00', 'USD');
+
+    assert.equal(details.compareAtAmount, 249);
+    assert.equal(details.onSale, true);
+  });
+
+  it('ignores compare-at prices that are not higher', () => {
+    const details = buildPriceDetails('$199.00', '$199.00', 'USD');
+
+    assert.equal(details.compareAtAmount, null);
+    assert.equal(details.onSale, false);
+  });
+
+  it('prefers the known currency of the product', () => {
+    assert.equal(buildPriceDetails('$199.00', '', 'AUD').currency, 'AUD');
+    assert.equal(buildPriceDetails('', '', 'USD'), null);
+  });
+});
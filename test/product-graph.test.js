@@ -0,0 +1,147 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import {
+  extractRelationships,
+  buildProductGraph,
+  toDot,
+  toGraphML,
+  writeProductGraph,
+  RELATIONSHIP_TYPES,
+  PRODUCT_GRAPH_FILES
+} from '../product-graph.js';
+
+const PAGE_URL = 'https://store.ui.com/us/products/udm-pro';
+
+const PAGE = `
+  <html>
+  <head>
+    <script type="application/ld+json">
+      { "@type": "Product", "name": "UDM Pro", "isSimilarTo": { "@type": "Product", "url": "/us/products/udm-se" } }
+    </script>
+  </head>
+  <body>
+    <header><a href="/us/products/unifi-express">Express</a></header>
+    <h1>Dream Machine Pro</h1>
+    <section aria-label="Accessories">
+      <div class="card"><h3>Rack Mount Panel</h3><a href="/us/products/uacc-rack-panel?variant=2">View</a></div>
+    </section>
+    <h2>Compatible devices</h2>
+    <ul><li><a href="https://store.ui.com/us/products/usw-pro-24">Switch Pro 24</a></li></ul>
+    <h2>Replaces</h2>
+    <a href="/us/products/udm">Dream Machine</a>
+    <h2>Overview</h2>
+    <p>Manage <a href="/us/products/unifi-protect-nvr">an NVR</a> and <a href="/us/products/udm-pro#specs">this page</a>.</p>
+    <a href="/us/collections/unifi-network">All gateways</a>
+    <footer><a href="/us/products/gift-card">Gift card</a></footer>
+  </body>
+  </html>`;
+
+describe('extractRelationships', () => {
+  it('reads typed relationships from page sections, links and JSON-LD', () => {
+    const relationships = extractRelationships(cheerio.load(PAGE), PAGE_URL);
+
+    assert.deepEqual(relationships, [
+      { type: 'related', from: 'udm-pro', to: 'udm-se', url: 'https://store.ui.com/us/products/udm-se', label: 'isSimilarTo' },
+      { type: 'accessory-of', from: 'uacc-rack-panel', to: 'udm-pro', url: 'https://store.ui.com/us/products/uacc-rack-panel', label: 'Accessories' },
+      { type: 'compatible-with', from: 'udm-pro', to: 'usw-pro-24', url: 'https://store.ui.com/us/products/usw-pro-24', label: 'Compatible devices' },
+      { type: 'replaces', from: 'udm-pro', to: 'udm', url: 'https://store.ui.com/us/products/udm', label: 'Replaces' },
+      { type: 'related', from: 'udm-pro', to: 'unifi-protect-nvr', url: 'https://store.ui.com/us/products/unifi-protect-nvr', label: null }
+    ]);
+  });
+
+  it('reverses "replaced by" sections', () => {
+    const $ = cheerio.load('<h2>Replaced by</h2><a href="/us/products/udm-pro-max">Pro Max</a>');
+
+    assert.deepEqual(extractRelationships($, PAGE_URL).map(({ type, from, to }) => ({ type, from, to })), [
+      { type: RELATIONSHIP_TYPES.REPLACES, from: 'udm-pro-max', to: 'udm-pro' }
+    ]);
+  });
+
+  it('returns nothing for pages that are not products', () => {
+    assert.deepEqual(extractRelationships(cheerio.load(PAGE), 'https://store.ui.com/us/'), []);
+  });
+});
+
+describe('buildProductGraph', () => {
+  const records = [
+    {
+      url: PAGE_URL,
+      name: 'Dream Machine Pro',
+      category: 'Cloud Gateways',
+      relationships: [
+        { type: 'compatible-with', from: 'udm-pro', to: 'usw-pro-24', url: 'https://store.ui.com/us/products/usw-pro-24', label: 'Compatible devices' },
+        { type: 'accessory-of', from: 'uacc-rack-panel', to: 'udm-pro', url: 'https://store.ui.com/us/products/uacc-rack-panel', label: 'Accessories' }
+      ]
+    },
+    {
+      url: 'https://store.ui.com/us/products/usw-pro-24',
+      name: 'Switch Pro 24 "Gen2"',
+      category: 'Switching',
+      relationships: [
+        { type: 'compatible-with', from: 'usw-pro-24', to: 'udm-pro', url: PAGE_URL, label: 'Works with' }
+      ]
+    }
+  ];
+
+  it('lists every product once and symmetric relationships once', () => {
+    const graph = buildProductGraph(records);
+
+    assert.deepEqual(graph.nodes.map(({ id, crawled }) => ({ id, crawled })), [
+      { id: 'uacc-rack-panel', crawled: false },
+      { id: 'udm-pro', crawled: true },
+      { id: 'usw-pro-24', crawled: true }
+    ]);
+    assert.deepEqual(graph.edges, [
+      { source: 'uacc-rack-panel', target: 'udm-pro', type: 'accessory-of', label: 'Accessories' },
+      { source: 'udm-pro', target: 'usw-pro-24', type: 'compatible-with', label: 'Compatible devices' }
+    ]);
+  });
+
+  it('renders GraphViz DOT', () => {
+    const dot = toDot(buildProductGraph(records));
+
+    assert.match(dot, /^digraph products \{\n/);
+    assert.match(dot, /"usw-pro-24" \[label="Switch Pro 24 \\"Gen2\\"\\nSwitching"\];/);
+    assert.match(dot, /"uacc-rack-panel" \[label="uacc-rack-panel", style=dashed\];/);
+    assert.match(dot, /"uacc-rack-panel" -> "udm-pro" \[label="accessory-of"\];/);
+    assert.match(dot, /"udm-pro" -> "usw-pro-24" \[label="compatible-with", dir=none\];/);
+  });
+
+  it('renders GraphML', () => {
+    const graphml = toGraphML(buildProductGraph(records));
+
+    assert.match(graphml, /<graph id="products" edgedefault="directed">/);
+    assert.match(graphml, /<node id="usw-pro-24"><data key="name">Switch Pro 24 &quot;Gen2&quot;<\/data><data key="category">Switching<\/data>/);
+    assert.match(graphml, /<node id="uacc-rack-panel"><data key="url">https:\/\/store\.ui\.com\/us\/products\/uacc-rack-panel<\/data><data key="crawled">false<\/data><\/node>/);
+    assert.match(graphml, /<edge id="e0" source="uacc-rack-panel" target="udm-pro"><data key="type">accessory-of<\/data><data key="label">Accessories<\/data><\/edge>/);
+  });
+
+  describe('writeProductGraph', () => {
+    let outputDir;
+
+    before(async () => {
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-graph-'));
+    });
+
+    after(async () => {
+      await fs.remove(outputDir);
+    });
+
+    it('writes the requested formats', async () => {
+      const { written } = await writeProductGraph(records, outputDir, ['json', 'dot']);
+
+      assert.deepEqual(written, [path.join(outputDir, PRODUCT_GRAPH_FILES.json), path.join(outputDir, PRODUCT_GRAPH_FILES.dot)]);
+      assert.equal((await fs.readJson(written[0])).edges.length, 2);
+      assert.ok(!(await fs.pathExists(path.join(outputDir, PRODUCT_GRAPH_FILES.graphml))));
+    });
+
+    it('rejects unknown formats', async () => {
+      await assert.rejects(writeProductGraph(records, outputDir, ['svg']), /Unknown graph format "svg"/);
+    });
+  });
+});
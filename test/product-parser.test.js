@@ -0,0 +1,255 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+
+import { ProductParser } from '../product-parser.js';
+import { readHtmlFixture } from './helpers/fake-store.js';
+
+const load = async (name) => cheerio.load(await readHtmlFixture(name));
+
+describe('ProductParser.extractProductName', () => {
+  it('prefers the product title selectors', async () => {
+    assert.equal(ProductParser.extractProductName(await load('product-markup.html')), 'Switch Flex Mini');
+  });
+
+  it('falls back to the title tag without the store suffix', async () => {
+    assert.equal(ProductParser.extractProductName(await load('product-definition-list.html')), 'U6 Lite');
+  });
+
+  it('strips the store suffix after a dash or a bar from the title tag', () => {
+    assert.equal(ProductParser.extractProductName(cheerio.load('<title>Dream Machine Pro - Ubiquiti Store</title>')), 'Dream Machine Pro');
+    assert.equal(ProductParser.extractProductName(cheerio.load('<title>U6 Lite | Ubiquiti Store</title>')), 'U6 Lite');
+  });
+
+  it('returns a placeholder when the page has no name', () => {
+    assert.equal(ProductParser.extractProductName(cheerio.load('<p>Nothing</p>')), 'Unknown Product');
+  });
+});
+
+describe('ProductParser.extractProductDescription', () => {
+  it('reads the description block', async () => {
+    const description = ProductParser.extractProductDescription(await load('product-markup.html'));
+    assert.equal(description, 'A compact, 5-port Gigabit switch powered by PoE or USB-C.');
+  });
+
+  it('falls back to the meta description', async () => {
+    const description = ProductParser.extractProductDescription(await load('product-structured.html'));
+    assert.equal(description, 'Meta description of the Dream Machine Pro');
+  });
+
+  it('returns an empty string when there is no description', async () => {
+    assert.equal(ProductParser.extractProductDescription(await load('product-definition-list.html')), '');
+  });
+});
+
+describe('ProductParser.extractProductPrice', () => {
+  it('reads the first matching price selector', async () => {
+    assert.equal(ProductParser.extractProductPrice(await load('product-markup.html')), '$29.00');
+    assert.equal(ProductParser.extractProductPrice(await load('product-definition-list.html')), '$99.00');
+  });
+
+  it('returns a placeholder when no price is found', () => {
+    assert.equal(ProductParser.extractProductPrice(cheerio.load('<p>Nothing</p>')), 'Price not available');
+  });
+});
+
+describe('ProductParser.extractProductSpecifications', () => {
+  it('reads two-column specification tables', async () => {
+    assert.deepEqual(ProductParser.extractProductSpecifications(await load('product-markup.html')), {
+      'Dimensions': '107.16 x 70.15 x 21.17 mm',
+      'Weight': '133 g',
+      'Max. Power Consumption': '2.5W'
+    });
+  });
+
+  it('reads definition lists', async () => {
+    assert.deepEqual(ProductParser.extractProductSpecifications(await load('product-definition-list.html')), {
+      'Wi-Fi Standard': '802.11ax',
+      'Max. TX Power': '23 dBm'
+    });
+  });
+});
+
+describe('ProductParser.extractProductFeatures', () => {
+  it('reads feature lists and skips empty items', async () => {
+    assert.deepEqual(ProductParser.extractProductFeatures(await load('product-markup.html')), [
+      '(5) GbE RJ45 ports',
+      'Powered by PoE or USB-C'
+    ]);
+  });
+
+  it('returns an empty array when there are no features', async () => {
+    assert.deepEqual(ProductParser.extractProductFeatures(await load('product-structured.html')), []);
+  });
+});
+
+describe('ProductParser.extractProductVariants', () => {
+  it('builds a single variant from the SKU and add-to-cart button', async () => {
+    const variants = ProductParser.extractProductVariants(await load('product-markup.html'), {
+      name: 'Switch Flex Mini',
+      price: '$29.00'
+    });
+
+    assert.deepEqual(variants, [{
+      sku: 'USW-FLEX-MINI',
+      title: 'Switch Flex Mini',
+      options: {},
+      price: '$29.00',
+      compareAtPrice: '$35.00',
+      availability: 'sold_out',
+      images: []
+    }]);
+  });
+
+  it('returns no variants when the page has neither SKU nor stock state', async () => {
+    assert.deepEqual(ProductParser.extractProductVariants(await load('product-definition-list.html'), {}), []);
+  });
+});
+
+describe('ProductParser.extractProductInfo', () => {
+  it('prefers JSON-LD and hydration JSON over the page markup', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-structured.html'), 'https://store.ui.com/us/products/udm-pro');
+
+    assert.equal(product.name, 'Dream Machine Pro');
+    assert.equal(product.description, 'An enterprise-grade, rack-mount UniFi Cloud Gateway.');
+    assert.equal(product.price, '$379.00');
+    assert.equal(product.currency, 'USD');
+    assert.deepEqual(product.specifications, {
+      'Max. Power Consumption': '33W',
+      'Networking Interface': '(8) GbE RJ45 ports'
+    });
+    assert.deepEqual(product.features, ['10G SFP+ WAN support', '8-port GbE switch', 'UniFi Protect NVR']);
+    assert.deepEqual(product.sources, {
+      name: 'json-ld',
+      description: 'json-ld',
+      price: 'json-ld',
+      currency: 'json-ld',
+      specifications: 'json-ld',
+      features: 'next-data',
+      variants: 'json-ld'
+    });
+  });
+
+  it('reads JSON-LD variants with options and availability', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-structured.html'), 'https://store.ui.com/us/products/udm-pro');
+
+    assert.deepEqual(product.variants.map(variant => [variant.sku, variant.options, variant.price, variant.availability]), [
+      ['UDM-PRO', { Color: 'Silver' }, '$379.00', 'in_stock'],
+      ['UDM-PRO-BLK', { Color: 'Black' }, '$399.00', 'coming_soon']
+    ]);
+    assert.deepEqual(product.variants[0].images, ['/assets/udm-pro-front.png']);
+  });
+
+  it('reads Shopify product JSON with prices in cents', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-shopify.html'), 'https://store.ui.com/us/products/usw-flex');
+
+    assert.equal(product.description, 'Weatherproof 5-port switch.');
+    assert.equal(product.price, '129.00');
+    assert.equal(product.sources.variants, 'shopify-json');
+    assert.deepEqual(product.variants[0], {
+      sku: 'USW-FLEX',
+      title: 'Single',
+      options: { Pack: 'Single' },
+      price: '129.00',
+      compareAtPrice: '149.00',
+      availability: 'sold_out',
+      images: [],
+      priceDetails: {
+        amount: 129,
+        currency: null,
+        isFrom: false,
+        isRange: false,
+        minAmount: 129,
+        maxAmount: 129,
+        compareAtAmount: 149,
+        onSale: true
+      }
+    });
+    assert.deepEqual(product.variants[1].images, ['https://cdn.example.com/flex-3.png']);
+  });
+
+  it('falls back to the selector chains without structured data', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-markup.html'), 'https://store.ui.com/us/products/usw-flex-mini');
+
+    assert.equal(product.name, 'Switch Flex Mini');
+    assert.equal(product.price, '$29.00');
+    assert.equal(product.currency, null);
+    assert.equal(product.sources.name, 'selector');
+    assert.equal(product.sources.currency, 'none');
+  });
+
+  it('assumes the default currency when the page does not state one', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-markup.html'), 'https://store.ui.com/ca/products/usw-flex-mini', {
+      defaultCurrency: 'CAD'
+    });
+
+    assert.equal(product.currency, 'CAD');
+    assert.equal(product.priceDetails.currency, 'CAD');
+  });
+
+  it('structures the price as a range across variants sold at different prices', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-structured.html'), 'https://store.ui.com/us/products/udm-pro');
+
+    assert.deepEqual(product.priceDetails, {
+      amount: 379,
+      currency: 'USD',
+      isFrom: false,
+      isRange: true,
+      minAmount: 379,
+      maxAmount: 399,
+      compareAtAmount: null,
+      onSale: false
+    });
+    assert.equal(product.variants[1].priceDetails.amount, 399);
+  });
+
+  it('normalizes the specifications', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-markup.html'), 'https://store.ui.com/us/products/usw-flex-mini');
+
+    assert.deepEqual(Object.keys(product.specificationDetails), ['dimensions', 'weight', 'maxPowerConsumption']);
+    assert.equal(product.specificationDetails.weight.value, 133);
+    assert.equal(product.specificationDetails.maxPowerConsumption.text, '2.5W');
+  });
+
+  it('records the relationships stated on the page', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-markup.html'), 'https://store.ui.com/us/products/usw-flex-mini');
+
+    assert.deepEqual(product.relationships, [{
+      type: 'related',
+      from: 'usw-flex-mini',
+      to: 'udm-pro',
+      url: 'https://store.ui.com/us/products/udm-pro',
+      label: 'Frequently bought together'
+    }]);
+  });
+});
+
+describe('ProductParser.toMarkdown', () => {
+  it('renders the product with a variant table', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-structured.html'), 'https://store.ui.com/us/products/udm-pro');
+    const markdown = ProductParser.toMarkdown(product);
+
+    assert.match(markdown, /^# Dream Machine Pro\n\n\*\*Price\*\*: \$379\.00/);
+    assert.match(markdown, /- \*\*Max\. Power Consumption\*\*: 33W/);
+    assert.match(markdown, /\| maxPowerConsumption \| 33 W \| Max\. Power Consumption: 33W \|/);
+    assert.match(markdown, /\| UDM-PRO-BLK \| Dream Machine Pro Black \| Color: Black \| \$399\.00 \| - \| Coming soon \|/);
+    assert.match(markdown, /## Related Products\n\n- Compatible with: \[usw-flex-mini\]\(https:\/\/store\.ui\.com\/us\/products\/usw-flex-mini\)\n/);
+    assert.match(markdown, /\*\*Product URL\*\*: https:\/\/store\.ui\.com\/us\/products\/udm-pro\n$/);
+  });
+});
+
+describe('ProductParser.toPlainText', () => {
+  it('renders the all_content.txt section with an aligned variant table', async () => {
+    const product = ProductParser.extractProductInfo(await readHtmlFixture('product-shopify.html'), 'https://store.ui.com/us/products/usw-flex');
+    const text = ProductParser.toPlainText(product, 'Networks');
+
+    assert.match(text, /Networks - Switch Flex/);
+    assert.ok(text.includes([
+      'Variants:',
+      'SKU        | Variant | Options      | Price  | Compare at | Availability',
+      '-----------+---------+--------------+--------+------------+-------------',
+      'USW-FLEX   | Single  | Pack: Single | 129.00 | 149.00     | Sold out',
+      'USW-FLEX-3 | 3-Pack  | Pack: 3-Pack | 369.00 | -          | In stock'
+    ].join('\n')));
+  });
+});
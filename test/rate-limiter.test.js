@@ -0,0 +1,179 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+import { RateLimiter, parseRetryAfter } from '../rate-limiter.js';
+import { downloadFile } from '../utils.js';
+
+const SETTINGS = {
+  requestsPerSecond: 2,
+  backoffBase: 1000,
+  maxBackoff: 30000,
+  errorThreshold: 0.25,
+  errorWindow: 10,
+  maxSlowdown: 8
+};
+
+/**
+ * Creates a limiter on a fake clock that advances when the limiter sleeps
+ * @param {Object} [overrides] - Settings overrides
+ * @returns {Object} { limiter, clock, starts } where starts lists the times acquire() returned
+ */
+const fakeLimiter = (overrides = {}) => {
+  const clock = { now: 0 };
+  const starts = [];
+  const limiter = new RateLimiter({
+    ...SETTINGS,
+    ...overrides,
+    now: () => clock.now,
+    sleep: async ms => { clock.now += ms; }
+  });
+  const acquire = limiter.acquire.bind(limiter);
+  limiter.acquire = async url => {
+    await acquire(url);
+    starts.push(clock.now);
+  };
+
+  return { limiter, clock, starts };
+};
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    const now = Date.parse('Wed, 01 May 2024 10:00:00 GMT');
+
+    assert.equal(parseRetryAfter('120', now), 120000);
+    assert.equal(parseRetryAfter(1.5, now), 1500);
+    assert.equal(parseRetryAfter('Wed, 01 May 2024 10:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('Wed, 01 May 2024 09:00:00 GMT', now), 0);
+  });
+
+  it('returns null without a usable value', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('spaces requests to each host by its budget', async () => {
+    const { limiter, starts } = fakeLimiter();
+
+    await limiter.acquire('https://store.ui.com/a');
+    await limiter.acquire('https://store.ui.com/b');
+    await limiter.acquire('https://cdn.ecomm.ui.com/c.png');
+    await limiter.acquire('https://store.ui.com/c');
+
+    assert.deepEqual(starts, [0, 500, 500, 1000]);
+  });
+
+  it('queues concurrent callers behind each other', async () => {
+    const waits = [];
+    const limiter = new RateLimiter({ ...SETTINGS, now: () => 0, sleep: async ms => { waits.push(ms); } });
+
+    await Promise.all([1, 2, 3].map(n => limiter.acquire(`https://store.ui.com/${n}`)));
+
+    assert.deepEqual(waits, [500, 1000]);
+  });
+
+  it('honours a longer minimum interval for a host', async () => {
+    const { limiter, starts } = fakeLimiter();
+    limiter.setMinInterval('https://store.ui.com/', 2000);
+
+    await limiter.acquire('https://store.ui.com/a');
+    await limiter.acquire('https://store.ui.com/b');
+
+    assert.deepEqual(starts, [0, 2000]);
+  });
+
+  it('backs off exponentially on consecutive failures and resets on success', () => {
+    const { limiter } = fakeLimiter({ errorThreshold: 1 });
+    const url = 'https://store.ui.com/a';
+
+    assert.deepEqual([503, 500, 502].map(status => limiter.report(url, { status })), [1000, 2000, 4000]);
+    assert.equal(limiter.report(url, { status: 200 }), 0);
+    assert.equal(limiter.report(url, { error: true }), 1000);
+    assert.equal(limiter.report(url, { status: 404 }), 0);
+  });
+
+  it('waits as long as Retry-After asks, up to the maximum backoff', async () => {
+    const { limiter, starts } = fakeLimiter();
+    const url = 'https://store.ui.com/a';
+
+    await limiter.acquire(url);
+    assert.equal(limiter.report(url, { status: 429, retryAfter: '10' }), 10000);
+    await limiter.acquire(url);
+    assert.equal(limiter.report(url, { status: 429, retryAfter: '3600' }), 30000);
+
+    assert.deepEqual(starts, [0, 10000]);
+    assert.deepEqual(limiter.stats()['store.ui.com'], { requests: 2, throttled: 2, errors: 0, intervalMs: 500 });
+  });
+
+  it('slows a host down when errors climb and recovers as requests succeed', () => {
+    const { limiter } = fakeLimiter();
+    const url = 'https://store.ui.com/a';
+
+    for (const status of [200, 200, 500, 500]) {
+      limiter.report(url, { status });
+    }
+    assert.equal(limiter.interval(url), 1000);
+
+    limiter.report(url, { status: 500 });
+    limiter.report(url, { status: 500 });
+    assert.equal(limiter.interval(url), 4000);
+
+    for (let i = 0; i < 10; i++) {
+      limiter.report(url, { status: 200 });
+    }
+    assert.ok(limiter.interval(url) < 4000);
+
+    for (let i = 0; i < 20; i++) {
+      limiter.report(url, { status: 200 });
+    }
+    assert.equal(limiter.interval(url), 500);
+    assert.equal(limiter.interval('https://cdn.ecomm.ui.com/'), 500);
+  });
+});
+
+describe('downloadFile with a rate limiter', () => {
+  let server;
+  let baseUrl;
+  let outputDir;
+
+  before(async () => {
+    let requests = 0;
+    server = http.createServer((request, response) => {
+      requests++;
+      if (requests === 1) {
+        response.writeHead(429, { 'Retry-After': '7' });
+        response.end('Too many requests');
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'image/png' });
+      response.end('PNGDATA');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-rate-'));
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(outputDir);
+  });
+
+  it('reports throttling and waits for Retry-After before the next request', async () => {
+    const { limiter, starts } = fakeLimiter();
+    const url = `${baseUrl}/front.png`;
+    const outputPath = path.join(outputDir, 'front.png');
+
+    await assert.rejects(downloadFile(url, outputPath, { rateLimiter: limiter }), error => error.response.status === 429);
+    const response = await downloadFile(url, outputPath, { rateLimiter: limiter });
+
+    assert.equal(response.status, 200);
+    assert.equal(await fs.readFile(outputPath, 'utf8'), 'PNGDATA');
+    assert.equal(starts[1] - starts[0], 7000);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+
+import config from '../config.js';
+import { regionOverrides, regionCurrency, buildRegionReport, toRegionMarkdown, isValidRegion } from '../regions.js';
+
+describe('regionOverrides', () => {
+  it('points the crawler at the regional store and output folder', () => {
+    const overrides = regionOverrides(config, 'eu');
+
+    assert.equal(overrides.region, 'eu');
+    assert.equal(overrides.baseUrl, 'https://store.ui.com/eu/');
+    assert.equal(overrides.outputDir, path.join(config.outputDir, 'eu'));
+    assert.deepEqual(overrides.patterns.include, ['/eu/products/', '/eu/collections/']);
+  });
+
+  it('keeps include patterns that are not region-specific', () => {
+    const settings = { ...config, patterns: { ...config.patterns, include: ['/us/products/', '/pages/compare'] } };
+    assert.deepEqual(regionOverrides(settings, 'uk').patterns.include, ['/uk/products/', '/pages/compare']);
+  });
+});
+
+describe('regionCurrency', () => {
+  it('maps region codes to currencies', () => {
+    assert.equal(regionCurrency('uk'), 'GBP');
+    assert.equal(regionCurrency('ca-fr'), 'CAD');
+    assert.equal(regionCurrency('zz'), null);
+  });
+});
+
+describe('isValidRegion', () => {
+  it('accepts store path codes only', () => {
+    assert.ok(isValidRegion('us'));
+    assert.ok(isValidRegion('ca-fr'));
+    assert.ok(!isValidRegion('USA'));
+    assert.ok(!isValidRegion('../us'));
+  });
+});
+
+describe('buildRegionReport', () => {
+  const catalogs = {
+    us: [
+      { url: 'https://store.ui.com/us/products/udm-pro', name: 'Dream Machine Pro', price: '$379.00', currency: 'USD' },
+      { url: 'https://store.ui.com/us/products/us-only', name: 'US Only', price: '$10.00', currency: null }
+    ],
+    eu: [
+      { url: 'https://store.ui.com/eu/products/udm-pro', name: 'Dream Machine Pro', price: '€349.00', currency: 'EUR' }
+    ]
+  };
+
+  it('matches products across regions by handle', () => {
+    const report = buildRegionReport(catalogs);
+
+    assert.deepEqual(report.regions, ['us', 'eu']);
+    assert.deepEqual(report.summary, { products: 2, inAllRegions: 1 });
+    assert.deepEqual(Object.keys(report.products[0].regions), ['us', 'eu']);
+    assert.equal(report.products[0].regions.eu.price, '€349.00');
+  });
+
+  it('falls back to the region currency', () => {
+    const report = buildRegionReport(catalogs);
+    assert.equal(report.products[1].regions.us.currency, 'USD');
+  });
+
+  it('renders a price table with missing regions marked', () => {
+    const markdown = toRegionMarkdown(buildRegionReport(catalogs));
+
+    assert.match(markdown, /\| Product \| US \| EU \|/);
+    assert.match(markdown, /\| Dream Machine Pro \| \$379\.00 \(USD\) \| €349\.00 \(EUR\) \|/);
+    assert.match(markdown, /\| US Only \| \$10\.00 \(USD\) \| - \|/);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RobotsRules } from '../robots.js';
+import { startFakeStore } from './helpers/fake-store.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; UbiquitiScraper/1.0)';
+
+describe('RobotsRules.parse', () => {
+  it('lets the longest matching rule win, and Allow win a tie', () => {
+    const rules = RobotsRules.parse([
+      'User-agent: *',
+      'Disallow: /us/products/',
+      'Allow: /us/products/unifi',
+      'Disallow: /us/collections',
+      'Allow: /us/collections'
+    ].join('\n'), USER_AGENT);
+
+    assert.ok(!rules.isAllowed('https://store.ui.com/us/products/udm-pro'));
+    assert.ok(rules.isAllowed('https://store.ui.com/us/products/unifi-express'));
+    assert.ok(rules.isAllowed('https://store.ui.com/us/collections/unifi-network'));
+    assert.ok(rules.isAllowed('https://store.ui.com/us/'));
+  });
+
+  it('supports the * wildcard and the $ anchor', () => {
+    const rules = RobotsRules.parse([
+      'User-agent: *',
+      'Disallow: /*?variant=',
+      'Disallow: /*.pdf$'
+    ].join('\n'), USER_AGENT);
+
+    assert.ok(!rules.isAllowed('https://store.ui.com/us/products/udm-pro?variant=1'));
+    assert.ok(rules.isAllowed('https://store.ui.com/us/products/udm-pro'));
+    assert.ok(!rules.isAllowed('https://store.ui.com/files/udm-pro.pdf'));
+    assert.ok(rules.isAllowed('https://store.ui.com/files/udm-pro.pdf?download=1'));
+  });
+
+  it('uses the most specific group naming the user agent, else the * group', () => {
+    const text = [
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: Mozilla',
+      'User-agent: OtherBot',
+      'Disallow: /cart',
+      'Crawl-delay: 2',
+      '',
+      'User-agent: UbiquitiScraper',
+      'Disallow: /account # no accounts',
+      'Crawl-delay: 5',
+      '',
+      'Sitemap: https://store.ui.com/sitemap.xml'
+    ].join('\n');
+
+    const rules = RobotsRules.parse(text, USER_AGENT);
+    assert.equal(rules.crawlDelay, 5);
+    assert.ok(rules.isAllowed('https://store.ui.com/cart'));
+    assert.ok(!rules.isAllowed('https://store.ui.com/account'));
+    assert.deepEqual(rules.sitemaps, ['https://store.ui.com/sitemap.xml']);
+
+    const fallback = RobotsRules.parse(text, 'curl/8.0');
+    assert.equal(fallback.crawlDelay, null);
+    assert.ok(!fallback.isAllowed('https://store.ui.com/us/'));
+  });
+
+  it('allows everything for an empty Disallow', () => {
+    const rules = RobotsRules.parse('User-agent: *\nDisallow:\n', USER_AGENT);
+    assert.ok(rules.isAllowed('https://store.ui.com/us/cart'));
+  });
+});
+
+describe('RobotsRules.fetch', () => {
+  let store;
+
+  before(async () => {
+    store = await startFakeStore();
+  });
+
+  after(async () => {
+    await store?.close();
+  });
+
+  it('reads the robots.txt of the store', async () => {
+    const rules = await RobotsRules.fetch(`${store.url}/us/`, { userAgent: USER_AGENT, timeout: 5000 });
+
+    assert.ok(!rules.isAllowed(`${store.url}/us/collections/hidden`));
+    assert.ok(rules.isAllowed(`${store.url}/us/collections/unifi-network`));
+  });
+
+  it('allows everything when robots.txt cannot be read', async () => {
+    const rules = await RobotsRules.fetch('http://127.0.0.1:9/us/', { userAgent: USER_AGENT, timeout: 2000 });
+
+    assert.deepEqual(rules.rules, []);
+    assert.ok(rules.isAllowed('http://127.0.0.1:9/us/cart'));
+  });
+});
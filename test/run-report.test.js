@@ -0,0 +1,112 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { RunReport, FAILURE_STAGES, RUN_REPORT_FILE, loadRunReport, formatRunSummary } from '../run-report.js';
+
+const TOTALS = {
+  pages: { crawled: 12 },
+  products: { discovered: 5, parsed: 4 },
+  assets: { downloaded: 20, unchanged: 3, reused: 2, failed: 1, bytes: 4096 }
+};
+
+describe('RunReport', () => {
+  it('records one ledger entry per URL and stage, counting attempts', () => {
+    const report = new RunReport();
+
+    report.recordError(FAILURE_STAGES.PRODUCT, 'https://store.ui.com/us/products/udm-pro', new Error('Navigation timeout'));
+    report.recordError(FAILURE_STAGES.PRODUCT, 'https://store.ui.com/us/products/udm-pro', new Error('Server answered 503 after 4 attempts'));
+    report.recordError(FAILURE_STAGES.ASSET, 'https://cdn.ecomm.ui.com/udm-pro.png', 'Request failed with status code 404', {
+      kind: 'images',
+      productDir: 'products/Networks/Dream_Machine_Pro'
+    });
+
+    const failure = report.failure(FAILURE_STAGES.PRODUCT, 'https://store.ui.com/us/products/udm-pro');
+    assert.equal(failure.attempts, 2);
+    assert.equal(failure.message, 'Server answered 503 after 4 attempts');
+    assert.equal(report.failure(FAILURE_STAGES.PAGE, 'https://store.ui.com/us/products/udm-pro'), null);
+    assert.deepEqual(report.deadLetters(FAILURE_STAGES.ASSET).map(entry => [entry.url, entry.kind]), [
+      ['https://cdn.ecomm.ui.com/udm-pro.png', 'images']
+    ]);
+  });
+
+  it('marks a failure recovered when its retry records no new error', async () => {
+    const report = new RunReport();
+    const url = 'https://store.ui.com/us/products/udm-pro';
+    const failure = report.recordError(FAILURE_STAGES.PRODUCT, url, new Error('Navigation timeout'));
+
+    assert.equal(await report.retry(failure, async () => {
+      report.recordError(FAILURE_STAGES.PRODUCT, url, new Error('Navigation timeout'));
+    }), false);
+    assert.equal(await report.retry(failure, async () => { throw new Error('Browser crashed'); }), false);
+    assert.equal(failure.message, 'Browser crashed');
+    assert.equal(await report.retry(failure, async () => {}), true);
+
+    assert.equal(failure.attempts, 3);
+    assert.deepEqual(report.deadLetters(), []);
+  });
+
+  it('builds the report with counters, the ledger and the dead-letter list', async () => {
+    const report = new RunReport();
+    const recovered = report.recordError(FAILURE_STAGES.PAGE, 'https://store.ui.com/us/switching', new Error('Navigation timeout'));
+    await report.retry(recovered, async () => {});
+    report.recordError(FAILURE_STAGES.ASSET, 'https://cdn.ecomm.ui.com/udm-pro.png', 'Request failed with status code 404', { kind: 'images' });
+
+    const built = report.build(TOTALS);
+
+    assert.equal(built.source, 'crawl');
+    assert.ok(built.durationMs >= 0);
+    assert.deepEqual(built.pages, { crawled: 12, failed: 0 });
+    assert.deepEqual(built.products, { discovered: 5, parsed: 4, failed: 0 });
+    assert.deepEqual(built.assets, { downloaded: 20, unchanged: 3, reused: 2, failed: 1, bytes: 4096 });
+    assert.deepEqual(built.retries, { retried: 1, recovered: 1 });
+    assert.equal(built.errors.length, 2);
+    assert.deepEqual(built.deadLetters.map(({ stage, url, message, attempts, kind }) => ({ stage, url, message, attempts, kind })), [{
+      stage: 'asset',
+      url: 'https://cdn.ecomm.ui.com/udm-pro.png',
+      message: 'Request failed with status code 404',
+      attempts: 1,
+      kind: 'images'
+    }]);
+  });
+
+  it('summarizes the report and lists the URLs still failing', () => {
+    const report = new RunReport();
+    report.recordError(FAILURE_STAGES.PRODUCT, 'https://store.ui.com/us/products/udm-pro', new Error('Navigation timeout'));
+
+    const summary = formatRunSummary({ ...report.build(TOTALS), durationMs: 61500 });
+
+    assert.match(summary, /^Run finished in 61\.5s\nPages: 12 crawled, 0 failed\nProducts: 4 of 5 parsed, 1 failed\n/);
+    assert.match(summary, /1 URL\(s\) still failing \(run "retry-failed" to try them again\):\n- \[product\] https:\/\/store\.ui\.com\/us\/products\/udm-pro: Navigation timeout$/);
+  });
+});
+
+describe('RunReport files', () => {
+  let outputDir;
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-report-'));
+  });
+
+  after(async () => {
+    await fs.remove(outputDir);
+  });
+
+  it('writes and reads run-report.json', async () => {
+    assert.equal(await loadRunReport(outputDir), null);
+
+    const built = new RunReport({ source: 'retry-failed' }).build(TOTALS);
+    const reportPath = await RunReport.write(outputDir, built);
+
+    assert.equal(reportPath, path.join(outputDir, RUN_REPORT_FILE));
+    assert.deepEqual(await loadRunReport(outputDir), built);
+  });
+
+  it('ignores reports of another version', async () => {
+    await fs.writeJson(path.join(outputDir, RUN_REPORT_FILE), { version: 99 });
+
+    assert.equal(await loadRunReport(outputDir), null);
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import {
+  tokenize,
+  parseQuery,
+  buildSearchIndex,
+  search,
+  writeSearchIndex,
+  loadSearchIndex,
+  pdfTextPath,
+  SEARCH_INDEX_FILE
+} from '../search-index.js';
+import { writeProductJson } from '../exporter.js';
+
+const ENTRIES = [
+  {
+    dir: 'products/Switching/Switch_Pro_24_PoE',
+    record: {
+      name: 'Switch Pro 24 PoE',
+      url: 'https://store.ui.com/us/products/usw-pro-24-poe',
+      category: 'Switching',
+      price: '$699.00',
+      priceDetails: { amount: 699, currency: 'USD' },
+      description: 'Layer 3 switch with 802.3bt PoE++ output.',
+      features: ['(16) GbE PoE+ ports', '(8) GbE 802.3bt PoE++ ports', '(2) 10G SFP+ ports'],
+      specifications: { 'Max. Power Consumption': '400W' }
+    },
+    documents: ['Datasheet. The switch supports night vision cameras.']
+  },
+  {
+    dir: 'products/Switching/Switch_Aggregation',
+    record: {
+      name: 'Switch Aggregation',
+      url: 'https://store.ui.com/us/products/usw-aggregation',
+      category: 'Switching',
+      price: '$269.00',
+      priceDetails: { amount: 269, currency: 'USD' },
+      description: 'Eight SFP+ ports for 10G aggregation.',
+      features: ['(8) 10G SFP+ ports'],
+      specifications: { 'Networking Interface': '(8) 10G SFP+ ports' }
+    }
+  },
+  {
+    dir: 'products/Cameras/G5_Bullet',
+    record: {
+      name: 'G5 Bullet',
+      url: 'https://store.ui.com/us/products/uvc-g5-bullet',
+      category: 'Cameras',
+      price: '$129.00',
+      priceDetails: { amount: 129, currency: 'USD' },
+      description: 'Night vision camera. Powered by 802.3af PoE.',
+      features: ['2K HD video', 'Night vision up to 9 m'],
+      specifications: { 'Power Method': '802.3af PoE' }
+    }
+  }
+];
+
+const names = results => results.map(result => result.name);
+
+describe('tokenize', () => {
+  it('keeps version numbers, speeds and plus signs inside terms', () => {
+    assert.deepEqual(tokenize('802.3bt PoE++, 2.5GbE and SFP+ ports.'), ['802.3bt', 'poe++', '2.5gbe', 'and', 'sfp+', 'ports']);
+  });
+});
+
+describe('parseQuery', () => {
+  it('reads terms, phrases, fields and filters', () => {
+    assert.deepEqual(parseQuery('sfp28 "night vision" spec:poe category:"door access" price<300 price>=100'), {
+      clauses: [
+        { terms: ['sfp28'], field: null },
+        { terms: ['night', 'vision'], field: null },
+        { terms: ['poe'], field: 'specifications' }
+      ],
+      category: 'door access',
+      minPrice: 100,
+      minInclusive: true,
+      maxPrice: 300,
+      maxInclusive: false
+    });
+  });
+
+  it('keeps whether each price bound is strict', () => {
+    assert.deepEqual(parseQuery('price>100 price<=$300'), {
+      clauses: [],
+      category: null,
+      minPrice: 100,
+      minInclusive: false,
+      maxPrice: 300,
+      maxInclusive: true
+    });
+  });
+
+  it('rejects unknown fields and invalid prices', () => {
+    assert.throws(() => parseQuery('colour:red'), /Unknown field "colour"/);
+    assert.throws(() => parseQuery('price<cheap'), /Invalid price/);
+  });
+});
+
+describe('search', () => {
+  const index = buildSearchIndex(ENTRIES);
+
+  it('finds products that contain every term', () => {
+    assert.deepEqual(names(search(index, '802.3bt')), ['Switch Pro 24 PoE']);
+    assert.deepEqual(names(search(index, 'sfp+ 10g')), ['Switch Aggregation', 'Switch Pro 24 PoE']);
+    assert.deepEqual(names(search(index, 'sfp')), ['Switch Aggregation', 'Switch Pro 24 PoE']);
+    assert.deepEqual(search(index, 'sfp28'), []);
+  });
+
+  it('matches phrases only when the words are adjacent', () => {
+    assert.deepEqual(names(search(index, '"night vision"')), ['G5 Bullet', 'Switch Pro 24 PoE']);
+    assert.deepEqual(search(index, '"vision night"'), []);
+  });
+
+  it('does not match phrases across separate features', () => {
+    assert.deepEqual(search(index, '"ports 8"'), []);
+  });
+
+  it('limits terms to a field', () => {
+    assert.deepEqual(names(search(index, 'doc:"night vision"')), ['Switch Pro 24 PoE']);
+    assert.deepEqual(names(search(index, 'name:switch')), ['Switch Aggregation', 'Switch Pro 24 PoE']);
+  });
+
+  it('filters by category and price', () => {
+    assert.deepEqual(names(search(index, 'poe category:cameras')), ['G5 Bullet']);
+    assert.deepEqual(names(search(index, 'ports price<300')), ['Switch Aggregation']);
+    assert.deepEqual(names(search(index, 'price>=200 price<=700')), ['Switch Aggregation', 'Switch Pro 24 PoE']);
+  });
+
+  it('excludes the bound itself from price< and price> filters', () => {
+    assert.deepEqual(names(search(index, 'price<269')), ['G5 Bullet']);
+    assert.deepEqual(names(search(index, 'price<=269')), ['G5 Bullet', 'Switch Aggregation']);
+    assert.deepEqual(names(search(index, 'price>699')), []);
+    assert.deepEqual(names(search(index, 'price>=699')), ['Switch Pro 24 PoE']);
+  });
+
+  it('ranks name matches above matches in other fields', () => {
+    const results = search(index, 'poe');
+
+    assert.equal(results[0].name, 'Switch Pro 24 PoE');
+    assert.ok(results[0].score > results[1].score);
+    assert.deepEqual(results[0].fields, ['name', 'features', 'description']);
+  });
+
+  it('points to the product folder and URL', () => {
+    const [result] = search(index, 'aggregation');
+
+    assert.equal(result.dir, 'products/Switching/Switch_Aggregation');
+    assert.equal(result.url, 'https://store.ui.com/us/products/usw-aggregation');
+    assert.equal(result.price, '$269.00');
+  });
+});
+
+describe('writeSearchIndex', () => {
+  let outputDir;
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-search-'));
+
+    const [entry] = ENTRIES;
+    const pdf = `${entry.dir}/pdfs/datasheet.pdf`;
+    await fs.ensureDir(path.join(outputDir, entry.dir, 'pdfs'));
+    await writeProductJson(path.join(outputDir, entry.dir), { ...entry.record, assets: { pdfs: [pdf] } });
+    await fs.writeFile(path.join(outputDir, pdfTextPath(pdf)), 'Supports SFP28 modules', 'utf8');
+  });
+
+  after(async () => {
+    await fs.remove(outputDir);
+  });
+
+  it('indexes product.json files and the text extracted from their PDFs', async () => {
+    await writeSearchIndex(outputDir, [ENTRIES[0].dir, 'products/Missing/Product']);
+
+    assert.ok(await fs.pathExists(path.join(outputDir, SEARCH_INDEX_FILE)));
+
+    const index = await loadSearchIndex(outputDir);
+    assert.equal(index.documents.length, 1);
+    assert.deepEqual(names(search(index, 'documents:sfp28')), ['Switch Pro 24 PoE']);
+  });
+});
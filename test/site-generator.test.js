@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { generateSite, SITE_DIR } from '../site-generator.js';
+import { writeProduct } from './helpers/fake-store.js';
+
+describe('generateSite', () => {
+  let outputDir;
+  let result;
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-site-'));
+
+    const udm = 'products/Dream Machine/Dream_Machine_Pro';
+    await writeProduct(outputDir, udm, 'product-structured.html', 'https://store.ui.com/us/products/udm-pro', {
+      images: [`${udm}/images/udm-pro-front.png`, `${udm}/images/udm-pro-back.png`],
+      videos: [`${udm}/videos/udm-pro-tour.mp4`],
+      pdfs: [`${udm}/pdfs/udm-pro-datasheet.pdf`]
+    }, { assetFiles: true });
+    await writeProduct(outputDir, 'products/Switching/Switch_Flex_Mini', 'product-markup.html', 'https://store.ui.com/us/products/usw-flex-mini', {});
+
+    result = await generateSite(outputDir);
+  });
+
+  after(async () => {
+    await fs.remove(outputDir);
+  });
+
+  it('writes a home page, one page per category and one page per product', async () => {
+    assert.deepEqual({ categories: result.categories, products: result.products }, { categories: 2, products: 2 });
+
+    for (const file of [
+      'index.html',
+      'style.css',
+      'site.js',
+      'search-index.js',
+      'categories/Dream Machine.html',
+      'categories/Switching.html',
+      'products/Dream Machine/Dream_Machine_Pro.html',
+      'products/Switching/Switch_Flex_Mini.html'
+    ]) {
+      assert.ok(await fs.pathExists(path.join(outputDir, SITE_DIR, file)), `${file} exists`);
+    }
+  });
+
+  it('renders the gallery, specifications, variants, videos and documents', async () => {
+    const html = await fs.readFile(path.join(outputDir, SITE_DIR, 'products/Dream Machine/Dream_Machine_Pro.html'), 'utf8');
+
+    assert.match(html, /<a class="gallery-main" href="..\/..\/..\/products\/Dream%20Machine\/Dream_Machine_Pro\/images\/udm-pro-front.png">/);
+    assert.match(html, /<tr><th>Max. Power Consumption<\/th><td>33W<\/td><\/tr>/);
+    assert.match(html, /<td>UDM-PRO-BLK<\/td>/);
+    assert.match(html, /<video controls preload="metadata" src="[^"]+udm-pro-tour.mp4"><\/video>/);
+    assert.match(html, /<a href="[^"]+udm-pro-datasheet.pdf" download>udm-pro-datasheet.pdf<\/a>/);
+  });
+
+  it('links only to files that exist in the output directory', async () => {
+    const siteDir = path.join(outputDir, SITE_DIR);
+    const pages = [
+      'index.html',
+      'categories/Dream Machine.html',
+      'products/Dream Machine/Dream_Machine_Pro.html',
+      'products/Switching/Switch_Flex_Mini.html'
+    ];
+
+    for (const page of pages) {
+      const html = await fs.readFile(path.join(siteDir, page), 'utf8');
+
+      for (const [, link] of html.matchAll(/(?:href|src)="([^"]+)"/g)) {
+        if (link.startsWith('https://')) {
+          continue;
+        }
+        const target = path.join(path.dirname(path.join(siteDir, page)), decodeURIComponent(link));
+        assert.ok(await fs.pathExists(target), `${page} links to ${link}`);
+      }
+    }
+  });
+
+  it('builds a search index with links relative to the site folder', async () => {
+    const script = await fs.readFile(path.join(outputDir, SITE_DIR, 'search-index.js'), 'utf8');
+    const index = JSON.parse(script.replace(/^window\.SEARCH_INDEX = /, '').replace(/;\n$/, ''));
+    const udm = index.find(entry => entry.name === 'Dream Machine Pro');
+
+    assert.equal(udm.page, 'products/Dream%20Machine/Dream_Machine_Pro.html');
+    assert.match(udm.text, /udm-pro-blk/);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSitemap, fetchSitemapUrls } from '../sitemap.js';
+import { startFakeStore } from './helpers/fake-store.js';
+
+const OPTIONS = { userAgent: 'UbiquitiScraper/1.0', timeout: 5000 };
+
+describe('parseSitemap', () => {
+  it('reads the page URLs of a urlset', () => {
+    const { sitemaps, urls } = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc> https://store.ui.com/us/products/udm-pro </loc><lastmod>2024-05-01</lastmod></url>
+  <url><loc></loc></url>
+</urlset>`);
+
+    assert.deepEqual(sitemaps, []);
+    assert.deepEqual(urls, ['https://store.ui.com/us/products/udm-pro']);
+  });
+
+  it('reads the nested sitemaps of a sitemap index', () => {
+    const { sitemaps, urls } = parseSitemap(`<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://store.ui.com/sitemap_products_1.xml</loc></sitemap>
+  <sitemap><loc>https://store.ui.com/sitemap_pages_1.xml.gz</loc></sitemap>
+</sitemapindex>`);
+
+    assert.deepEqual(sitemaps, ['https://store.ui.com/sitemap_products_1.xml', 'https://store.ui.com/sitemap_pages_1.xml.gz']);
+    assert.deepEqual(urls, []);
+  });
+});
+
+describe('fetchSitemapUrls', () => {
+  let store;
+
+  before(async () => {
+    store = await startFakeStore();
+  });
+
+  after(async () => {
+    await store?.close();
+  });
+
+  it('follows nested indexes and reads gzipped sitemaps', async () => {
+    const urls = await fetchSitemapUrls([`${store.url}/sitemap.xml`], OPTIONS);
+
+    assert.deepEqual(urls.sort(), [
+      `${store.url}/us/collections/unifi-network`,
+      `${store.url}/us/products/udm-pro`,
+      `${store.url}/us/products/usw-flex-mini`
+    ]);
+    assert.ok(store.requests.includes('/sitemap-accessories.xml.gz'));
+  });
+
+  it('stops after maxSitemaps files and skips sitemaps that fail', async () => {
+    const limited = await fetchSitemapUrls([`${store.url}/sitemap.xml`], { ...OPTIONS, maxSitemaps: 1 });
+    assert.deepEqual(limited, []);
+
+    const urls = await fetchSitemapUrls([`${store.url}/missing.xml`, `${store.url}/sitemap-products.xml`], OPTIONS);
+    assert.equal(urls.length, 2);
+  });
+});
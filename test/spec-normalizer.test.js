@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  canonicalKey,
+  parseQuantities,
+  parseDimensions,
+  parsePorts,
+  normalizeSpecifications,
+  formatSpecification,
+  extractSpecificationsFromText,
+  mergeSpecifications
+} from '../spec-normalizer.js';
+
+describe('canonicalKey', () => {
+  it('maps spellings of the same specification to one key', () => {
+    assert.deepEqual(canonicalKey('Max. Power Consumption'), { key: 'maxPowerConsumption', known: true });
+    assert.deepEqual(canonicalKey('Maximum power consumption:'), { key: 'maxPowerConsumption', known: true });
+    assert.deepEqual(canonicalKey('Ambient Operating Temperature'), { key: 'operatingTemperature', known: true });
+    assert.deepEqual(canonicalKey('Dimensions (H x W x D)'), { key: 'dimensions', known: true });
+  });
+
+  it('converts unknown keys to camelCase', () => {
+    assert.deepEqual(canonicalKey('Fan Count'), { key: 'fanCount', known: false });
+    assert.deepEqual(canonicalKey('???'), { key: 'unnamed', known: false });
+  });
+});
+
+describe('parseQuantities', () => {
+  it('converts values to the canonical unit', () => {
+    assert.deepEqual(parseQuantities('25W'), [{ type: 'power', unit: 'W', value: 25 }]);
+    assert.deepEqual(parseQuantities('3.9 kg'), [{ type: 'weight', unit: 'g', value: 3900 }]);
+    assert.deepEqual(parseQuantities('940 Mbps'), [{ type: 'dataRate', unit: 'Gbps', value: 0.94 }]);
+    assert.deepEqual(parseQuantities('212°F'), [{ type: 'temperature', unit: '°C', value: 100 }]);
+  });
+
+  it('reads ranges, including negative lower bounds', () => {
+    assert.deepEqual(parseQuantities('100-240V AC'), [{ type: 'voltage', unit: 'V', min: 100, max: 240 }]);
+    assert.deepEqual(parseQuantities('-5 to 40° C'), [{ type: 'temperature', unit: '°C', min: -5, max: 40 }]);
+  });
+
+  it('does not read units out of words', () => {
+    assert.deepEqual(parseQuantities('8 GbE ports'), []);
+    assert.deepEqual(parseQuantities('1 Access point'), []);
+  });
+});
+
+describe('parseDimensions', () => {
+  it('reads width, height and depth in millimetres', () => {
+    assert.deepEqual(parseDimensions('442.4 x 43.7 x 285.6 mm'), { width: 442.4, height: 43.7, depth: 285.6, unit: 'mm' });
+    assert.deepEqual(parseDimensions('10 × 20 cm'), { width: 100, height: 200, depth: null, unit: 'mm' });
+    assert.equal(parseDimensions('Compact'), null);
+  });
+});
+
+describe('parsePorts', () => {
+  it('groups ports by count, speed, connector and PoE class', () => {
+    assert.deepEqual(parsePorts('(8) GbE RJ45 ports, (2) 10G SFP+ ports, (4) 2.5GbE RJ45 802.3bt PoE++ ports'), [
+      { count: 8, speedGbps: 1, connector: 'RJ45', poe: null, description: 'GbE RJ45 ports' },
+      { count: 2, speedGbps: 10, connector: 'SFP+', poe: null, description: '10G SFP+ ports' },
+      { count: 4, speedGbps: 2.5, connector: 'RJ45', poe: 'PoE++', description: '2.5GbE RJ45 802.3bt PoE++ ports' }
+    ]);
+  });
+
+  it('reads counts written with a multiplication sign', () => {
+    const [group] = parsePorts('24x GbE PoE+ RJ45');
+    assert.equal(group.count, 24);
+    assert.equal(group.poe, 'PoE+');
+  });
+});
+
+describe('normalizeSpecifications', () => {
+  it('keeps the original text next to the parsed value', () => {
+    const specs = normalizeSpecifications({
+      'Max. Power Consumption': '33W',
+      'Networking Interface': '(8) GbE RJ45 ports, (1) 10G SFP+ port',
+      'Management Interface': 'Ethernet in-band'
+    });
+
+    assert.deepEqual(specs.maxPowerConsumption, {
+      label: 'Max. Power Consumption',
+      text: '33W',
+      type: 'power',
+      unit: 'W',
+      value: 33,
+      interpreted: true
+    });
+    assert.equal(specs.networkingInterface.value, 9);
+    assert.equal(specs.networkingInterface.ports.length, 2);
+    assert.deepEqual(specs.management, {
+      label: 'Management Interface',
+      text: 'Ethernet in-band',
+      type: 'text',
+      interpreted: true
+    });
+  });
+
+  it('flags values it could not interpret', () => {
+    const specs = normalizeSpecifications({
+      Weight: 'Lightweight',
+      'Fan Count': 'Fanless',
+      'Battery Capacity': '5000 mA'
+    });
+
+    assert.equal(specs.weight.interpreted, false);
+    assert.equal(specs.weight.type, 'weight');
+    assert.equal(specs.fanCount.interpreted, false);
+    assert.equal(specs.fanCount.type, 'unknown');
+    assert.equal(specs.batteryCapacity.interpreted, true);
+    assert.equal(specs.batteryCapacity.value, 5);
+  });
+
+  it('gives a later duplicate of a canonical key its own key', () => {
+    const specs = normalizeSpecifications({ 'Max. Power Consumption': '33W', 'Power Consumption': '12W' });
+
+    assert.equal(specs.maxPowerConsumption.value, 33);
+    assert.equal(specs.powerConsumption.value, 12);
+  });
+});
+
+describe('formatSpecification', () => {
+  it('formats values, ranges, dimensions and ports', () => {
+    const specs = normalizeSpecifications({
+      'Max. Power Consumption': '33W',
+      'Supported Voltage Range': '100-240V AC',
+      Dimensions: '442.4 x 43.7 x 285.6 mm',
+      'Networking Interface': '(8) GbE RJ45 PoE+ ports',
+      Weight: 'Lightweight'
+    });
+
+    assert.equal(formatSpecification(specs.maxPowerConsumption), '33 W');
+    assert.equal(formatSpecification(specs.supportedVoltageRange), '100–240 V');
+    assert.equal(formatSpecification(specs.dimensions), '442.4 × 43.7 × 285.6 mm');
+    assert.equal(formatSpecification(specs.networkingInterface), '8 × 1 Gbps RJ45 PoE+');
+    assert.equal(formatSpecification(specs.weight), '');
+  });
+});
+
+describe('extractSpecificationsFromText', () => {
+  it('reads known labels followed by values they can be interpreted as', () => {
+    const text = [
+      'Hardware Specifications',
+      'Max. Power Consumption 33W',
+      'Weight: 3.98 kg',
+      'Weight is listed without packaging',
+      'Max. Power Consumption 40W',
+      'Mounting\tRackmount'
+    ].join('\n');
+
+    assert.deepEqual(extractSpecificationsFromText(text), {
+      'Max. Power Consumption': '33W',
+      Weight: '3.98 kg',
+      Mounting: 'Rackmount'
+    });
+  });
+
+  it('ignores text without specifications', () => {
+    assert.deepEqual(extractSpecificationsFromText('Quick Start Guide\nPackage Contents'), {});
+    assert.deepEqual(extractSpecificationsFromText(''), {});
+  });
+});
+
+describe('mergeSpecifications', () => {
+  it('adds only the canonical keys the page does not have', () => {
+    const merged = mergeSpecifications(
+      { 'Maximum power consumption': '35W' },
+      { 'Max. Power Consumption': '33W', Weight: '3.98 kg' }
+    );
+
+    assert.deepEqual(merged, { 'Maximum power consumption': '35W', Weight: '3.98 kg' });
+  });
+});
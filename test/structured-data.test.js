@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeAvailability, AVAILABILITY } from '../structured-data.js';
+
+describe('normalizeAvailability', () => {
+  it('maps schema.org values and booleans', () => {
+    assert.equal(normalizeAvailability('https://schema.org/InStock'), AVAILABILITY.IN_STOCK);
+    assert.equal(normalizeAvailability('http://schema.org/OutOfStock'), AVAILABILITY.SOLD_OUT);
+    assert.equal(normalizeAvailability(false), AVAILABILITY.SOLD_OUT);
+    assert.equal(normalizeAvailability(''), AVAILABILITY.UNKNOWN);
+  });
+
+  it('reads button and label text', () => {
+    assert.equal(normalizeAvailability('Add to Cart'), AVAILABILITY.IN_STOCK);
+    assert.equal(normalizeAvailability('Available now'), AVAILABILITY.IN_STOCK);
+    assert.equal(normalizeAvailability('Sold Out'), AVAILABILITY.SOLD_OUT);
+    assert.equal(normalizeAvailability('Notify Me'), AVAILABILITY.COMING_SOON);
+  });
+
+  it('does not read negated availability as in stock', () => {
+    assert.equal(normalizeAvailability('Not available'), AVAILABILITY.SOLD_OUT);
+    assert.equal(normalizeAvailability('Currently not available'), AVAILABILITY.SOLD_OUT);
+    assert.equal(normalizeAvailability('Not in stock'), AVAILABILITY.SOLD_OUT);
+    assert.equal(normalizeAvailability('No longer available'), AVAILABILITY.DISCONTINUED);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import * as utils from '../utils.js';
+import { readHtmlFixture } from './helpers/fake-store.js';
+
+describe('extractLinks', () => {
+  it('finds links with the given extensions and resolves them against the page URL', async () => {
+    const html = await readHtmlFixture('product-markup.html');
+    const links = utils.extractLinks(html, ['.png', '.jpg'], 'https://store.ui.com/us/products/usw-flex-mini');
+
+    assert.deepEqual(links, [
+      'https://store.ui.com/assets/flex-mini.png',
+      'https://store.ui.com/assets/flex-mini-side.JPG'
+    ]);
+  });
+
+  it('reads both href and src attributes and removes duplicates', () => {
+    const html = `
+      <a href="docs/datasheet.pdf">Datasheet</a>
+      <embed src="https://cdn.example.com/datasheet.pdf">
+      <a href='docs/datasheet.pdf'>Again</a>
+      <a href="/us/products/udm-pro">Product</a>`;
+
+    assert.deepEqual(utils.extractLinks(html, ['.pdf'], 'https://store.ui.com/us/'), [
+      'https://store.ui.com/us/docs/datasheet.pdf',
+      'https://cdn.example.com/datasheet.pdf'
+    ]);
+  });
+
+  it('returns an empty array when nothing matches', () => {
+    assert.deepEqual(utils.extractLinks('<img src="a.gif">', ['.mp4'], 'https://store.ui.com/'), []);
+  });
+});
+
+describe('sanitizeName', () => {
+  it('replaces whitespace with underscores', () => {
+    assert.equal(utils.sanitizeName('  UniFi Dream   Machine Pro '), 'UniFi_Dream_Machine_Pro');
+  });
+
+  it('removes characters that are not allowed in file names', () => {
+    assert.equal(utils.sanitizeName('Switch 24/PoE: "Gen2"?'), 'Switch_24PoE_Gen2');
+  });
+});
+
+describe('appendToFile', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ubiquiti-utils-'));
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  it('ends each appended text with a newline', async () => {
+    const filePath = path.join(dir, 'all_content.txt');
+    await utils.appendToFile(filePath, 'first');
+    await utils.appendToFile(filePath, 'second');
+
+    assert.equal(await fs.readFile(filePath, 'utf8'), 'first\nsecond\n');
+  });
+});
+
+describe('extractProductName', () => {
+  it('reads the title without the store suffix', () => {
+    assert.equal(utils.extractProductName('<title>Dream Machine Pro - Ubiquiti Store</title>'), 'Dream Machine Pro');
+    assert.equal(utils.extractProductName('<title>U6 Lite | Ubiquiti Store</title>'), 'U6 Lite');
+  });
+
+  it('falls back to the first heading', () => {
+    assert.equal(utils.extractProductName('<h1 class="title"> Switch Flex Mini </h1>'), 'Switch Flex Mini');
+  });
+});
+
+describe('extractProductDescription', () => {
+  it('reads the meta description', () => {
+    const html = '<meta\n  name="description"   content="Compact 5-port switch">';
+    assert.equal(utils.extractProductDescription(html), 'Compact 5-port switch');
+  });
+
+  it('reads the description block as text', () => {
+    const html = '<div class="product-description">\n  <p>A compact,\n  5-port switch.</p>\n</div>';
+    assert.equal(utils.extractProductDescription(html), 'A compact, 5-port switch.');
+  });
+});
+
+describe('determineCategory', () => {
+  const categories = ['Networks', 'Protect', 'Cameras', 'Door Access'];
+
+  it('uses the collection in the URL', () => {
+    const category = utils.determineCategory('Anything', 'https://store.ui.com/us/collections/unifi-network-switching/products/usw-24', categories);
+    assert.equal(category, 'Unifi Network Switching');
+  });
+
+  it('matches a category in the product name', () => {
+    assert.equal(utils.determineCategory('G4 Door Access Reader', 'https://store.ui.com/us/products/ua-g2', categories), 'Door Access');
+  });
+
+  it('defaults to Other', () => {
+    assert.equal(utils.determineCategory('Switch Flex Mini', 'https://store.ui.com/us/products/usw-flex-mini', categories), 'Other');
+  });
+});
+
+describe('getProductHandle', () => {
+  it('returns the segment after /products/', () => {
+    assert.equal(utils.getProductHandle('https://store.ui.com/us/collections/x/products/UDM-Pro?variant=1'), 'udm-pro');
+  });
+
+  it('returns null for other URLs', () => {
+    assert.equal(utils.getProductHandle('https://store.ui.com/us/collections/x'), null);
+    assert.equal(utils.getProductHandle('not a url'), null);
+  });
+});
+
+describe('mergeDeep', () => {
+  it('merges nested objects and replaces arrays', () => {
+    const base = { a: 1, nested: { b: 2, c: 3 }, list: [1, 2] };
+    const merged = utils.mergeDeep(base, { nested: { c: 4, d: undefined }, list: [3] });
+
+    assert.deepEqual(merged, { a: 1, nested: { b: 2, c: 4 }, list: [3] });
+    assert.deepEqual(base.nested, { b: 2, c: 3 });
+  });
+});
+
+describe('assetFileNames', () => {
+  it('names assets after their URL file names and makes duplicates unique', () => {
+    const names = utils.assetFileNames([
+      'https://cdn.example.com/a/front.png',
+      'https://cdn.example.com/b/Front.jpg?width=800',
+      'https://cdn.example.com/c/%E0%A4%A.png',
+      'https://cdn.example.com/d/back%20view.png'
+    ], 'image');
+
+    assert.deepEqual(names, ['front', 'Front_2', 'image_3', 'back_view']);
+  });
+
+  it('names Next.js image URLs after the image they wrap', () => {
+    const names = utils.assetFileNames(['https://store.ui.com/_next/image?url=%2Fassets%2Fudm-pro.png&w=1080'], 'image');
+
+    assert.deepEqual(names, ['udm-pro']);
+  });
+});
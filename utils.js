@@ -3,6 +3,7 @@ import path from 'path';
 import axios from 'axios';
 import sanitize from 'sanitize-filename';
 import { URL } from 'url';
+import { pipeline } from 'stream/promises';
 
 /**
  * Ensures a directory exists, creating it if necessary
@@ -12,13 +13,37 @@ export const ensureDir = async (dirPath) => {
   await fs.ensureDir(dirPath);
 };
 
+/**
+ * Deep-merges plain objects, returning a new object. Arrays and other values
+ * in the overrides replace the base value.
+ * @param {Object} base - Base object
+ * @param {Object} overrides - Values to merge over the base
+ * @returns {Object} Merged object
+ */
+export const mergeDeep = (base, overrides) => {
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const result = { ...base };
+  
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) {
+      continue;
+    }
+    
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeDeep(base[key], value)
+      : value;
+  }
+  
+  return result;
+};
+
 /**
  * Sanitizes a string to be used as a filename or directory name
  * @param {string} name - Name to sanitize
  * @returns {string} Sanitized name
  */
 export const sanitizeName = (name) => {
-  return sanitize(name.trim()).replace(/\\s+/g, '_');
+  return sanitize(name.trim()).replace(/\s+/g, '_');
 };
 
 /**
@@ -55,29 +80,72 @@ export const determineCategory = (productName, url, categories) => {
   return 'Other';
 };
 
+/**
+ * Extracts the product handle (the path segment after /products/) from a URL
+ * @param {string} url - URL of the product page
+ * @returns {string|null} Product handle, or null if the URL is not a product URL
+ */
+export const getProductHandle = (url) => {
+  try {
+    const parts = new URL(url).pathname.split('/').filter(Boolean);
+    const productsIndex = parts.lastIndexOf('products');
+    
+    if (productsIndex !== -1 && productsIndex + 1 < parts.length) {
+      return decodeURIComponent(parts[productsIndex + 1]).toLowerCase();
+    }
+  } catch (error) {
+    // Not an absolute URL
+  }
+  
+  return null;
+};
+
 /**
  * Downloads a file from a URL and saves it to the specified path
  * @param {string} url - URL of the file to download
  * @param {string} outputPath - Path where to save the file
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.headers] - Extra request headers (e.g. conditional request headers)
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {Object} [options.rateLimiter] - RateLimiter that paces the request and is told its outcome
+ * @returns {Promise<Object>} Response status, headers and number of bytes written. A 304
+ *   response writes nothing.
+ * @throws {Error} When the request fails or the server answers with an error status
  */
-export const downloadFile = async (url, outputPath) => {
+export const downloadFile = async (url, outputPath, { headers = {}, timeout = 0, rateLimiter = null } = {}) => {
+  if (rateLimiter) {
+    await rateLimiter.acquire(url);
+  }
+  
+  let response;
   try {
-    const response = await axios({
+    response = await axios({
       method: 'GET',
       url: url,
-      responseType: 'stream'
-    });
-    
-    const writer = fs.createWriteStream(outputPath);
-    
-    return new Promise((resolve, reject) => {
-      response.data.pipe(writer);
-      writer.on('finish', resolve);
-      writer.on('error', reject);
+      responseType: 'stream',
+      headers,
+      timeout,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
     });
   } catch (error) {
-    console.error(`Error downloading file from ${url}:`, error.message);
+    rateLimiter?.report(url, error.response
+      ? { status: error.response.status, retryAfter: error.response.headers['retry-after'] }
+      : { error: true });
+    throw error;
+  }
+  
+  rateLimiter?.report(url, { status: response.status });
+  
+  if (response.status === 304) {
+    response.data.resume();
+    return { status: response.status, headers: response.headers, bytes: 0 };
   }
+  
+  await fs.ensureDir(path.dirname(outputPath));
+  await pipeline(response.data, fs.createWriteStream(outputPath));
+  
+  const { size } = await fs.stat(outputPath);
+  return { status: response.status, headers: response.headers, bytes: size };
 };
 
 /**
@@ -116,6 +184,45 @@ export const extractLinks = (html, fileExtensions, baseUrl) => {
   return [...new Set(links)]; // Remove duplicates
 };
 
+/**
+ * Derives file names (without extension) for downloaded assets from the file
+ * names in their URLs, making them unique within the list
+ * @param {string[]} urls - Asset URLs
+ * @param {string} fallbackPrefix - Prefix for URLs without a usable file name, e.g. "image"
+ * @returns {string[]} File names, in the same order as the URLs
+ */
+export const assetFileNames = (urls, fallbackPrefix) => {
+  const used = new Set();
+  
+  return urls.map((assetUrl, index) => {
+    let base = '';
+    
+    try {
+      let parsed = new URL(assetUrl);
+      
+      // Next.js image URLs (/_next/image?url=...) are named after the image they wrap
+      if (parsed.pathname.endsWith('/_next/image') && parsed.searchParams.get('url')) {
+        parsed = new URL(parsed.searchParams.get('url'), parsed);
+      }
+      
+      const { pathname } = parsed;
+      base = sanitizeName(decodeURIComponent(path.basename(pathname, path.extname(pathname))));
+    } catch (error) {
+      // Fall back to a numbered name
+    }
+    
+    base = base || `${fallbackPrefix}_${index + 1}`;
+    
+    let name = base;
+    for (let suffix = 2; used.has(name.toLowerCase()); suffix++) {
+      name = `${base}_${suffix}`;
+    }
+    used.add(name.toLowerCase());
+    
+    return name;
+  });
+};
+
 /**
  * Appends text to a file, creating the file if it doesn't exist
  * @param {string} filePath - Path to the file
@@ -123,7 +230,7 @@ export const extractLinks = (html, fileExtensions, baseUrl) => {
  */
 export const appendToFile = async (filePath, text) => {
   await fs.ensureFile(filePath);
-  await fs.appendFile(filePath, text + '\\n', 'utf8');
+  await fs.appendFile(filePath, text + '\n', 'utf8');
 };
 
 /**
@@ -132,16 +239,16 @@ export const appendToFile = async (filePath, text) => {
  * @returns {string} Product name
  */
 export const extractProductName = (html) => {
-  const titleMatch = html.match(/<title>([^<]+)<\\/title>/);
+  const titleMatch = html.match(/<title>([^<]+)<\/title>/);
   if (titleMatch && titleMatch[1]) {
     // Clean up the title (remove "- Ubiquiti Store" etc.)
     let title = titleMatch[1].trim();
-    title = title.replace(/\\s*[\\-|]\\s*Ubiquiti.*$/i, '');
+    title = title.replace(/\s*[\-|]\s*Ubiquiti.*$/i, '');
     return title;
   }
   
   // Fallback to h1
-  const h1Match = html.match(/<h1[^>]*>([^<]+)<\\/h1>/);
+  const h1Match = html.match(/<h1[^>]*>([^<]+)<\/h1>/);
   if (h1Match && h1Match[1]) {
     return h1Match[1].trim();
   }
@@ -156,16 +263,16 @@ export const extractProductName = (html) => {
  */
 export const extractProductDescription = (html) => {
   // Look for meta description first
-  const metaMatch = html.match(/<meta\\s+name=["']description["']\\s+content=["']([^"']+)["']/i);
+  const metaMatch = html.match(/<meta\s+name=["']description["']\s+content=["']([^"']+)["']/i);
   if (metaMatch && metaMatch[1]) {
     return metaMatch[1].trim();
   }
   
   // Look for product description in the page content
-  const descMatch = html.match(/<div[^>]*class=["'][^"']*product-description[^"']*["'][^>]*>([\\s\\S]*?)<\\/div>/i);
+  const descMatch = html.match(/<div[^>]*class=["'][^"']*product-description[^"']*["'][^>]*>([\s\S]*?)<\/div>/i);
   if (descMatch && descMatch[1]) {
     // Remove HTML tags
-    return descMatch[1].replace(/<[^>]+>/g, ' ').replace(/\\s+/g, ' ').trim();
+    return descMatch[1].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
   }
   
   return '';